@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Roles from least to most privileged; each includes the ones before it
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_COOKIE = 'session';
+// Last-used times are only written this often, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Value of one cookie from the Cookie header
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+// Authentication by session cookie (the web app) or `Authorization: Bearer
+// <token>` (scripts, with an API token), and role checks for routes
+function createAuth({ userRepository, tokenRepository, sessionDays, cookieSecure }) {
+  const sessionMs = sessionDays * 24 * 60 * 60 * 1000;
+
+  function tokenOf(req) {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+    return readCookie(req, SESSION_COOKIE);
+  }
+
+  // Sets req.user (and req.authToken) when the request carries a valid
+  // token; never rejects, so public routes keep working
+  function authenticate(req, res, next) {
+    const token = tokenOf(req);
+    if (!token) return next();
+    const record = tokenRepository.findActive(hashToken(token));
+    const user = record && userRepository.findById(record.userId);
+    if (user && !user.disabled) {
+      req.user = user;
+      req.authToken = record;
+      if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > TOUCH_INTERVAL_MS) {
+        tokenRepository.touch(record.id);
+      }
+    }
+    next();
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `This requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  const requireViewer = requireRole('viewer');
+  const requireEditor = requireRole('editor');
+
+  // The rule for every API route without a stricter one: reading needs a
+  // viewer, anything that changes data or calls a paid model an editor
+  function defaultAccess(req, res, next) {
+    const reading = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+    return (reading ? requireViewer : requireEditor)(req, res, next);
+  }
+
+  function issue(user, kind, name, expiresAt) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = tokenRepository.create({ userId: user.id, kind, name, tokenHash: hashToken(token), expiresAt });
+    return { token, record };
+  }
+
+  return {
+    authenticate,
+    requireRole,
+    defaultAccess,
+
+    // Start a browser session: the token goes into an HttpOnly cookie
+    startSession(res, user) {
+      const { token } = issue(user, 'session', null, new Date(Date.now() + sessionMs).toISOString());
+      res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: cookieSecure,
+        maxAge: sessionMs,
+        path: '/'
+      });
+    },
+
+    endSession(req, res) {
+      if (req.authToken?.kind === 'session') tokenRepository.delete(req.authToken.id);
+      res.clearCookie(SESSION_COOKIE, { path: '/' });
+    },
+
+    // A long-lived token for scripts; the token itself is only returned here
+    issueApiToken(user, name) {
+      return issue(user, 'api', name, null);
+    }
+  };
+}
+
+module.exports = { createAuth, hasRole, ROLES };
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash stored as "scrypt$<salt>$<key>" (hex), so the scheme can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'hex');
+  return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+// Error message for a password that is too weak, or null
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = { hashPassword, verifyPassword, checkPassword };
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Bulk ingest: upload every page scan under a directory to a running server,
+// with newspaper, edition date and page number from sidecar files.
+//
+//   INGEST_TOKEN=<API token of an editor> npm run ingest -- <directory> [options]
+//
+// Sidecars (see ingest/metadata.js): `metadata.json` in a directory applies
+// to everything below it, `metadata.csv` has a `file` column and one row per
+// scan of its directory, and `page.jpg.json` / `page.json` belong to one scan.
+// Fields are newspaper, editionDate and pageNumber.
+//
+// Progress is kept in <directory>/.ingest-state.json, so running the same
+// command again after an interruption resumes where it stopped; the summary
+// report goes to <directory>/ingest-report.json.
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const config = require('../config');
+const { runIngest, createApiClient } = require('../ingest');
+const { openIngestState } = require('../ingest/state');
+const { PROFILES, OVERRIDABLE } = require('../preprocess/profiles');
+
+const USAGE = `Usage: node bin/ingest.js <directory> [options]
+
+Options:
+  --server <url>         Server to upload to (default http://localhost:${config.port})
+  --token <token>        API token of an editor (default $INGEST_TOKEN)
+  --concurrency <n>      Files in flight at once (default ${config.jobs.concurrency})
+  --duplicates <policy>  skip (default) or warn, for pages already in the archive
+  --profile <name>       Preprocessing profile: ${Object.keys(PROFILES).join(', ')}
+  --state <file>         Progress file (default <directory>/.ingest-state.json)
+  --report <file>        Summary report (default <directory>/ingest-report.json)
+  --retry-failed         Try files that failed in an earlier run again
+  --help                 Show this help`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        server: { type: 'string', default: `http://localhost:${config.port}` },
+        token: { type: 'string', default: process.env.INGEST_TOKEN },
+        concurrency: { type: 'string', default: String(config.jobs.concurrency) },
+        duplicates: { type: 'string', default: 'skip' },
+        profile: { type: 'string' },
+        state: { type: 'string' },
+        report: { type: 'string' },
+        'retry-failed': { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false },
+        // Preprocessing steps as /api/upload takes them, e.g. --deskew false
+        ...Object.fromEntries(OVERRIDABLE.map(option => [option, { type: 'string' }]))
+      }
+    });
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (positionals.length !== 1) fail(USAGE);
+  const directory = path.resolve(positionals[0]);
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) fail(`Not a directory: ${directory}`);
+  if (!values.token) fail('Give an API token with --token or INGEST_TOKEN (create one under your account in the web app)');
+  const concurrency = parseInt(values.concurrency, 10);
+  if (!(concurrency >= 1)) fail('--concurrency must be at least 1');
+  if (!['skip', 'warn'].includes(values.duplicates)) fail('--duplicates must be skip or warn');
+  if (values.profile && !PROFILES[values.profile]) fail(`Unknown profile "${values.profile}"`);
+
+  const client = createApiClient(values.server, values.token);
+  const user = await client.checkAccess();
+  console.log(`Ingesting as ${user.username} into ${values.server}`);
+
+  // A second Ctrl+C quits at once; the first lets running uploads finish
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log('Stopping: no new files are started; run the same command again to resume');
+  });
+
+  const state = openIngestState(values.state ? path.resolve(values.state) : path.join(directory, '.ingest-state.json'));
+  const report = await runIngest({
+    directory,
+    client,
+    state,
+    concurrency,
+    duplicates: values.duplicates,
+    preprocess: {
+      profile: values.profile,
+      ...Object.fromEntries(OVERRIDABLE.map(option => [option, values[option]]))
+    },
+    retryFailed: values['retry-failed'],
+    isStopping: () => stopping
+  });
+
+  const reportPath = values.report ? path.resolve(values.report) : path.join(directory, 'ingest-report.json');
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  const { totals } = report;
+  console.log(`\n${totals.ingested} ingested, ${totals.skippedAsDuplicates} skipped as duplicates, ` +
+    `${totals.ingestedBefore} ingested by earlier runs, ${totals.failed} failed, ${totals.unfinished} unfinished`);
+  report.failures.forEach(({ file, error }) => console.log(`  failed: ${file}: ${error}`));
+  console.log(`Report written to ${reportPath}`);
+  process.exitCode = totals.failed > 0 || report.interrupted ? 1 : 0;
+}
+
+main().catch(error => fail(error.message));
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { uprightSize } = require('../preprocess');
+const { describePage, safeName } = require('../exporters/common');
+const { imageToPdf } = require('./pdf');
+
+// Cropped images live in their own directory under uploads/
+const CLIPS_DIR = 'clips';
+
+// Smaller crops (in pixels, either way) are taken for slips of the mouse
+const MIN_CLIP_PIXELS = 16;
+
+// A clip counts as showing an article when at least this share of it lies
+// inside the article's region
+const ARTICLE_OVERLAP = 0.5;
+
+// Citation cards are this wide, rendered for printing at CARD_DPI
+const CARD_WIDTH = 1200;
+const CARD_MARGIN = 60;
+const CARD_DPI = 150;
+// The cropped image is shrunk to fit this height on the card
+const CARD_IMAGE_HEIGHT = 1400;
+// Longer transcriptions are cut short on the card
+const CARD_TEXT_LIMIT = 1800;
+
+const round = value => Math.round(value * 100000) / 100000;
+
+// Read a `{ x, y, width, height }` region in 0-1 coordinates of the page
+// image, trimmed to the page; null when it is not one
+function parseRegion(value) {
+  if (!value || typeof value !== 'object') return null;
+  const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(value[key]));
+  if (![x, y, width, height].every(Number.isFinite)) return null;
+
+  const left = Math.max(0, x);
+  const top = Math.max(0, y);
+  const right = Math.min(1, x + width);
+  const bottom = Math.min(1, y + height);
+  if (right <= left || bottom <= top) return null;
+  return { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top) };
+}
+
+// Tags as a list of distinct, trimmed strings, from an array or a
+// comma-separated string
+function parseTags(value) {
+  const tags = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(tags.map(tag => String(tag).normalize('NFC').trim()).filter(Boolean))];
+}
+
+// The article whose region holds most of `region`, or null
+function articleAt(document, region) {
+  const clipArea = region.width * region.height;
+  let best = null;
+  for (const { article, polygon } of document.layout?.articles || []) {
+    if (!polygon?.length) continue;
+    const xs = polygon.map(([px]) => px);
+    const ys = polygon.map(([, py]) => py);
+    const overlapWidth = Math.min(region.x + region.width, Math.max(...xs)) - Math.max(region.x, Math.min(...xs));
+    const overlapHeight = Math.min(region.y + region.height, Math.max(...ys)) - Math.max(region.y, Math.min(...ys));
+    if (overlapWidth <= 0 || overlapHeight <= 0) continue;
+    const share = (overlapWidth * overlapHeight) / clipArea;
+    if (share >= ARTICLE_OVERLAP && (!best || share > best.share)) best = { article, share };
+  }
+  return best ? best.article : null;
+}
+
+// Cut `region` out of the page's original image into uploads/clips/.
+// Resolves to the new file's name.
+async function cropClip(document, region, uploadsDir) {
+  const source = path.join(uploadsDir, document.filename);
+  const { width, height } = uprightSize(await sharp(source).metadata());
+
+  const left = Math.floor(region.x * width);
+  const top = Math.floor(region.y * height);
+  const area = {
+    left,
+    top,
+    width: Math.min(Math.ceil((region.x + region.width) * width), width) - left,
+    height: Math.min(Math.ceil((region.y + region.height) * height), height) - top
+  };
+  if (area.width < MIN_CLIP_PIXELS || area.height < MIN_CLIP_PIXELS) {
+    const error = new Error(`A clip must be at least ${MIN_CLIP_PIXELS} pixels wide and high`);
+    error.status = 400;
+    throw error;
+  }
+
+  const directory = path.join(uploadsDir, CLIPS_DIR);
+  fs.mkdirSync(directory, { recursive: true });
+  const filename = `clip_${document.id}_${Date.now()}.jpg`;
+  // Turned upright first, as browsers show it
+  await sharp(source).rotate().extract(area).jpeg({ quality: 92 }).toFile(path.join(directory, filename));
+  return filename;
+}
+
+function clipPath(clip, uploadsDir) {
+  return path.join(uploadsDir, CLIPS_DIR, clip.filename);
+}
+
+// Remove cropped images; failures are logged, as for page files
+function deleteClipFiles(filenames, uploadsDir) {
+  for (const filename of filenames) {
+    try {
+      fs.rmSync(path.join(uploadsDir, CLIPS_DIR, filename), { force: true });
+    } catch (error) {
+      console.error('Error deleting clip file:', filename, error);
+    }
+  }
+}
+
+function escapeMarkup(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function shorten(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit).replace(/\s+\S*$/, '')} …` : text;
+}
+
+// What a citation names: newspaper, date and page
+function citationOf(page) {
+  return [page.newspaper, page.editionDate || page.printedDate, `পাতা ${page.pageNumber}`].filter(Boolean).join(', ');
+}
+
+// Render Pango markup as a transparent image `width` pixels wide at most
+async function textImage(markup, { size, width, font }) {
+  const { data, info } = await sharp({
+    text: {
+      text: markup,
+      font: `${font.family} ${size}`,
+      ...(font.file && { fontfile: font.file }),
+      width,
+      dpi: 72,
+      rgba: true,
+      wrap: 'word-char'
+    }
+  }).png().toBuffer({ resolveWithObject: true });
+  return { input: data, width: info.width, height: info.height };
+}
+
+// A citation card for a clip: the source, the clip's title, the cropped
+// image, the transcription of the article it shows, the note and tags, and
+// a citation line, on one page. `format` is 'png' or 'pdf'. Resolves to
+// `{ content, contentType, filename }`.
+async function renderCard(clip, document, { issue, uploadsDir, font, format = 'png' }) {
+  const page = describePage(document, { issue });
+  const article = clip.article === null ? null : page.articles[clip.article];
+  const width = CARD_WIDTH - 2 * CARD_MARGIN;
+  const text = (markup, size) => textImage(markup, { size, width, font });
+
+  const blocks = [];
+  blocks.push(await text(`<span foreground="#b71c1c"><b>${escapeMarkup(citationOf(page))}</b></span>`, 24));
+  blocks.push(await text(`<b>${escapeMarkup(clip.title)}</b>`, 36));
+
+  const { data: image, info } = await sharp(clipPath(clip, uploadsDir))
+    .resize({ width, height: CARD_IMAGE_HEIGHT, fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  blocks.push({ input: image, width: info.width, height: info.height, gap: 30 });
+
+  if (article && (article.headline || article.content)) {
+    const headline = article.headline ? `<b>${escapeMarkup(article.headline)}</b>\n` : '';
+    blocks.push({ ...await text(headline + escapeMarkup(shorten(article.content, CARD_TEXT_LIMIT)), 22), gap: 30 });
+  }
+  if (clip.note) {
+    blocks.push(await text(`<i>${escapeMarkup(clip.note)}</i>`, 22));
+  }
+  if (clip.tags.length > 0) {
+    blocks.push(await text(`<span foreground="#e65100">${escapeMarkup(clip.tags.map(tag => `#${tag}`).join('  '))}</span>`, 20));
+  }
+  const citation = `${citationOf(page)}. ক্লিপ #${clip.id}${clip.createdBy ? `, ${clip.createdBy}` : ''}, ${clip.createdAt.slice(0, 10)}`;
+  blocks.push({ ...await text(`<span foreground="#666666">${escapeMarkup(citation)}</span>`, 18), gap: 30 });
+
+  const layers = [{ input: { create: { width: CARD_WIDTH, height: 10, channels: 3, background: '#d32f2f' } }, top: 0, left: 0 }];
+  let top = CARD_MARGIN;
+  blocks.forEach((block, i) => {
+    if (i > 0) top += block.gap || 16;
+    layers.push({ input: block.input, top, left: CARD_MARGIN });
+    top += block.height;
+  });
+  const height = top + CARD_MARGIN;
+
+  const card = sharp({ create: { width: CARD_WIDTH, height, channels: 3, background: '#ffffff' } })
+    .composite(layers)
+    .withMetadata({ density: CARD_DPI });
+  const basename = safeName([`clip-${clip.id}`, clip.title]);
+  if (format === 'pdf') {
+    const jpeg = await card.jpeg({ quality: 90 }).toBuffer();
+    return {
+      content: imageToPdf(jpeg, { width: CARD_WIDTH, height, dpi: CARD_DPI, title: clip.title }),
+      contentType: 'application/pdf',
+      filename: `${basename}.pdf`
+    };
+  }
+  return { content: await card.png().toBuffer(), contentType: 'image/png', filename: `${basename}.png` };
+}
+
+module.exports = {
+  CLIPS_DIR,
+  parseRegion,
+  parseTags,
+  articleAt,
+  cropClip,
+  deleteClipFiles,
+  renderCard
+};
@@ -0,0 +1,56 @@
+// A one-page PDF showing a JPEG image, written by hand: the card is already
+// an image, so a PDF library would only wrap it the same way.
+
+// PDF text string for any Unicode text: UTF-16BE with a byte order mark, in hex
+function pdfString(text) {
+  const utf16 = Buffer.from(`\ufeff${text}`, 'utf16le').swap16();
+  return `<${utf16.toString('hex').toUpperCase()}>`;
+}
+
+// `jpeg` is `width` x `height` pixels, shown at `dpi`; `title` goes into the
+// document information
+function imageToPdf(jpeg, { width, height, dpi = 72, title = '' }) {
+  const pageWidth = ((width * 72) / dpi).toFixed(2);
+  const pageHeight = ((height * 72) / dpi).toFixed(2);
+  const drawing = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Card Do Q`;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /XObject << /Card 4 0 R >> >> /Contents 5 0 R >>',
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream'
+    ],
+    `<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream`,
+    `<< /Title ${pdfString(title)} /Producer (newspaper-digitizer) >>`
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  const append = (part) => {
+    const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+
+  objects.forEach((object, i) => {
+    offsets.push(length);
+    append(`${i + 1} 0 obj\n`);
+    [].concat(object).forEach(append);
+    append('\nendobj\n');
+  });
+
+  const xref = length;
+  append(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => append(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  append(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`);
+  append(`startxref\n${xref}\n%%EOF\n`);
+  return Buffer.concat(chunks);
+}
+
+module.exports = { imageToPdf };
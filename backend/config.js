@@ -0,0 +1,89 @@
+const path = require('path');
+require('dotenv').config();
+
+// Central place for paths and settings that used to be hard-coded in server.js
+module.exports = {
+  port: process.env.PORT || 5000,
+  uploadsDir: path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, 'uploads')),
+  databasePath: path.resolve(process.env.DATABASE_PATH || path.join(__dirname, 'data', 'newspaper.db')),
+  // Which provider handles each role: 'ocr' reads text from the page image,
+  // 'llm' structures and summarizes it and 'layout' finds article regions
+  // (defaults to the OCR provider). Set OCR_PROVIDER=tesseract and
+  // LLM_PROVIDER=fixture to run the whole pipeline offline.
+  providers: {
+    ocr: process.env.OCR_PROVIDER || 'gemini',
+    llm: process.env.LLM_PROVIDER || 'gemini',
+    layout: process.env.LAYOUT_PROVIDER || process.env.OCR_PROVIDER || 'gemini',
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+    },
+    tesseract: {
+      langPath: path.resolve(process.env.TESSERACT_LANG_PATH || path.join(__dirname, 'tessdata')),
+      language: process.env.TESSERACT_LANGUAGE || 'ben'
+    },
+    fixture: {
+      fixtureDir: process.env.FIXTURE_DIR && path.resolve(process.env.FIXTURE_DIR)
+    }
+  },
+  // Splitting PDFs and multi-page TIFFs into page images (poppler-utils for PDFs)
+  rasterize: {
+    pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+    pdfinfoPath: process.env.PDFINFO_PATH || 'pdfinfo',
+    pdfDpi: parseInt(process.env.PDF_DPI, 10) || 300
+  },
+  // Bangabda dates are converted with the traditional West Bengal calendar
+  // ('west-bengal', approximate to a day) or the revised 'bangladesh' one
+  dates: {
+    bangabdaCalendar: process.env.BANGABDA_CALENDAR || 'west-bengal'
+  },
+  // Raw OCR text is structured in chunks of up to `chunkSize` characters and
+  // articles are summarized `summaryBatchSize` (and searched for named
+  // entities `entityBatchSize`) at a time, so long pages fit the model's
+  // input without being cut off
+  extraction: {
+    chunkSize: parseInt(process.env.EXTRACTION_CHUNK_SIZE, 10) || 4000,
+    summaryBatchSize: parseInt(process.env.SUMMARY_BATCH_SIZE, 10) || 5,
+    entityBatchSize: parseInt(process.env.ENTITY_BATCH_SIZE, 10) || 5
+  },
+  // Sections articles are filed under; TAXONOMY_FILE (a JSON array shaped
+  // like taxonomy/sections.js) replaces the built-in list
+  taxonomy: {
+    file: process.env.TAXONOMY_FILE && path.resolve(process.env.TAXONOMY_FILE)
+  },
+  // Browser sessions last `sessionDays`; only `corsOrigins` may call the API
+  // from a web page. With no accounts yet, ADMIN_PASSWORD creates the first
+  // admin at startup.
+  auth: {
+    sessionDays: parseInt(process.env.SESSION_DAYS, 10) || 30,
+    cookieSecure: process.env.COOKIE_SECURE === 'true',
+    corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()),
+    initialAdmin: {
+      username: process.env.ADMIN_USERNAME || 'admin',
+      password: process.env.ADMIN_PASSWORD
+    }
+  },
+  // Pages whose extraction quality score (0 to 1) is below `reviewThreshold`
+  // are listed in the review queue
+  quality: {
+    reviewThreshold: parseFloat(process.env.QUALITY_REVIEW_THRESHOLD) || 0.7
+  },
+  // Citation cards of clips are set in CLIP_CARD_FONT, a font family name
+  // (it needs Bengali glyphs), or the font file CLIP_CARD_FONT_FILE
+  clips: {
+    cardFont: {
+      family: process.env.CLIP_CARD_FONT || 'Noto Sans Bengali',
+      file: process.env.CLIP_CARD_FONT_FILE && path.resolve(process.env.CLIP_CARD_FONT_FILE)
+    }
+  },
+  // Thumbnails and Deep Zoom tiles of page images may be kept by browsers
+  // for `cacheMaxAge` seconds
+  tiles: {
+    cacheMaxAge: parseInt(process.env.TILE_CACHE_MAX_AGE, 10) || 7 * 24 * 60 * 60
+  },
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000
+  }
+};
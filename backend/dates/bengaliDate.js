@@ -0,0 +1,237 @@
+// Parse newspaper dates written in Bengali or English, including Bangabda
+// (Bengali calendar) dates such as "৩ কার্তিক ১৪৩১", into ISO dates.
+
+const { normalize } = require('../search/bengali');
+
+const GREGORIAN_MONTHS = [
+  ['জানুয়ারি', 'জানুয়ারী', 'january', 'jan'],
+  ['ফেব্রুয়ারি', 'ফেব্রুয়ারী', 'ফেব্রুআরি', 'february', 'feb'],
+  ['মার্চ', 'march', 'mar'],
+  ['এপ্রিল', 'april', 'apr'],
+  ['মে', 'may'],
+  ['জুন', 'june', 'jun'],
+  ['জুলাই', 'july', 'jul'],
+  ['আগস্ট', 'অগস্ট', 'আগষ্ট', 'অগাস্ট', 'august', 'aug'],
+  ['সেপ্টেম্বর', 'সেপ্টেম্বার', 'september', 'sept', 'sep'],
+  ['অক্টোবর', 'অক্টোবার', 'october', 'oct'],
+  ['নভেম্বর', 'নভেম্বার', 'november', 'nov'],
+  ['ডিসেম্বর', 'ডিসেম্বার', 'december', 'dec']
+];
+
+const BANGABDA_MONTHS = [
+  ['বৈশাখ'],
+  ['জ্যৈষ্ঠ', 'জৈষ্ঠ', 'জ্যেষ্ঠ'],
+  ['আষাঢ়'],
+  ['শ্রাবণ', 'শ্রাবন'],
+  ['ভাদ্র'],
+  ['আশ্বিন'],
+  ['কার্তিক', 'কার্ত্তিক'],
+  ['অগ্রহায়ণ', 'অগ্রহায়ন', 'অঘ্রাণ', 'অঘ্রান'],
+  ['পৌষ'],
+  ['মাঘ'],
+  ['ফাল্গুন', 'ফাগুন'],
+  ['চৈত্র']
+];
+
+const WEEKDAYS = [
+  ['রবিবার', 'sunday'],
+  ['সোমবার', 'monday'],
+  ['মঙ্গলবার', 'tuesday'],
+  ['বুধবার', 'wednesday'],
+  ['বৃহস্পতিবার', 'thursday'],
+  ['শুক্রবার', 'friday'],
+  ['শনিবার', 'saturday']
+];
+
+// How far from the date a weekday name may appear to be checked against it
+const WEEKDAY_WINDOW = 30;
+
+// Two-digit years are taken for this century up to the current year and for
+// the last one after it ("71" is 1971); the century is a guess, so they are
+// less certain
+const TWO_DIGIT_YEAR_CONFIDENCE = 0.6;
+
+// First day of each Bangabda month in the traditional (West Bengal)
+// calendar as [month, day] of the Gregorian year. Month lengths there follow
+// the sun and move by a day from year to year, so these dates are approximate.
+const WEST_BENGAL_MONTH_STARTS = [
+  [4, 14], [5, 15], [6, 15], [7, 17], [8, 17], [9, 17],
+  [10, 18], [11, 17], [12, 16], [1, 15], [2, 13], [3, 15]
+];
+
+// Revised Bangladesh calendar (2019): six months of 31 days, then 30, with
+// Falgun 30 days in Gregorian leap years and 29 otherwise
+const BANGLADESH_MONTH_LENGTHS = [31, 31, 31, 31, 31, 31, 30, 30, 30, 30, 29, 30];
+
+// Day suffixes: ১লা, ২রা, ৪ঠা, ৫ই, ১৯শে
+const DAY = '(\\d{1,2})(?:\\s*(?:শে|লা|রা|ঠা|ই|st|nd|rd|th))?';
+const NOT_LETTER_BEFORE = '(?<![\\p{L}\\p{M}])';
+const NOT_LETTER_AFTER = '(?![\\p{L}\\p{M}])';
+
+function alternation(names) {
+  return names
+    .flatMap((variants, index) => variants.map(name => ({ name: normalize(name), index })))
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+const GREGORIAN_NAMES = alternation(GREGORIAN_MONTHS);
+const BANGABDA_NAMES = alternation(BANGABDA_MONTHS);
+const WEEKDAY_NAMES = alternation(WEEKDAYS);
+
+function namePattern(names) {
+  return `(${names.map(({ name }) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`;
+}
+
+function indexOf(names, name) {
+  return names.find(entry => entry.name === name).index;
+}
+
+const PATTERNS = {
+  iso: /(?<!\d)(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/u,
+  bangabda: new RegExp(
+    `${NOT_LETTER_BEFORE}${DAY}\\s*${namePattern(BANGABDA_NAMES)}${NOT_LETTER_AFTER}[\\s,]*(\\d{4})`, 'u'
+  ),
+  dayMonthYear: new RegExp(
+    `${NOT_LETTER_BEFORE}${DAY}[\\s,.-]*${namePattern(GREGORIAN_NAMES)}${NOT_LETTER_AFTER}[\\s,.'-]*(\\d{4})`, 'u'
+  ),
+  monthDayYear: new RegExp(
+    `${NOT_LETTER_BEFORE}${namePattern(GREGORIAN_NAMES)}${NOT_LETTER_AFTER}[\\s.-]*${DAY}[\\s,]+(\\d{4})`, 'u'
+  ),
+  numeric: /(?<!\d)(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})(?!\d)/u,
+  weekday: new RegExp(`${NOT_LETTER_BEFORE}${namePattern(WEEKDAY_NAMES)}${NOT_LETTER_AFTER}`, 'u')
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// ISO date for year/month/day, or null when the day does not exist
+function toIso(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function addDays(year, month, day, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toIso(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+// Gregorian ISO date of a Bangabda date. `monthIndex` is 0 for Boishakh.
+// Boishakh to Poush fall in Gregorian year bangabda + 593, Magh to Choitro in the next.
+function bangabdaToIso(year, monthIndex, day, calendar = 'west-bengal') {
+  const gregorianYear = year + 593 + (monthIndex >= 9 ? 1 : 0);
+
+  if (calendar === 'bangladesh') {
+    const lengths = [...BANGLADESH_MONTH_LENGTHS];
+    if (isLeapYear(year + 594)) lengths[10] = 30;
+    if (day < 1 || day > lengths[monthIndex]) return null;
+    const offset = lengths.slice(0, monthIndex).reduce((sum, length) => sum + length, 0) + day - 1;
+    return addDays(year + 593, 4, 14, offset);
+  }
+
+  if (day < 1 || day > 32) return null;
+  const [month, startDay] = WEST_BENGAL_MONTH_STARTS[monthIndex];
+  return addDays(gregorianYear, month, startDay, day - 1);
+}
+
+// Four-digit year of a two-digit one, by the pivot described above
+function expandYear(twoDigits, today = new Date()) {
+  const century = Math.floor(today.getUTCFullYear() / 100) * 100;
+  const year = century + twoDigits;
+  return year > today.getUTCFullYear() ? year - 100 : year;
+}
+
+// The part of `text` that normalizes to `normalized.slice(start, end)`.
+// Normalizing can shorten the text (composed nuktas, removed joiners), so
+// offsets into the normalized text are mapped back by normalizing prefixes.
+function originalSpan(text, start, end) {
+  const offsetOf = (target) => {
+    for (let i = 0; i <= text.length; i++) {
+      if (normalize(text.slice(0, i)).length >= target) return i;
+    }
+    return text.length;
+  };
+  return text.slice(offsetOf(start), offsetOf(end));
+}
+
+function weekdayOf(iso) {
+  return new Date(`${iso}T00:00:00Z`).getUTCDay();
+}
+
+// Find the first date in `text`. Returns { date, original, confidence, calendar }
+// with `original` the matched part of the input, or null when nothing parses.
+// Confidence is lowered for formats that are ambiguous or approximate and
+// raised or lowered when a weekday in the text agrees or disagrees.
+function parseDate(text, { calendar = 'west-bengal' } = {}) {
+  if (!text || typeof text !== 'string') return null;
+  const normalized = normalize(text);
+
+  let result = null;
+  let match;
+
+  if ((match = normalized.match(PATTERNS.iso))) {
+    result = { date: toIso(+match[1], +match[2], +match[3]), confidence: 0.95, calendar: 'gregorian' };
+  } else if ((match = normalized.match(PATTERNS.dayMonthYear))) {
+    result = {
+      date: toIso(+match[3], indexOf(GREGORIAN_NAMES, match[2]) + 1, +match[1]),
+      confidence: 0.9,
+      calendar: 'gregorian'
+    };
+  } else if ((match = normalized.match(PATTERNS.monthDayYear))) {
+    result = {
+      date: toIso(+match[3], indexOf(GREGORIAN_NAMES, match[1]) + 1, +match[2]),
+      confidence: 0.9,
+      calendar: 'gregorian'
+    };
+  } else if ((match = normalized.match(PATTERNS.bangabda))) {
+    result = {
+      date: bangabdaToIso(+match[3], indexOf(BANGABDA_NAMES, match[2]), +match[1], calendar),
+      confidence: calendar === 'bangladesh' ? 0.85 : 0.75,
+      calendar: 'bangabda'
+    };
+  } else if ((match = normalized.match(PATTERNS.numeric))) {
+    // Day first, as is usual in India and Bangladesh
+    const twoDigitYear = match[3].length === 2;
+    const year = twoDigitYear ? expandYear(+match[3]) : +match[3];
+    result = {
+      date: toIso(year, +match[2], +match[1]),
+      confidence: twoDigitYear ? TWO_DIGIT_YEAR_CONFIDENCE : 0.7,
+      calendar: 'gregorian'
+    };
+  }
+
+  if (!result?.date) return null;
+
+  const nearby = normalized.slice(
+    Math.max(0, match.index - WEEKDAY_WINDOW),
+    match.index + match[0].length + WEEKDAY_WINDOW
+  );
+  const weekday = nearby.match(PATTERNS.weekday);
+  if (weekday) {
+    const agrees = indexOf(WEEKDAY_NAMES, weekday[1]) === weekdayOf(result.date);
+    result.confidence = agrees ? Math.min(1, result.confidence + 0.05) : result.confidence - 0.3;
+  }
+
+  return {
+    date: result.date,
+    original: originalSpan(text, match.index, match.index + match[0].length).trim(),
+    confidence: Math.round(result.confidence * 100) / 100,
+    calendar: result.calendar
+  };
+}
+
+// A date typed in by a user, as YYYY-MM-DD or anything parseDate reads.
+// Resolves to the ISO date, or null when it is not a date.
+function parseInputDate(value, options) {
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return iso ? toIso(+iso[1], +iso[2], +iso[3]) : parseDate(String(value), options)?.date || null;
+}
+
+module.exports = { parseDate, parseInputDate, bangabdaToIso, toIso };
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, bangabdaToIso } = require('./bengaliDate');
+
+test('numeric dates are read day first', () => {
+  assert.equal(parseDate('05/01/2024').date, '2024-01-05');
+  assert.equal(parseDate('31-12-1999').date, '1999-12-31');
+  assert.equal(parseDate('31/02/2024'), null);
+});
+
+test('two-digit years are not taken for the future', () => {
+  const parsed = parseDate('26/03/71');
+  assert.equal(parsed.date, '1971-03-26');
+  assert.ok(parsed.confidence < parseDate('26/03/1971').confidence);
+  assert.equal(parseDate('05.01.24').date, '2024-01-05');
+});
+
+test('Bengali numerals are read like ASCII ones', () => {
+  assert.equal(parseDate('২৬.০৩.৭১').date, '1971-03-26');
+  assert.equal(parseDate('২০২৪-০১-০৫').date, '2024-01-05');
+  assert.equal(parseDate('৫ জানুয়ারি ২০২৪').date, '2024-01-05');
+});
+
+test('Bangabda dates follow the chosen calendar', () => {
+  assert.equal(parseDate('৩ কার্তিক ১৪৩১').date, '2024-10-20');
+  assert.equal(parseDate('৩ কার্তিক ১৪৩১', { calendar: 'bangladesh' }).date, '2024-10-19');
+  assert.equal(parseDate('১লা বৈশাখ ১৪৩১').date, '2024-04-14');
+  assert.equal(bangabdaToIso(1431, 10, 30, 'bangladesh'), null);
+});
+
+test('a weekday in the text raises or lowers the confidence', () => {
+  const plain = parseDate('5 January 2024').confidence;
+  assert.ok(parseDate('Friday, 5 January 2024').confidence > plain);
+  assert.ok(parseDate('Monday, 5 January 2024').confidence < plain);
+});
+
+test('original is the matched part of the input, as written', () => {
+  assert.equal(parseDate('কলকাতা, শুক্রবার ২৬.০৩.৭১ সংখ্যা').original, '২৬.০৩.৭১');
+  assert.equal(parseDate('Kolkata, Friday 5th January 2024 edition').original, '5th January 2024');
+});
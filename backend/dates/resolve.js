@@ -0,0 +1,63 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { parseDate, toIso } = require('./bengaliDate');
+
+// Lines of raw OCR text that usually carry the dateline (page furniture and
+// small print rather than article text)
+const DATELINE_SCAN_LENGTH = 2000;
+
+// Upper bounds on confidence for dates not printed on the page
+const FILENAME_CONFIDENCE = 0.6;
+const EXIF_CONFIDENCE = 0.3;
+
+function fromFilename(filename, calendar) {
+  if (!filename) return null;
+  const base = filename.replace(/\.[^.]+$/, '');
+  const compact = base.match(/(?<!\d)(19\d{2}|20\d{2})(\d{2})(\d{2})(?!\d)/);
+  const parsed = compact
+    ? { date: toIso(+compact[1], +compact[2], +compact[3]), confidence: 0.6 }
+    : parseDate(base.replace(/[_]+/g, ' '), { calendar });
+  if (!parsed?.date) return null;
+  return { date: parsed.date, original: filename, confidence: Math.min(parsed.confidence, FILENAME_CONFIDENCE) };
+}
+
+async function fromExif(imagePath) {
+  try {
+    const { exif } = await sharp(imagePath).metadata();
+    if (!exif) return null;
+    const tags = exifReader(exif);
+    const taken = tags.Photo?.DateTimeOriginal || tags.Photo?.DateTimeDigitized || tags.Image?.DateTime;
+    if (!(taken instanceof Date) || Number.isNaN(taken.getTime())) return null;
+    return { date: taken.toISOString().slice(0, 10), original: taken.toISOString(), confidence: EXIF_CONFIDENCE };
+  } catch (error) {
+    console.warn('Could not read EXIF date:', error.message);
+    return null;
+  }
+}
+
+// Work out the edition date of a page: the date the model read off the page,
+// then any dateline in the raw OCR text, then the upload's filename, then the
+// image's EXIF date. Resolves to { date, original, confidence, source }, with
+// date null when nothing could be parsed.
+async function resolveDocumentDate({ extractedData = {}, originalName, imagePath }, { calendar } = {}) {
+  const printed = parseDate(extractedData.date, { calendar });
+  if (printed) return { ...printed, source: 'text' };
+
+  const dateline = (extractedData.allText || '')
+    .slice(0, DATELINE_SCAN_LENGTH)
+    .split('\n')
+    .filter(line => !/^\s*LARGE_TEXT:/.test(line))
+    .map(line => parseDate(line.replace(/^\s*\w+_TEXT:\s*/, ''), { calendar }))
+    .find(Boolean);
+  if (dateline) return { ...dateline, confidence: Math.round(dateline.confidence * 0.9 * 100) / 100, source: 'text' };
+
+  const filename = fromFilename(originalName, calendar);
+  if (filename) return { ...filename, source: 'filename' };
+
+  const exif = imagePath ? await fromExif(imagePath) : null;
+  if (exif) return { ...exif, source: 'exif' };
+
+  return { date: null, original: extractedData.date || null, confidence: 0, source: null };
+}
+
+module.exports = { resolveDocumentDate };
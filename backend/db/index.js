@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations } = require('./migrate');
+
+// Open (or create) the SQLite database file and bring its schema up to date
+function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  runMigrations(db);
+  return db;
+}
+
+module.exports = { openDatabase };
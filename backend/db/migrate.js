@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Apply every migration in db/migrations that has not been recorded yet.
+// Files are named NNN_description.js and export an `up(db)` function.
+function runMigrations(db, migrationsDir = MIGRATIONS_DIR) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+
+  const files = fs.readdirSync(migrationsDir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort();
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const file of files) {
+    const version = parseInt(file, 10);
+    if (applied.has(version)) continue;
+
+    const migration = require(path.join(migrationsDir, file));
+    db.transaction(() => {
+      migration.up(db);
+      record.run(version, file, new Date().toISOString());
+    })();
+    console.log('Applied migration:', file);
+  }
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,21 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE documents (
+        id TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        image_path TEXT NOT NULL,
+        processed_image_path TEXT,
+        upload_date TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processed',
+        language TEXT NOT NULL DEFAULT 'bengali',
+        extracted_data TEXT NOT NULL DEFAULT '{}',
+        summary_data TEXT NOT NULL DEFAULT '{}',
+        raw_extracted_text TEXT NOT NULL DEFAULT ''
+      );
+
+      CREATE INDEX idx_documents_upload_date ON documents (upload_date);
+    `);
+  }
+};
@@ -0,0 +1,34 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE issues (
+        id TEXT PRIMARY KEY,
+        newspaper TEXT NOT NULL DEFAULT 'অজানা',
+        edition_date TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      ALTER TABLE documents ADD COLUMN issue_id TEXT REFERENCES issues (id) ON DELETE SET NULL;
+      ALTER TABLE documents ADD COLUMN page_number INTEGER;
+      CREATE INDEX idx_documents_issue ON documents (issue_id, page_number);
+
+      CREATE TABLE article_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        issue_id TEXT NOT NULL REFERENCES issues (id) ON DELETE CASCADE,
+        from_document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        from_article INTEGER NOT NULL,
+        to_document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        to_article INTEGER,
+        kind TEXT NOT NULL DEFAULT 'continuation',
+        source TEXT NOT NULL DEFAULT 'manual',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_article_links_issue ON article_links (issue_id);
+
+      -- Every existing single-image document becomes a one-page issue
+      INSERT INTO issues (id, created_at)
+        SELECT id, upload_date FROM documents;
+      UPDATE documents SET issue_id = id, page_number = 1;
+    `);
+  }
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Pages rasterized from a PDF or TIFF remember the file and page they came from
+      ALTER TABLE documents ADD COLUMN source_filename TEXT;
+      ALTER TABLE documents ADD COLUMN source_page INTEGER;
+    `);
+  }
+};
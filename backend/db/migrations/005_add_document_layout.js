@@ -0,0 +1,8 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Article, headline and column polygons (see layout.js)
+      ALTER TABLE documents ADD COLUMN layout TEXT NOT NULL DEFAULT '{}';
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per indexed article (article_index -1 holds the page text of
+      -- documents that have no structured articles)
+      CREATE TABLE search_articles (
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        article_index INTEGER NOT NULL,
+        headline TEXT NOT NULL DEFAULT '',
+        content TEXT NOT NULL DEFAULT '',
+        length INTEGER NOT NULL,
+        PRIMARY KEY (document_id, article_index)
+      );
+
+      -- Inverted index: normalized, stemmed term -> articles with token positions
+      CREATE TABLE search_postings (
+        term TEXT NOT NULL,
+        document_id TEXT NOT NULL,
+        article_index INTEGER NOT NULL,
+        frequency INTEGER NOT NULL,
+        positions TEXT NOT NULL,
+        FOREIGN KEY (document_id, article_index)
+          REFERENCES search_articles (document_id, article_index) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_search_postings_term ON search_postings (term);
+      CREATE INDEX idx_search_postings_article ON search_postings (document_id, article_index);
+    `);
+  }
+};
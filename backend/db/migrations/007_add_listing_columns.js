@@ -0,0 +1,23 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Copied out of extracted_data so listings can filter and count without
+      -- parsing every document's JSON
+      ALTER TABLE documents ADD COLUMN extraction_method TEXT;
+      UPDATE documents SET extraction_method = json_extract(extracted_data, '$.extractionMethod');
+
+      CREATE TABLE article_categories (
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        article_index INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        PRIMARY KEY (document_id, article_index)
+      );
+      CREATE INDEX idx_article_categories_category ON article_categories (category);
+
+      INSERT INTO article_categories (document_id, article_index, category)
+        SELECT documents.id, CAST(article.key AS INTEGER), json_extract(article.value, '$.category')
+        FROM documents, json_each(documents.extracted_data, '$.articles') AS article
+        WHERE trim(json_extract(article.value, '$.category')) != '';
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Edition date read off the page (ISO), the text it was parsed from, how
+      -- sure the parser is (0-1) and where it came from: text, filename, exif,
+      -- manual, or unresolved
+      ALTER TABLE documents ADD COLUMN parsed_date TEXT;
+      ALTER TABLE documents ADD COLUMN date_original TEXT;
+      ALTER TABLE documents ADD COLUMN date_confidence REAL;
+      ALTER TABLE documents ADD COLUMN date_source TEXT;
+      CREATE INDEX idx_documents_parsed_date ON documents (parsed_date);
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Every hand correction of a document's extracted content. \`snapshot\`
+      -- holds the editable state after the change, so any revision can be
+      -- restored; \`diff\` lists the changed fields with before/after values.
+      CREATE TABLE revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        action TEXT NOT NULL,
+        summary TEXT,
+        author TEXT NOT NULL,
+        diff TEXT NOT NULL DEFAULT '[]',
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_revisions_document ON revisions (document_id, id);
+    `);
+  }
+};
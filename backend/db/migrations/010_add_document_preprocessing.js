@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Preprocessing profile and options the page was processed with, plus
+      -- what was applied (crop box, deskew angle), as JSON
+      ALTER TABLE documents ADD COLUMN preprocessing TEXT;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Duplicate detection: SHA-256 of the uploaded file, 64-bit difference
+      -- hash of the page image (hex), MinHash signature of the text (JSON),
+      -- the page this one was confirmed to duplicate, and suspected
+      -- duplicates found after processing (JSON) awaiting a decision
+      ALTER TABLE documents ADD COLUMN content_hash TEXT;
+      ALTER TABLE documents ADD COLUMN perceptual_hash TEXT;
+      ALTER TABLE documents ADD COLUMN text_signature TEXT;
+      ALTER TABLE documents ADD COLUMN duplicate_of TEXT REFERENCES documents(id) ON DELETE SET NULL;
+      ALTER TABLE documents ADD COLUMN duplicate_candidates TEXT;
+      CREATE INDEX idx_documents_content_hash ON documents (content_hash);
+    `);
+  }
+};
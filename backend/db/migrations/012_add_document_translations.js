@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- English translations of the page's articles and summary as JSON,
+      -- keyed by a hash of the text they translate
+      ALTER TABLE documents ADD COLUMN translations TEXT;
+    `);
+  }
+};
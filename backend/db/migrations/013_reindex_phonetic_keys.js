@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- The index now also holds phonetic keys of romanized terms; emptying
+      -- it makes the server rebuild every document's entries at startup
+      DELETE FROM search_articles;
+    `);
+  }
+};
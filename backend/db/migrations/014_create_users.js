@@ -0,0 +1,32 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Accounts that can sign in. Roles build on each other: a viewer can
+      -- read, an editor can also upload and correct, an admin can also delete
+      -- and manage users.
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        display_name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL
+      );
+
+      -- Login sessions and API tokens for scripts. Only a SHA-256 hash of the
+      -- token is stored; the token itself is shown once when it is issued.
+      CREATE TABLE auth_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('session', 'api')),
+        name TEXT,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        expires_at TEXT
+      );
+      CREATE INDEX idx_auth_tokens_user ON auth_tokens (user_id, kind);
+    `);
+  }
+};
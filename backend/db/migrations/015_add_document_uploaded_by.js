@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Username of the account that uploaded the page (NULL for pages
+      -- uploaded before accounts existed)
+      ALTER TABLE documents ADD COLUMN uploaded_by TEXT;
+    `);
+  }
+};
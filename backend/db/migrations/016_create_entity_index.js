@@ -0,0 +1,24 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Named entities across the archive: one row per type and normalized
+      -- name key (see entities/names.js), so spelling variants share a row
+      CREATE TABLE entities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL CHECK (type IN ('person', 'location', 'organization', 'event')),
+        key TEXT NOT NULL,
+        UNIQUE (type, key)
+      );
+
+      -- Every article naming an entity, with the name as it was written there
+      CREATE TABLE entity_mentions (
+        entity_id INTEGER NOT NULL REFERENCES entities (id) ON DELETE CASCADE,
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        article_index INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        PRIMARY KEY (entity_id, document_id, article_index)
+      );
+      CREATE INDEX idx_entity_mentions_document ON entity_mentions (document_id);
+    `);
+  }
+};
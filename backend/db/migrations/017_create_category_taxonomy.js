@@ -0,0 +1,20 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- The taxonomy section each article's category was mapped to (NULL
+      -- for categories that still need reviewing)
+      ALTER TABLE article_categories ADD COLUMN section TEXT;
+      CREATE INDEX idx_article_categories_section ON article_categories (section);
+
+      -- Category names mapped to a section from the review list, on top of
+      -- the synonyms of the configured taxonomy. \`key\` is the normalized name.
+      CREATE TABLE category_synonyms (
+        key TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        section TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Pairs of articles on different editions that report the same story,
+      -- stored in both directions. \`score\` combines \`text_score\` (TF-IDF
+      -- cosine of their terms) and \`entity_score\` (overlap of named entities).
+      CREATE TABLE related_articles (
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        article_index INTEGER NOT NULL,
+        related_document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        related_article_index INTEGER NOT NULL,
+        score REAL NOT NULL,
+        text_score REAL NOT NULL,
+        entity_score REAL NOT NULL,
+        PRIMARY KEY (document_id, article_index, related_document_id, related_article_index)
+      );
+      CREATE INDEX idx_related_articles_related ON related_articles (related_document_id);
+
+      -- Documents whose related articles have been computed
+      CREATE TABLE related_indexed_documents (
+        document_id TEXT PRIMARY KEY REFERENCES documents (id) ON DELETE CASCADE,
+        indexed_at TEXT NOT NULL
+      );
+    `);
+  }
+};
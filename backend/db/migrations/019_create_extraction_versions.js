@@ -0,0 +1,26 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Every extraction of a page: the upload's and each reprocessing of the
+      -- stored scan, numbered per document from 1. \`providers\` names the
+      -- OCR, LLM and layout providers with their model and prompt version
+      -- (NULL for pages extracted before versions were kept); \`data\` holds
+      -- the extracted fields (see versions/index.js).
+      CREATE TABLE extraction_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        source TEXT NOT NULL CHECK (source IN ('upload', 'reprocess', 'existing')),
+        providers TEXT,
+        preprocessing TEXT,
+        data TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (document_id, version)
+      );
+
+      -- The version the page's content currently comes from
+      ALTER TABLE documents ADD COLUMN active_version INTEGER;
+    `);
+  }
+};
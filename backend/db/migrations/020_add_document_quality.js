@@ -0,0 +1,15 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Quality score of the page's extraction (0 to 1) and the issues that
+      -- lowered it (see quality/index.js); NULL until it is assessed.
+      -- reviewed_at/reviewed_by record who took it off the review queue.
+      ALTER TABLE documents ADD COLUMN quality_score REAL;
+      ALTER TABLE documents ADD COLUMN quality_issues TEXT;
+      ALTER TABLE documents ADD COLUMN reviewed_at TEXT;
+      ALTER TABLE documents ADD COLUMN reviewed_by TEXT;
+
+      CREATE INDEX idx_documents_quality_score ON documents (quality_score);
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Rectangles cut out of a page, usually one article, for citing it.
+      -- \`region\` is { x, y, width, height } in 0-1 coordinates of the page
+      -- image and \`article\` the article it covers (NULL when it covers
+      -- none); \`filename\` is the cropped image under uploads/clips/.
+      -- \`tags\` is a JSON array of strings.
+      CREATE TABLE clips (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        note TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        region TEXT NOT NULL,
+        article INTEGER,
+        filename TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_clips_document_id ON clips (document_id);
+      CREATE INDEX idx_clips_created_at ON clips (created_at);
+    `);
+  }
+};
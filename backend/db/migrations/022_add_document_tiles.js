@@ -0,0 +1,10 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Size of the page image and the layout of its Deep Zoom tile pyramid
+      -- in uploads/tiles/<id>/ (see tiles/index.js), as JSON; NULL until the
+      -- thumbnail and tiles are made
+      ALTER TABLE documents ADD COLUMN tiles TEXT;
+    `);
+  }
+};
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const { documentFiles } = require('../files');
+
+// Compare the document records against the contents of uploads/.
+// Records whose original scan is gone are flagged with status 'missing_file'
+// (and restored to 'processed' if the file comes back); files that no record
+// points to are reported so they can be cleaned up by hand. `pendingFiles`
+// are uploads still waiting in the job queue and `versionFiles` the processed
+// images of extraction versions; neither are orphans.
+function reconcileUploads(documentRepository, uploadsDir, { pendingFiles = [], versionFiles = [] } = {}) {
+  const files = new Set(
+    fs.readdirSync(uploadsDir, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name)
+  );
+
+  const referenced = new Set([...pendingFiles, ...versionFiles]);
+  const missingFiles = [];
+
+  for (const document of documentRepository.list()) {
+    documentFiles(document).forEach(file => referenced.add(file));
+    if (document.sourceFilename) referenced.add(document.sourceFilename);
+
+    const originalExists = files.has(document.filename);
+    if (!originalExists) {
+      missingFiles.push({ id: document.id, filename: document.filename });
+      if (document.status !== 'missing_file') {
+        documentRepository.update(document.id, { status: 'missing_file' });
+      }
+    } else if (document.status === 'missing_file') {
+      documentRepository.update(document.id, { status: 'processed' });
+    }
+  }
+
+  const orphanedFiles = [...files].filter(file => !referenced.has(file));
+
+  return { missingFiles, orphanedFiles };
+}
+
+module.exports = { reconcileUploads };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const { tokenize } = require('../search/bengali');
+
+// Difference hash: the image shrunk to 9x8 grey pixels, one bit per pair of
+// horizontal neighbours. Survives rescaling, recompression and small tonal
+// changes, so the same page scanned at another resolution hashes alike.
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+// Text similarity is estimated from MinHash signatures of word shingles
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 64;
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// SHA-256 of a file's bytes as hex
+async function fileHash(filePath) {
+  const hash = crypto.createHash('sha256');
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  return hash.digest('hex');
+}
+
+// Content hash of one page: the file's hash, plus the page number for pages
+// of a multi-page PDF or TIFF so each page has its own
+function pageContentHash(digest, page = null) {
+  return page ? `${digest}#${page}` : digest;
+}
+
+// 64-bit difference hash as 16 hex digits. `page` selects a TIFF page.
+async function perceptualHash(input, page = null) {
+  const pixels = await sharp(input, page ? { page: page - 1 } : {})
+    .greyscale()
+    .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+      bits += pixels[y * DHASH_WIDTH + x] > pixels[y * DHASH_WIDTH + x + 1] ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two perceptual hashes
+function hammingDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (difference) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return count;
+}
+
+// 32-bit FNV-1a of a string, varied by `seed` for each MinHash function
+function fnv1a(text, seed) {
+  let hash = (FNV_OFFSET ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME) >>> 0;
+  }
+  return hash;
+}
+
+// MinHash signature of the text's word shingles (on normalized, stemmed
+// terms, so OCR variants of the same words agree), or null for texts too
+// short to compare
+function textSignature(text) {
+  const terms = tokenize(text || '').map(token => token.term);
+  if (terms.length < SHINGLE_SIZE) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= terms.length; i++) {
+    shingles.add(terms.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const hash = fnv1a(shingle, Math.imul(i + 1, 0x9e3779b1));
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  }
+  return signature;
+}
+
+// The text a page is compared by: its articles, or the raw OCR text without
+// its LARGE_TEXT:/SMALL_TEXT: markers when structuring found none
+function pageText(extractedData = {}) {
+  const articles = extractedData.articles || [];
+  if (articles.length > 0) {
+    return articles.map(article => `${article.headline || ''}\n${article.content || ''}`).join('\n');
+  }
+  return (extractedData.allText || '').replace(/^\s*(LARGE|MEDIUM|SMALL|OTHER)_TEXT:\s*/gm, '');
+}
+
+// Estimated Jaccard similarity (0-1) of the shingles behind two signatures
+function textSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+module.exports = {
+  fileHash, pageContentHash, perceptualHash, hammingDistance, textSignature, textSimilarity, pageText
+};
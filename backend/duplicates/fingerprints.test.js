@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const {
+  fileHash, pageContentHash, perceptualHash, hammingDistance, textSignature, textSimilarity, pageText
+} = require('./fingerprints');
+
+const ARTICLE = 'কলকাতায় আজ ভারী বৃষ্টি হয়েছে। শহরের রাস্তায় জল জমেছে। বহু এলাকায় যান চলাচল বন্ধ। ' +
+  'পুরসভা জানিয়েছে সন্ধ্যার মধ্যে জল নেমে যাবে। আবহাওয়া দফতর আরও বৃষ্টির পূর্বাভাস দিয়েছে।';
+
+// A page of dark blocks on white; `blocks` are [left, top, width, height]
+function page(blocks, width = 600, height = 800) {
+  return sharp({ create: { width, height, channels: 3, background: '#fff' } })
+    .composite(blocks.map(([left, top, blockWidth, blockHeight]) => ({
+      input: { create: { width: blockWidth, height: blockHeight, channels: 3, background: '#222' } },
+      left,
+      top
+    })));
+}
+
+const FRONT_PAGE = [[40, 40, 520, 90], [40, 170, 250, 560], [320, 170, 240, 300]];
+const BACK_PAGE = [[40, 40, 160, 720], [240, 40, 320, 200], [240, 500, 320, 260]];
+
+test('the same page rescanned smaller keeps nearly the same difference hash', async () => {
+  const original = await page(FRONT_PAGE).png().toBuffer();
+  const rescanned = await sharp(original).resize(300).jpeg({ quality: 60 }).toBuffer();
+  const other = await page(BACK_PAGE).png().toBuffer();
+
+  const hash = await perceptualHash(original);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.ok(hammingDistance(hash, await perceptualHash(rescanned)) <= 4);
+  assert.ok(hammingDistance(hash, await perceptualHash(other)) > 12);
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
+
+test('file hashes are SHA-256 of the bytes, with the page of multi-page files', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprints-'));
+  try {
+    const file = path.join(directory, 'page.txt');
+    fs.writeFileSync(file, 'abc');
+    const digest = await fileHash(file);
+    assert.equal(digest, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.equal(pageContentHash(digest), digest);
+    assert.equal(pageContentHash(digest, 3), `${digest}#3`);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('MinHash similarity follows how much of the text two pages share', () => {
+  const signature = textSignature(ARTICLE);
+  assert.equal(signature.length, 64);
+  assert.equal(textSimilarity(signature, textSignature(ARTICLE)), 1);
+
+  // OCR variants of the same words (either encoding of য়) still agree
+  const composed = ARTICLE.replace(/\u09AF\u09BC/g, '\u09DF');
+  const decomposed = composed.replace(/\u09DF/g, '\u09AF\u09BC');
+  assert.notEqual(composed, decomposed);
+  assert.equal(textSimilarity(textSignature(composed), textSignature(decomposed)), 1);
+
+  const half = ARTICLE.split('। ').slice(0, 2).join('। ') + '। ভোটের প্রচার আজ শেষ হল। প্রার্থীরা শেষ দিনে মিছিল করলেন।';
+  const partly = textSimilarity(signature, textSignature(half));
+  assert.ok(partly > 0.1 && partly < 0.9, `partly shared text scores ${partly}`);
+  assert.ok(textSimilarity(signature, textSignature('ভোটের প্রচার আজ শেষ হল। প্রার্থীরা শেষ দিনে মিছিল করলেন।')) < 0.1);
+
+  assert.equal(textSignature('দুটি শব্দ'), null);
+  assert.equal(textSimilarity(signature, null), 0);
+});
+
+test('pages are compared by their articles, or their OCR text without markers', () => {
+  assert.equal(pageText({ articles: [{ headline: 'বন্যা', content: 'জল জমেছে' }, { content: 'খেলা' }] }),
+    'বন্যা\nজল জমেছে\n\nখেলা');
+  assert.equal(pageText({ allText: 'LARGE_TEXT: বন্যা\n SMALL_TEXT: জল জমেছে' }), 'বন্যা\nজল জমেছে');
+  assert.equal(pageText(), '');
+});
@@ -0,0 +1,159 @@
+const { hammingDistance, textSimilarity } = require('./fingerprints');
+
+// Perceptual hashes at most this many bits apart (of 64) look like the same page
+const NEAR_IMAGE_DISTANCE = 10;
+// Pages that look alike also need this much text in common; newspaper pages
+// share a layout, so the image alone is not proof
+const IMAGE_TEXT_SIMILARITY = 0.5;
+// Text this similar marks a duplicate even when the images differ (a crop, a
+// rotated rescan)
+const NEAR_TEXT_SIMILARITY = 0.85;
+
+// Why two fingerprints look like the same page, or null when they don't.
+// Without text (at upload, before OCR) the image distance decides alone.
+function compare(a, b) {
+  if (a.contentHash && a.contentHash === b.contentHash) {
+    return { type: 'exact', imageDistance: 0, textSimilarity: 1 };
+  }
+  const imageDistance = a.perceptualHash && b.perceptualHash
+    ? hammingDistance(a.perceptualHash, b.perceptualHash)
+    : null;
+  const hasText = Array.isArray(a.textSignature) && Array.isArray(b.textSignature);
+  const similarity = hasText ? textSimilarity(a.textSignature, b.textSignature) : null;
+
+  const nearImage = imageDistance !== null && imageDistance <= NEAR_IMAGE_DISTANCE &&
+    (!hasText || similarity >= IMAGE_TEXT_SIMILARITY);
+  const nearText = hasText && similarity >= NEAR_TEXT_SIMILARITY;
+  if (!nearImage && !nearText) return null;
+  return { type: 'near', imageDistance, textSimilarity: similarity };
+}
+
+function describe(fingerprint) {
+  return {
+    id: fingerprint.id,
+    originalName: fingerprint.originalName,
+    imagePath: fingerprint.imagePath,
+    issueId: fingerprint.issueId,
+    pageNumber: fingerprint.pageNumber,
+    newspaper: fingerprint.newspaper,
+    editionDate: fingerprint.editionDate,
+    uploadDate: fingerprint.uploadDate,
+    duplicateOf: fingerprint.duplicateOf
+  };
+}
+
+// Finds pages that are already in the archive: exact copies by content hash,
+// near copies (another resolution or scan of the same page) by perceptual
+// hash and text similarity. Every check compares against all stored
+// fingerprints, which is fine for an archive of a few thousand pages.
+function createDuplicateDetector({ documentRepository, jobRepository }) {
+  // Check the pages of an upload ({ contentHash, perceptualHash, ... }) before
+  // they are queued. `exact` lists pages already stored, queued or repeated
+  // earlier in the same upload; `near` lists pages whose image resembles a
+  // stored page, with the candidates.
+  function checkUpload(pages) {
+    const queued = jobRepository.listUnfinished().filter(job => job.payload?.contentHash);
+    const seen = new Map();
+    const exact = [];
+    const near = [];
+
+    for (const page of pages) {
+      const existing = [
+        ...documentRepository.findByContentHash(page.contentHash).map(document => ({
+          documentId: document.id,
+          originalName: document.originalName,
+          issueId: document.issueId,
+          pageNumber: document.pageNumber
+        })),
+        ...queued
+          .filter(job => job.payload.contentHash === page.contentHash)
+          .map(job => ({ jobId: job.id, originalName: job.payload.originalName, issueId: job.payload.issueId })),
+        ...(seen.has(page.contentHash) ? [{ originalName: seen.get(page.contentHash).originalName, sameUpload: true }] : [])
+      ];
+      seen.set(page.contentHash, page);
+
+      if (existing.length > 0) {
+        exact.push({ page, existing });
+      } else if (page.perceptualHash) {
+        const candidates = findSimilar(page);
+        if (candidates.length > 0) near.push({ page, candidates });
+      }
+    }
+    return { exact, near };
+  }
+
+
+  // Stored pages resembling `fingerprint` ({ id?, contentHash, perceptualHash,
+  // textSignature }), closest first
+  function findSimilar(fingerprint) {
+    return documentRepository.listFingerprints()
+      .filter(other => other.id !== fingerprint.id)
+      .map(other => ({ other, match: compare(fingerprint, other) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => (b.match.textSimilarity ?? 0) - (a.match.textSimilarity ?? 0) ||
+        (a.match.imageDistance ?? 64) - (b.match.imageDistance ?? 64))
+      .map(({ other, match }) => ({
+        documentId: other.id,
+        originalName: other.originalName,
+        newspaper: other.newspaper,
+        pageNumber: other.pageNumber,
+        ...match
+      }));
+  }
+
+  // Groups of suspected duplicates across the archive: pages joined by an
+  // exact or near match or a confirmed duplicate link, with the evidence for
+  // every matching pair
+  function clusters() {
+    const fingerprints = documentRepository.listFingerprints();
+    const byId = new Map(fingerprints.map(fingerprint => [fingerprint.id, fingerprint]));
+    const parent = new Map(fingerprints.map(fingerprint => [fingerprint.id, fingerprint.id]));
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const pairs = [];
+    const join = (a, b, evidence) => {
+      pairs.push({ documents: [a, b], ...evidence });
+      parent.set(find(a), find(b));
+    };
+
+    for (let i = 0; i < fingerprints.length; i++) {
+      const a = fingerprints[i];
+      if (a.duplicateOf && byId.has(a.duplicateOf)) join(a.id, a.duplicateOf, { type: 'linked' });
+      for (let j = i + 1; j < fingerprints.length; j++) {
+        const match = compare(a, fingerprints[j]);
+        if (match) join(a.id, fingerprints[j].id, match);
+      }
+    }
+
+    const groups = new Map();
+    for (const fingerprint of fingerprints) {
+      const root = find(fingerprint.id);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(fingerprint);
+    }
+
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => {
+        const ids = new Set(group.map(fingerprint => fingerprint.id));
+        const evidence = pairs.filter(pair => ids.has(pair.documents[0]));
+        return {
+          documents: group
+            .sort((a, b) => a.uploadDate.localeCompare(b.uploadDate))
+            .map(describe),
+          exact: evidence.some(pair => pair.type === 'exact'),
+          pairs: evidence
+        };
+      })
+      .sort((a, b) => b.documents.length - a.documents.length);
+  }
+
+  return { checkUpload, findSimilar, clusters };
+}
+
+module.exports = { createDuplicateDetector };
@@ -0,0 +1,168 @@
+const { normalize } = require('../search/bengali');
+
+// Corrections to the extracted content of a page. Each operation takes the
+// editable state of a document (see EDITABLE_FIELDS) and returns a new one;
+// inputs are validated by the routes. Operations that move articles also
+// return `indexMap` (old index -> new index, or null) so summaries, regions
+// and links can follow their article.
+
+const EDITABLE_FIELDS = [
+  'extractedData', 'summaryData', 'layout', 'parsedDate', 'dateOriginal', 'dateConfidence', 'dateSource'
+];
+const ARTICLE_FIELDS = ['headline', 'content', 'category'];
+// Set along with `category` when it is filed under the taxonomy
+const SECTION_FIELDS = ['section', 'categoryOriginal'];
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value ?? null));
+}
+
+function editableState(document) {
+  const state = {};
+  EDITABLE_FIELDS.forEach(field => { state[field] = clone(document[field]); });
+  return state;
+}
+
+function articlesOf(state) {
+  return state.extractedData.articles || [];
+}
+
+// Move per-article summaries and regions to their articles' new positions
+function remapArticles(state, indexMap, articleCount) {
+  const summaries = state.summaryData?.articleSummaries;
+  if (Array.isArray(summaries)) {
+    const remapped = Array(articleCount).fill(null);
+    summaries.forEach((summary, index) => {
+      const target = indexMap[index];
+      if (target !== null && target !== undefined && !remapped[target]) remapped[target] = summary;
+    });
+    state.summaryData.articleSummaries = remapped.map((summary, index) =>
+      summary || { headline: articlesOf(state)[index]?.headline || '', summary: '' }
+    );
+  }
+
+  if (Array.isArray(state.layout?.articles)) {
+    state.layout.articles = state.layout.articles
+      .filter(region => indexMap[region.article] !== null && indexMap[region.article] !== undefined)
+      .map(region => ({ ...region, article: indexMap[region.article] }));
+  }
+  return state;
+}
+
+// Whether an extracted entity's name occurs in `text`
+function mentions(text, entity) {
+  return normalize(text).includes(normalize(entity.name));
+}
+
+function setHeadlines(state, headlines) {
+  const next = clone(state);
+  next.extractedData.headlines = headlines;
+  return { state: next };
+}
+
+function updateArticle(state, index, changes) {
+  const next = clone(state);
+  const article = next.extractedData.articles[index];
+  ARTICLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) article[field] = changes[field];
+  });
+  if (changes.category !== undefined) {
+    SECTION_FIELDS.forEach(field => {
+      if (changes[field] === undefined) delete article[field];
+      else article[field] = changes[field];
+    });
+  }
+  return { state: next };
+}
+
+// Split article `index` at character offset `at` of its content; the second
+// half becomes a new article right after it
+function splitArticle(state, index, at, headline = '') {
+  const next = clone(state);
+  const articles = next.extractedData.articles;
+  const article = articles[index];
+  const indexMap = articles.map((_, old) => (old <= index ? old : old + 1));
+  const second = {
+    headline,
+    content: article.content.slice(at).trim(),
+    category: article.category
+  };
+  SECTION_FIELDS.forEach(field => {
+    if (article[field] !== undefined) second[field] = article[field];
+  });
+  article.content = article.content.slice(0, at).trim();
+  // Entities go with the half that names them; the first keeps any it can't place
+  if (Array.isArray(article.entities)) {
+    const entities = article.entities;
+    second.entities = entities.filter(entity => mentions(`${second.headline} ${second.content}`, entity));
+    article.entities = entities.filter(entity =>
+      mentions(`${article.headline} ${article.content}`, entity) || !second.entities.includes(entity));
+  }
+  articles.splice(index + 1, 0, second);
+
+  return { state: remapArticles(next, indexMap, articles.length), indexMap };
+}
+
+// Merge the given articles into the first of them, in index order
+function mergeArticles(state, indices) {
+  const next = clone(state);
+  const sorted = [...new Set(indices)].sort((a, b) => a - b);
+  const [target, ...rest] = sorted;
+  const articles = next.extractedData.articles;
+
+  articles[target].content = sorted.map(i => articles[i].content).filter(Boolean).join('\n\n');
+  if (sorted.some(i => Array.isArray(articles[i].entities))) {
+    const entities = sorted.flatMap(i => articles[i].entities || []);
+    articles[target].entities = entities.filter((entity, i) =>
+      entities.findIndex(other => other.type === entity.type && other.name === entity.name) === i);
+  }
+  const oldCount = articles.length;
+  next.extractedData.articles = articles.filter((_, i) => !rest.includes(i));
+
+  const indexMap = [];
+  let position = 0;
+  for (let old = 0; old < oldCount; old++) {
+    if (rest.includes(old)) {
+      indexMap.push(null);
+    } else {
+      indexMap.push(position++);
+    }
+  }
+  // Regions of merged articles now outline parts of the target
+  rest.forEach(old => { indexMap[old] = indexMap[target]; });
+
+  return { state: remapArticles(next, indexMap, next.extractedData.articles.length), indexMap };
+}
+
+// Put articles in a new order; `order` lists every current index once
+function reorderArticles(state, order) {
+  const next = clone(state);
+  const articles = next.extractedData.articles;
+  next.extractedData.articles = order.map(old => articles[old]);
+
+  const indexMap = [];
+  order.forEach((old, position) => { indexMap[old] = position; });
+  return { state: remapArticles(next, indexMap, order.length), indexMap };
+}
+
+// Replace the extracted entities of articles; `entities` is index-aligned
+// with the articles, and null leaves an article's entities as they are
+function setEntities(state, entities) {
+  const next = clone(state);
+  articlesOf(next).forEach((article, index) => {
+    if (entities[index]) article.entities = entities[index];
+  });
+  return { state: next };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  ARTICLE_FIELDS,
+  editableState,
+  setHeadlines,
+  setEntities,
+  updateArticle,
+  splitArticle,
+  mergeArticles,
+  reorderArticles
+};
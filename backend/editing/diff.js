@@ -0,0 +1,29 @@
+// Field-level differences between two values, as [{ path, before, after }]
+// with paths like "extractedData.articles[2].content"
+
+// Raw OCR text never changes through corrections and is too large to diff
+const SKIPPED_PATHS = new Set(['extractedData.allText']);
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function diffValues(before, after, path = '', changes = []) {
+  if (SKIPPED_PATHS.has(path)) return changes;
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(before[i], after[i], `${path}[${i}]`, changes);
+    }
+  } else if (isObject(before) && isObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, before: before ?? null, after: after ?? null });
+  }
+  return changes;
+}
+
+module.exports = { diffValues };
@@ -0,0 +1,60 @@
+const { editableState } = require('./articles');
+const { diffValues } = require('./diff');
+
+// Applies corrections to documents and records each one as a revision. The
+// first correction of a document also stores its untouched extraction as an
+// 'original' revision, so every state can be rolled back to.
+function createDocumentEditor({
+  db, documentRepository, revisionRepository, articleLinkRepository, searchIndex, entityIndex, relatedIndex,
+  linkContinuations
+}) {
+  // `change(state)` returns { state, indexMap? }. Resolves to the updated
+  // document and the new revision (null when nothing changed).
+  function apply(documentId, { action, summary = null, author }, change) {
+    const result = db.transaction(() => {
+      const document = documentRepository.findById(documentId);
+      const before = editableState(document);
+      const { state: after, indexMap } = change(before);
+
+      const diff = diffValues(before, after);
+      if (diff.length === 0) return { document, revision: null };
+
+      if (!revisionRepository.hasHistory(documentId)) {
+        revisionRepository.create({
+          documentId,
+          action: 'original',
+          summary: 'Extracted content before corrections',
+          author: 'system',
+          snapshot: before
+        });
+      }
+
+      const updated = documentRepository.update(documentId, after);
+      if (indexMap) articleLinkRepository.remapArticles(documentId, indexMap);
+      searchIndex.indexDocument(updated);
+      entityIndex.indexDocument(updated);
+      relatedIndex.indexDocument(updated);
+
+      const revision = revisionRepository.create({ documentId, action, summary, author, diff, snapshot: after });
+      return { document: updated, revision };
+    })();
+
+    // Corrected text may add or remove "continued on page N" notes
+    if (result.revision && result.document.issueId) linkContinuations(result.document.issueId);
+    return result;
+  }
+
+  // Restore the state stored with an earlier revision, as a new revision.
+  // Manual continuation links are left as they are.
+  function rollback(documentId, revision, author) {
+    return apply(
+      documentId,
+      { action: 'rollback', summary: `Rolled back to revision ${revision.id}`, author },
+      () => ({ state: revision.snapshot })
+    );
+  }
+
+  return { apply, rollback };
+}
+
+module.exports = { createDocumentEditor };
@@ -0,0 +1,148 @@
+const { normalize } = require('../search/bengali');
+const { transliterate, phoneticKey } = require('../transliteration');
+const { entityKey, cleanEntities } = require('./names');
+
+const BENGALI = /[ঀ-৿]/;
+
+// Predicate for entities whose name matches `query`: any variant containing
+// it, the name key containing its key (so spelling variants match too), or
+// for a romanized query the variant sounding alike ("mamata" finds মমতা)
+function nameMatcher(query) {
+  const text = normalize(query).trim();
+  if (!text) return () => true;
+  const key = entityKey(query);
+  const phonetic = BENGALI.test(text) ? null : phoneticKey(text);
+  return entity =>
+    (key && entity.key.includes(key)) ||
+    entity.variants.some(variant => {
+      if (normalize(variant.name).includes(text)) return true;
+      if (!phonetic) return false;
+      return transliterate(variant.name, 'simple').toLowerCase().split(/\s+/)
+        .some(word => phoneticKey(word)?.startsWith(phonetic));
+    });
+}
+
+// Index of the people, places, organizations and events named in articles.
+// Each article's `entities` ([{ name, type }], filled in by the pipeline) is
+// stored as mentions of entities keyed by type and normalized name, so
+// "শ্রী মমতা বন্দ্যোপাধ্যায়" and "মমতা বন্দোপাধ্যায়" are one entity.
+function createEntityIndex(db) {
+  const statements = {
+    deleteDocument: db.prepare('DELETE FROM entity_mentions WHERE document_id = ?'),
+    pruneEntities: db.prepare('DELETE FROM entities WHERE id NOT IN (SELECT entity_id FROM entity_mentions)'),
+    findEntity: db.prepare('SELECT id FROM entities WHERE type = ? AND key = ?'),
+    insertEntity: db.prepare('INSERT INTO entities (type, key) VALUES (?, ?)'),
+    insertMention: db.prepare(`
+      INSERT OR IGNORE INTO entity_mentions (entity_id, document_id, article_index, name)
+      VALUES (?, ?, ?, ?)
+    `),
+    indexedDocuments: db.prepare('SELECT DISTINCT document_id FROM entity_mentions'),
+    entities: db.prepare(`
+      SELECT e.id, e.type, e.key, COUNT(*) AS mentions, COUNT(DISTINCT m.document_id) AS documents
+      FROM entities e JOIN entity_mentions m ON m.entity_id = e.id
+      GROUP BY e.id
+    `),
+    entity: db.prepare(`
+      SELECT e.id, e.type, e.key, COUNT(*) AS mentions, COUNT(DISTINCT m.document_id) AS documents
+      FROM entities e JOIN entity_mentions m ON m.entity_id = e.id
+      WHERE e.id = ?
+      GROUP BY e.id
+    `),
+    variants: db.prepare(`
+      SELECT entity_id, name, COUNT(*) AS count FROM entity_mentions
+      GROUP BY entity_id, name
+      ORDER BY count DESC, name
+    `),
+    entityVariants: db.prepare(`
+      SELECT name, COUNT(*) AS count FROM entity_mentions WHERE entity_id = ?
+      GROUP BY name
+      ORDER BY count DESC, name
+    `),
+    mentions: db.prepare(
+      'SELECT document_id, article_index, name FROM entity_mentions WHERE entity_id = ? ORDER BY document_id, article_index'
+    ),
+    documentMentions: db.prepare('SELECT entity_id, article_index FROM entity_mentions WHERE document_id = ?')
+  };
+
+  // An entity row as served: the most common spelling is its name
+  function toEntity(row, variants) {
+    return {
+      id: row.id,
+      type: row.type,
+      name: variants[0]?.name || row.key,
+      key: row.key,
+      variants: variants.map(({ name, count }) => ({ name, count })),
+      mentionCount: row.mentions,
+      documentCount: row.documents
+    };
+  }
+
+  function entityId(type, key) {
+    const existing = statements.findEntity.get(type, key);
+    return existing ? existing.id : statements.insertEntity.run(type, key).lastInsertRowid;
+  }
+
+  const indexDocument = db.transaction((document) => {
+    statements.deleteDocument.run(document.id);
+    (document.extractedData?.articles || []).forEach((article, index) => {
+      for (const { name, type } of cleanEntities(article.entities)) {
+        statements.insertMention.run(entityId(type, entityKey(name)), document.id, index, name);
+      }
+    });
+    statements.pruneEntities.run();
+  });
+
+  return {
+    indexDocument,
+
+    removeDocument(documentId) {
+      statements.deleteDocument.run(documentId);
+      statements.pruneEntities.run();
+    },
+
+    // Index documents whose articles have entities but no mentions stored yet
+    indexMissing(documents) {
+      const indexed = new Set(statements.indexedDocuments.all().map(row => row.document_id));
+      const missing = documents.filter(document => !indexed.has(document.id) &&
+        (document.extractedData?.articles || []).some(article => cleanEntities(article.entities).length > 0));
+      missing.forEach(document => indexDocument(document));
+      return missing.length;
+    },
+
+    // Every entity with at least one mention, with its spelling variants
+    list() {
+      const variants = new Map();
+      for (const row of statements.variants.all()) {
+        if (!variants.has(row.entity_id)) variants.set(row.entity_id, []);
+        variants.get(row.entity_id).push(row);
+      }
+      return statements.entities.all().map(row => toEntity(row, variants.get(row.id) || []));
+    },
+
+    findById(id) {
+      const row = statements.entity.get(id);
+      return row ? toEntity(row, statements.entityVariants.all(id)) : null;
+    },
+
+    // Entities named by each article of a document: Map(articleIndex -> Set(entityId))
+    articleEntities(documentId) {
+      const entities = new Map();
+      for (const row of statements.documentMentions.all(documentId)) {
+        if (!entities.has(row.article_index)) entities.set(row.article_index, new Set());
+        entities.get(row.article_index).add(row.entity_id);
+      }
+      return entities;
+    },
+
+    // Articles naming the entity: [{ documentId, articleIndex, name }]
+    mentions(id) {
+      return statements.mentions.all(id).map(row => ({
+        documentId: row.document_id,
+        articleIndex: row.article_index,
+        name: row.name
+      }));
+    }
+  };
+}
+
+module.exports = { createEntityIndex, nameMatcher };
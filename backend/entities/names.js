@@ -0,0 +1,81 @@
+const { normalize, stem, tokenize } = require('../search/bengali');
+
+// Kinds of named entity extracted per article
+const ENTITY_TYPES = ['person', 'location', 'organization', 'event'];
+
+// Other names models use for the types
+const TYPE_ALIASES = {
+  people: 'person',
+  per: 'person',
+  place: 'location',
+  loc: 'location',
+  gpe: 'location',
+  organisation: 'organization',
+  org: 'organization'
+};
+
+// Titles and forms of address that are not part of the name, as normalized
+// tokens (search/bengali.js drops the dots of "ডা." and "মি.")
+const HONORIFICS = new Set([
+  'শ্রী', 'শ্রীমতী', 'শ্রীমতি', 'শ্রীযুক্ত', 'শ্রীযুক্তা', 'শ্রীল', 'ডঃ', 'ডাঃ', 'ডা', 'ড', 'মিঃ', 'মি',
+  'মিসেস', 'জনাব', 'জনাবা', 'মৌলানা', 'মাননীয়', 'মাননীয়া', 'বাবু', 'সাহেব', 'মহাশয়', 'মশাই',
+  'dr', 'mr', 'mrs', 'ms', 'shri', 'sri', 'smt'
+].map(normalize));
+
+const MAX_NAME_LENGTH = 120;
+
+// Spellings that vary between writers and papers fold to one letter: long
+// and short i/u, the three sibilants, dental and retroflex n, ঙ and anusvara,
+// ya-phala before o is often left out (বন্দ্যো/বন্দো), and chandrabindu is dropped
+function foldSpelling(token) {
+  return token
+    .replace(/ী/g, 'ি')
+    .replace(/ূ/g, 'ু')
+    .replace(/ঈ/g, 'ই')
+    .replace(/ঊ/g, 'উ')
+    .replace(/[ষস]/g, 'শ')
+    .replace(/ণ/g, 'ন')
+    .replace(/ঙ(?!্)/g, 'ং')
+    .replace(/্যো/g, 'ো')
+    .replace(/ঁ/g, '');
+}
+
+// Key that the variants of a name share: "শ্রী মমতা বন্দ্যোপাধ্যায়ের",
+// "মমতা বন্দোপাধ্যায়" and "মমতা বন্দ্যোপাধ্যায়" all key the same. Tokens are
+// normalized and stemmed like search terms, honorifics dropped and spelling
+// folded. Stemming runs twice so a name with a case ending ("রায়ের") keys
+// like the bare name ("রায়"). Empty when nothing of the name is left.
+function entityKey(name) {
+  return tokenize(name)
+    .filter(token => !HONORIFICS.has(token.normalized))
+    .map(token => stem(token.term))
+    .map(foldSpelling)
+    .join(' ');
+}
+
+// Canonical type name, or null for an unknown type
+function entityType(type) {
+  const value = String(type || '').trim().toLowerCase();
+  const canonical = TYPE_ALIASES[value] || value;
+  return ENTITY_TYPES.includes(canonical) ? canonical : null;
+}
+
+// The well-formed entities of one article from a model response: known
+// types, trimmed names, one entry per type and key
+function cleanEntities(entities) {
+  if (!Array.isArray(entities)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const entity of entities) {
+    const type = entityType(entity?.type);
+    const name = typeof entity?.name === 'string' ? entity.name.replace(/\s+/g, ' ').trim() : '';
+    if (!type || !name || name.length > MAX_NAME_LENGTH) continue;
+    const key = entityKey(name);
+    if (!key || seen.has(`${type}:${key}`)) continue;
+    seen.add(`${type}:${key}`);
+    result.push({ name, type });
+  }
+  return result;
+}
+
+module.exports = { ENTITY_TYPES, entityKey, entityType, cleanEntities };
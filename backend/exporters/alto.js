@@ -0,0 +1,66 @@
+const { escapeXml, pixelBox, lines, words } = require('./common');
+
+// ALTO v4: one TextBlock per article (placed on its region when known), the
+// headline as a TextLine tagged HEADLINE, then the body text line by line
+function positionAttributes(box) {
+  return box ? ` HPOS="${box.x}" VPOS="${box.y}" WIDTH="${box.width}" HEIGHT="${box.height}"` : '';
+}
+
+function textLine(id, line, tagRefs = '') {
+  const strings = words(line).map(word => `<String CONTENT="${escapeXml(word)}"/>`).join('<SP/>');
+  return `          <TextLine ID="${id}"${tagRefs ? ` TAGREFS="${tagRefs}"` : ''}>${strings}</TextLine>`;
+}
+
+function textBlock(id, headline, body, box) {
+  const blockLines = [];
+  if (headline) blockLines.push(textLine(`${id}_HEAD`, headline, 'HEADLINE'));
+  lines(body).forEach((line, i) => blockLines.push(textLine(`${id}_L${i + 1}`, line)));
+  return [
+    `        <TextBlock ID="${id}"${positionAttributes(box)} LANG="bn">`,
+    ...blockLines,
+    '        </TextBlock>'
+  ].join('\n');
+}
+
+function renderAlto(page) {
+  const size = page.imageSize;
+  const blocks = page.articles.map(article =>
+    textBlock(`ARTICLE_${article.index + 1}`, article.headline, article.content, pixelBox(article.polygon, size))
+  );
+  if (page.fallbackText) blocks.push(textBlock('PAGE_TEXT', '', page.fallbackText, null));
+
+  const pageSize = size ? ` WIDTH="${size.width}" HEIGHT="${size.height}"` : '';
+  const printSpace = size ? ` HPOS="0" VPOS="0" WIDTH="${size.width}" HEIGHT="${size.height}"` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"
+      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+      xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">
+  <Description>
+    <MeasurementUnit>pixel</MeasurementUnit>
+    <sourceImageInformation>
+      <fileName>${escapeXml(page.imageFilename)}</fileName>
+    </sourceImageInformation>
+    <OCRProcessing ID="OCR_1">
+      <ocrProcessingStep>
+        <processingSoftware>
+          <softwareName>Bengali Newspaper Digitizer</softwareName>
+        </processingSoftware>
+      </ocrProcessingStep>
+    </OCRProcessing>
+  </Description>
+  <Tags>
+    <StructureTag ID="HEADLINE" TYPE="structure" LABEL="headline"/>
+  </Tags>
+  <Layout>
+    <Page ID="PAGE_${page.pageNumber}" PHYSICAL_IMG_NR="${page.pageNumber}"${pageSize}>
+      <PrintSpace${printSpace}>
+${blocks.join('\n')}
+      </PrintSpace>
+    </Page>
+  </Layout>
+</alto>
+`;
+}
+
+module.exports = { renderAlto };
@@ -0,0 +1,72 @@
+// Helpers shared by the export formats
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Join name parts without characters that trouble zip tools or Content-Disposition
+function safeName(parts) {
+  return parts.filter(Boolean).join('_').replace(/[\\/:*?"<>|\s]+/g, '-');
+}
+
+// Pixel bounding box of a normalized (0-1) polygon on a page of `size`
+function pixelBox(polygon, size) {
+  if (!polygon || !size) return null;
+  const xs = polygon.map(([x]) => x * size.width);
+  const ys = polygon.map(([, y]) => y * size.height);
+  const x = Math.round(Math.min(...xs));
+  const y = Math.round(Math.min(...ys));
+  return {
+    x,
+    y,
+    width: Math.round(Math.max(...xs)) - x,
+    height: Math.round(Math.max(...ys)) - y
+  };
+}
+
+// Everything an exporter needs about one page, gathered in one place:
+// articles with their summary and region, and the issue they belong to
+function describePage(document, { issue, imageSize } = {}) {
+  const extracted = document.extractedData || {};
+  const summaries = document.summaryData?.articleSummaries || [];
+  const regions = new Map((document.layout?.articles || []).map(region => [region.article, region.polygon]));
+
+  return {
+    id: document.id,
+    title: [issue?.newspaper, document.pageNumber && `পাতা ${document.pageNumber}`].filter(Boolean).join(' — ')
+      || document.originalName,
+    newspaper: issue?.newspaper || null,
+    editionDate: issue?.editionDate || document.parsedDate || null,
+    printedDate: extracted.date || null,
+    pageNumber: document.pageNumber || 1,
+    imageFilename: document.filename,
+    imageSize: imageSize || null,
+    overallSummary: document.summaryData?.overallSummary || null,
+    articles: (extracted.articles || []).map((article, index) => ({
+      index,
+      headline: article.headline || '',
+      content: article.content || '',
+      category: article.category || null,
+      summary: article.summary || summaries[index]?.summary || null,
+      polygon: regions.get(index) || null
+    })),
+    // Page text for documents where structuring found no articles
+    fallbackText: (extracted.articles || []).length === 0 ? extracted.allText || '' : ''
+  };
+}
+
+// Non-empty lines of a block of text
+function lines(text) {
+  return (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function words(line) {
+  return line.split(/\s+/).filter(Boolean);
+}
+
+module.exports = { escapeXml, safeName, pixelBox, describePage, lines, words };
@@ -0,0 +1,115 @@
+const { escapeXml, lines } = require('./common');
+const { zipEntries } = require('./zip');
+
+// EPUB 3 with one chapter per page and a table of contents down to articles
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.6; }
+h1 { color: #b71c1c; }
+.category, .date { color: #777; font-size: 0.9em; }
+.summary { border-left: 3px solid #d32f2f; padding-left: 0.8em; font-style: italic; }
+`;
+
+function xhtml(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="bn" lang="bn">
+<head>
+  <meta charset="utf-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function chapter(page) {
+  const parts = [`<h1>${escapeXml(page.title)}</h1>`];
+  const date = [page.editionDate, page.printedDate].filter(Boolean).join(' · ');
+  if (date) parts.push(`<p class="date">${escapeXml(date)}</p>`);
+  if (page.overallSummary) parts.push(`<p class="summary">${escapeXml(page.overallSummary)}</p>`);
+
+  for (const article of page.articles) {
+    parts.push(`<section id="article-${article.index + 1}">`);
+    parts.push(`  <h2>${escapeXml(article.headline || `খবর ${article.index + 1}`)}</h2>`);
+    if (article.category) parts.push(`  <p class="category">${escapeXml(article.category)}</p>`);
+    if (article.summary) parts.push(`  <p class="summary">${escapeXml(article.summary)}</p>`);
+    lines(article.content).forEach(line => parts.push(`  <p>${escapeXml(line)}</p>`));
+    parts.push('</section>');
+  }
+  lines(page.fallbackText).forEach(line => parts.push(`<p>${escapeXml(line)}</p>`));
+
+  return xhtml(page.title, parts.join('\n'));
+}
+
+function navigation(title, pages) {
+  const items = pages.map((page, i) => {
+    const articles = page.articles.map(article =>
+      `        <li><a href="page-${i + 1}.xhtml#article-${article.index + 1}">${escapeXml(article.headline || `খবর ${article.index + 1}`)}</a></li>`
+    );
+    return [
+      `    <li><a href="page-${i + 1}.xhtml">${escapeXml(page.title)}</a>`,
+      articles.length ? `      <ol>\n${articles.join('\n')}\n      </ol>` : '',
+      '    </li>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return xhtml(title, `<nav epub:type="toc" id="toc">
+  <h1>সূচিপত্র</h1>
+  <ol>
+${items.join('\n')}
+  </ol>
+</nav>`);
+}
+
+function packageDocument(title, identifier, pages) {
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const manifest = pages
+    .map((page, i) => `    <item id="page-${i + 1}" href="page-${i + 1}.xhtml" media-type="application/xhtml+xml"/>`)
+    .join('\n');
+  const spine = pages.map((page, i) => `    <itemref idref="page-${i + 1}"/>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="bn">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>bn</dc:language>
+    ${pages[0]?.editionDate ? `<dc:date>${escapeXml(pages[0].editionDate)}</dc:date>` : ''}
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+${manifest}
+  </manifest>
+  <spine>
+${spine}
+  </spine>
+</package>
+`;
+}
+
+// Resolves to the EPUB file as a Buffer
+function renderEpub(pages, { title, identifier }) {
+  return zipEntries([
+    { name: 'mimetype', content: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', content: CONTAINER },
+    { name: 'OEBPS/content.opf', content: packageDocument(title, identifier, pages) },
+    { name: 'OEBPS/nav.xhtml', content: navigation(title, pages) },
+    { name: 'OEBPS/style.css', content: STYLESHEET },
+    ...pages.map((page, i) => ({ name: `OEBPS/page-${i + 1}.xhtml`, content: chapter(page) }))
+  ]);
+}
+
+module.exports = { renderEpub };
@@ -0,0 +1,57 @@
+const { escapeXml, pixelBox, lines, words } = require('./common');
+
+// hOCR: an ocr_carea per article with its bbox when the region is known.
+// Lines and words carry no boxes of their own, since we only locate articles.
+function bboxTitle(box) {
+  return box ? ` title="bbox ${box.x} ${box.y} ${box.x + box.width} ${box.y + box.height}"` : '';
+}
+
+function line(text, className = 'ocr_line') {
+  const spans = words(text).map(word => `<span class="ocrx_word">${escapeXml(word)}</span>`).join(' ');
+  return `<span class="${className}">${spans}</span>`;
+}
+
+function area(id, headline, body, box) {
+  const parts = [`    <div class="ocr_carea" id="${id}"${bboxTitle(box)}>`];
+  if (headline) parts.push(`      <h2 class="ocr_par">${line(headline, 'ocr_header')}</h2>`);
+  const bodyLines = lines(body);
+  if (bodyLines.length > 0) {
+    parts.push(`      <p class="ocr_par" lang="bn">\n        ${bodyLines.map(l => line(l)).join('\n        ')}\n      </p>`);
+  }
+  parts.push('    </div>');
+  return parts.join('\n');
+}
+
+function renderHocr(page) {
+  const size = page.imageSize;
+  const pageTitle = [
+    `image "${page.imageFilename}"`,
+    size && `bbox 0 0 ${size.width} ${size.height}`,
+    `ppageno ${page.pageNumber - 1}`
+  ].filter(Boolean).join('; ');
+
+  const areas = page.articles.map(article =>
+    area(`article_${article.index + 1}`, article.headline, article.content, pixelBox(article.polygon, size))
+  );
+  if (page.fallbackText) areas.push(area('page_text', '', page.fallbackText, null));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="bn" lang="bn">
+<head>
+  <title>${escapeXml(page.title)}</title>
+  <meta http-equiv="Content-Type" content="text/html; charset=utf-8"/>
+  <meta name="ocr-system" content="Bengali Newspaper Digitizer"/>
+  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocr_header ocrx_word"/>
+  <meta name="ocr-langs" content="bn"/>
+</head>
+<body>
+  <div class="ocr_page" id="page_${page.pageNumber}" title="${escapeXml(pageTitle)}">
+${areas.join('\n')}
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHocr };
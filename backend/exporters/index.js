@@ -0,0 +1,91 @@
+const path = require('path');
+const sharp = require('sharp');
+const { uprightSize } = require('../preprocess');
+const { describePage, safeName } = require('./common');
+const { renderAlto } = require('./alto');
+const { renderHocr } = require('./hocr');
+const { renderTei } = require('./tei');
+const { renderEpub } = require('./epub');
+const { renderMarkdown, renderText } = require('./text');
+const { zipEntries } = require('./zip');
+
+// Export formats by the name used in `?format=`
+const FORMATS = {
+  alto: { extension: 'alto.xml', contentType: 'application/xml; charset=utf-8', render: renderAlto },
+  hocr: { extension: 'hocr.html', contentType: 'text/html; charset=utf-8', render: renderHocr },
+  tei: { extension: 'tei.xml', contentType: 'application/tei+xml; charset=utf-8', render: renderTei },
+  epub: {
+    extension: 'epub',
+    contentType: 'application/epub+zip',
+    render: page => renderEpub([page], { title: page.title, identifier: `urn:newspaper-digitizer:${page.id}` })
+  },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText }
+};
+
+// Pixel size of the page image as shown (turned upright), needed to turn
+// regions into coordinates
+async function imageSize(document, uploadsDir) {
+  try {
+    const { width, height } = uprightSize(await sharp(path.join(uploadsDir, document.filename)).metadata());
+    return width && height ? { width, height } : null;
+  } catch (error) {
+    console.warn(`Export: could not read image size of ${document.filename}:`, error.message);
+    return null;
+  }
+}
+
+function exportBasename(document, issue) {
+  return safeName([issue?.newspaper, issue?.editionDate, `page-${String(document.pageNumber || 1).padStart(2, '0')}`]);
+}
+
+// Render one document; resolves to { content, contentType, filename }
+async function exportDocument(document, format, { issue, uploadsDir }) {
+  const { extension, contentType, render } = FORMATS[format];
+  const page = describePage(document, { issue, imageSize: await imageSize(document, uploadsDir) });
+  return {
+    content: await render(page),
+    contentType,
+    filename: `${exportBasename(document, issue)}.${extension}`
+  };
+}
+
+// `name`, or if an earlier entry took it `name` with -2, -3, ... before the
+// extension: two issues may share newspaper and date, or have neither
+function uniqueName(name, taken) {
+  const dot = name.indexOf('.', name.lastIndexOf('/') + 1);
+  const [stem, extension] = dot === -1 ? [name, ''] : [name.slice(0, dot), name.slice(dot)];
+  let unique = name;
+  for (let count = 2; taken.has(unique); count++) {
+    unique = `${stem}-${count}${extension}`;
+  }
+  taken.add(unique);
+  return unique;
+}
+
+// Zip the export of many documents, one file per page plus a manifest
+async function exportArchive(documents, format, { issueOf, uploadsDir }) {
+  const entries = [];
+  const manifest = [];
+  const taken = new Set();
+
+  for (const document of documents) {
+    const issue = issueOf(document);
+    const { content, filename } = await exportDocument(document, format, { issue, uploadsDir });
+    const name = uniqueName(`${safeName([issue?.newspaper, issue?.editionDate]) || 'documents'}/${filename}`, taken);
+    entries.push({ name, content });
+    manifest.push({
+      file: name,
+      documentId: document.id,
+      newspaper: issue?.newspaper || null,
+      editionDate: issue?.editionDate || null,
+      pageNumber: document.pageNumber,
+      originalName: document.originalName
+    });
+  }
+
+  entries.push({ name: 'manifest.json', content: JSON.stringify({ format, exportedAt: new Date().toISOString(), documents: manifest }, null, 2) });
+  return zipEntries(entries);
+}
+
+module.exports = { FORMATS, exportDocument, exportArchive };
@@ -0,0 +1,88 @@
+const { escapeXml, pixelBox, lines } = require('./common');
+
+// TEI P5: bibliographic header, a facsimile zone per located article and a
+// div per article with its headline, paragraphs and summary
+function zone(article, size) {
+  const box = pixelBox(article.polygon, size);
+  if (!box) return null;
+  const points = article.polygon
+    .map(([x, y]) => `${Math.round(x * size.width)},${Math.round(y * size.height)}`)
+    .join(' ');
+  return `      <zone xml:id="zone_${article.index + 1}" ulx="${box.x}" uly="${box.y}" lrx="${box.x + box.width}" lry="${box.y + box.height}" points="${points}"/>`;
+}
+
+function articleDiv(article, hasZone) {
+  const attributes = [
+    'type="article"',
+    `n="${article.index + 1}"`,
+    hasZone && `facs="#zone_${article.index + 1}"`
+  ].filter(Boolean).join(' ');
+  const parts = [`        <div ${attributes}>`];
+  if (article.headline) parts.push(`          <head>${escapeXml(article.headline)}</head>`);
+  if (article.category) parts.push(`          <note type="category">${escapeXml(article.category)}</note>`);
+  if (article.summary) parts.push(`          <note type="summary">${escapeXml(article.summary)}</note>`);
+  lines(article.content).forEach(line => parts.push(`          <p>${escapeXml(line)}</p>`));
+  parts.push('        </div>');
+  return parts.join('\n');
+}
+
+function renderTei(page) {
+  const size = page.imageSize;
+  const zones = size ? page.articles.map(article => zone(article, size)).filter(Boolean) : [];
+  const located = new Set(page.articles.filter(article => size && article.polygon).map(article => article.index));
+
+  const divs = page.articles.map(article => articleDiv(article, located.has(article.index)));
+  if (page.fallbackText) {
+    divs.push(`        <div type="text">\n${lines(page.fallbackText).map(l => `          <p>${escapeXml(l)}</p>`).join('\n')}\n        </div>`);
+  }
+
+  const date = page.editionDate
+    ? `<date when="${escapeXml(page.editionDate)}">${escapeXml(page.printedDate || page.editionDate)}</date>`
+    : page.printedDate ? `<date>${escapeXml(page.printedDate)}</date>` : '';
+
+  const facsimile = size
+    ? `  <facsimile>
+    <surface xml:id="surface_${page.pageNumber}" ulx="0" uly="0" lrx="${size.width}" lry="${size.height}">
+      <graphic url="${escapeXml(page.imageFilename)}" width="${size.width}px" height="${size.height}px"/>
+${zones.join('\n')}
+    </surface>
+  </facsimile>
+`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TEI xmlns="http://www.tei-c.org/ns/1.0" xml:lang="bn">
+  <teiHeader>
+    <fileDesc>
+      <titleStmt>
+        <title>${escapeXml(page.title)}</title>
+      </titleStmt>
+      <publicationStmt>
+        <p>Digitized with Bengali Newspaper Digitizer</p>
+      </publicationStmt>
+      <sourceDesc>
+        <bibl type="newspaper">
+          ${page.newspaper ? `<title level="j">${escapeXml(page.newspaper)}</title>` : ''}
+          ${date}
+          <biblScope unit="page">${page.pageNumber}</biblScope>
+        </bibl>
+      </sourceDesc>
+    </fileDesc>
+    <profileDesc>
+      <langUsage>
+        <language ident="bn">Bengali</language>
+      </langUsage>
+    </profileDesc>
+  </teiHeader>
+${facsimile}  <text>
+    <body>
+      <div type="page" n="${page.pageNumber}">
+${page.overallSummary ? `        <note type="summary">${escapeXml(page.overallSummary)}</note>\n` : ''}${divs.join('\n')}
+      </div>
+    </body>
+  </text>
+</TEI>
+`;
+}
+
+module.exports = { renderTei };
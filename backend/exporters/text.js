@@ -0,0 +1,31 @@
+// Markdown and plain-text renderings of a page
+
+function renderMarkdown(page) {
+  const parts = [`# ${page.title}`];
+  const date = [page.editionDate, page.printedDate].filter(Boolean).join(' · ');
+  if (date) parts.push(`*${date}*`);
+  if (page.overallSummary) parts.push(`> ${page.overallSummary}`);
+
+  for (const article of page.articles) {
+    parts.push(`## ${article.headline || `খবর ${article.index + 1}`}`);
+    if (article.category) parts.push(`*বিভাগ: ${article.category}*`);
+    if (article.summary) parts.push(`> ${article.summary}`);
+    if (article.content) parts.push(article.content.trim());
+  }
+  if (page.fallbackText) parts.push(page.fallbackText.trim());
+
+  return parts.join('\n\n') + '\n';
+}
+
+function renderText(page) {
+  const parts = [[page.title, page.printedDate || page.editionDate].filter(Boolean).join('\n')];
+
+  for (const article of page.articles) {
+    parts.push([article.headline, article.content.trim()].filter(Boolean).join('\n\n'));
+  }
+  if (page.fallbackText) parts.push(page.fallbackText.trim());
+
+  return parts.join('\n\n' + '-'.repeat(40) + '\n\n') + '\n';
+}
+
+module.exports = { renderMarkdown, renderText };
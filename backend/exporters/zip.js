@@ -0,0 +1,20 @@
+const yazl = require('yazl');
+
+// Build a zip in memory from [{ name, content, store }] entries. `store`
+// leaves an entry uncompressed (EPUB requires this for its mimetype file).
+function zipEntries(entries) {
+  const zip = new yazl.ZipFile();
+  for (const { name, content, store } of entries) {
+    zip.addBuffer(Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'), name, { compress: !store });
+  }
+  zip.end();
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    zip.outputStream.on('data', chunk => chunks.push(chunk));
+    zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+    zip.outputStream.on('error', reject);
+  });
+}
+
+module.exports = { zipEntries };
@@ -0,0 +1,173 @@
+const { normalize } = require('../search/bengali');
+
+const UNKNOWN = 'অজানা';
+
+// The OCR output separates articles with `===` lines and sections or columns
+// within an article with `---` lines
+const ARTICLE_SEPARATOR = /^[ \t]*={3,}[ \t]*$/m;
+const SECTION_SEPARATOR = /^[ \t]*-{3,}[ \t]*$/m;
+
+const MARKER = /^(LARGE|MEDIUM|SMALL|OTHER)_TEXT:\s*/;
+
+function splitOn(text, separator) {
+  return text.split(separator).map(part => part.trim()).filter(Boolean);
+}
+
+// Break text that is too long on its own into pieces of at most `size`
+// characters: by sections, then lines, then at the last space that fits
+function splitOversized(text, size) {
+  if (text.length <= size) return [{ text, joiner: '\n---\n' }];
+
+  const sections = splitOn(text, SECTION_SEPARATOR);
+  if (sections.length > 1) {
+    return sections.flatMap(section => splitOversized(section, size));
+  }
+
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length > 1) {
+    return lines.flatMap(line => splitOversized(line, size).map(piece => ({ ...piece, joiner: '\n' })));
+  }
+
+  const pieces = [];
+  let rest = text;
+  while (rest.length > size) {
+    const space = rest.lastIndexOf(' ', size);
+    const end = space > size / 2 ? space : size;
+    pieces.push({ text: rest.slice(0, end).trim(), joiner: ' ' });
+    rest = rest.slice(end).trim();
+  }
+  if (rest) pieces.push({ text: rest, joiner: ' ' });
+  return pieces;
+}
+
+// Split raw OCR text into chunks of at most `size` characters for the
+// structuring model. Whole articles are packed together where they fit; an
+// article longer than a chunk is split across chunks, and the chunks after
+// its first are marked `continues` so the merge can join it up again.
+function chunkText(text, size) {
+  const chunks = [];
+  let current = null;
+
+  for (const block of splitOn(text || '', ARTICLE_SEPARATOR)) {
+    splitOversized(block, size).forEach((piece, index) => {
+      const joiner = index === 0 ? '\n===\n' : piece.joiner;
+      if (current && current.text.length + joiner.length + piece.text.length <= size) {
+        current.text += joiner + piece.text;
+      } else {
+        current = { text: piece.text, continues: index > 0 };
+        chunks.push(current);
+      }
+    });
+  }
+  return chunks;
+}
+
+function isUnknown(text) {
+  return !text || !text.trim() || text.trim() === UNKNOWN;
+}
+
+// Comparison key for headlines: normalized, with whitespace collapsed
+function headlineKey(text) {
+  return normalize(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Articles for a chunk the model could not structure, built the same way as
+// the LARGE_TEXT fallback: the first large line of each block is its headline
+// and everything else is its content, so the text is kept rather than lost
+function fallbackArticles(text) {
+  return splitOn(text, ARTICLE_SEPARATOR)
+    .map(block => block.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !SECTION_SEPARATOR.test(line)))
+    .filter(lines => lines.length > 0)
+    .map(lines => {
+      const headlineIndex = lines.findIndex(line => line.startsWith('LARGE_TEXT:'));
+      return {
+        headline: headlineIndex === -1 ? UNKNOWN : lines[headlineIndex].replace(MARKER, '').trim(),
+        content: lines
+          .filter((line, i) => i !== headlineIndex)
+          .map(line => line.replace(MARKER, '').trim())
+          .join(' '),
+        category: UNKNOWN
+      };
+    });
+}
+
+// Add `text` to `existing` unless one already contains the other, which is
+// what a repeated article looks like when it straddles two chunks
+function joinContent(existing, text) {
+  if (!text || existing.includes(text)) return existing;
+  if (!existing || text.includes(existing)) return text;
+  return `${existing}\n${text}`;
+}
+
+function mergeInto(target, article) {
+  target.content = joinContent(target.content || '', article.content || '');
+  if (isUnknown(target.category) && !isUnknown(article.category)) {
+    target.category = article.category;
+  }
+}
+
+function addUnique(list, seen, text) {
+  const key = headlineKey(text);
+  if (isUnknown(text) || seen.has(key)) return;
+  seen.add(key);
+  list.push(text.trim());
+}
+
+// Combine the structured result of every chunk into one page. `results` holds
+// `{ chunk, data }` in page order, with `data` null for chunks that failed.
+// Articles with the same headline are merged, and the first article of a
+// continuing chunk is joined to the article it continues.
+function mergeChunks(results) {
+  const merged = { date: UNKNOWN, headlines: [], subHeadlines: [], articles: [] };
+  const seenHeadlines = new Set();
+  const seenSubHeadlines = new Set();
+  const articlesByHeadline = new Map();
+  const failedChunks = [];
+
+  results.forEach(({ chunk, data }, chunkIndex) => {
+    if (!data) failedChunks.push(chunkIndex);
+    const articles = data ? data.articles || [] : fallbackArticles(chunk.text);
+
+    // The first article of a continuing chunk is the rest of the previous one
+    const previous = merged.articles[merged.articles.length - 1];
+    const fragment = chunk.continues && previous ? articles[0] : null;
+    const fragmentKey = fragment ? headlineKey(fragment.headline) : null;
+
+    if (data && isUnknown(merged.date) && !isUnknown(data.date)) merged.date = data.date;
+    // Without a model answer the large lines are the headlines, as in the regex fallback
+    const headlines = data ? data.headlines || [] : articles.map(article => article.headline);
+    for (const headline of headlines) {
+      if (headlineKey(headline) !== fragmentKey) addUnique(merged.headlines, seenHeadlines, headline);
+    }
+    for (const subHeadline of data?.subHeadlines || []) addUnique(merged.subHeadlines, seenSubHeadlines, subHeadline);
+
+    articles.forEach((article, index) => {
+      const key = headlineKey(article.headline);
+
+      if (fragment && index === 0) {
+        // A headline the model gave the fragment is kept as part of its text
+        const ownHeadline = !isUnknown(article.headline) && key !== headlineKey(previous.headline);
+        mergeInto(previous, ownHeadline
+          ? { ...article, content: `${article.headline.trim()} ${article.content || ''}` }
+          : article);
+      } else if (!isUnknown(article.headline) && articlesByHeadline.has(key)) {
+        mergeInto(articlesByHeadline.get(key), article);
+      } else {
+        const copy = {
+          ...article,
+          headline: isUnknown(article.headline) ? UNKNOWN : article.headline.trim(),
+          content: article.content || '',
+          category: article.category || UNKNOWN
+        };
+        merged.articles.push(copy);
+        if (!isUnknown(copy.headline)) articlesByHeadline.set(key, copy);
+      }
+    });
+  });
+
+  return { ...merged, failedChunks };
+}
+
+module.exports = { chunkText, mergeChunks, fallbackArticles, headlineKey, isUnknown, UNKNOWN };
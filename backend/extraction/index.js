@@ -0,0 +1,212 @@
+const { extractAndCleanJSON } = require('./json');
+const { chunkText, mergeChunks, headlineKey, UNKNOWN } = require('./chunks');
+const { cleanEntities } = require('../entities/names');
+const {
+  validate, validateStructure, SUMMARY_BATCH_SCHEMA, COMBINED_SUMMARY_SCHEMA
+} = require('./schema');
+
+const DEFAULT_OVERALL_SUMMARY = 'সংবাদপত্রের বিষয়বস্তু সফলভাবে প্রক্রিয়া করা হয়েছে।';
+const DEFAULT_TOPICS = ['বিষয়বস্তু বিশ্লেষণ করা হয়েছে'];
+
+function fallbackArticleSummary(article) {
+  return {
+    headline: article.headline || 'অজানা শিরোনাম',
+    summary: article.content ? article.content.substring(0, 150) + '...' : 'নিবন্ধের সারাংশ পাওয়া যায়নি।',
+    keyPoints: ['মূল বিষয়বস্তু নির্ধারণ করা যায়নি'],
+    category: article.category || UNKNOWN
+  };
+}
+
+function fallbackHeadlineSummary(headline) {
+  return { headline, summary: 'এই শিরোনামের জন্য একটি স্বয়ংক্রিয় সারাংশ তৈরি করা যায়নি।' };
+}
+
+// Ask the model for JSON and parse it; null when the call or the parse fails.
+// With `validateAnswer` (see schema.js) the answer is checked and repaired
+// first, its issues are added to `issues`, and an answer with nothing usable
+// left counts as failed.
+async function requestJSON(label, request, validateAnswer = null, issues = []) {
+  try {
+    const response = await request();
+    const parsed = extractAndCleanJSON(response);
+    if (!parsed) throw new Error('Failed to parse AI response');
+    if (!validateAnswer) return parsed;
+
+    const { value, issues: found } = validateAnswer(parsed);
+    found.forEach(issue => console.warn(`${label}: ${issue.path}: ${issue.message}`));
+    issues.push(...found);
+    if (!value) throw new Error('AI response does not have the expected shape');
+    return value;
+  } catch (error) {
+    console.error(`${label} error:`, error.message);
+    return null;
+  }
+}
+
+// Map step of extraction: structure the raw OCR text chunk by chunk, so a
+// dense page is not cut off at the model's input size, then merge the chunks
+// into one page. Chunks the model fails on keep their text as fallback
+// articles and are listed in `warnings`. Resolves to null when no chunk could
+// be structured at all. `categories` lists the section names the model should
+// file articles under. Repairs made to the model's answers are listed in
+// `validationIssues`.
+async function structureInChunks(allText, llmProvider, { chunkSize, categories = [], onProgress = () => {} }) {
+  const chunks = chunkText(allText, chunkSize);
+  const results = [];
+  const validationIssues = [];
+
+  for (const [index, chunk] of chunks.entries()) {
+    const data = await requestJSON(`Structuring chunk ${index + 1}/${chunks.length}`,
+      () => llmProvider.structureText(chunk.text, { categories }),
+      answer => validateStructure(answer, `chunks[${index}]`), validationIssues);
+    results.push({ chunk, data });
+    onProgress(index + 1, chunks.length);
+  }
+
+  if (!results.some(result => result.data)) return null;
+
+  const { failedChunks, ...merged } = mergeChunks(results);
+  const warnings = failedChunks.map(index =>
+    `Chunk ${index + 1} of ${chunks.length} could not be structured; its text was kept unstructured`);
+  warnings.forEach(warning => console.warn(warning));
+  console.log(`Structured ${chunks.length} chunk(s) into ${merged.articles.length} article(s)`);
+
+  return {
+    ...merged,
+    ...(warnings.length > 0 && { warnings }),
+    ...(validationIssues.length > 0 && { validationIssues })
+  };
+}
+
+// The model's summary for `article`: by headline, or by position when the
+// model kept the articles in order but reworded a headline
+function findSummary(summaries, article, index, batchLength) {
+  const key = headlineKey(article.headline);
+  return summaries.find(summary => headlineKey(summary.headline) === key)
+    || (summaries.length === batchLength ? summaries[index] : null);
+}
+
+// Reduce step: summarize the articles in batches of `batchSize`, so every
+// article gets a summary, then combine the article summaries into the overall
+// summary and topics. Articles whose batch fails get the extractive fallback
+// summary and are listed in `warnings`; repairs made to the model's answers
+// are listed in `validationIssues`.
+async function summarizeInBatches(extractedData, llmProvider, { batchSize, onProgress = () => {} }) {
+  const articles = extractedData.articles || [];
+  const headlines = extractedData.headlines || [];
+  const articleKeys = new Set(articles.map(article => headlineKey(article.headline)));
+  // Headlines without an article of their own ride along with the last batch
+  const looseHeadlines = headlines.filter(headline => !articleKeys.has(headlineKey(headline)));
+
+  const batches = [];
+  for (let start = 0; start < articles.length; start += batchSize) {
+    batches.push(articles.slice(start, start + batchSize));
+  }
+  if (batches.length === 0) batches.push([]);
+
+  const articleSummaries = [];
+  const headlineSummaries = new Map();
+  const warnings = [];
+  const validationIssues = [];
+
+  for (const [batchIndex, batch] of batches.entries()) {
+    const batchHeadlines = [
+      ...batch.map(article => article.headline),
+      ...(batchIndex === batches.length - 1 ? looseHeadlines : [])
+    ].filter(headline => headline && headline !== UNKNOWN);
+    if (batch.length === 0 && batchHeadlines.length === 0) continue;
+
+    const parsed = await requestJSON(`Summary batch ${batchIndex + 1}/${batches.length}`,
+      () => llmProvider.generateSummaries({
+        date: extractedData.date,
+        headlines: batchHeadlines,
+        subHeadlines: batchIndex === 0 ? extractedData.subHeadlines || [] : [],
+        articles: batch
+      }),
+      answer => validate(SUMMARY_BATCH_SCHEMA, answer, `batches[${batchIndex}]`), validationIssues);
+
+    const summaries = Array.isArray(parsed?.articleSummaries) ? parsed.articleSummaries : [];
+    batch.forEach((article, index) => {
+      const summary = findSummary(summaries, article, index, batch.length);
+      if (!summary) {
+        warnings.push(`No summary generated for article ${articleSummaries.length + 1}`);
+      }
+      articleSummaries.push(summary
+        ? { ...summary, headline: article.headline, category: summary.category || article.category || UNKNOWN }
+        : fallbackArticleSummary(article));
+    });
+    for (const summary of parsed?.headlineSummaries || []) {
+      headlineSummaries.set(headlineKey(summary.headline), summary);
+    }
+    onProgress(batchIndex + 1, batches.length);
+  }
+
+  const combined = articleSummaries.length > 0
+    ? await requestJSON('Summary combination', () => llmProvider.combineSummaries({
+      date: extractedData.date,
+      headlines,
+      articleSummaries: articleSummaries.map(({ headline, summary, category }) => ({ headline, summary, category }))
+    }), answer => validate(COMBINED_SUMMARY_SCHEMA, answer, 'combined'), validationIssues)
+    : null;
+  if (articleSummaries.length > 0 && !combined) {
+    warnings.push('The overall summary could not be generated');
+  }
+
+  warnings.forEach(warning => console.warn(warning));
+
+  return {
+    overallSummary: combined?.overallSummary || DEFAULT_OVERALL_SUMMARY,
+    headlineSummaries: headlines.map(headline =>
+      headlineSummaries.get(headlineKey(headline)) ||
+      articleSummaries.find(summary => headlineKey(summary.headline) === headlineKey(headline)) ||
+      fallbackHeadlineSummary(headline)
+    ).map(({ summary }, index) => ({ headline: headlines[index], summary })),
+    articleSummaries,
+    importantTopics: combined?.importantTopics?.length ? combined.importantTopics : DEFAULT_TOPICS,
+    ...(warnings.length > 0 && { warnings }),
+    ...(validationIssues.length > 0 && { validationIssues })
+  };
+}
+
+// Named entities of every article, asked for in batches of `batchSize`.
+// Resolves to the entities index-aligned with the articles; articles whose
+// batch fails get null (not yet extracted, unlike [] for none found) and are
+// listed in `warnings`.
+async function extractEntitiesInBatches(extractedData, llmProvider, { batchSize, onProgress = () => {} }) {
+  const articles = extractedData.articles || [];
+  const entities = [];
+  const warnings = [];
+  const batchCount = Math.ceil(articles.length / batchSize);
+
+  for (let start = 0; start < articles.length; start += batchSize) {
+    const batch = articles.slice(start, start + batchSize);
+    const batchNumber = start / batchSize + 1;
+    const parsed = await requestJSON(`Entity batch ${batchNumber}/${batchCount}`,
+      () => llmProvider.extractEntities({
+        articles: batch.map((article, index) => ({
+          index,
+          headline: article.headline || '',
+          content: article.content || ''
+        }))
+      }));
+
+    const results = Array.isArray(parsed?.articles) ? parsed.articles : [];
+    batch.forEach((article, index) => {
+      // By index, or by position when the model left the indices out
+      const result = results.find(candidate => candidate?.index === index)
+        || (results.length === batch.length && results[index]?.index === undefined ? results[index] : null);
+      if (!result) {
+        warnings.push(`No entities extracted for article ${start + index + 1}`);
+      }
+      entities.push(result ? cleanEntities(result.entities) : null);
+    });
+    onProgress(batchNumber, batchCount);
+  }
+
+  warnings.forEach(warning => console.warn(warning));
+  return { entities, ...(warnings.length > 0 && { warnings }) };
+}
+
+module.exports = {
+  structureInChunks, summarizeInBatches, extractEntitiesInBatches, extractAndCleanJSON, DEFAULT_OVERALL_SUMMARY
+};
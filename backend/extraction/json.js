@@ -0,0 +1,32 @@
+// Helper function to clean and extract JSON from AI response
+function extractAndCleanJSON(text) {
+  try {
+    // Find a JSON block enclosed in a markdown code fence (```json ... ```)
+    const match = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+    
+    let jsonText = text;
+    if (match && match[1]) {
+      // If markdown is found, use the content inside it.
+      jsonText = match[1];
+    } else {
+      // Otherwise, find the first '{' and the last '}'
+      const jsonStart = text.indexOf('{');
+      const jsonEnd = text.lastIndexOf('}') + 1;
+      
+      if (jsonStart === -1 || jsonEnd <= jsonStart) {
+        throw new Error('No valid JSON object found in the text.');
+      }
+      
+      jsonText = text.substring(jsonStart, jsonEnd);
+    }
+    
+    // Attempt to parse the extracted text
+    return JSON.parse(jsonText);
+  } catch (error) {
+    console.error('JSON extraction failed:', error.message);
+    console.error('Problematic text snippet for debugging:', text.substring(0, 500));
+    return null;
+  }
+}
+
+module.exports = { extractAndCleanJSON };
@@ -0,0 +1,185 @@
+const { UNKNOWN } = require('./chunks');
+
+// Shapes of the JSON the structuring and summary prompts ask for. Model output
+// is checked against them before it is used: values of the wrong type are
+// coerced where the intent is clear (a lone headline string becomes a list,
+// a number becomes text), anything else is dropped, keys the prompt did not
+// ask for are removed, and every repair is reported as an issue
+// `{ path, problem, message }` with `problem` one of 'missing', 'coerced',
+// 'invalid', 'unexpected' or 'dropped'.
+const text = (options = {}) => ({ type: 'string', ...options });
+const list = (items, options = {}) => ({ type: 'array', items, ...options });
+const record = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+const STRUCTURE_SCHEMA = record({
+  date: text({ fallback: UNKNOWN }),
+  headlines: list(text()),
+  subHeadlines: list(text()),
+  articles: list(record({
+    headline: text({ fallback: UNKNOWN }),
+    content: text({ required: true }),
+    category: text({ fallback: UNKNOWN })
+  }))
+});
+
+const SUMMARY_BATCH_SCHEMA = record({
+  headlineSummaries: list(record({
+    headline: text({ required: true }),
+    summary: text({ required: true })
+  })),
+  articleSummaries: list(record({
+    headline: text(),
+    summary: text({ required: true }),
+    keyPoints: list(text()),
+    category: text()
+  })),
+  // Some answers already carry the page summary the combination step writes
+  overallSummary: text(),
+  importantTopics: list(text())
+});
+
+const COMBINED_SUMMARY_SCHEMA = record({
+  overallSummary: text({ required: true }),
+  importantTopics: list(text())
+});
+
+// Returned by a check when the value cannot be used at all
+const DROP = Symbol('drop');
+
+function describe(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(schema, value, path, report) {
+  let result = value;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    result = String(value);
+    report(path, 'coerced', `expected a string, got ${describe(value)}`);
+  } else if (Array.isArray(value) && value.every(item => typeof item === 'string' || typeof item === 'number')) {
+    result = value.join(' ');
+    report(path, 'coerced', 'expected a string, got an array of strings; joined');
+  } else if (value !== undefined && value !== null && typeof value !== 'string') {
+    report(path, 'invalid', `expected a string, got ${describe(value)}`);
+    result = undefined;
+  }
+
+  result = typeof result === 'string' ? result.trim() : undefined;
+  if (result) return result;
+  if (schema.required) {
+    report(path, 'missing', value === undefined ? 'required field is missing' : 'required field is empty');
+    return DROP;
+  }
+  return schema.fallback;
+}
+
+function checkArray(schema, value, path, report) {
+  let items = value;
+  if (value === undefined || value === null) {
+    items = [];
+  } else if (typeof value === 'string' && schema.items.type === 'string') {
+    items = value.split('\n');
+    report(path, 'coerced', 'expected an array, got a string; split into lines');
+  } else if (isPlainObject(value) && schema.items.type === 'object') {
+    items = [value];
+    report(path, 'coerced', 'expected an array, got a single object');
+  } else if (!Array.isArray(value)) {
+    report(path, 'invalid', `expected an array, got ${describe(value)}`);
+    items = [];
+  }
+
+  const result = [];
+  items.forEach((item, index) => {
+    // Holes in a list carry nothing to repair
+    if (item === null || item === undefined) return;
+    const checked = check(schema.items, item, `${path}[${index}]`, report);
+    // Blank strings in a list are skipped quietly; removed objects are reported
+    if (checked === DROP && schema.items.type === 'object') {
+      report(`${path}[${index}]`, 'dropped', 'item removed');
+    } else if (checked !== DROP && checked !== undefined) {
+      result.push(checked);
+    }
+  });
+  return result;
+}
+
+function checkObject(schema, value, path, report) {
+  if (!isPlainObject(value)) {
+    report(path || '(root)', 'invalid', `expected an object, got ${describe(value)}`);
+    return DROP;
+  }
+
+  const result = {};
+  for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+    const checked = check(fieldSchema, value[field], path ? `${path}.${field}` : field, report);
+    if (checked === DROP) return DROP;
+    if (checked !== undefined) result[field] = checked;
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in schema.fields)) {
+      report(path ? `${path}.${key}` : key, 'unexpected', 'key not in the schema; removed');
+    }
+  }
+  return result;
+}
+
+function check(schema, value, path, report) {
+  if (schema.type === 'string') return checkString(schema, value, path, report);
+  if (schema.type === 'array') return checkArray(schema, value, path, report);
+  return checkObject(schema, value, path, report);
+}
+
+// Check `value` against `schema`. Resolves to `{ value, issues }`, `value`
+// being the repaired data or null when it is unusable; issue paths start
+// with `prefix`.
+function validate(schema, value, prefix = '') {
+  const issues = [];
+  const report = (path, problem, message) => {
+    issues.push({ path: prefix && path ? `${prefix}.${path}` : prefix || path, problem, message });
+  };
+  const checked = check(schema, value, '', report);
+  return { value: checked === DROP ? null : checked, issues };
+}
+
+// The structuring answer, with one repair of its own: an article with a
+// headline but no text is kept as a headline of the page
+function validateStructure(data, prefix = '') {
+  if (!isPlainObject(data) || !Array.isArray(data.articles)) {
+    return validate(STRUCTURE_SCHEMA, data, prefix);
+  }
+
+  const blank = value => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+  const moved = [];
+  // Moved articles leave a hole so the paths of the others stay the model's
+  const articles = data.articles.map((article, index) => {
+    const headlineOnly = isPlainObject(article) && typeof article.headline === 'string' &&
+      !blank(article.headline) && blank(article.content);
+    if (!headlineOnly) return article;
+    moved.push({ index, headline: article.headline.trim() });
+    return null;
+  });
+  const result = validate(STRUCTURE_SCHEMA, { ...data, articles }, prefix);
+  if (result.value) {
+    result.value.headlines.push(...moved.map(({ headline }) => headline));
+  }
+
+  const path = prefix ? `${prefix}.articles` : 'articles';
+  result.issues.unshift(...moved.map(({ index }) => ({
+    path: `${path}[${index}]`,
+    problem: 'dropped',
+    message: 'article has no content; its headline was kept as a page headline'
+  })));
+  return result;
+}
+
+module.exports = {
+  validate,
+  validateStructure,
+  STRUCTURE_SCHEMA,
+  SUMMARY_BATCH_SCHEMA,
+  COMBINED_SUMMARY_SCHEMA
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { deleteTiles } = require('./tiles');
+
+// Files in uploads/ that belong to a document record
+function documentFiles(document) {
+  return [document.filename, document.processedImagePath && path.basename(document.processedImagePath)]
+    .filter(Boolean);
+}
+
+// Remove a deleted document's files from uploads/, with `extraFiles` (the
+// processed images of its other extraction versions) and its thumbnail and
+// tiles. The PDF or TIFF a page was cut from is only removed once no other
+// page refers to it. Failures are logged, not thrown, so a stray file never
+// blocks deleting the record itself.
+function deleteDocumentFiles(document, documentRepository, extraFiles = []) {
+  const files = [...new Set([...documentFiles(document), ...extraFiles])];
+  if (document.sourceFilename && !documentRepository.isSourceInUse(document.sourceFilename)) {
+    files.push(document.sourceFilename);
+  }
+
+  for (const file of files) {
+    try {
+      const filePath = path.join(config.uploadsDir, file);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error('Error deleting file:', file, error);
+    }
+  }
+  deleteTiles(document.id, config.uploadsDir);
+}
+
+module.exports = { documentFiles, deleteDocumentFiles };
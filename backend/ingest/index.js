@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { hasRole } = require('../auth');
+const { findScans } = require('./metadata');
+
+// How often a queued page's job is checked on
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function errorMessage(response) {
+  const { error, details } = response.data;
+  return [error || `HTTP ${response.status}`, details].filter(Boolean).join(': ');
+}
+
+// Client for the API of a running server, signed in with an API token. A bulk
+// ingest goes through /api/upload, so its pages take exactly the path of
+// pages uploaded in the web app: duplicate checks, the job queue and the
+// whole pipeline.
+function createApiClient(server, token) {
+  async function request(method, url, body) {
+    const response = await fetch(new URL(url, server), {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+      body
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, ok: response.ok, data };
+  }
+
+  return {
+    // The signed-in account; throws unless it may upload
+    async checkAccess() {
+      const response = await request('GET', '/api/auth/me');
+      if (!response.ok) throw new Error(`Cannot sign in to ${server}: ${errorMessage(response)}`);
+      if (!hasRole(response.data.user, 'editor')) {
+        throw new Error(`Account "${response.data.user.username}" is a ${response.data.user.role}; uploading needs an editor`);
+      }
+      return response.data.user;
+    },
+
+    async upload(scan, fields) {
+      const form = new FormData();
+      form.append('newspaper', await fs.openAsBlob(scan.path, { type: scan.mimetype }), path.basename(scan.path));
+      for (const [name, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null) form.append(name, String(value));
+      }
+      return request('POST', '/api/upload', form);
+    },
+
+    job(jobId) {
+      return request('GET', `/api/jobs/${jobId}`);
+    }
+  };
+}
+
+// Scans with the same newspaper and edition date become one issue; scans
+// without a date are grouped by directory
+function issueKey(scan) {
+  const { newspaper = '', editionDate } = scan.metadata;
+  return editionDate ? `${newspaper}|${editionDate}` : `${path.dirname(scan.relativePath)}|${newspaper}`;
+}
+
+// Ingest every scan under `directory` through `client`, `concurrency` files
+// at a time, recording progress in `state` (see state.js). Files finished by
+// an earlier run are skipped and files it left queued are waited for again;
+// failed files are only retried with `retryFailed`. `duplicates` is the
+// /api/upload policy for pages already in the archive and `preprocess` holds
+// its preprocessing fields. Stops starting files once `isStopping()` is true.
+// Resolves to the run's report.
+async function runIngest({
+  directory, client, state, concurrency = 2, duplicates = 'skip', preprocess = {}, retryFailed = false,
+  log = console.log, isStopping = () => false
+}) {
+  const startedAt = new Date().toISOString();
+  const scans = findScans(directory);
+  const finishedBefore = new Set(scans
+    .filter(scan => ['done', 'skipped'].includes(state.fileEntry(scan.relativePath)?.status))
+    .map(scan => scan.relativePath));
+  log(`Found ${scans.length} scan(s) in ${directory}, ${finishedBefore.size} already ingested`);
+
+  // Uploads into one issue go one at a time, so the issue is only created
+  // once and its pages are numbered in file order
+  const issueQueues = new Map();
+  function inIssueOrder(key, task) {
+    const run = (issueQueues.get(key) || Promise.resolve()).then(task);
+    issueQueues.set(key, run.catch(() => {}));
+    return run;
+  }
+
+  function upload(scan) {
+    const key = issueKey(scan);
+    return inIssueOrder(key, async () => {
+      const issue = state.issue(key);
+      const send = () => client.upload(scan, {
+        ...preprocess,
+        duplicates,
+        issueId: issue.issueId,
+        newspaperName: issue.issueId ? null : scan.metadata.newspaper,
+        editionDate: issue.issueId ? null : scan.metadata.editionDate,
+        pageNumber: scan.metadata.pageNumber || issue.nextPage
+      });
+
+      let response = await send();
+      if (response.status === 404 && issue.issueId) {
+        // The issue was deleted on the server since; start a new one
+        issue.issueId = null;
+        response = await send();
+      }
+      if (response.status === 409) {
+        return { status: 'skipped', duplicates: response.data.duplicates };
+      }
+      if (!response.ok) throw new Error(errorMessage(response));
+
+      const pageNumbers = response.data.jobs.map(job => job.pageNumber);
+      issue.issueId = response.data.issue.id;
+      issue.nextPage = Math.max(issue.nextPage, ...pageNumbers.map(pageNumber => pageNumber + 1));
+      return {
+        status: 'uploaded',
+        issueId: issue.issueId,
+        pageNumbers,
+        jobIds: response.data.jobs.map(job => job.jobId),
+        ...(response.data.duplicates && { duplicates: response.data.duplicates })
+      };
+    });
+  }
+
+  // Resolves to the documents of the jobs, or null when stopping first
+  async function waitForJobs(jobIds) {
+    const documentIds = [];
+    for (const jobId of jobIds) {
+      for (;;) {
+        const response = await client.job(jobId);
+        if (!response.ok) throw new Error(`Job ${jobId}: ${errorMessage(response)}`);
+        if (response.data.status === 'completed') {
+          documentIds.push(response.data.documentId);
+          break;
+        }
+        if (response.data.status === 'failed') {
+          throw new Error(`Job ${jobId} failed: ${response.data.error || 'unknown error'}`);
+        }
+        if (isStopping()) return null;
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+    return documentIds;
+  }
+
+  async function ingest(scan) {
+    const file = scan.relativePath;
+    const previous = state.fileEntry(file);
+    if (finishedBefore.has(file)) return;
+    if (previous?.status === 'failed' && !retryFailed) {
+      log(`Skipping ${file}: failed before (${previous.error}); pass --retry-failed to try again`);
+      return;
+    }
+
+    let entry = previous?.status === 'uploaded' ? previous : null;
+    try {
+      if (!entry) {
+        entry = await upload(scan);
+        state.setFile(file, entry);
+        if (entry.status === 'skipped') {
+          log(`Skipped ${file}: already in the archive`);
+          return;
+        }
+        log(`Queued ${file} as page ${entry.pageNumbers.join(', ')} of issue ${entry.issueId}`);
+      }
+
+      const documentIds = await waitForJobs(entry.jobIds);
+      if (!documentIds) return;
+      state.setFile(file, { ...entry, status: 'done', documentIds });
+      log(`Ingested ${file}`);
+    } catch (error) {
+      state.setFile(file, { ...entry, status: 'failed', error: error.message });
+      log(`Failed ${file}: ${error.message}`);
+    }
+  }
+
+  let next = 0;
+  async function worker() {
+    while (next < scans.length && !isStopping()) {
+      await ingest(scans[next++]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  const files = scans.map(scan => ({
+    file: scan.relativePath,
+    ...(state.fileEntry(scan.relativePath) || { status: 'pending' }),
+    ...(finishedBefore.has(scan.relativePath) && { previousRun: true })
+  }));
+  const count = predicate => files.filter(predicate).length;
+  return {
+    directory,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    interrupted: isStopping(),
+    totals: {
+      scans: files.length,
+      ingested: count(entry => entry.status === 'done' && !entry.previousRun),
+      skippedAsDuplicates: count(entry => entry.status === 'skipped' && !entry.previousRun),
+      ingestedBefore: count(entry => entry.previousRun),
+      failed: count(entry => entry.status === 'failed'),
+      // Queued on the server when the run stopped, or not started
+      unfinished: count(entry => entry.status === 'uploaded' || entry.status === 'pending')
+    },
+    failures: files.filter(entry => entry.status === 'failed').map(({ file, error }) => ({ file, error })),
+    files
+  };
+}
+
+module.exports = { runIngest, createApiClient, issueKey };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDate } = require('../dates/bengaliDate');
+
+// Scans a bulk ingest picks up, with the MIME type /api/upload expects
+const SCAN_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.pdf': 'application/pdf'
+};
+
+// Metadata for every scan in a directory and below it
+const DIRECTORY_SIDECAR = 'metadata.json';
+// One row per scan of the directory, with a `file` column
+const CSV_SIDECAR = 'metadata.csv';
+
+// Names the metadata fields go by in sidecars
+const FIELD_NAMES = {
+  newspaper: ['newspaper', 'newspaperName', 'newspaper_name', 'paper'],
+  editionDate: ['editionDate', 'edition_date', 'date'],
+  pageNumber: ['pageNumber', 'page_number', 'page']
+};
+
+// Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line
+// breaks) into rows of fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// The known fields of a sidecar entry, checked: `editionDate` as YYYY-MM-DD
+// (any date the page date parser reads, Bengali ones included) and
+// `pageNumber` as a positive whole number. Throws naming `source` when a
+// value is unusable.
+function normalizeMetadata(entry, source) {
+  const metadata = {};
+  for (const [field, names] of Object.entries(FIELD_NAMES)) {
+    const name = names.find(candidate => entry[candidate] !== undefined && String(entry[candidate]).trim() !== '');
+    if (name) metadata[field] = String(entry[name]).trim();
+  }
+
+  if (metadata.editionDate) {
+    const parsed = parseDate(metadata.editionDate);
+    if (!parsed) throw new Error(`${source}: cannot read the date "${metadata.editionDate}"`);
+    metadata.editionDate = parsed.date;
+  }
+  if (metadata.pageNumber) {
+    const pageNumber = Number(metadata.pageNumber);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      throw new Error(`${source}: page number "${metadata.pageNumber}" is not a positive whole number`);
+    }
+    metadata.pageNumber = pageNumber;
+  }
+  return metadata;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+// Rows of a directory's metadata.csv by file name
+function readCsvSidecar(file) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+  const columns = (header || []).map(name => name.trim());
+  const fileColumn = columns.findIndex(name => ['file', 'filename'].includes(name.toLowerCase()));
+  if (fileColumn === -1) {
+    throw new Error(`${file}: needs a "file" column naming the scan of each row`);
+  }
+
+  const byFile = new Map();
+  rows.forEach((fields, index) => {
+    const source = `${file} row ${index + 2}`;
+    const scan = (fields[fileColumn] || '').trim();
+    if (!scan) throw new Error(`${source}: names no file`);
+    const entry = Object.fromEntries(columns.map((name, i) => [name, fields[i]]));
+    byFile.set(path.normalize(scan), normalizeMetadata(entry, source));
+  });
+  return byFile;
+}
+
+// The JSON sidecar of one scan: `page.jpg.json` or `page.json`
+function scanSidecar(scanPath) {
+  const candidates = [`${scanPath}.json`, scanPath.replace(/\.[^.]+$/, '.json')];
+  const sidecar = candidates.find(candidate => fs.existsSync(candidate));
+  return sidecar ? normalizeMetadata(readJson(sidecar), sidecar) : {};
+}
+
+// Every scan under `root`, in name order (numbers compared as numbers, so
+// page10 follows page9), with its metadata: a directory's metadata.json
+// applies to everything below it, a metadata.csv row to its file, and a
+// scan's own JSON sidecar wins over both. Hidden files and directories are
+// left out. Entries are `{ path, relativePath, mimetype, metadata }`.
+function findScans(root) {
+  const collator = new Intl.Collator(undefined, { numeric: true });
+  const scans = [];
+
+  function visit(directory, inherited) {
+    const directorySidecar = path.join(directory, DIRECTORY_SIDECAR);
+    const defaults = fs.existsSync(directorySidecar)
+      ? { ...inherited, ...normalizeMetadata(readJson(directorySidecar), directorySidecar) }
+      : inherited;
+    const csvSidecar = path.join(directory, CSV_SIDECAR);
+    const rows = fs.existsSync(csvSidecar) ? readCsvSidecar(csvSidecar) : new Map();
+
+    const entries = fs.readdirSync(directory, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => collator.compare(a.name, b.name));
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        visit(entryPath, defaults);
+        continue;
+      }
+      const mimetype = SCAN_TYPES[path.extname(entry.name).toLowerCase()];
+      if (!entry.isFile() || !mimetype) continue;
+      scans.push({
+        path: entryPath,
+        relativePath: path.relative(root, entryPath),
+        mimetype,
+        metadata: { ...defaults, ...rows.get(entry.name), ...scanSidecar(entryPath) }
+      });
+    }
+  }
+
+  visit(root, {});
+  return scans;
+}
+
+module.exports = { findScans, parseCsv, normalizeMetadata, SCAN_TYPES };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findScans, parseCsv, normalizeMetadata } = require('./metadata');
+
+// A directory tree from { 'relative/path': contents }, removed after `run`
+function withTree(files, run) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+      fs.writeFileSync(path.join(root, name), content);
+    }
+    return run(root);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('CSV fields may be quoted and hold commas, quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('file,newspaper\r\n"a.jpg","Star, The"\n"b.jpg","say ""hi""\nthere"\n\n'), [
+    ['file', 'newspaper'],
+    ['a.jpg', 'Star, The'],
+    ['b.jpg', 'say "hi"\nthere']
+  ]);
+  assert.deepEqual(parseCsv('a,b'), [['a', 'b']]);
+});
+
+test('metadata fields are found by any of their names and checked', () => {
+  assert.deepEqual(normalizeMetadata({ paper: ' Prothom Alo ', date: '৫ জানুয়ারি ২০২৪', page: '3' }, 'x'), {
+    newspaper: 'Prothom Alo',
+    editionDate: '2024-01-05',
+    pageNumber: 3
+  });
+  assert.throws(() => normalizeMetadata({ date: 'soon' }, 'x.json'), /x\.json: cannot read the date "soon"/);
+  assert.throws(() => normalizeMetadata({ page: '0' }, 'x.json'), /x\.json: page number "0"/);
+});
+
+test('scans take metadata from the directory, its CSV and their own sidecar', () => {
+  withTree({
+    'metadata.json': JSON.stringify({ newspaper: 'Ittefaq' }),
+    'day/metadata.csv': 'file,date,page\npage2.jpg,05/01/2024,2\npage10.jpg,05/01/2024,10\n',
+    'day/page2.jpg': '',
+    'day/page10.jpg': '',
+    'day/page10.json': JSON.stringify({ newspaper: 'Sangbad' }),
+    'day/notes.txt': '',
+    '.hidden/page1.jpg': ''
+  }, root => {
+    assert.deepEqual(findScans(root).map(({ relativePath, mimetype, metadata }) => ({ relativePath, mimetype, metadata })), [
+      {
+        relativePath: path.join('day', 'page2.jpg'),
+        mimetype: 'image/jpeg',
+        metadata: { newspaper: 'Ittefaq', editionDate: '2024-01-05', pageNumber: 2 }
+      },
+      {
+        relativePath: path.join('day', 'page10.jpg'),
+        mimetype: 'image/jpeg',
+        metadata: { newspaper: 'Sangbad', editionDate: '2024-01-05', pageNumber: 10 }
+      }
+    ]);
+  });
+});
+
+test('a CSV row without a file name is reported by file and row', () => {
+  withTree({ 'metadata.csv': 'page,file\n1,a.jpg\n2\n', 'a.jpg': '' }, root => {
+    assert.throws(() => findScans(root), /metadata\.csv row 3: names no file/);
+  });
+});
@@ -0,0 +1,42 @@
+const fs = require('fs');
+
+// Progress of a bulk ingest, kept in a JSON file so an interrupted run picks
+// up where it stopped:
+// - `files[relativePath]` holds `{ status, jobIds, documentIds, issueId,
+//   pageNumbers, error, duplicates }`. `status` is 'uploaded' (jobs queued on
+//   the server, not yet finished), 'done', 'skipped' (every page already in
+//   the archive) or 'failed'.
+// - `issues[key]` holds `{ issueId, nextPage }` for each group of scans
+//   ingested as one issue, so later files join the same issue.
+function openIngestState(file) {
+  const state = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { files: {}, issues: {} };
+
+  // Written to a temporary file first so a crash never leaves half a state
+  function save() {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+    fs.renameSync(temporary, file);
+  }
+
+  return {
+    fileEntry(relativePath) {
+      return state.files[relativePath] || null;
+    },
+
+    setFile(relativePath, entry) {
+      state.files[relativePath] = { ...entry, updatedAt: new Date().toISOString() };
+      save();
+    },
+
+    issue(key) {
+      if (!state.issues[key]) state.issues[key] = { issueId: null, nextPage: 1 };
+      return state.issues[key];
+    },
+
+    save
+  };
+}
+
+module.exports = { openIngestState };
@@ -0,0 +1,96 @@
+// Detect articles that continue on a later page of the same issue, e.g.
+// "বাকি অংশ ৫ পাতায়" at the end of a front-page story, and the matching
+// "প্রথম পাতার পর" / "১ পাতার পর" at the top of its continuation.
+
+const { composeNukta } = require('../search/bengali');
+
+const BENGALI_DIGITS = '০১২৩৪৫৬৭৮৯';
+const ORDINALS = {
+  'প্রথম': 1, 'দ্বিতীয়': 2, 'তৃতীয়': 3, 'চতুর্থ': 4, 'পঞ্চম': 5,
+  'ষষ্ঠ': 6, 'সপ্তম': 7, 'অষ্টম': 8, 'নবম': 9, 'দশম': 10
+};
+
+function parsePageNumber(value) {
+  if (ORDINALS[value]) return ORDINALS[value];
+  const ascii = value.replace(/[০-৯]/g, d => BENGALI_DIGITS.indexOf(d));
+  const page = parseInt(ascii, 10);
+  return Number.isNaN(page) ? null : page;
+}
+
+const PAGE_WORD = '(?:পাতা|পৃষ্ঠা)';
+const NUMBER = '([০-৯0-9]+|প্রথম|দ্বিতীয়|তৃতীয়|চতুর্থ|পঞ্চম|ষষ্ঠ|সপ্তম|অষ্টম|নবম|দশম)';
+
+// "বাকি অংশ ৫ পাতায়", "শেষাংশ ৫-এর পাতায়", "বাকি অংশ পৃষ্ঠা ৫"
+const CONTINUES_ON = [
+  new RegExp(`(?:বাকি\\s*অংশ|শেষাংশ|বাকি)\\s*${NUMBER}\\s*(?:-?\\s*এর)?\\s*${PAGE_WORD}`),
+  new RegExp(`(?:বাকি\\s*অংশ|শেষাংশ|বাকি)\\s*${PAGE_WORD}\\s*${NUMBER}`),
+  new RegExp(`\\(\\s*${NUMBER}\\s*${PAGE_WORD}\\u09DF?\\s*\\)`)
+];
+
+// "প্রথম পাতার পর", "১ পাতার পর"
+const CONTINUED_FROM = new RegExp(`${NUMBER}\\s*${PAGE_WORD}র\\s*পর`);
+
+function matchPage(patterns, text) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return parsePageNumber(match[1]);
+  }
+  return null;
+}
+
+function words(text) {
+  return new Set(composeNukta(text || '').split(/[\s,।:;!?'"()-]+/).filter(w => w.length > 1));
+}
+
+// Pick the article on the target page that continues `source`: one that says
+// it comes from the source page, otherwise the one whose headline shares the
+// most words with the source headline.
+function findContinuation(source, sourcePage, targetArticles) {
+  const marked = targetArticles.findIndex(article => {
+    const opening = composeNukta(`${article.headline || ''} ${(article.content || '').slice(0, 120)}`);
+    const match = opening.match(CONTINUED_FROM);
+    return match && parsePageNumber(match[1]) === sourcePage;
+  });
+  if (marked !== -1) return marked;
+
+  const sourceWords = words(source.headline);
+  let best = null;
+  let bestOverlap = 0;
+  targetArticles.forEach((article, i) => {
+    const overlap = [...words(article.headline)].filter(w => sourceWords.has(w)).length;
+    if (overlap > bestOverlap) {
+      best = i;
+      bestOverlap = overlap;
+    }
+  });
+  return best;
+}
+
+// Given the pages of an issue (documents with pageNumber and extractedData),
+// return the continuation links between their articles
+function detectContinuations(pages) {
+  const byPageNumber = new Map(pages.map(page => [page.pageNumber, page]));
+  const links = [];
+
+  for (const page of pages) {
+    (page.extractedData?.articles || []).forEach((article, index) => {
+      const tail = composeNukta(`${article.content || ''}`).slice(-200);
+      const targetPageNumber = matchPage(CONTINUES_ON, tail);
+      if (!targetPageNumber || targetPageNumber === page.pageNumber) return;
+
+      const target = byPageNumber.get(targetPageNumber);
+      if (!target) return;
+
+      links.push({
+        fromDocumentId: page.id,
+        fromArticle: index,
+        toDocumentId: target.id,
+        toArticle: findContinuation(article, page.pageNumber, target.extractedData?.articles || [])
+      });
+    });
+  }
+
+  return links;
+}
+
+module.exports = { detectContinuations };
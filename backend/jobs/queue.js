@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-process job queue backed by the `jobs` table.
+//
+// Jobs run through the handler registered for their type with at most
+// `concurrency` running at once. A failing job is retried with a growing
+// delay until it has used `maxAttempts`. Every state change is saved and
+// emitted as an 'update' event so routes can stream it to clients.
+function createJobQueue({ jobRepository, handlers, concurrency = 2, maxAttempts = 3, retryDelayMs = 5000 }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const pending = [];
+  let running = 0;
+
+  function save(id, changes) {
+    const job = jobRepository.update(id, changes);
+    events.emit('update', job);
+    return job;
+  }
+
+  function schedule(id) {
+    pending.push(id);
+    drain();
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  async function run(id) {
+    let job = jobRepository.findById(id);
+    if (!job) return;
+
+    const handler = handlers[job.type];
+    running++;
+    job = save(id, {
+      status: 'running',
+      stage: 'starting',
+      progress: 0,
+      attempts: job.attempts + 1,
+      error: null
+    });
+
+    const reportStage = (stage, progress) => save(id, { stage, progress });
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      const result = await handler(job.payload, { reportStage, job });
+      save(id, {
+        status: 'completed',
+        stage: 'completed',
+        progress: 100,
+        documentId: result?.documentId ?? null
+      });
+    } catch (error) {
+      console.error(`Job ${id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+      if (job.attempts < job.maxAttempts) {
+        save(id, { status: 'retrying', error: error.message });
+        setTimeout(() => schedule(id), retryDelayMs * job.attempts);
+      } else {
+        save(id, { status: 'failed', error: error.message });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  return {
+    events,
+
+    enqueue(type, payload) {
+      const job = jobRepository.create({
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        stage: 'queued',
+        maxAttempts,
+        payload
+      });
+      schedule(job.id);
+      return job;
+    },
+
+    // Pick up jobs that were still queued or running when the server stopped
+    resume() {
+      const jobs = jobRepository.listUnfinished();
+      jobs.forEach(job => {
+        jobRepository.update(job.id, { status: 'queued', stage: 'queued', progress: 0 });
+        schedule(job.id);
+      });
+      return jobs.length;
+    }
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,57 @@
+// Article, headline and column regions on a page image.
+//
+// Providers answer with boxes ([ymin, xmin, ymax, xmax]) or polygons
+// ([[x, y], ...]) on a 0-1000 grid. They are stored as polygons with
+// coordinates between 0 and 1, so they line up with the page image at any
+// display size and can be drawn straight into an SVG overlay.
+
+const EMPTY_LAYOUT = { articles: [], headlines: [], columns: [] };
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, Math.round((value / 1000) * 10000) / 10000));
+}
+
+function toPolygon(region) {
+  if (Array.isArray(region?.polygon) && region.polygon.length >= 3) {
+    const points = region.polygon.filter(point => Array.isArray(point) && point.length === 2);
+    return points.length >= 3 ? points.map(([x, y]) => [clamp(x), clamp(y)]) : null;
+  }
+  if (Array.isArray(region?.box) && region.box.length === 4 && region.box.every(Number.isFinite)) {
+    const [ymin, xmin, ymax, xmax] = region.box;
+    if (ymax <= ymin || xmax <= xmin) return null;
+    return [[xmin, ymin], [xmax, ymin], [xmax, ymax], [xmin, ymax]].map(([x, y]) => [clamp(x), clamp(y)]);
+  }
+  return null;
+}
+
+// Turn a provider's region response into the stored layout, dropping
+// regions that are malformed or point at articles/headlines that don't exist
+function normalizeLayout(regions, { articleCount, headlineCount }) {
+  if (!regions) return EMPTY_LAYOUT;
+
+  const indexed = (items, count, key) => (Array.isArray(items) ? items : [])
+    .filter(item => Number.isInteger(item?.index) && item.index >= 0 && item.index < count)
+    .map(item => ({ [key]: item.index, polygon: toPolygon(item) }))
+    .filter(item => item.polygon);
+
+  return {
+    articles: indexed(regions.articles, articleCount, 'article'),
+    headlines: indexed(regions.headlines, headlineCount, 'headline'),
+    columns: (Array.isArray(regions.columns) ? regions.columns : [])
+      .map(column => ({ polygon: toPolygon(column) }))
+      .filter(column => column.polygon)
+  };
+}
+
+// The layout with every polygon point passed through `mapPoint`, e.g. from
+// the processed page the regions were found on to the original image
+function mapLayout(layout, mapPoint) {
+  const mapRegions = regions => regions.map(region => ({ ...region, polygon: region.polygon.map(mapPoint) }));
+  return {
+    articles: mapRegions(layout.articles),
+    headlines: mapRegions(layout.headlines),
+    columns: mapRegions(layout.columns)
+  };
+}
+
+module.exports = { normalizeLayout, mapLayout, EMPTY_LAYOUT };
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('./config');
+const { getProvider } = require('./providers');
+const { resolveDocumentDate } = require('./dates/resolve');
+const {
+  structureInChunks, summarizeInBatches, extractEntitiesInBatches, extractAndCleanJSON
+} = require('./extraction');
+const { needsRasterizing, rasterizePage } = require('./rasterize');
+const { preprocessImage } = require('./preprocess');
+const { parsePreprocessOptions } = require('./preprocess/profiles');
+const {
+  fileHash, pageContentHash, perceptualHash, textSignature, pageText
+} = require('./duplicates/fingerprints');
+const { normalizeLayout, mapLayout, EMPTY_LAYOUT } = require('./layout');
+
+// Run the whole extraction pipeline for one stored scan and build the document
+// record. `reportStage` is called as each step starts so the job queue can
+// stream progress to the client; article categories are filed under the
+// sections of `taxonomy`. Reprocessing passes its own `processedSuffix` so
+// the processed image of every extraction version is kept.
+async function processUpload(file, { reportStage = () => {}, taxonomy, processedSuffix }) {
+  console.log('Processing file:', file.originalName, file.sourcePage ? `(page ${file.sourcePage})` : '');
+  
+  // PDFs and TIFFs are split into one PNG per page first
+  let pageImage = file;
+  if (needsRasterizing(file.mimetype)) {
+    reportStage('rasterizing', 5);
+    pageImage = await rasterizePage(file.path, file.mimetype, file.sourcePage || 1);
+  }
+  
+  reportStage('preprocessing', 10);
+  const imagePath = pageImage.path;
+  // Hashed at upload for images; pages of a PDF only exist from here on
+  const hashes = {
+    contentHash: file.contentHash || pageContentHash(await fileHash(file.path), file.sourcePage),
+    perceptualHash: file.perceptualHash || await perceptualHash(imagePath)
+  };
+  // Uploads carry their profile and options; older queued jobs get the default
+  const preprocessing = file.preprocess || parsePreprocessOptions().options;
+  const { path: processedImagePath, applied, toOriginal } = await preprocessImage(imagePath, preprocessing, {
+    suffix: processedSuffix
+  });
+  
+  const ocrProvider = getProvider('ocr');
+  const llmProvider = getProvider('llm');
+  
+  reportStage('extracting', 25);
+  console.log(`Step 1: Extracting all text with ${ocrProvider.name}...`);
+  const allText = await ocrProvider.extractText({ path: processedImagePath, mimeType: 'image/jpeg' });
+  console.log('Extracted text length:', allText.length);
+  
+  reportStage('structuring', 55);
+  console.log('Step 2: Structuring text...');
+  let processedData = {
+    date: "অজানা",
+    headlines: [],
+    subHeadlines: [],
+    articles: [],
+    allText: allText,
+    language: "bengali",
+    extractionMethod: "fallback"
+  };
+
+  try {
+    // Long pages are structured in chunks so no part of the text is cut off
+    const parsedData = await structureInChunks(allText, llmProvider, {
+      chunkSize: config.extraction.chunkSize,
+      categories: taxonomy.sections().map(section => section.bn),
+      onProgress: (done, total) => reportStage('structuring', 55 + Math.round(15 * done / total))
+    });
+    if (parsedData) {
+      processedData = { ...processedData, ...parsedData, allText: allText }; // Ensure allText is preserved
+      processedData.extractionMethod = "ai_structured";
+      console.log('Successfully parsed structured data');
+    } else {
+      throw new Error('Failed to parse structured data from AI response');
+    }
+  } catch (structureError) {
+    console.error('Structure parsing error:', structureError.message);
+    
+    // Fallback: Extract headlines using regex from the initial extraction
+    const headlineMatches = allText.match(/LARGE_TEXT:\s*([^\n]+)/g) || [];
+    const extractedHeadlines = headlineMatches
+      .map(match => match.replace('LARGE_TEXT:', '').trim())
+      .filter(h => h.length > 0);
+    
+    if (extractedHeadlines.length > 0) {
+      processedData.headlines = extractedHeadlines;
+      processedData.extractionMethod = "regex_fallback";
+    }
+  }
+
+  processedData.articles = (processedData.articles || []).map(taxonomy.classifyArticle);
+
+  const dateInfo = await resolveDocumentDate({
+    extractedData: processedData,
+    originalName: file.originalName,
+    // EXIF only survives in uploaded images, not in pages rasterized from a PDF/TIFF
+    imagePath: pageImage === file ? imagePath : null
+  }, { calendar: config.dates.bangabdaCalendar });
+  console.log(`Edition date: ${dateInfo.date || 'unknown'} (${dateInfo.source || 'no source'}, confidence ${dateInfo.confidence})`);
+
+  reportStage('locating', 70);
+  console.log('Step 3: Locating article regions...');
+  let layout = EMPTY_LAYOUT;
+
+  try {
+    const regionResponse = await getProvider('layout').detectRegions(
+      { path: processedImagePath, mimeType: 'image/jpeg' },
+      processedData
+    );
+    // Regions are found on the processed page, which may be turned or
+    // cropped; they are stored on the original image, which is what the
+    // viewer, tiles, clips and exports use
+    layout = mapLayout(normalizeLayout(extractAndCleanJSON(regionResponse), {
+      articleCount: processedData.articles?.length || 0,
+      headlineCount: processedData.headlines?.length || 0
+    }), toOriginal);
+    console.log(`Found ${layout.articles.length} article region(s)`);
+  } catch (layoutError) {
+    // Regions are optional: the page is still usable without overlays
+    console.error('Region detection error:', layoutError.message);
+  }
+
+  reportStage('summarizing', 80);
+  console.log('Step 4: Generating summaries...');
+  // Every article is summarized before the overall summary is written
+  const summaryData = await summarizeInBatches(processedData, llmProvider, {
+    batchSize: config.extraction.summaryBatchSize,
+    onProgress: (done, total) => reportStage('summarizing', 80 + Math.round(8 * done / total))
+  });
+  console.log(`Generated summaries for ${summaryData.articleSummaries.length} article(s)`);
+  const filed = taxonomy.reconcileSummaries(processedData.articles, summaryData.articleSummaries);
+  processedData.articles = filed.articles;
+  summaryData.articleSummaries = filed.articleSummaries;
+
+  reportStage('entities', 88);
+  console.log('Step 5: Extracting named entities...');
+  const { entities, warnings: entityWarnings } = await extractEntitiesInBatches(processedData, llmProvider, {
+    batchSize: config.extraction.entityBatchSize,
+    onProgress: (done, total) => reportStage('entities', 88 + Math.round(6 * done / total))
+  });
+  processedData.articles = (processedData.articles || []).map((article, index) =>
+    (entities[index] ? { ...article, entities: entities[index] } : article));
+  if (entityWarnings) {
+    processedData.warnings = [...(processedData.warnings || []), ...entityWarnings];
+  }
+
+  // Create the final document record. Jobs run side by side, so the id must
+  // not depend on when one finishes.
+  const document = {
+    id: crypto.randomUUID(),
+    filename: pageImage.filename,
+    originalName: file.originalName,
+    imagePath: `/uploads/${pageImage.filename}`,
+    processedImagePath: `/uploads/${path.basename(processedImagePath)}`,
+    uploadDate: new Date().toISOString(),
+    extractedData: processedData,
+    summaryData: summaryData,
+    layout: layout,
+    rawExtractedText: allText,
+    status: 'processed',
+    language: 'bengali',
+    issueId: file.issueId,
+    pageNumber: file.pageNumber,
+    sourceFilename: pageImage === file ? null : file.filename,
+    sourcePage: pageImage === file ? null : file.sourcePage || 1,
+    parsedDate: dateInfo.date,
+    dateOriginal: dateInfo.original,
+    dateConfidence: dateInfo.confidence,
+    dateSource: dateInfo.source || 'unresolved',
+    preprocessing: { ...preprocessing, applied },
+    uploadedBy: file.uploadedBy || null,
+    ...hashes,
+    textSignature: textSignature(pageText(processedData))
+  };
+
+  return document;
+}
+
+module.exports = {
+  processUpload,
+  extractAndCleanJSON
+};
@@ -0,0 +1,275 @@
+const sharp = require('sharp');
+
+// Analysis (borders, skew) runs on a small greyscale copy of the page
+const ANALYSIS_WIDTH = 1000;
+// Rows and columns darker than this at the page edge are scanner or film border
+const BORDER_DARKNESS = 70;
+// Never crop more than this share of the page from one side
+const MAX_BORDER_SHARE = 0.25;
+const MAX_SKEW_DEGREES = 5;
+const SKEW_STEP_DEGREES = 0.25;
+// Adaptive binarization: a pixel is ink when it is this much darker than the
+// mean of its neighbourhood, whose size is a share of the page width
+const BINARIZE_OFFSET = 0.15;
+const BINARIZE_WINDOW_SHARE = 1 / 40;
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+// The processed page is only read by OCR and layout detection; above this
+// quality the file grows a lot without sharper text
+const PROCESSED_QUALITY = 95;
+
+// Decode a sharp pipeline to raw pixels so later steps see its result
+async function materialize(image) {
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  return { data, info };
+}
+
+function fromRaw({ data, info }) {
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+}
+
+async function analysisCopy(raw) {
+  const scale = Math.min(1, ANALYSIS_WIDTH / raw.info.width);
+  const { data, info } = await fromRaw(raw)
+    .greyscale()
+    .resize(Math.round(raw.info.width * scale))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels, scale };
+}
+
+// Bounding box of the page inside dark borders, in pixels of `raw`, or null
+// when there is no border worth cropping
+async function detectBorders(raw) {
+  const grey = await analysisCopy(raw);
+  const { data, width, height, channels } = grey;
+
+  const rowMeans = new Array(height).fill(0);
+  const columnMeans = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = data[(y * width + x) * channels];
+      rowMeans[y] += value / width;
+      columnMeans[x] += value / height;
+    }
+  }
+
+  // Count dark lines from one edge inwards, up to the crop limit
+  const darkEdge = (means, fromEnd) => {
+    const limit = Math.floor(means.length * MAX_BORDER_SHARE);
+    let count = 0;
+    while (count < limit && means[fromEnd ? means.length - 1 - count : count] < BORDER_DARKNESS) count++;
+    return count;
+  };
+
+  const top = darkEdge(rowMeans, false);
+  const bottom = darkEdge(rowMeans, true);
+  const left = darkEdge(columnMeans, false);
+  const right = darkEdge(columnMeans, true);
+  if (top + bottom + left + right === 0) return null;
+
+  const toFull = value => Math.round(value / grey.scale);
+  const box = {
+    left: toFull(left),
+    top: toFull(top),
+    width: toFull(width - left - right),
+    height: toFull(height - top - bottom)
+  };
+  box.width = Math.min(box.width, raw.info.width - box.left);
+  box.height = Math.min(box.height, raw.info.height - box.top);
+  return box;
+}
+
+// Otsu's threshold of a greyscale histogram
+function otsuThreshold(data, channels) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i += channels) histogram[data[i]]++;
+  const total = data.length / channels;
+
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+  let backgroundSum = 0;
+  let backgroundWeight = 0;
+  let best = { threshold: 128, variance: -1 };
+  for (let i = 0; i < 256; i++) {
+    backgroundWeight += histogram[i];
+    if (backgroundWeight === 0) continue;
+    const foregroundWeight = total - backgroundWeight;
+    if (foregroundWeight === 0) break;
+    backgroundSum += i * histogram[i];
+    const backgroundMean = backgroundSum / backgroundWeight;
+    const foregroundMean = (sum - backgroundSum) / foregroundWeight;
+    const variance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+    if (variance > best.variance) best = { threshold: i, variance };
+  }
+  return best.threshold;
+}
+
+// Angle in degrees by which the text lines slope down to the right. Ink
+// pixels are projected onto rows at each candidate angle; text lines line up
+// with the rows, and the projection is sharpest, at the true angle.
+async function detectSkew(raw) {
+  const { data, width, height, channels } = await analysisCopy(raw);
+  const threshold = otsuThreshold(data, channels);
+
+  const ink = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * channels] < threshold) ink.push(x, y);
+    }
+  }
+  if (ink.length === 0) return 0;
+
+  const margin = Math.ceil(width * Math.tan(MAX_SKEW_DEGREES * Math.PI / 180));
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const slope = Math.tan(angle * Math.PI / 180);
+    const rows = new Float64Array(height + 2 * margin);
+    for (let i = 0; i < ink.length; i += 2) {
+      rows[Math.round(ink[i + 1] - ink[i] * slope) + margin]++;
+    }
+    let score = 0;
+    for (let i = 1; i < rows.length; i++) score += (rows[i] - rows[i - 1]) ** 2;
+    if (score > best.score) best = { angle, score };
+  }
+  return best.angle;
+}
+
+// Black text on white from the local mean of each pixel's neighbourhood, which
+// copes with uneven lighting and stains where a single threshold does not
+async function binarize(raw) {
+  const grey = await materialize(fromRaw(raw).greyscale());
+  const sigma = Math.max(1, grey.info.width * BINARIZE_WINDOW_SHARE / 3);
+  const mean = await materialize(fromRaw(grey).blur(sigma));
+
+  const output = Buffer.alloc(grey.info.width * grey.info.height);
+  for (let i = 0; i < output.length; i++) {
+    const value = grey.data[i * grey.info.channels];
+    output[i] = value < mean.data[i * mean.info.channels] * (1 - BINARIZE_OFFSET) ? 0 : 255;
+  }
+  return { data: output, info: { width: grey.info.width, height: grey.info.height, channels: 1 } };
+}
+
+// Size of an image as browsers show it: EXIF orientations 5 to 8 turn it on
+// its side
+function uprightSize({ width, height, orientation = 1 }) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+// Undo a turn by `degrees` clockwise: sharp turns the image about its centre
+// onto a canvas of size `to` just large enough to hold it
+function unrotate([x, y], { degrees, from, to }) {
+  const angle = (degrees * Math.PI) / 180;
+  const dx = x - to.width / 2;
+  const dy = y - to.height / 2;
+  return [
+    from.width / 2 + dx * Math.cos(angle) + dy * Math.sin(angle),
+    from.height / 2 - dx * Math.sin(angle) + dy * Math.cos(angle)
+  ];
+}
+
+// Map a point in 0-1 coordinates of the processed page back to 0-1
+// coordinates of the original image turned upright, by undoing the turns
+// and crops in `steps` (last first). Resizing keeps the proportions, so it
+// needs no undoing.
+function pointMapper(steps, original, processed) {
+  const round = value => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+  return ([u, v]) => {
+    let point = [u * processed.width, v * processed.height];
+    for (const step of [...steps].reverse()) {
+      point = step.crop
+        ? [point[0] + step.crop.left, point[1] + step.crop.top]
+        : unrotate(point, step);
+    }
+    return [round(point[0] / original.width), round(point[1] / original.height)];
+  };
+}
+
+// Run the steps of `options` (see profiles.js) on an image and return the
+// processed pixels with what was detected: { raw, applied, toOriginal },
+// where `applied` holds the rotation, crop box and deskew angle actually used
+// and `toOriginal` maps 0-1 coordinates of the processed page back to the
+// original image as browsers show it, for regions found on the processed page
+async function processImage(input, options) {
+  const applied = {};
+  const metadata = await sharp(input).metadata();
+  const original = uprightSize(metadata);
+  // Geometry steps need the pixels of the step before; without them the
+  // image is read straight from `input`. Images with an EXIF orientation are
+  // turned upright first, so the processed page has the same frame as the
+  // image shown in the browser.
+  let raw = (metadata.orientation || 1) > 1 ? await materialize(sharp(input).rotate()) : null;
+  const current = () => (raw ? fromRaw(raw) : sharp(input));
+  const sizeOf = () => (raw ? { width: raw.info.width, height: raw.info.height } : original);
+  // Turns and crops, to map regions back with
+  const steps = [];
+
+  const turn = async (degrees) => {
+    const from = sizeOf();
+    raw = await materialize(current().rotate(degrees, { background: WHITE }));
+    steps.push({ degrees, from, to: sizeOf() });
+  };
+
+  if (options.rotate) {
+    await turn(options.rotate);
+    applied.rotate = options.rotate;
+  }
+
+  if ((options.crop || options.deskew) && !raw) raw = await materialize(current());
+
+  if (options.crop) {
+    const box = await detectBorders(raw);
+    if (box) {
+      raw = await materialize(fromRaw(raw).extract(box));
+      steps.push({ crop: box });
+      applied.crop = box;
+    }
+  }
+
+  if (options.deskew) {
+    const angle = await detectSkew(raw);
+    if (angle !== 0) await turn(-angle);
+    applied.deskew = -angle;
+  }
+
+  const toOriginal = pointMapper(steps, original, sizeOf());
+
+  let image = current();
+  if (options.resize) image = image.resize(options.resize, null, { withoutEnlargement: true });
+  if (options.greyscale) image = image.greyscale();
+  if (options.normalize) image = image.normalize();
+  if (options.clahe) image = image.clahe({ width: options.clahe, height: options.clahe });
+  if (options.contrast && options.contrast !== 1) {
+    image = image.linear(options.contrast, 128 * (1 - options.contrast));
+  }
+  if (options.sharpen) image = image.sharpen({ sigma: options.sharpen });
+  if (options.brightness && options.brightness !== 1) image = image.modulate({ brightness: options.brightness });
+  if (options.gamma) image = image.gamma(options.gamma);
+  if (options.denoise) image = image.median(options.denoise);
+  raw = await materialize(image);
+
+  if (options.binarize) raw = await binarize(raw);
+
+  return { raw, applied, toOriginal };
+}
+
+// Enhanced image preprocessing for Bengali text: writes the processed page
+// next to the original as `<name><suffix>.jpg` and returns its path with
+// the steps applied and `toOriginal` (see processImage)
+async function preprocessImage(imagePath, options, { suffix = '_processed' } = {}) {
+  const outputPath = imagePath.replace(/\.[^.]+$/, `${suffix}.jpg`);
+  const { raw, applied, toOriginal } = await processImage(imagePath, options);
+  await fromRaw(raw).jpeg({ quality: PROCESSED_QUALITY }).toFile(outputPath);
+  return { path: outputPath, applied, toOriginal };
+}
+
+// Processed image as a JPEG buffer of at most `width` pixels, for previews
+async function previewImage(input, options, { width }) {
+  const { raw, applied } = await processImage(input, options);
+  const buffer = await fromRaw(raw)
+    .resize(width, null, { withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+  return { buffer, applied };
+}
+
+module.exports = { preprocessImage, previewImage, detectSkew, detectBorders, uprightSize };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { preprocessImage } = require('.');
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Centre of the red pixels of an image, in 0-1 coordinates
+async function redCentre(input) {
+  const { data, info } = await sharp(input).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  let x = 0;
+  let y = 0;
+  let count = 0;
+  for (let i = 0; i < info.width * info.height; i++) {
+    const [r, g, b] = [data[i * 3], data[i * 3 + 1], data[i * 3 + 2]];
+    if (r > 180 && g < 90 && b < 90) {
+      x += i % info.width;
+      y += Math.floor(i / info.width);
+      count++;
+    }
+  }
+  return [(x / count + 0.5) / info.width, (y / count + 0.5) / info.height];
+}
+
+// A page with lines of "text", a red mark, a slight tilt and a dark border
+async function scannedPage(file) {
+  const line = await sharp({ create: { width: 600, height: 6, channels: 3, background: '#000' } }).png().toBuffer();
+  const mark = await sharp({ create: { width: 40, height: 40, channels: 3, background: '#f00' } }).png().toBuffer();
+  const page = await sharp({ create: { width: 800, height: 600, channels: 3, background: WHITE } })
+    .composite([
+      ...Array.from({ length: 12 }, (_, i) => ({ input: line, left: 100, top: 40 + i * 30 })),
+      { input: mark, left: 560, top: 450 }
+    ])
+    .png()
+    .toBuffer();
+  const tilted = await sharp(page).rotate(2, { background: WHITE }).png().toBuffer();
+  await sharp(tilted)
+    .extend({ top: 30, bottom: 30, left: 30, right: 30, background: '#000' })
+    .png()
+    .toFile(file);
+}
+
+test('regions found on the processed page map back onto the original', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocess-'));
+  try {
+    const file = path.join(directory, 'page.png');
+    await scannedPage(file);
+    const { path: processed, applied, toOriginal } =
+      await preprocessImage(file, { rotate: 90, crop: true, deskew: true });
+
+    assert.ok(applied.crop, 'the border is cropped');
+    assert.notEqual(applied.deskew, 0, 'the tilt is straightened');
+    const [x, y] = toOriginal(await redCentre(processed));
+    const [expectedX, expectedY] = await redCentre(file);
+    assert.ok(Math.abs(x - expectedX) < 0.01, `x ${x} is near ${expectedX}`);
+    assert.ok(Math.abs(y - expectedY) < 0.01, `y ${y} is near ${expectedY}`);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,129 @@
+// Named preprocessing profiles for different kinds of scans. Every step is
+// optional:
+//
+// - rotate: degrees clockwise, applied first
+// - crop: cut off dark scanner or microfilm borders
+// - deskew: straighten text lines tilted by up to MAX_SKEW_DEGREES
+// - resize: maximum width in pixels (never enlarges)
+// - greyscale: drop colour, which also removes the yellow cast of old paper
+// - normalize: stretch the histogram to the full range
+// - clahe: local contrast enhancement, tile size in pixels
+// - contrast: linear contrast around mid-grey (1 leaves it unchanged)
+// - brightness, gamma, sharpen (sigma)
+// - denoise: median filter size
+// - binarize: adaptive black/white threshold against the local mean
+//
+// `default` is the pipeline's original fixed processing. It never applied
+// its contrast of 1.3 because sharp's modulate() has no contrast option, so
+// the profile leaves contrast out to keep its output unchanged.
+const PROFILES = {
+  default: {
+    label: 'সাধারণ',
+    description: 'Clean, modern scans',
+    resize: 4000,
+    normalize: true,
+    sharpen: 2.0,
+    brightness: 1.2,
+    gamma: 1.2
+  },
+  newsprint: {
+    label: 'পুরোনো কাগজ',
+    description: 'Yellowed or stained newsprint',
+    resize: 4000,
+    greyscale: true,
+    normalize: true,
+    clahe: 64,
+    sharpen: 1.5,
+    gamma: 1.1,
+    denoise: 3
+  },
+  faded: {
+    label: 'ফিকে লেখা',
+    description: 'Low-contrast or faded print',
+    resize: 4000,
+    greyscale: true,
+    normalize: true,
+    clahe: 32,
+    contrast: 1.5,
+    sharpen: 2.0,
+    gamma: 1.3
+  },
+  microfilm: {
+    label: 'মাইক্রোফিল্ম',
+    description: 'Microfilm scans with dark borders and skew',
+    resize: 4000,
+    crop: true,
+    deskew: true,
+    greyscale: true,
+    normalize: true,
+    clahe: 64,
+    denoise: 3,
+    binarize: true
+  },
+  minimal: {
+    label: 'ন্যূনতম',
+    description: 'Resize only, for images that are already clean',
+    resize: 4000
+  }
+};
+
+const DEFAULT_PROFILE = 'default';
+// Steps that can be switched per upload on top of the profile
+const OVERRIDABLE = ['deskew', 'crop', 'binarize', 'denoise', 'rotate'];
+const DEFAULT_DENOISE = 3;
+
+// Form fields arrive as strings
+function parseFlag(value) {
+  if (value === undefined || value === '' || value === null) return undefined;
+  if (value === true || value === 'true' || value === '1' || value === 'on') return true;
+  if (value === false || value === 'false' || value === '0' || value === 'off') return false;
+  return null;
+}
+
+// Profile and per-upload overrides from a request body (`profile`, `deskew`,
+// `crop`, `binarize`, `denoise`, `rotate`). Returns { options } with the
+// resolved settings, or { error } describing the invalid field.
+function parsePreprocessOptions(body = {}) {
+  const profile = body.profile || DEFAULT_PROFILE;
+  if (!PROFILES[profile]) {
+    return { error: `Unknown profile "${profile}". Available: ${Object.keys(PROFILES).join(', ')}` };
+  }
+
+  const { label, description, ...options } = PROFILES[profile];
+  for (const field of ['deskew', 'crop', 'binarize']) {
+    const flag = parseFlag(body[field]);
+    if (flag === null) return { error: `${field} must be true or false` };
+    if (flag !== undefined) options[field] = flag;
+  }
+
+  if (body.denoise !== undefined && body.denoise !== '') {
+    const flag = parseFlag(body.denoise);
+    const size = Number(body.denoise);
+    if (flag !== null) {
+      options.denoise = flag ? options.denoise || DEFAULT_DENOISE : 0;
+    } else if (Number.isInteger(size) && size >= 3 && size <= 9 && size % 2 === 1) {
+      options.denoise = size;
+    } else {
+      return { error: 'denoise must be true, false or an odd filter size from 3 to 9' };
+    }
+  }
+
+  if (body.rotate !== undefined && body.rotate !== '') {
+    const rotate = Number(body.rotate);
+    if (!Number.isFinite(rotate) || Math.abs(rotate) > 360) {
+      return { error: 'rotate must be a number of degrees between -360 and 360' };
+    }
+    options.rotate = rotate;
+  }
+
+  return { options: { profile, ...options } };
+}
+
+// Profiles as listed to clients
+function listProfiles() {
+  return Object.entries(PROFILES).map(([name, { label, description, ...steps }]) => ({
+    name, label, description, steps
+  }));
+}
+
+module.exports = { PROFILES, DEFAULT_PROFILE, OVERRIDABLE, parsePreprocessOptions, listProfiles };
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { transliterate } = require('../transliteration');
+const { normalize } = require('../search/bengali');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'page.txt');
+
+// Pull the text out of the LARGE_TEXT:/SMALL_TEXT: markers used by the OCR prompt
+function stripMarkers(line) {
+  return line.replace(/^(LARGE|MEDIUM|SMALL|OTHER)_TEXT:\s*/, '').trim();
+}
+
+// First sentence of a Bengali text (ends at a danda or full stop)
+function firstSentence(text) {
+  const match = text.match(/^[^।.!?]*[।.!?]?/);
+  return (match ? match[0] : text).trim();
+}
+
+// Names the fixture provider recognizes, with their entity type
+const GAZETTEER = [
+  { name: 'কলকাতা', type: 'location' },
+  { name: 'ইডেন', type: 'location' },
+  { name: 'বাংলা', type: 'location' },
+  { name: 'পুরসভা', type: 'organization' },
+  { name: 'আবহাওয়া দফতর', type: 'organization' },
+  { name: 'বিধানসভা', type: 'organization' },
+  { name: 'রঞ্জি ট্রফি', type: 'event' },
+  { name: 'শিক্ষামন্ত্রী', type: 'person' }
+];
+
+// Deterministic provider for tests and offline runs. It never calls a model:
+//
+// - extractText returns `<fixtureDir>/<image name>.txt` when it exists and
+//   the bundled sample page otherwise;
+// - structureText splits the text on `===` into articles and takes the first
+//   LARGE_TEXT line of each as its headline;
+// - generateSummaries uses the first sentence of each article;
+// - combineSummaries joins the article headlines;
+// - extractEntities finds the names of a small built-in gazetteer;
+// - translate returns the romanized text marked "[en]";
+// - detectRegions lays the articles out top to bottom in two columns.
+//
+// Responses are JSON strings, exactly like the model providers return.
+function createFixtureProvider({ fixtureDir } = {}) {
+  async function extractText(image) {
+    const base = path.basename(image.path).replace(/(_r\d+)?(_processed)?\.[^.]+$/, '');
+    const candidates = fixtureDir
+      ? [path.join(fixtureDir, `${base}.txt`), path.join(fixtureDir, `${base.replace(/^\d+-/, '')}.txt`)]
+      : [];
+    const fixture = candidates.find(file => fs.existsSync(file)) || DEFAULT_FIXTURE;
+    return fs.readFileSync(fixture, 'utf8');
+  }
+
+  async function structureText(extractedText) {
+    const articles = extractedText
+      .split(/^===+\s*$/m)
+      .map(block => block.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && line !== '---' && !line.startsWith('OTHER_TEXT:')))
+      .filter(lines => lines.length > 0)
+      .map(lines => {
+        const headlineIndex = Math.max(0, lines.findIndex(line => line.startsWith('LARGE_TEXT:')));
+        const headline = stripMarkers(lines[headlineIndex]);
+        const content = lines
+          .filter((line, i) => i !== headlineIndex)
+          .map(stripMarkers)
+          .join(' ');
+        return { headline, content, category: 'অজানা' };
+      });
+
+    const dateMatch = extractedText.match(/OTHER_TEXT:\s*(.+)/);
+
+    return JSON.stringify({
+      date: dateMatch ? dateMatch[1].trim() : 'অজানা',
+      headlines: articles.map(article => article.headline),
+      subHeadlines: [],
+      articles
+    });
+  }
+
+  async function generateSummaries(structuredData) {
+    const articles = structuredData.articles || [];
+    const articleSummaries = articles.map(article => ({
+      headline: article.headline,
+      summary: firstSentence(article.content || ''),
+      keyPoints: [firstSentence(article.content || '')].filter(Boolean),
+      category: article.category || 'অজানা'
+    }));
+
+    return JSON.stringify({
+      overallSummary: articleSummaries.map(s => s.headline).join('; '),
+      headlineSummaries: (structuredData.headlines || []).map(headline => ({
+        headline,
+        summary: articleSummaries.find(s => s.headline === headline)?.summary || headline
+      })),
+      articleSummaries,
+      importantTopics: articles.map(article => article.headline).slice(0, 5)
+    });
+  }
+
+  async function combineSummaries({ articleSummaries = [] }) {
+    return JSON.stringify({
+      overallSummary: articleSummaries.map(s => s.headline).join('; '),
+      importantTopics: articleSummaries.map(s => s.headline).slice(0, 5)
+    });
+  }
+
+  async function extractEntities({ articles = [] }) {
+    return JSON.stringify({
+      articles: articles.map(({ index, headline, content }) => {
+        const text = normalize(`${headline} ${content}`);
+        return {
+          index,
+          entities: GAZETTEER.filter(entry => text.includes(normalize(entry.name)))
+        };
+      })
+    });
+  }
+
+  // No real translation offline: the romanized text stands in for it
+  async function translate(fields) {
+    const romanize = value => `[en] ${transliterate(value, 'simple')}`;
+    return JSON.stringify(Object.fromEntries(Object.entries(fields).map(([field, value]) => [
+      field,
+      Array.isArray(value) ? value.map(romanize) : romanize(value)
+    ])));
+  }
+
+  async function detectRegions(image, structuredData) {
+    const articles = structuredData.articles || [];
+    const perColumn = Math.max(1, Math.ceil(articles.length / 2));
+    const rowHeight = Math.floor(1000 / perColumn);
+
+    const articleBoxes = articles.map((article, index) => {
+      const column = Math.floor(index / perColumn);
+      const row = index % perColumn;
+      return { index, box: [row * rowHeight, column * 500, (row + 1) * rowHeight, (column + 1) * 500] };
+    });
+
+    return JSON.stringify({
+      articles: articleBoxes,
+      headlines: articleBoxes
+        .map(({ index, box }) => ({
+          index: (structuredData.headlines || []).indexOf(articles[index].headline),
+          box: [box[0], box[1], box[0] + Math.min(60, rowHeight), box[3]]
+        }))
+        .filter(headline => headline.index !== -1),
+      columns: [{ box: [0, 0, 1000, 500] }, { box: [0, 500, 1000, 1000] }]
+    });
+  }
+
+  return {
+    name: 'fixture',
+    model: 'fixture',
+    promptVersion: 1,
+    extractText,
+    structureText,
+    generateSummaries,
+    combineSummaries,
+    extractEntities,
+    translate,
+    detectRegions
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Helper function to convert image to base64
+function fileToGenerativePart(path, mimeType) {
+  return {
+    inlineData: {
+      data: Buffer.from(fs.readFileSync(path)).toString("base64"),
+      mimeType
+    },
+  };
+}
+
+// Bump whenever a prompt below changes, so extraction versions tell which
+// prompts produced them
+const PROMPT_VERSION = 1;
+
+// Google Gemini provider: OCR, structuring and summaries all go to the
+// same multimodal model.
+function createGeminiProvider({ apiKey, model: modelName = 'gemini-1.5-flash' }) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY must be set to use the gemini provider');
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  // Step 1: Extract all text first
+  async function extractText(image) {
+    const model = genAI.getGenerativeModel({ model: modelName });
+    const imagePart = fileToGenerativePart(image.path, image.mimeType);
+  
+    const textExtractionPrompt = `
+    Please extract ALL text from this Bengali newspaper image. 
+    Focus on accuracy and preserving Bengali Unicode characters.
+  
+    Rules:
+    1. Extract every visible text element
+    2. Preserve Bengali font and formatting
+    3. Use --- to separate different sections/columns
+    4. Use === to separate different articles
+    5. Identify text hierarchy (larger text = headlines, smaller text = body)
+    6. Don't try to structure - just extract everything you can see
+  
+    Extract in this format:
+    LARGE_TEXT: [any large/bold text you see]
+    MEDIUM_TEXT: [medium sized text]
+    SMALL_TEXT: [smaller body text]
+    OTHER_TEXT: [any other text elements]
+    `;
+
+
+    try {
+      const result = await model.generateContent([textExtractionPrompt, imagePart]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Text extraction error:', error);
+      throw new Error('Failed to extract text from image');
+    }
+  }
+
+  // Step 2: Structure the extracted text with JSON Mode
+  // `categories` are the newspaper sections articles should be filed under
+  async function structureText(extractedText, { categories = [] } = {}) {
+    // Configure the model to output JSON
+    const model = genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+          responseMimeType: "application/json",
+      }
+    });
+  
+    const structurePrompt = `
+    Based on the following extracted text from a Bengali newspaper, identify and structure the content.
+    You must respond with only a valid JSON object. Do not include any other text or markdown.
+
+    EXTRACTED TEXT:
+    ${extractedText}
+
+    Use "অজানা" for any unknown values.
+    ${categories.length > 0 ? `For each article's category use the best fitting section of this list: ${categories.join(', ')}` : ''}
+    The JSON schema you must follow is:
+    {
+      "date": "string",
+      "headlines": ["string"],
+      "subHeadlines": ["string"],
+      "articles": [
+        {
+          "headline": "string",
+          "content": "string",
+          "category": "string"
+        }
+      ]
+    }
+    `;
+
+
+    try {
+      const result = await model.generateContent([structurePrompt]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Text structuring error:', error);
+      throw new Error('Failed to structure text');
+    }
+  }
+
+  // Step 3: Generate summaries for headlines and articles with JSON Mode
+  async function generateSummaries(structuredData) {
+    // Configure the model to output JSON
+    const model = genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+          responseMimeType: "application/json",
+      }
+    });
+  
+    // The pipeline sends the articles in batches; the raw text would only repeat them
+    const { allText, ...summaryInput } = structuredData;
+  
+    const summaryPrompt = `
+    Create a summary for this Bengali newspaper content. You must respond with only a valid JSON object.
+    Do not include any other text or markdown.
+
+    DATA: ${JSON.stringify(summaryInput)}
+
+    The JSON schema you must follow is:
+    {
+      "overallSummary": "string",
+      "headlineSummaries": [
+        {
+          "headline": "string",
+          "summary": "string"
+        }
+      ],
+      "articleSummaries": [
+        {
+          "headline": "string",
+          "summary": "string",
+          "keyPoints": ["string"],
+          "category": "string"
+        }
+      ],
+      "importantTopics": ["string"]
+    }
+    `;
+
+    try {
+      const result = await model.generateContent([summaryPrompt]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Summary generation error:', error);
+      throw new Error('Failed to generate summaries');
+    }
+  }
+
+  // Step 4: Combine the per-article summaries into the page summary with JSON Mode
+  async function combineSummaries(summaryInput) {
+    const model = genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+          responseMimeType: "application/json",
+      }
+    });
+
+    const combinePrompt = `
+    These are summaries of every article on one page of a Bengali newspaper.
+    Write an overall summary of the page in Bengali and list its most important topics.
+    You must respond with only a valid JSON object. Do not include any other text or markdown.
+
+    DATA: ${JSON.stringify(summaryInput)}
+
+    The JSON schema you must follow is:
+    {
+      "overallSummary": "string",
+      "importantTopics": ["string"]
+    }
+    `;
+
+    try {
+      const result = await model.generateContent([combinePrompt]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Summary combination error:', error);
+      throw new Error('Failed to combine summaries');
+    }
+  }
+
+  // Step 5: Name the people, places, organizations and events of each article with JSON Mode
+  async function extractEntities(entityInput) {
+    const model = genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+          responseMimeType: "application/json",
+      }
+    });
+
+    const entityPrompt = `
+    List the named entities in each of these Bengali newspaper articles: people, locations
+    (cities, districts, countries, venues), organizations (parties, companies, government bodies,
+    clubs) and events (elections, festivals, tournaments, disasters).
+    Write each name in Bengali as it appears in the article, without case endings (কলকাতার -> কলকাতা)
+    or titles such as শ্রী or ডঃ. List each entity once per article and leave out generic words.
+    You must respond with only a valid JSON object. Do not include any other text or markdown.
+
+    ARTICLES: ${JSON.stringify(entityInput.articles)}
+
+    The JSON schema you must follow is:
+    {
+      "articles": [
+        { "index": 0, "entities": [{ "name": "string", "type": "person|location|organization|event" }] }
+      ]
+    }
+    `;
+
+    try {
+      const result = await model.generateContent([entityPrompt]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Entity extraction error:', error);
+      throw new Error('Failed to extract named entities');
+    }
+  }
+
+  // Translate Bengali text to English with JSON Mode. `fields` maps names to
+  // strings or lists of strings; the answer has the same shape.
+  async function translate(fields) {
+    const model = genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+          responseMimeType: "application/json",
+      }
+    });
+
+    const translatePrompt = `
+    Translate every value of this JSON object from Bengali to English.
+    Keep names of people and places recognizable, keep numbers and dates exact,
+    and translate lists item by item in the same order.
+    You must respond with only a valid JSON object with exactly the same keys.
+    Do not include any other text or markdown.
+
+    DATA: ${JSON.stringify(fields)}
+    `;
+
+    try {
+      const result = await model.generateContent([translatePrompt]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Translation error:', error);
+      throw new Error('Failed to translate text');
+    }
+  }
+
+  // Locate articles, headlines and columns on the page image with JSON Mode.
+  // Boxes use Gemini's native [ymin, xmin, ymax, xmax] on a 0-1000 grid.
+  async function detectRegions(image, structuredData) {
+    const model = genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+          responseMimeType: "application/json",
+      }
+    });
+    const imagePart = fileToGenerativePart(image.path, image.mimeType);
+
+    const articleList = (structuredData.articles || [])
+      .map((article, index) => `${index}: ${article.headline}`)
+      .join('\n');
+    const headlineList = (structuredData.headlines || [])
+      .map((headline, index) => `${index}: ${headline}`)
+      .join('\n');
+
+    const regionPrompt = `
+    Locate the following items on this Bengali newspaper page.
+    You must respond with only a valid JSON object. Do not include any other text or markdown.
+
+    ARTICLES (index: headline):
+    ${articleList}
+
+    HEADLINES (index: text):
+    ${headlineList}
+
+    For every article give the box covering its headline and body text, for every headline
+    the box around the headline text, and a box for every text column on the page.
+    Boxes are [ymin, xmin, ymax, xmax] normalized to 0-1000. Leave out items you cannot find.
+
+    The JSON schema you must follow is:
+    {
+      "articles": [{ "index": 0, "box": [0, 0, 0, 0] }],
+      "headlines": [{ "index": 0, "box": [0, 0, 0, 0] }],
+      "columns": [{ "box": [0, 0, 0, 0] }]
+    }
+    `;
+
+    try {
+      const result = await model.generateContent([regionPrompt, imagePart]);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      console.error('Region detection error:', error);
+      throw new Error('Failed to detect article regions');
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    promptVersion: PROMPT_VERSION,
+    extractText,
+    structureText,
+    generateSummaries,
+    combineSummaries,
+    extractEntities,
+    translate,
+    detectRegions
+  };
+}
+
+module.exports = { createGeminiProvider };
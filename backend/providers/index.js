@@ -0,0 +1,53 @@
+const config = require('../config');
+const { createGeminiProvider } = require('./gemini');
+const { createFixtureProvider } = require('./fixture');
+
+// Factories for every known provider. Tesseract is loaded lazily so the
+// server starts without tesseract.js when it isn't being used.
+const FACTORIES = {
+  gemini: () => createGeminiProvider(config.providers.gemini),
+  tesseract: () => require('./tesseract').createTesseractProvider(config.providers.tesseract),
+  fixture: () => createFixtureProvider(config.providers.fixture)
+};
+
+// Methods each role requires from its provider
+const ROLES = {
+  ocr: ['extractText'],
+  llm: ['structureText', 'generateSummaries', 'combineSummaries', 'extractEntities', 'translate'],
+  layout: ['detectRegions']
+};
+
+const instances = {};
+
+function createProvider(name) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}". Available: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factory();
+  }
+  return instances[name];
+}
+
+// Provider configured for a role ('ocr', 'llm' or 'layout'), checked against the role's methods
+function getProvider(role) {
+  const name = config.providers[role];
+  const provider = createProvider(name);
+  const missing = ROLES[role].filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${name}" cannot be used for ${role}: missing ${missing.join(', ')}`);
+  }
+  return provider;
+}
+
+// Provider, model and prompt version configured for each role, as recorded
+// with every extraction version
+function describeProviders() {
+  return Object.fromEntries(Object.keys(ROLES).map(role => {
+    const { name, model, promptVersion = null } = getProvider(role);
+    return [role, { name, model, promptVersion }];
+  }));
+}
+
+module.exports = { getProvider, describeProviders };
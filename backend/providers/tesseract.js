@@ -0,0 +1,141 @@
+const { createWorker } = require('tesseract.js');
+const sharp = require('sharp');
+
+// Local OCR with Tesseract and the `ben` traineddata. Nothing leaves the
+// machine as long as `langPath` points at a directory that already holds
+// ben.traineddata.
+//
+// The output mimics the LARGE_TEXT/SMALL_TEXT layout the Gemini prompt asks
+// for, so structuring and the regex fallback work the same way: lines
+// noticeably taller than the page's median line become LARGE_TEXT, and
+// paragraphs are separated with `---`.
+function createTesseractProvider({ langPath, language = 'ben' }) {
+  let workerPromise = null;
+
+  function getWorker() {
+    if (!workerPromise) {
+      workerPromise = createWorker(language, 1, {
+        langPath,
+        cachePath: langPath,
+        gzip: false
+      });
+    }
+    return workerPromise;
+  }
+
+  // The pipeline asks for text and then regions of the same image, so the
+  // last recognition result is kept instead of running OCR twice
+  let lastResult = null;
+
+  async function recognize(imagePath) {
+    if (lastResult?.path !== imagePath) {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(imagePath);
+      lastResult = { path: imagePath, data };
+    }
+    return lastResult.data;
+  }
+
+  async function extractText(image) {
+    try {
+      const data = await recognize(image.path);
+
+      const heights = data.lines
+        .map(line => line.bbox.y1 - line.bbox.y0)
+        .sort((a, b) => a - b);
+      const medianHeight = heights[Math.floor(heights.length / 2)] || 0;
+
+      const sections = data.paragraphs.map(paragraph => {
+        return paragraph.lines
+          .map(line => {
+            const text = line.text.trim();
+            if (!text) return null;
+            const height = line.bbox.y1 - line.bbox.y0;
+            return height > medianHeight * 1.5 ? `LARGE_TEXT: ${text}` : `SMALL_TEXT: ${text}`;
+          })
+          .filter(Boolean)
+          .join('\n');
+      });
+
+      return sections.filter(Boolean).join('\n---\n');
+    } catch (error) {
+      console.error('Tesseract extraction error:', error);
+      throw new Error('Failed to extract text from image');
+    }
+  }
+
+  // Regions come from Tesseract's own layout analysis: each text block is a
+  // column, headlines are matched to OCR lines by shared words, and an article
+  // runs from its headline line to the next headline in the same block.
+  async function detectRegions(image, structuredData) {
+    try {
+      const data = await recognize(image.path);
+      const { width, height } = await sharp(image.path).metadata();
+      const toBox = bbox => [
+        Math.round((bbox.y0 / height) * 1000),
+        Math.round((bbox.x0 / width) * 1000),
+        Math.round((bbox.y1 / height) * 1000),
+        Math.round((bbox.x1 / width) * 1000)
+      ];
+
+      const lines = data.blocks.flatMap((block, blockIndex) =>
+        block.paragraphs.flatMap(paragraph =>
+          paragraph.lines.map(line => ({ ...line, blockIndex }))
+        )
+      );
+      const wordsOf = text => new Set((text || '').split(/\s+/).filter(w => w.length > 1));
+
+      function findLine(text) {
+        const wanted = wordsOf(text);
+        let best = null;
+        let bestScore = 0.5;
+        for (const line of lines) {
+          const found = [...wordsOf(line.text)].filter(w => wanted.has(w)).length;
+          const score = wanted.size > 0 ? found / wanted.size : 0;
+          if (score > bestScore) {
+            best = line;
+            bestScore = score;
+          }
+        }
+        return best;
+      }
+
+      const headlines = (structuredData.headlines || [])
+        .map((headline, index) => ({ index, line: findLine(headline) }))
+        .filter(item => item.line);
+
+      const articleStarts = (structuredData.articles || [])
+        .map((article, index) => ({ index, line: findLine(article.headline) }))
+        .filter(item => item.line);
+
+      const articles = articleStarts.map(({ index, line }) => {
+        const block = data.blocks[line.blockIndex];
+        const nextTop = articleStarts
+          .filter(other => other.line.blockIndex === line.blockIndex && other.line.bbox.y0 > line.bbox.y0)
+          .reduce((top, other) => Math.min(top, other.line.bbox.y0), block.bbox.y1);
+        return {
+          index,
+          box: toBox({ x0: block.bbox.x0, y0: line.bbox.y0, x1: block.bbox.x1, y1: nextTop })
+        };
+      });
+
+      return JSON.stringify({
+        articles,
+        headlines: headlines.map(({ index, line }) => ({ index, box: toBox(line.bbox) })),
+        columns: data.blocks.map(block => ({ box: toBox(block.bbox) }))
+      });
+    } catch (error) {
+      console.error('Tesseract region detection error:', error);
+      throw new Error('Failed to detect article regions');
+    }
+  }
+
+  return {
+    name: 'tesseract',
+    model: `tesseract-${language}`,
+    extractText,
+    detectRegions
+  };
+}
+
+module.exports = { createTesseractProvider };
@@ -0,0 +1,74 @@
+const { isUnknown } = require('../extraction/chunks');
+const { DEFAULT_OVERALL_SUMMARY } = require('../extraction');
+
+// Letters of any script, including the vowel signs Bengali writes as marks
+const LETTER = /[\p{L}\p{M}]/gu;
+const BENGALI_LETTER = /[\p{Script=Bengali}]/gu;
+// Bengali pages quote English names and words; only more than this is suspect
+const NON_BENGALI_ALLOWANCE = 0.1;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Share of the letters in `text` that are not Bengali, as OCR of the wrong
+// language or a model answering in English leaves behind
+function nonBengaliRatio(text) {
+  const letters = (text.match(LETTER) || []).length;
+  if (letters === 0) return 0;
+  return 1 - (text.match(BENGALI_LETTER) || []).length / letters;
+}
+
+// How much a page can be trusted without a person looking at it: a score from
+// 0 to 1 and the issues that lowered it, each `{ code, penalty, ... }`.
+// Falling back to unstructured text, missing headlines, text or summaries,
+// repaired model answers and text that is not Bengali all count.
+function assessQuality(document) {
+  const extractedData = document.extractedData || {};
+  const summaryData = document.summaryData || {};
+  const articles = extractedData.articles || [];
+  const issues = [];
+  const add = (code, penalty, details = {}) => {
+    if (penalty > 0) issues.push({ code, penalty: round(penalty), ...details });
+  };
+
+  if (extractedData.extractionMethod === 'fallback') add('fallback', 0.5);
+  if (extractedData.extractionMethod === 'regex_fallback') add('regexFallback', 0.4);
+
+  const warnings = [...(extractedData.warnings || []), ...(summaryData.warnings || [])];
+  add('warnings', Math.min(0.2, warnings.length * 0.05), { count: warnings.length });
+
+  if (articles.length === 0) {
+    add('noArticles', 0.3);
+  } else {
+    const untitled = articles.filter(article => isUnknown(article.headline)).length;
+    add('missingHeadlines', 0.15 * untitled / articles.length, { count: untitled });
+    const empty = articles.filter(article => !article.content?.trim()).length;
+    add('emptyArticles', 0.25 * empty / articles.length, { count: empty });
+  }
+
+  if (!document.parsedDate) add('missingDate', 0.1);
+  if (!summaryData.overallSummary || summaryData.overallSummary === DEFAULT_OVERALL_SUMMARY) {
+    add('missingSummary', 0.1);
+  }
+
+  const text = articles.length > 0
+    ? articles.map(article => `${article.headline || ''} ${article.content || ''}`).join(' ')
+    : extractedData.allText || '';
+  const ratio = nonBengaliRatio(text);
+  if (ratio > NON_BENGALI_ALLOWANCE) {
+    add('nonBengali', Math.min(0.4, ratio * 0.5), { ratio: round(ratio) });
+  }
+
+  const repairs = [...(extractedData.validationIssues || []), ...(summaryData.validationIssues || [])];
+  add('schemaRepairs', Math.min(0.15, repairs.length * 0.03), {
+    count: repairs.length,
+    // Enough to see what went wrong; the full list stays with the document
+    examples: repairs.slice(0, 5).map(issue => `${issue.path}: ${issue.message}`)
+  });
+
+  const penalty = issues.reduce((sum, issue) => sum + issue.penalty, 0);
+  return { score: round(Math.max(0, 1 - penalty)), issues };
+}
+
+module.exports = { assessQuality, nonBengaliRatio };
@@ -0,0 +1,59 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const config = require('./config');
+
+const execFileAsync = promisify(execFile);
+
+const PDF_TYPES = ['application/pdf'];
+const TIFF_TYPES = ['image/tiff', 'image/tif'];
+
+// PDFs and TIFFs can hold several pages and browsers can't display them, so
+// every page is turned into its own PNG before preprocessing
+function needsRasterizing(mimetype) {
+  return PDF_TYPES.includes(mimetype) || TIFF_TYPES.includes(mimetype);
+}
+
+// Number of pages in an uploaded file (1 for ordinary images)
+async function countPages(filePath, mimetype) {
+  if (PDF_TYPES.includes(mimetype)) {
+    const { stdout } = await execFileAsync(config.rasterize.pdfinfoPath, [filePath]);
+    const match = stdout.match(/^Pages:\s+(\d+)/m);
+    if (!match) {
+      throw new Error('Could not read the page count of the PDF');
+    }
+    return parseInt(match[1], 10);
+  }
+  if (TIFF_TYPES.includes(mimetype)) {
+    const metadata = await sharp(filePath).metadata();
+    return metadata.pages || 1;
+  }
+  return 1;
+}
+
+// Render one page (1-based) of a PDF or TIFF to a PNG next to the source file.
+// PDFs go through poppler's pdftoppm, TIFF pages are read directly by sharp.
+async function rasterizePage(filePath, mimetype, page) {
+  const base = filePath.replace(/\.[^.]+$/, '');
+  const outputPrefix = `${base}-p${String(page).padStart(3, '0')}`;
+  const outputPath = `${outputPrefix}.png`;
+
+  if (PDF_TYPES.includes(mimetype)) {
+    await execFileAsync(config.rasterize.pdftoppmPath, [
+      '-png',
+      '-r', String(config.rasterize.pdfDpi),
+      '-f', String(page),
+      '-l', String(page),
+      '-singlefile',
+      filePath,
+      outputPrefix
+    ]);
+  } else {
+    await sharp(filePath, { page: page - 1 }).png().toFile(outputPath);
+  }
+
+  return { path: outputPath, filename: path.basename(outputPath), mimetype: 'image/png' };
+}
+
+module.exports = { needsRasterizing, countPages, rasterizePage };
@@ -0,0 +1,190 @@
+// Only an article's rarest terms are looked up to find candidate articles
+const CANDIDATE_TERMS = 25;
+// How much the text and the named entities count towards a pair's score
+const TEXT_WEIGHT = 0.75;
+const ENTITY_WEIGHT = 0.25;
+// Pairs scoring lower, or whose texts are less alike, are not stored; names
+// alone do not make a story (every match report names the same stadium)
+const MIN_SCORE = 0.12;
+const MIN_TEXT_SCORE = 0.1;
+// Articles at least this related belong to one story thread
+const THREAD_SCORE = 0.25;
+const MAX_THREAD_ARTICLES = 50;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// TF-IDF weights of an article's term frequencies, with the vector's length
+function weigh(frequencies, idf) {
+  const weights = new Map();
+  let squares = 0;
+  for (const [term, frequency] of frequencies) {
+    const weight = (1 + Math.log(frequency)) * idf(term);
+    weights.set(term, weight);
+    squares += weight * weight;
+  }
+  return { weights, length: Math.sqrt(squares) };
+}
+
+function cosine(a, b) {
+  if (!a.length || !b.length) return 0;
+  const [small, large] = a.weights.size <= b.weights.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small.weights) dot += weight * (large.weights.get(term) || 0);
+  return dot / (a.length * b.length);
+}
+
+// Jaccard overlap of two sets of entity ids
+function overlap(a = new Set(), b = new Set()) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const id of a) if (b.has(id)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Articles of other editions reporting the same story. When a document is
+// indexed each of its articles is compared with the articles sharing its
+// rarest terms: the TF-IDF cosine of the (normalized, stemmed) terms the
+// search index holds, plus the overlap of the entities both name. Reads the
+// search and entity indexes, so runs after a document is indexed in both.
+function createRelatedIndex({ db, documentRepository, searchIndex, entityIndex }) {
+  const statements = {
+    deleteDocument: db.prepare('DELETE FROM related_articles WHERE document_id = ? OR related_document_id = ?'),
+    insert: db.prepare(`
+      INSERT OR REPLACE INTO related_articles
+        (document_id, article_index, related_document_id, related_article_index, score, text_score, entity_score)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    markIndexed: db.prepare('INSERT OR REPLACE INTO related_indexed_documents (document_id, indexed_at) VALUES (?, ?)'),
+    indexedDocuments: db.prepare('SELECT document_id FROM related_indexed_documents'),
+    related: db.prepare(`
+      SELECT related_document_id, related_article_index, score, text_score, entity_score
+      FROM related_articles
+      WHERE document_id = ? AND article_index = ?
+      ORDER BY score DESC
+    `)
+  };
+
+  // The document's articles paired with related articles of other documents
+  function findPairs(document) {
+    const issues = new Map(documentRepository.listEntries().map(entry => [entry.id, entry.issueId]));
+    const articleCount = searchIndex.articleCount();
+    const postings = new Map();
+    const postingsOf = term => {
+      if (!postings.has(term)) postings.set(term, searchIndex.postings(term));
+      return postings.get(term);
+    };
+    const idf = term => Math.log(1 + articleCount / Math.max(postingsOf(term).length, 1));
+
+    const documents = new Map();
+    const documentOf = id => {
+      if (!documents.has(id)) {
+        documents.set(id, { terms: searchIndex.termVectors(id), entities: entityIndex.articleEntities(id), vectors: new Map() });
+      }
+      return documents.get(id);
+    };
+    const vectorOf = (id, articleIndex) => {
+      const { terms, vectors } = documentOf(id);
+      if (!vectors.has(articleIndex)) vectors.set(articleIndex, weigh(terms.get(articleIndex) || new Map(), idf));
+      return vectors.get(articleIndex);
+    };
+
+    // Articles of the same issue are linked as continuations instead
+    const isCandidate = ({ documentId, articleIndex }) => documentId !== document.id && articleIndex >= 0 &&
+      issues.has(documentId) && !(document.issueId && issues.get(documentId) === document.issueId);
+
+    const own = documentOf(document.id);
+    const pairs = [];
+    for (const [articleIndex, terms] of own.terms) {
+      if (articleIndex < 0) continue;
+      const rarest = [...terms.keys()]
+        .sort((a, b) => postingsOf(a).length - postingsOf(b).length)
+        .slice(0, CANDIDATE_TERMS);
+      const candidates = new Map();
+      for (const term of rarest) {
+        for (const posting of postingsOf(term).filter(isCandidate)) {
+          candidates.set(`${posting.documentId}:${posting.articleIndex}`, posting);
+        }
+      }
+
+      const vector = vectorOf(document.id, articleIndex);
+      for (const candidate of candidates.values()) {
+        const textScore = cosine(vector, vectorOf(candidate.documentId, candidate.articleIndex));
+        const entityScore = overlap(
+          own.entities.get(articleIndex),
+          documentOf(candidate.documentId).entities.get(candidate.articleIndex)
+        );
+        const score = TEXT_WEIGHT * textScore + ENTITY_WEIGHT * entityScore;
+        if (score >= MIN_SCORE && textScore >= MIN_TEXT_SCORE) {
+          pairs.push({
+            articleIndex,
+            relatedDocumentId: candidate.documentId,
+            relatedArticleIndex: candidate.articleIndex,
+            scores: [round(score), round(textScore), round(entityScore)]
+          });
+        }
+      }
+    }
+    return pairs;
+  }
+
+  // Replace every stored pair involving the document
+  function indexDocument(document) {
+    const pairs = findPairs(document);
+    db.transaction(() => {
+      statements.deleteDocument.run(document.id, document.id);
+      for (const { articleIndex, relatedDocumentId, relatedArticleIndex, scores } of pairs) {
+        statements.insert.run(document.id, articleIndex, relatedDocumentId, relatedArticleIndex, ...scores);
+        statements.insert.run(relatedDocumentId, relatedArticleIndex, document.id, articleIndex, ...scores);
+      }
+      statements.markIndexed.run(document.id, new Date().toISOString());
+    })();
+  }
+
+  function related(documentId, articleIndex) {
+    return statements.related.all(documentId, articleIndex).map(row => ({
+      documentId: row.related_document_id,
+      articleIndex: row.related_article_index,
+      score: row.score,
+      textScore: row.text_score,
+      entityScore: row.entity_score
+    }));
+  }
+
+  return {
+    indexDocument,
+
+    // Compute related articles of documents stored before they were linked
+    indexMissing(documents) {
+      const indexed = new Set(statements.indexedDocuments.all().map(row => row.document_id));
+      const missing = documents.filter(document => !indexed.has(document.id));
+      missing.forEach(document => indexDocument(document));
+      return missing.length;
+    },
+
+    // Articles related to one article, most related first:
+    // [{ documentId, articleIndex, score, textScore, entityScore }]
+    related,
+
+    // The story thread of an article: it and every article reachable from it
+    // through closely related ones, [{ documentId, articleIndex }]
+    thread(documentId, articleIndex) {
+      const key = article => `${article.documentId}:${article.articleIndex}`;
+      const start = { documentId, articleIndex };
+      const seen = new Map([[key(start), start]]);
+      const queue = [start];
+      while (queue.length > 0 && seen.size < MAX_THREAD_ARTICLES) {
+        const current = queue.shift();
+        for (const link of related(current.documentId, current.articleIndex)) {
+          if (link.score < THREAD_SCORE) break;
+          if (seen.has(key(link)) || seen.size >= MAX_THREAD_ARTICLES) continue;
+          const article = { documentId: link.documentId, articleIndex: link.articleIndex };
+          seen.set(key(article), article);
+          queue.push(article);
+        }
+      }
+      return [...seen.values()];
+    }
+  };
+}
+
+module.exports = { createRelatedIndex };
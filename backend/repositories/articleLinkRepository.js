@@ -0,0 +1,94 @@
+function fromRow(row) {
+  return {
+    id: row.id,
+    issueId: row.issue_id,
+    fromDocumentId: row.from_document_id,
+    fromArticle: row.from_article,
+    toDocumentId: row.to_document_id,
+    toArticle: row.to_article,
+    kind: row.kind,
+    source: row.source,
+    createdAt: row.created_at
+  };
+}
+
+// Repository over `article_links`: articles that continue on another page.
+// Links found by the continuation detector are stored with source 'auto' and
+// replaced wholesale when an issue is re-scanned; 'manual' links are kept.
+function createArticleLinkRepository(db) {
+  const statements = {
+    listByIssue: db.prepare('SELECT * FROM article_links WHERE issue_id = ? ORDER BY id ASC'),
+    findById: db.prepare('SELECT * FROM article_links WHERE id = ?'),
+    insert: db.prepare(`
+      INSERT INTO article_links
+        (issue_id, from_document_id, from_article, to_document_id, to_article, kind, source, created_at)
+      VALUES
+        (@issueId, @fromDocumentId, @fromArticle, @toDocumentId, @toArticle, @kind, @source, @createdAt)
+    `),
+    deleteAuto: db.prepare("DELETE FROM article_links WHERE issue_id = ? AND source = 'auto'"),
+    listManualByDocument: db.prepare(
+      "SELECT * FROM article_links WHERE source = 'manual' AND (from_document_id = ? OR to_document_id = ?)"
+    ),
+    updateArticles: db.prepare('UPDATE article_links SET from_article = ?, to_article = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM article_links WHERE id = ?')
+  };
+
+  function insert(link) {
+    const result = statements.insert.run({
+      kind: 'continuation',
+      source: 'manual',
+      toArticle: null,
+      ...link,
+      createdAt: new Date().toISOString()
+    });
+    return fromRow(statements.findById.get(result.lastInsertRowid));
+  }
+
+  return {
+    listByIssue(issueId) {
+      return statements.listByIssue.all(issueId).map(fromRow);
+    },
+
+    findById(id) {
+      const row = statements.findById.get(id);
+      return row ? fromRow(row) : null;
+    },
+
+    create(link) {
+      return insert(link);
+    },
+
+    replaceAutoLinks(issueId, links) {
+      db.transaction(() => {
+        statements.deleteAuto.run(issueId);
+        links.forEach(link => insert({ ...link, issueId, source: 'auto' }));
+      })();
+    },
+
+    // Follow articles of a document that were split, merged or reordered.
+    // `indexMap[old]` is the article's new index, or null if it no longer
+    // exists, in which case links to it are dropped.
+    remapArticles(documentId, indexMap) {
+      const remap = index => (index === null ? null : indexMap[index] ?? null);
+      db.transaction(() => {
+        for (const link of statements.listManualByDocument.all(documentId, documentId).map(fromRow)) {
+          const fromArticle = link.fromDocumentId === documentId ? remap(link.fromArticle) : link.fromArticle;
+          const toArticle = link.toDocumentId === documentId && link.toArticle !== null
+            ? remap(link.toArticle)
+            : link.toArticle;
+          if (fromArticle === null || (link.toArticle !== null && toArticle === null)) {
+            statements.delete.run(link.id);
+          } else {
+            statements.updateArticles.run(fromArticle, toArticle, link.id);
+          }
+        }
+      })();
+    },
+
+    delete(id) {
+      return statements.delete.run(id).changes > 0;
+    }
+  };
+}
+
+module.exports = { createArticleLinkRepository };
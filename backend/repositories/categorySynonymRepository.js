@@ -0,0 +1,36 @@
+function fromRow(row) {
+  return {
+    key: row.key,
+    category: row.category,
+    section: row.section,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// Repository over `category_synonyms`: category names an admin mapped to a
+// taxonomy section from the review list
+function createCategorySynonymRepository(db) {
+  const statements = {
+    list: db.prepare('SELECT * FROM category_synonyms ORDER BY section, category'),
+    upsert: db.prepare(`
+      INSERT INTO category_synonyms (key, category, section, created_by, created_at)
+      VALUES (@key, @category, @section, @createdBy, @createdAt)
+      ON CONFLICT (key) DO UPDATE SET
+        category = excluded.category, section = excluded.section,
+        created_by = excluded.created_by, created_at = excluded.created_at
+    `)
+  };
+
+  return {
+    list() {
+      return statements.list.all().map(fromRow);
+    },
+
+    upsert({ key, category, section, createdBy = null }) {
+      statements.upsert.run({ key, category, section, createdBy, createdAt: new Date().toISOString() });
+    }
+  };
+}
+
+module.exports = { createCategorySynonymRepository };
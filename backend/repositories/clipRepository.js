@@ -0,0 +1,129 @@
+const COLUMNS = {
+  id: { column: 'id' },
+  documentId: { column: 'document_id' },
+  title: { column: 'title' },
+  note: { column: 'note' },
+  tags: { column: 'tags', json: true },
+  region: { column: 'region', json: true },
+  article: { column: 'article' },
+  filename: { column: 'filename' },
+  createdBy: { column: 'created_by' },
+  createdAt: { column: 'created_at' },
+  updatedAt: { column: 'updated_at' }
+};
+
+// Fields of a clip that can be changed after it is made
+const EDITABLE = ['title', 'note', 'tags'];
+
+function fromRow(row) {
+  if (!row) return null;
+  const clip = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    if (row[column] === undefined) continue;
+    clip[field] = json ? JSON.parse(row[column]) : row[column];
+  }
+  clip.imagePath = `/uploads/clips/${clip.filename}`;
+  // Listings carry the page the clip was cut from
+  if (row.original_name !== undefined) {
+    clip.page = {
+      originalName: row.original_name,
+      issueId: row.issue_id,
+      pageNumber: row.page_number,
+      newspaper: row.newspaper,
+      editionDate: row.edition_date || row.parsed_date
+    };
+  }
+  return clip;
+}
+
+// Repository over `clips`, the rectangles cut out of pages for citation
+function createClipRepository(db) {
+  const statements = {
+    findById: db.prepare('SELECT * FROM clips WHERE id = ?'),
+    listByDocument: db.prepare('SELECT * FROM clips WHERE document_id = ? ORDER BY id ASC'),
+    filenamesByDocument: db.prepare('SELECT filename FROM clips WHERE document_id = ?'),
+    allFilenames: db.prepare('SELECT filename FROM clips'),
+    // Newest first, optionally only those with a tag or by one account
+    list: db.prepare(`
+      SELECT clips.*, documents.original_name, documents.issue_id, documents.page_number,
+        documents.parsed_date, issues.newspaper, issues.edition_date
+      FROM clips
+        JOIN documents ON documents.id = clips.document_id
+        LEFT JOIN issues ON issues.id = documents.issue_id
+      WHERE (@tag IS NULL OR EXISTS (SELECT 1 FROM json_each(clips.tags) WHERE json_each.value = @tag))
+        AND (@createdBy IS NULL OR clips.created_by = @createdBy)
+      ORDER BY clips.created_at DESC, clips.id DESC
+    `),
+    tags: db.prepare(`
+      SELECT json_each.value AS tag, COUNT(*) AS count
+      FROM clips, json_each(clips.tags)
+      GROUP BY json_each.value ORDER BY count DESC, tag ASC
+    `),
+    insert: db.prepare(`
+      INSERT INTO clips
+        (document_id, title, note, tags, region, article, filename, created_by, created_at, updated_at)
+      VALUES (@documentId, @title, @note, @tags, @region, @article, @filename, @createdBy, @createdAt, @createdAt)
+    `),
+    delete: db.prepare('DELETE FROM clips WHERE id = ?')
+  };
+
+  return {
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    listByDocument(documentId) {
+      return statements.listByDocument.all(documentId).map(fromRow);
+    },
+
+    list({ tag = null, createdBy = null } = {}) {
+      return statements.list.all({ tag, createdBy }).map(fromRow);
+    },
+
+    // Every tag in use with the number of clips carrying it
+    listTags() {
+      return statements.tags.all();
+    },
+
+    // Cropped images under uploads/clips/, of one document or (without
+    // `documentId`) of all
+    listFilenames(documentId = null) {
+      const rows = documentId ? statements.filenamesByDocument.all(documentId) : statements.allFilenames.all();
+      return rows.map(row => row.filename);
+    },
+
+    create({ documentId, title, note = null, tags = [], region, article = null, filename, createdBy = null }) {
+      const result = statements.insert.run({
+        documentId,
+        title,
+        note,
+        tags: JSON.stringify(tags),
+        region: JSON.stringify(region),
+        article,
+        filename,
+        createdBy,
+        createdAt: new Date().toISOString()
+      });
+      return this.findById(result.lastInsertRowid);
+    },
+
+    update(id, changes) {
+      const fields = EDITABLE.filter(field => changes[field] !== undefined);
+      if (fields.length === 0) return this.findById(id);
+      const assignments = fields.map(field => `${COLUMNS[field].column} = @${field}`).join(', ');
+      const values = Object.fromEntries(fields.map(field => [
+        field,
+        COLUMNS[field].json ? JSON.stringify(changes[field]) : changes[field]
+      ]));
+      db.prepare(`UPDATE clips SET ${assignments}, updated_at = @updatedAt WHERE id = @id`)
+        .run({ ...values, id, updatedAt: new Date().toISOString() });
+      return this.findById(id);
+    },
+
+    delete(id) {
+      return statements.delete.run(id).changes > 0;
+    }
+  };
+}
+
+module.exports = { createClipRepository };
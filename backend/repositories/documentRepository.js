@@ -0,0 +1,295 @@
+const { assessQuality } = require('../quality');
+
+// Maps document fields (as returned by the API) to their SQLite columns.
+// JSON columns are serialized on write and parsed on read.
+const COLUMNS = {
+  id: { column: 'id' },
+  filename: { column: 'filename' },
+  originalName: { column: 'original_name' },
+  imagePath: { column: 'image_path' },
+  processedImagePath: { column: 'processed_image_path' },
+  uploadDate: { column: 'upload_date' },
+  status: { column: 'status' },
+  language: { column: 'language' },
+  extractedData: { column: 'extracted_data', json: true },
+  summaryData: { column: 'summary_data', json: true },
+  layout: { column: 'layout', json: true },
+  rawExtractedText: { column: 'raw_extracted_text' },
+  issueId: { column: 'issue_id' },
+  pageNumber: { column: 'page_number' },
+  sourceFilename: { column: 'source_filename' },
+  sourcePage: { column: 'source_page' },
+  extractionMethod: { column: 'extraction_method' },
+  parsedDate: { column: 'parsed_date' },
+  dateOriginal: { column: 'date_original' },
+  dateConfidence: { column: 'date_confidence' },
+  dateSource: { column: 'date_source' },
+  preprocessing: { column: 'preprocessing', json: true },
+  contentHash: { column: 'content_hash' },
+  perceptualHash: { column: 'perceptual_hash' },
+  textSignature: { column: 'text_signature', json: true },
+  duplicateOf: { column: 'duplicate_of' },
+  duplicateCandidates: { column: 'duplicate_candidates', json: true },
+  translations: { column: 'translations', json: true },
+  uploadedBy: { column: 'uploaded_by' },
+  activeVersion: { column: 'active_version' },
+  qualityScore: { column: 'quality_score' },
+  qualityIssues: { column: 'quality_issues', json: true },
+  reviewedAt: { column: 'reviewed_at' },
+  reviewedBy: { column: 'reviewed_by' },
+  tiles: { column: 'tiles', json: true }
+};
+
+// Fields the quality score is assessed from
+const QUALITY_FIELDS = ['extractedData', 'summaryData', 'parsedDate'];
+
+function toRow(document) {
+  const row = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    if (document[field] === undefined) continue;
+    row[column] = json ? JSON.stringify(document[field]) : document[field];
+  }
+  return row;
+}
+
+// Columns kept in step with extractedData so listings need not parse it
+function derivedRow(extractedData) {
+  return { extraction_method: extractedData.extractionMethod || null };
+}
+
+function qualityRow(document) {
+  const { score, issues } = assessQuality(document);
+  return { quality_score: score, quality_issues: JSON.stringify(issues) };
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const document = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    document[field] = json ? JSON.parse(row[column] || '{}') : row[column];
+  }
+  return document;
+}
+
+// Repository over the `documents` table. Every route reads and writes
+// documents through this object instead of touching SQL directly.
+function createDocumentRepository(db) {
+  const statements = {
+    list: db.prepare('SELECT * FROM documents ORDER BY upload_date ASC'),
+    listUndated: db.prepare('SELECT * FROM documents WHERE date_source IS NULL'),
+    findById: db.prepare('SELECT * FROM documents WHERE id = ?'),
+    listByIssue: db.prepare('SELECT * FROM documents WHERE issue_id = ? ORDER BY page_number ASC'),
+    countBySource: db.prepare('SELECT COUNT(*) AS count FROM documents WHERE source_filename = ?'),
+    delete: db.prepare('DELETE FROM documents WHERE id = ?'),
+    entries: db.prepare(`
+      SELECT documents.id, documents.upload_date, documents.status, documents.issue_id,
+        documents.page_number, documents.extraction_method, documents.parsed_date,
+        documents.duplicate_of, issues.newspaper, issues.edition_date
+      FROM documents LEFT JOIN issues ON issues.id = documents.issue_id
+    `),
+    review: db.prepare(`
+      SELECT documents.id, documents.original_name, documents.image_path, documents.upload_date,
+        documents.issue_id, documents.page_number, documents.parsed_date, documents.extraction_method,
+        documents.quality_score, documents.quality_issues, documents.reviewed_at, documents.reviewed_by,
+        issues.newspaper, issues.edition_date
+      FROM documents LEFT JOIN issues ON issues.id = documents.issue_id
+      WHERE documents.quality_score < @threshold AND (@includeReviewed OR documents.reviewed_at IS NULL)
+      ORDER BY documents.quality_score ASC, documents.upload_date ASC
+    `),
+    listUnassessed: db.prepare('SELECT * FROM documents WHERE quality_score IS NULL'),
+    // Pages whose tiling failed were once saved with the JSON text 'null'
+    listUntiled: db.prepare("SELECT * FROM documents WHERE tiles IS NULL OR tiles = 'null'"),
+    findByContentHash: db.prepare('SELECT * FROM documents WHERE content_hash = ? ORDER BY upload_date ASC'),
+    listUnfingerprinted: db.prepare('SELECT * FROM documents WHERE content_hash IS NULL'),
+    listDuplicatesOf: db.prepare('SELECT * FROM documents WHERE duplicate_of = ?'),
+    fingerprints: db.prepare(`
+      SELECT documents.id, documents.original_name, documents.image_path, documents.upload_date,
+        documents.issue_id, documents.page_number, documents.parsed_date, documents.content_hash,
+        documents.perceptual_hash, documents.text_signature, documents.duplicate_of,
+        issues.newspaper, issues.edition_date
+      FROM documents LEFT JOIN issues ON issues.id = documents.issue_id
+    `),
+    categories: db.prepare('SELECT document_id, article_index, category, section FROM article_categories'),
+    unmappedCategories: db.prepare(
+      'SELECT document_id, article_index, category FROM article_categories WHERE section IS NULL'
+    ),
+    deleteCategories: db.prepare('DELETE FROM article_categories WHERE document_id = ?'),
+    insertCategory: db.prepare(
+      'INSERT INTO article_categories (document_id, article_index, category, section) VALUES (?, ?, ?, ?)'
+    )
+  };
+
+  // Mirror the category and section of every article into article_categories
+  function syncCategories(id, extractedData) {
+    statements.deleteCategories.run(id);
+    (extractedData.articles || []).forEach((article, index) => {
+      const category = article.category?.trim();
+      if (category) statements.insertCategory.run(id, index, category, article.section || null);
+    });
+  }
+
+  return {
+    list() {
+      return statements.list.all().map(fromRow);
+    },
+
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    // Documents stored before edition dates were parsed
+    listUndated() {
+      return statements.listUndated.all().map(fromRow);
+    },
+
+    // Lightweight metadata of every document for filtering, sorting and facet
+    // counts; `categories[i]` is the category of article i and `sections[i]`
+    // its taxonomy section
+    listEntries() {
+      const categories = new Map();
+      const sections = new Map();
+      for (const row of statements.categories.all()) {
+        if (!categories.has(row.document_id)) {
+          categories.set(row.document_id, []);
+          sections.set(row.document_id, []);
+        }
+        categories.get(row.document_id)[row.article_index] = row.category;
+        sections.get(row.document_id)[row.article_index] = row.section;
+      }
+      return statements.entries.all().map(row => ({
+        id: row.id,
+        uploadDate: row.upload_date,
+        // The issue's date when set, otherwise the date parsed from this page
+        editionDate: row.edition_date || row.parsed_date,
+        newspaper: row.newspaper,
+        status: row.status,
+        issueId: row.issue_id,
+        pageNumber: row.page_number,
+        extractionMethod: row.extraction_method,
+        duplicateOf: row.duplicate_of,
+        categories: categories.get(row.id) || [],
+        sections: sections.get(row.id) || []
+      }));
+    },
+
+    // Articles whose category is not mapped to a taxonomy section yet
+    listUnmappedCategories() {
+      return statements.unmappedCategories.all().map(row => ({
+        documentId: row.document_id,
+        articleIndex: row.article_index,
+        category: row.category
+      }));
+    },
+
+    // Pages scoring below `threshold`, worst first: the review queue. Pages
+    // marked as reviewed are left out unless `includeReviewed`.
+    listForReview({ threshold, includeReviewed = false }) {
+      return statements.review.all({ threshold, includeReviewed: includeReviewed ? 1 : 0 }).map(row => ({
+        id: row.id,
+        originalName: row.original_name,
+        imagePath: row.image_path,
+        uploadDate: row.upload_date,
+        issueId: row.issue_id,
+        pageNumber: row.page_number,
+        newspaper: row.newspaper,
+        editionDate: row.edition_date || row.parsed_date,
+        extractionMethod: row.extraction_method,
+        qualityScore: row.quality_score,
+        qualityIssues: JSON.parse(row.quality_issues || '[]'),
+        reviewedAt: row.reviewed_at,
+        reviewedBy: row.reviewed_by
+      }));
+    },
+
+    // Documents stored before extraction quality was assessed
+    listUnassessed() {
+      return statements.listUnassessed.all().map(fromRow);
+    },
+
+    // Documents stored before thumbnails and tile pyramids were made
+    listUntiled() {
+      return statements.listUntiled.all().map(fromRow);
+    },
+
+    // Pages stored from exactly the same file (and page of it)
+    findByContentHash(contentHash) {
+      return statements.findByContentHash.all(contentHash).map(fromRow);
+    },
+
+    // Pages confirmed as copies of the given one
+    listDuplicatesOf(id) {
+      return statements.listDuplicatesOf.all(id).map(fromRow);
+    },
+
+    // Documents stored before duplicate detection fingerprinted them
+    listUnfingerprinted() {
+      return statements.listUnfingerprinted.all().map(fromRow);
+    },
+
+    // Hashes and text signature of every document, for duplicate detection
+    listFingerprints() {
+      return statements.fingerprints.all().map(row => ({
+        id: row.id,
+        originalName: row.original_name,
+        imagePath: row.image_path,
+        uploadDate: row.upload_date,
+        issueId: row.issue_id,
+        pageNumber: row.page_number,
+        newspaper: row.newspaper,
+        editionDate: row.edition_date || row.parsed_date,
+        contentHash: row.content_hash,
+        perceptualHash: row.perceptual_hash,
+        textSignature: row.text_signature ? JSON.parse(row.text_signature) : null,
+        duplicateOf: row.duplicate_of
+      }));
+    },
+
+    // Pages of an issue in page order
+    listByIssue(issueId) {
+      return statements.listByIssue.all(issueId).map(fromRow);
+    },
+
+    create(document) {
+      const row = { ...toRow(document), ...derivedRow(document.extractedData || {}), ...qualityRow(document) };
+      const columns = Object.keys(row);
+      db.transaction(() => {
+        db.prepare(
+          `INSERT INTO documents (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`
+        ).run(row);
+        syncCategories(document.id, document.extractedData || {});
+      })();
+      return this.findById(document.id);
+    },
+
+    update(id, changes) {
+      const row = toRow(changes);
+      delete row.id;
+      if (changes.extractedData) Object.assign(row, derivedRow(changes.extractedData));
+      // Corrections and new extractions are scored again
+      if (QUALITY_FIELDS.some(field => changes[field] !== undefined)) {
+        Object.assign(row, qualityRow({ ...this.findById(id), ...changes }));
+      }
+      const columns = Object.keys(row);
+      if (columns.length > 0) {
+        db.transaction(() => {
+          db.prepare(
+            `UPDATE documents SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`
+          ).run({ ...row, id });
+          if (changes.extractedData) syncCategories(id, changes.extractedData);
+        })();
+      }
+      return this.findById(id);
+    },
+
+    // Whether any page still comes from the given PDF/TIFF in uploads/
+    isSourceInUse(filename) {
+      return statements.countBySource.get(filename).count > 0;
+    },
+
+    delete(id) {
+      return statements.delete.run(id).changes > 0;
+    }
+  };
+}
+
+module.exports = { createDocumentRepository };
@@ -0,0 +1,80 @@
+const path = require('path');
+
+const COLUMNS = {
+  id: { column: 'id' },
+  documentId: { column: 'document_id' },
+  version: { column: 'version' },
+  source: { column: 'source' },
+  providers: { column: 'providers', json: true },
+  preprocessing: { column: 'preprocessing', json: true },
+  data: { column: 'data', json: true },
+  createdBy: { column: 'created_by' },
+  createdAt: { column: 'created_at' }
+};
+
+function fromRow(row) {
+  if (!row) return null;
+  const version = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    if (row[column] === undefined) continue;
+    version[field] = json ? JSON.parse(row[column]) : row[column];
+  }
+  return version;
+}
+
+// Repository over `extraction_versions`, every extraction of each document
+function createExtractionVersionRepository(db) {
+  const statements = {
+    listByDocument: db.prepare('SELECT * FROM extraction_versions WHERE document_id = ? ORDER BY version ASC'),
+    findByVersion: db.prepare('SELECT * FROM extraction_versions WHERE document_id = ? AND version = ?'),
+    findById: db.prepare('SELECT * FROM extraction_versions WHERE id = ?'),
+    nextVersion: db.prepare(
+      'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM extraction_versions WHERE document_id = ?'
+    ),
+    processedImages: db.prepare(`
+      SELECT DISTINCT json_extract(data, '$.processedImagePath') AS image FROM extraction_versions
+      WHERE json_extract(data, '$.processedImagePath') IS NOT NULL AND (? IS NULL OR document_id = ?)
+    `),
+    insert: db.prepare(`
+      INSERT INTO extraction_versions
+        (document_id, version, source, providers, preprocessing, data, created_by, created_at)
+      VALUES (@documentId, @version, @source, @providers, @preprocessing, @data, @createdBy, @createdAt)
+    `)
+  };
+
+  return {
+    listByDocument(documentId) {
+      return statements.listByDocument.all(documentId).map(fromRow);
+    },
+
+    findByVersion(documentId, version) {
+      return fromRow(statements.findByVersion.get(documentId, version));
+    },
+
+    // Files in uploads/ holding the processed images of stored versions, of
+    // one document or (without `documentId`) of all
+    listProcessedImages(documentId = null) {
+      return statements.processedImages.all(documentId, documentId).map(row => path.basename(row.image));
+    },
+
+    // Store the next version of a document
+    create({ documentId, source, providers = null, preprocessing = null, data, createdBy = null }) {
+      return db.transaction(() => {
+        const { version } = statements.nextVersion.get(documentId);
+        const result = statements.insert.run({
+          documentId,
+          version,
+          source,
+          providers: providers && JSON.stringify(providers),
+          preprocessing: preprocessing && JSON.stringify(preprocessing),
+          data: JSON.stringify(data),
+          createdBy,
+          createdAt: new Date().toISOString()
+        });
+        return fromRow(statements.findById.get(result.lastInsertRowid));
+      })();
+    }
+  };
+}
+
+module.exports = { createExtractionVersionRepository };
@@ -0,0 +1,88 @@
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    newspaper: row.newspaper,
+    editionDate: row.edition_date,
+    createdAt: row.created_at,
+    pageCount: row.page_count ?? undefined,
+    coverImagePath: row.cover_image_path ?? undefined
+  };
+}
+
+// Repository over the `issues` table. An issue is one edition of a newspaper;
+// its pages are documents with `issue_id` set, ordered by `page_number`.
+function createIssueRepository(db) {
+  const statements = {
+    list: db.prepare(`
+      SELECT issues.*,
+        (SELECT COUNT(*) FROM documents WHERE documents.issue_id = issues.id) AS page_count,
+        (SELECT image_path FROM documents WHERE documents.issue_id = issues.id
+          ORDER BY page_number ASC LIMIT 1) AS cover_image_path
+      FROM issues
+      ORDER BY COALESCE(edition_date, created_at) DESC
+    `),
+    findById: db.prepare('SELECT * FROM issues WHERE id = ?'),
+    insert: db.prepare(`
+      INSERT INTO issues (id, newspaper, edition_date, created_at)
+      VALUES (@id, @newspaper, @editionDate, @createdAt)
+    `),
+    update: db.prepare(`
+      UPDATE issues SET newspaper = @newspaper, edition_date = @editionDate WHERE id = @id
+    `),
+    nextPageNumber: db.prepare(
+      'SELECT COALESCE(MAX(page_number), 0) + 1 AS next FROM documents WHERE issue_id = ?'
+    ),
+    setPageNumber: db.prepare('UPDATE documents SET page_number = ? WHERE id = ? AND issue_id = ?'),
+    countPages: db.prepare('SELECT COUNT(*) AS count FROM documents WHERE issue_id = ?'),
+    delete: db.prepare('DELETE FROM issues WHERE id = ?')
+  };
+
+  return {
+    list() {
+      return statements.list.all().map(fromRow);
+    },
+
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    create({ id, newspaper, editionDate }) {
+      statements.insert.run({
+        id,
+        newspaper: newspaper || 'অজানা',
+        editionDate: editionDate || null,
+        createdAt: new Date().toISOString()
+      });
+      return this.findById(id);
+    },
+
+    update(id, changes) {
+      const issue = this.findById(id);
+      statements.update.run({ ...issue, ...changes, id });
+      return this.findById(id);
+    },
+
+    // Page number to give the next page appended to an issue
+    nextPageNumber(id) {
+      return statements.nextPageNumber.get(id).next;
+    },
+
+    // Renumber the pages of an issue to follow the given document ids
+    reorderPages(id, documentIds) {
+      db.transaction(() => {
+        documentIds.forEach((documentId, i) => statements.setPageNumber.run(i + 1, documentId, id));
+      })();
+    },
+
+    countPages(id) {
+      return statements.countPages.get(id).count;
+    },
+
+    delete(id) {
+      return statements.delete.run(id).changes > 0;
+    }
+  };
+}
+
+module.exports = { createIssueRepository };
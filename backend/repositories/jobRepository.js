@@ -0,0 +1,74 @@
+const COLUMNS = {
+  id: { column: 'id' },
+  type: { column: 'type' },
+  status: { column: 'status' },
+  stage: { column: 'stage' },
+  progress: { column: 'progress' },
+  attempts: { column: 'attempts' },
+  maxAttempts: { column: 'max_attempts' },
+  error: { column: 'error' },
+  payload: { column: 'payload', json: true },
+  documentId: { column: 'document_id' },
+  createdAt: { column: 'created_at' },
+  updatedAt: { column: 'updated_at' }
+};
+
+function toRow(job) {
+  const row = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    if (job[field] === undefined) continue;
+    row[column] = json ? JSON.stringify(job[field]) : job[field];
+  }
+  return row;
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const job = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    job[field] = json ? JSON.parse(row[column] || '{}') : row[column];
+  }
+  return job;
+}
+
+// Repository over the `jobs` table used by the processing queue
+function createJobRepository(db) {
+  const statements = {
+    findById: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+    listUnfinished: db.prepare(
+      "SELECT * FROM jobs WHERE status IN ('queued', 'running', 'retrying') ORDER BY created_at ASC"
+    )
+  };
+
+  return {
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    listUnfinished() {
+      return statements.listUnfinished.all().map(fromRow);
+    },
+
+    create(job) {
+      const now = new Date().toISOString();
+      const row = toRow({ createdAt: now, updatedAt: now, ...job });
+      const columns = Object.keys(row);
+      db.prepare(
+        `INSERT INTO jobs (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`
+      ).run(row);
+      return this.findById(job.id);
+    },
+
+    update(id, changes) {
+      const row = toRow({ ...changes, updatedAt: new Date().toISOString() });
+      delete row.id;
+      const columns = Object.keys(row);
+      db.prepare(
+        `UPDATE jobs SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`
+      ).run({ ...row, id });
+      return this.findById(id);
+    }
+  };
+}
+
+module.exports = { createJobRepository };
@@ -0,0 +1,66 @@
+const COLUMNS = {
+  id: { column: 'id' },
+  documentId: { column: 'document_id' },
+  action: { column: 'action' },
+  summary: { column: 'summary' },
+  author: { column: 'author' },
+  diff: { column: 'diff', json: true },
+  snapshot: { column: 'snapshot', json: true },
+  createdAt: { column: 'created_at' }
+};
+
+function fromRow(row) {
+  if (!row) return null;
+  const revision = {};
+  for (const [field, { column, json }] of Object.entries(COLUMNS)) {
+    if (row[column] === undefined) continue;
+    revision[field] = json ? JSON.parse(row[column]) : row[column];
+  }
+  return revision;
+}
+
+// Repository over `revisions`, the edit history of each document
+function createRevisionRepository(db) {
+  const statements = {
+    // Snapshots are large, so the history listing leaves them out
+    listByDocument: db.prepare(`
+      SELECT id, document_id, action, summary, author, diff, created_at
+      FROM revisions WHERE document_id = ? ORDER BY id DESC
+    `),
+    findById: db.prepare('SELECT * FROM revisions WHERE id = ?'),
+    countByDocument: db.prepare('SELECT COUNT(*) AS count FROM revisions WHERE document_id = ?'),
+    insert: db.prepare(`
+      INSERT INTO revisions (document_id, action, summary, author, diff, snapshot, created_at)
+      VALUES (@documentId, @action, @summary, @author, @diff, @snapshot, @createdAt)
+    `)
+  };
+
+  return {
+    listByDocument(documentId) {
+      return statements.listByDocument.all(documentId).map(fromRow);
+    },
+
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    hasHistory(documentId) {
+      return statements.countByDocument.get(documentId).count > 0;
+    },
+
+    create({ documentId, action, summary = null, author, diff = [], snapshot }) {
+      const result = statements.insert.run({
+        documentId,
+        action,
+        summary,
+        author,
+        diff: JSON.stringify(diff),
+        snapshot: JSON.stringify(snapshot),
+        createdAt: new Date().toISOString()
+      });
+      return this.findById(result.lastInsertRowid);
+    }
+  };
+}
+
+module.exports = { createRevisionRepository };
@@ -0,0 +1,79 @@
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    kind: row.kind,
+    name: row.name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// Repository over `auth_tokens`: login sessions and API tokens, looked up by
+// the hash of the token
+function createTokenRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO auth_tokens (user_id, kind, name, token_hash, created_at, expires_at)
+      VALUES (@userId, @kind, @name, @tokenHash, @createdAt, @expiresAt)
+    `),
+    findById: db.prepare('SELECT * FROM auth_tokens WHERE id = ?'),
+    findActive: db.prepare(`
+      SELECT * FROM auth_tokens
+      WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > ?)
+    `),
+    listByUser: db.prepare('SELECT * FROM auth_tokens WHERE user_id = ? AND kind = ? ORDER BY id DESC'),
+    touch: db.prepare('UPDATE auth_tokens SET last_used_at = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM auth_tokens WHERE id = ?'),
+    deleteByUser: db.prepare('DELETE FROM auth_tokens WHERE user_id = ? AND kind = ?'),
+    deleteExpired: db.prepare('DELETE FROM auth_tokens WHERE expires_at IS NOT NULL AND expires_at <= ?')
+  };
+
+  return {
+    create({ userId, kind, name = null, tokenHash, expiresAt = null }) {
+      const result = statements.insert.run({
+        userId,
+        kind,
+        name,
+        tokenHash,
+        createdAt: new Date().toISOString(),
+        expiresAt
+      });
+      return fromRow(statements.findById.get(result.lastInsertRowid));
+    },
+
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    // The unexpired token with this hash, or null
+    findActive(tokenHash) {
+      return fromRow(statements.findActive.get(tokenHash, new Date().toISOString()));
+    },
+
+    listByUser(userId, kind) {
+      return statements.listByUser.all(userId, kind).map(fromRow);
+    },
+
+    touch(id) {
+      statements.touch.run(new Date().toISOString(), id);
+    },
+
+    delete(id) {
+      statements.delete.run(id);
+    },
+
+    // Sign a user out everywhere ('session') or revoke all their API tokens ('api')
+    deleteByUser(userId, kind) {
+      statements.deleteByUser.run(userId, kind);
+    },
+
+    deleteExpired() {
+      return statements.deleteExpired.run(new Date().toISOString()).changes;
+    }
+  };
+}
+
+module.exports = { createTokenRepository };
@@ -0,0 +1,89 @@
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name,
+    role: row.role,
+    disabled: Boolean(row.disabled),
+    createdAt: row.created_at
+  };
+}
+
+// Repository over `users`. Password hashes never leave it except through
+// `findCredentials`, which login uses to check a password.
+function createUserRepository(db) {
+  const statements = {
+    list: db.prepare('SELECT * FROM users ORDER BY username'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    findById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    findByUsername: db.prepare('SELECT * FROM users WHERE username = ?'),
+    insert: db.prepare(`
+      INSERT INTO users (username, display_name, password_hash, role, created_at)
+      VALUES (@username, @displayName, @passwordHash, @role, @createdAt)
+    `),
+    update: db.prepare(`
+      UPDATE users SET display_name = @displayName, role = @role, disabled = @disabled WHERE id = @id
+    `),
+    setPassword: db.prepare('UPDATE users SET password_hash = ? WHERE id = ?'),
+    countActiveAdmins: db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND disabled = 0")
+  };
+
+  return {
+    list() {
+      return statements.list.all().map(fromRow);
+    },
+
+    count() {
+      return statements.count.get().count;
+    },
+
+    countActiveAdmins() {
+      return statements.countActiveAdmins.get().count;
+    },
+
+    findById(id) {
+      return fromRow(statements.findById.get(id));
+    },
+
+    findByUsername(username) {
+      return fromRow(statements.findByUsername.get(username));
+    },
+
+    // The user with their password hash, for checking a login
+    findCredentials(username) {
+      const row = statements.findByUsername.get(username);
+      return row ? { user: fromRow(row), passwordHash: row.password_hash } : null;
+    },
+
+    create({ username, displayName = null, passwordHash, role }) {
+      const result = statements.insert.run({
+        username,
+        displayName,
+        passwordHash,
+        role,
+        createdAt: new Date().toISOString()
+      });
+      return this.findById(result.lastInsertRowid);
+    },
+
+    update(id, changes) {
+      const current = this.findById(id);
+      if (!current) return null;
+      const next = { ...current, ...changes };
+      statements.update.run({
+        id,
+        displayName: next.displayName,
+        role: next.role,
+        disabled: next.disabled ? 1 : 0
+      });
+      return this.findById(id);
+    },
+
+    setPassword(id, passwordHash) {
+      statements.setPassword.run(passwordHash, id);
+    }
+  };
+}
+
+module.exports = { createUserRepository };
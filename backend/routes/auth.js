@@ -0,0 +1,95 @@
+const express = require('express');
+const { hashPassword, verifyPassword, checkPassword } = require('../auth/passwords');
+
+const MAX_TOKEN_NAME = 100;
+
+// Signing in and out, the signed-in user's password and their API tokens
+function createAuthRouter({ auth, userRepository, tokenRepository }) {
+  const router = express.Router();
+  const signedIn = auth.requireRole('viewer');
+
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const credentials = username && password ? userRepository.findCredentials(String(username)) : null;
+      const valid = credentials && !credentials.user.disabled &&
+        await verifyPassword(String(password), credentials.passwordHash);
+      if (!valid) {
+        return res.status(401).json({
+          error: 'Invalid username or password',
+          bangla_error: 'ব্যবহারকারীর নাম বা পাসওয়ার্ড ভুল'
+        });
+      }
+      auth.startSession(res, credentials.user);
+      res.json({ success: true, user: credentials.user });
+    } catch (error) {
+      console.error('Error signing in:', error);
+      res.status(500).json({
+        error: 'Failed to sign in',
+        details: error.message
+      });
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    auth.endSession(req, res);
+    res.json({ success: true });
+  });
+
+  router.get('/me', signedIn, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  // Change your own password; other sessions of the account are signed out
+  router.patch('/password', signedIn, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      const credentials = userRepository.findCredentials(req.user.username);
+      if (!currentPassword || !await verifyPassword(String(currentPassword), credentials.passwordHash)) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+      const weakness = checkPassword(newPassword);
+      if (weakness) {
+        return res.status(400).json({ error: weakness });
+      }
+      userRepository.setPassword(req.user.id, await hashPassword(newPassword));
+      tokenRepository.deleteByUser(req.user.id, 'session');
+      auth.startSession(res, req.user);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      res.status(500).json({
+        error: 'Failed to change password',
+        details: error.message
+      });
+    }
+  });
+
+  router.get('/tokens', signedIn, (req, res) => {
+    res.json({ tokens: tokenRepository.listByUser(req.user.id, 'api') });
+  });
+
+  // Issue an API token with the user's role. The token is in this response
+  // only; send it as `Authorization: Bearer <token>`.
+  router.post('/tokens', signedIn, (req, res) => {
+    const name = String(req.body?.name || '').trim().slice(0, MAX_TOKEN_NAME);
+    if (!name) {
+      return res.status(400).json({ error: 'A token name is required' });
+    }
+    const { token, record } = auth.issueApiToken(req.user, name);
+    res.status(201).json({ success: true, token, details: record });
+  });
+
+  router.delete('/tokens/:tokenId', signedIn, (req, res) => {
+    const record = tokenRepository.findById(Number(req.params.tokenId));
+    if (!record || record.userId !== req.user.id || record.kind !== 'api') {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    tokenRepository.delete(record.id);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,61 @@
+const express = require('express');
+
+// Which days have digitized issues, for the calendar/timeline view. Pages are
+// dated by their issue's edition date, or the date parsed from the page.
+function createCalendarRouter({ documentRepository }) {
+  const router = express.Router();
+
+  // Issues per day of one year (`?year=`, default the latest year with issues)
+  // plus the number of issues in every year
+  router.get('/', (req, res) => {
+    const issues = new Map();
+    for (const entry of documentRepository.listEntries()) {
+      if (!entry.editionDate) continue;
+      const key = `${entry.issueId || entry.id}:${entry.editionDate}`;
+      const issue = issues.get(key) || {
+        id: entry.issueId,
+        date: entry.editionDate,
+        newspaper: entry.newspaper,
+        pages: 0,
+        firstDocumentId: entry.id,
+        firstPage: entry.pageNumber
+      };
+      issue.pages += 1;
+      if ((entry.pageNumber || 0) < (issue.firstPage || 0)) {
+        issue.firstDocumentId = entry.id;
+        issue.firstPage = entry.pageNumber;
+      }
+      issues.set(key, issue);
+    }
+
+    const yearCounts = new Map();
+    for (const issue of issues.values()) {
+      const year = Number(issue.date.slice(0, 4));
+      yearCounts.set(year, (yearCounts.get(year) || 0) + 1);
+    }
+    const years = [...yearCounts]
+      .map(([year, count]) => ({ year, issues: count }))
+      .sort((a, b) => a.year - b.year);
+
+    const year = parseInt(req.query.year, 10) || years[years.length - 1]?.year || new Date().getFullYear();
+
+    const days = new Map();
+    for (const { firstPage, ...issue } of issues.values()) {
+      if (!issue.date.startsWith(`${year}-`)) continue;
+      if (!days.has(issue.date)) days.set(issue.date, []);
+      days.get(issue.date).push(issue);
+    }
+
+    res.json({
+      year,
+      years,
+      days: [...days]
+        .map(([date, dayIssues]) => ({ date, issues: dayIssues }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createCalendarRouter };
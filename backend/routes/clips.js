@@ -0,0 +1,189 @@
+const express = require('express');
+const { hasRole } = require('../auth');
+const { parseListQuery, encodeCursor } = require('../search/facets');
+const { parseRegion, parseTags, articleAt, cropClip, deleteClipFiles, renderCard } = require('../clips');
+const { contentDisposition } = require('./exports');
+
+const CARD_FORMATS = ['png', 'pdf'];
+
+// Title, note and tags from a request body; `error` when one is unusable.
+// With `partial`, fields left out are left out of the result too.
+function clipFields(body, { partial = false } = {}) {
+  const fields = {};
+  if (body.title !== undefined || !partial) {
+    const title = String(body.title ?? '').normalize('NFC').trim();
+    if (!title) return { error: 'A clip needs a title' };
+    fields.title = title;
+  }
+  if (body.note !== undefined) {
+    fields.note = String(body.note ?? '').normalize('NFC').trim() || null;
+  }
+  if (body.tags !== undefined) {
+    fields.tags = parseTags(body.tags);
+  }
+  return { fields };
+}
+
+// Clips: rectangles cut out of a page's scan to cite one article, each with
+// a title, note and tags, and a citation card to download. Any signed-in
+// account may make clips (`requireViewer`); a clip can be changed or deleted
+// by the account that made it or by an editor.
+function createClipsRouter({ documentRepository, issueRepository, clipRepository, uploadsDir, cardFont, requireViewer }) {
+  const router = express.Router();
+
+  function findDocument(req, res) {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      res.status(404).json({ error: 'Document not found' });
+    }
+    return document;
+  }
+
+  function findClip(req, res) {
+    const clip = clipRepository.findById(Number(req.params.clipId));
+    if (!clip) {
+      res.status(404).json({ error: 'Clip not found' });
+    }
+    return clip;
+  }
+
+  function mayChange(req, res, clip) {
+    if (clip.createdBy === req.user.username || hasRole(req.user, 'editor')) return true;
+    res.status(403).json({ error: 'Only the account that made a clip or an editor can change it' });
+    return false;
+  }
+
+  router.get('/documents/:id/clips', requireViewer, (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    res.json({ clips: clipRepository.listByDocument(document.id) });
+  });
+
+  // Cut `region` ({ x, y, width, height }, 0-1 coordinates of the page image)
+  // out of the page's original scan. The clip is linked to the article it
+  // mostly shows unless `article` names one (or is null for none).
+  router.post('/documents/:id/clips', requireViewer, async (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const body = req.body || {};
+    const region = parseRegion(body.region);
+    if (!region) {
+      return res.status(400).json({ error: 'region must be { x, y, width, height } within the page, from 0 to 1' });
+    }
+    const { fields, error } = clipFields(body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const articleCount = document.extractedData?.articles?.length || 0;
+    let article = articleAt(document, region);
+    if (body.article !== undefined) {
+      article = body.article === null ? null : Number(body.article);
+      if (article !== null && !(Number.isInteger(article) && article >= 0 && article < articleCount)) {
+        return res.status(400).json({ error: `article must be an article number from 0 to ${articleCount - 1} or null` });
+      }
+    }
+
+    try {
+      const filename = await cropClip(document, region, uploadsDir);
+      const clip = clipRepository.create({
+        documentId: document.id,
+        ...fields,
+        region,
+        article,
+        filename,
+        createdBy: req.user.username
+      });
+      res.status(201).json({ success: true, clip });
+    } catch (cropError) {
+      if (cropError.status === 400) {
+        return res.status(400).json({ error: cropError.message });
+      }
+      console.error('Error creating clip:', cropError);
+      res.status(500).json({
+        error: 'Failed to create clip',
+        details: cropError.message
+      });
+    }
+  });
+
+  // Every clip, newest first; `tag` keeps those with the tag and `mine=1`
+  // those made by the signed-in account. The tags in use are the one facet.
+  router.get('/clips', requireViewer, (req, res) => {
+    try {
+      const { limit, cursor } = parseListQuery(req.query);
+      const clips = clipRepository.list({
+        tag: req.query.tag || null,
+        createdBy: req.query.mine === '1' ? req.user.username : null
+      });
+      const offset = cursor?.offset || 0;
+
+      res.json({
+        total: clips.length,
+        clips: clips.slice(offset, offset + limit),
+        facets: { tags: clipRepository.listTags() },
+        nextCursor: offset + limit < clips.length ? encodeCursor({ offset: offset + limit }) : null
+      });
+    } catch (error) {
+      console.error('Error listing clips:', error);
+      res.status(500).json({
+        error: 'Failed to list clips',
+        details: error.message
+      });
+    }
+  });
+
+  router.get('/clips/:clipId', requireViewer, (req, res) => {
+    const clip = findClip(req, res);
+    if (!clip) return;
+    res.json(clip);
+  });
+
+  // Change the title, note or tags; the region is fixed once cut
+  router.patch('/clips/:clipId', requireViewer, (req, res) => {
+    const clip = findClip(req, res);
+    if (!clip || !mayChange(req, res, clip)) return;
+    const { fields, error } = clipFields(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, clip: clipRepository.update(clip.id, fields) });
+  });
+
+  router.delete('/clips/:clipId', requireViewer, (req, res) => {
+    const clip = findClip(req, res);
+    if (!clip || !mayChange(req, res, clip)) return;
+    clipRepository.delete(clip.id);
+    deleteClipFiles([clip.filename], uploadsDir);
+    res.json({ success: true });
+  });
+
+  // The citation card as `format=png` (default) or `format=pdf`
+  router.get('/clips/:clipId/card', requireViewer, async (req, res) => {
+    const format = req.query.format || 'png';
+    if (!CARD_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${CARD_FORMATS.join(', ')}` });
+    }
+    const clip = findClip(req, res);
+    if (!clip) return;
+
+    try {
+      const document = documentRepository.findById(clip.documentId);
+      const issue = document.issueId ? issueRepository.findById(document.issueId) : null;
+      const { content, contentType, filename } =
+        await renderCard(clip, document, { issue, uploadsDir, font: cardFont, format });
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', contentDisposition(filename));
+      res.send(content);
+    } catch (error) {
+      console.error('Error rendering citation card:', error);
+      res.status(500).json({
+        error: 'Failed to render citation card',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createClipsRouter };
@@ -0,0 +1,214 @@
+const express = require('express');
+const { parseInputDate } = require('../dates/bengaliDate');
+const { UNKNOWN } = require('../extraction/chunks');
+const {
+  ARTICLE_FIELDS, setHeadlines, updateArticle, splitArticle, mergeArticles, reorderArticles
+} = require('../editing/articles');
+
+// Who made a change: the signed-in user
+function authorOf(req) {
+  return req.user.displayName || req.user.username;
+}
+
+// Corrected text is stored NFC-normalized so it matches search and the
+// continuation detector regardless of the keyboard that produced it
+function cleanText(value) {
+  return String(value).normalize('NFC').trim();
+}
+
+// Hand corrections of a page's date, headlines and articles (including
+// split, merge and reorder), its revision history and rollback. Every change
+// goes through the document editor, which records it as a revision.
+function createCorrectionsRouter({
+  documentRepository, issueRepository, revisionRepository, documentEditor, taxonomy, dateCalendar
+}) {
+  const router = express.Router();
+
+  function findDocument(req, res) {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      res.status(404).json({ error: 'Document not found' });
+    }
+    return document;
+  }
+
+  function articleIndex(req, res, document) {
+    const index = Number(req.params.n);
+    if (!Number.isInteger(index) || index < 0 || index >= (document.extractedData.articles || []).length) {
+      res.status(404).json({ error: 'Article not found' });
+      return null;
+    }
+    return index;
+  }
+
+  function respond(res, result) {
+    res.json({ success: true, ...result });
+  }
+
+  // Correct the edition date. `date` is an ISO date or any text the date
+  // parser understands (e.g. "৩ কার্তিক ১৪৩১"); null clears it. The text as
+  // given replaces the printed date the model read, so pages and exports do
+  // not show the old one. The issue's edition date follows unless
+  // `applyToIssue` is false.
+  router.patch('/:id/date', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+
+    const { date, applyToIssue = true } = req.body;
+    let parsedDate = null;
+    if (date) {
+      parsedDate = parseInputDate(date, { calendar: dateCalendar });
+      if (!parsedDate) {
+        return res.status(400).json({ error: 'Could not parse date', details: String(date) });
+      }
+    }
+
+    const printed = parsedDate ? cleanText(date) : null;
+    const result = documentEditor.apply(
+      document.id,
+      { action: 'date', summary: `Date set to ${parsedDate || 'unknown'}`, author: authorOf(req) },
+      state => ({
+        state: {
+          ...state,
+          extractedData: { ...state.extractedData, date: printed || UNKNOWN },
+          parsedDate,
+          dateOriginal: printed,
+          dateConfidence: 1,
+          dateSource: 'manual'
+        }
+      })
+    );
+    const issue = applyToIssue && document.issueId
+      ? issueRepository.update(document.issueId, { editionDate: parsedDate })
+      : null;
+
+    respond(res, { ...result, issue });
+  });
+
+  // Replace the list of headlines
+  router.patch('/:id/headlines', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+
+    const { headlines } = req.body;
+    if (!Array.isArray(headlines) || headlines.some(h => typeof h !== 'string')) {
+      return res.status(400).json({ error: 'headlines must be an array of strings' });
+    }
+
+    respond(res, documentEditor.apply(
+      document.id,
+      { action: 'headlines', summary: 'Headlines corrected', author: authorOf(req) },
+      state => setHeadlines(state, headlines.map(cleanText).filter(Boolean))
+    ));
+  });
+
+  // Put the articles in a new order: `order` lists every current index once
+  router.patch('/:id/articles/order', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+
+    const { order } = req.body;
+    const count = (document.extractedData.articles || []).length;
+    const isPermutation = Array.isArray(order) && order.length === count &&
+      [...order].sort((a, b) => a - b).every((value, i) => value === i);
+    if (!isPermutation) {
+      return res.status(400).json({ error: `order must list each article index from 0 to ${count - 1} once` });
+    }
+
+    respond(res, documentEditor.apply(
+      document.id,
+      { action: 'reorder', summary: 'Articles reordered', author: authorOf(req) },
+      state => reorderArticles(state, order)
+    ));
+  });
+
+  // Merge two or more articles into the first of them
+  router.post('/:id/articles/merge', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+
+    const { articles } = req.body;
+    const count = (document.extractedData.articles || []).length;
+    if (!Array.isArray(articles) || new Set(articles).size < 2 ||
+        articles.some(i => !Number.isInteger(i) || i < 0 || i >= count)) {
+      return res.status(400).json({ error: 'articles must list at least two existing article indices' });
+    }
+
+    const sorted = [...new Set(articles)].sort((a, b) => a - b);
+    respond(res, documentEditor.apply(
+      document.id,
+      { action: 'merge', summary: `Merged articles ${sorted.map(i => i + 1).join(', ')}`, author: authorOf(req) },
+      state => mergeArticles(state, sorted)
+    ));
+  });
+
+  // Correct an article's headline, content or category (a section label or
+  // any name the taxonomy maps to one)
+  router.patch('/:id/articles/:n', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const index = articleIndex(req, res, document);
+    if (index === null) return;
+
+    const changes = {};
+    for (const field of ARTICLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = cleanText(req.body[field]);
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: `Nothing to change; send any of ${ARTICLE_FIELDS.join(', ')}` });
+    }
+    // Categories are filed under the taxonomy like the model's are
+    if (changes.category !== undefined) Object.assign(changes, taxonomy.classify(changes.category));
+
+    respond(res, documentEditor.apply(
+      document.id,
+      { action: 'article', summary: `Article ${index + 1} corrected`, author: authorOf(req) },
+      state => updateArticle(state, index, changes)
+    ));
+  });
+
+  // Split an article in two at character offset `at` of its content; the
+  // second part becomes a new article with `headline`
+  router.post('/:id/articles/:n/split', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const index = articleIndex(req, res, document);
+    if (index === null) return;
+
+    const content = document.extractedData.articles[index].content || '';
+    const at = Number(req.body.at);
+    if (!Number.isInteger(at) || at <= 0 || at >= content.length) {
+      return res.status(400).json({ error: `at must be a character offset between 1 and ${content.length - 1}` });
+    }
+
+    respond(res, documentEditor.apply(
+      document.id,
+      { action: 'split', summary: `Article ${index + 1} split in two`, author: authorOf(req) },
+      state => splitArticle(state, index, at, cleanText(req.body.headline || ''))
+    ));
+  });
+
+  // Edit history, newest first
+  router.get('/:id/revisions', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    res.json(revisionRepository.listByDocument(document.id));
+  });
+
+  // Restore the content as it was after the given revision
+  router.post('/:id/revisions/:revisionId/rollback', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+
+    const revision = revisionRepository.findById(Number(req.params.revisionId));
+    if (!revision || revision.documentId !== document.id) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    respond(res, documentEditor.rollback(document.id, revision, authorOf(req)));
+  });
+
+  return router;
+}
+
+module.exports = { createCorrectionsRouter, authorOf };
@@ -0,0 +1,70 @@
+const express = require('express');
+
+// Suspected duplicates: the archive-wide cluster listing for admins, and
+// confirming or dismissing the duplicates found for one page
+function createDuplicatesRouter({ documentRepository, duplicateDetector }) {
+  const router = express.Router();
+
+  router.get('/admin/duplicates', (req, res) => {
+    try {
+      const clusters = duplicateDetector.clusters();
+      res.json({ total: clusters.length, clusters });
+    } catch (error) {
+      console.error('Error listing duplicates:', error);
+      res.status(500).json({
+        error: 'Failed to list duplicates',
+        details: error.message
+      });
+    }
+  });
+
+  // Mark a page as a copy of `documentId`. Links always point at the first
+  // page of a chain, so following one never needs more than a step.
+  router.put('/documents/:id/duplicate-of', (req, res) => {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (req.body.documentId === document.id) {
+      return res.status(400).json({ error: 'A document cannot duplicate itself' });
+    }
+    let original = documentRepository.findById(req.body.documentId);
+    if (!original) {
+      return res.status(404).json({ error: 'Original document not found' });
+    }
+    if (original.duplicateOf) {
+      original = documentRepository.findById(original.duplicateOf) || original;
+    }
+    if (original.id === document.id) {
+      return res.status(400).json({ error: `${req.body.documentId} is already a duplicate of this document` });
+    }
+
+    // Pages that pointed at this one now point at its original too
+    for (const copy of documentRepository.listDuplicatesOf(document.id)) {
+      documentRepository.update(copy.id, { duplicateOf: original.id });
+    }
+    const updated = documentRepository.update(document.id, { duplicateOf: original.id, duplicateCandidates: [] });
+    res.json({ success: true, document: updated });
+  });
+
+  router.delete('/documents/:id/duplicate-of', (req, res) => {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, document: documentRepository.update(document.id, { duplicateOf: null }) });
+  });
+
+  // The suspected duplicates turned out to be different pages
+  router.delete('/documents/:id/duplicate-candidates', (req, res) => {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, document: documentRepository.update(document.id, { duplicateCandidates: [] }) });
+  });
+
+  return router;
+}
+
+module.exports = { createDuplicatesRouter };
@@ -0,0 +1,152 @@
+const express = require('express');
+const { ENTITY_TYPES } = require('../entities/names');
+const { nameMatcher } = require('../entities');
+const { extractEntitiesInBatches } = require('../extraction');
+const { parseListQuery, matchesFilters, sortEntries, encodeCursor } = require('../search/facets');
+const { setEntities } = require('../editing/articles');
+const { authorOf } = require('./corrections');
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+const SORTS = {
+  mentions: (a, b) => b.mentionCount - a.mentionCount || a.name.localeCompare(b.name),
+  name: (a, b) => a.name.localeCompare(b.name) || a.id - b.id
+};
+
+function parseLimit(value) {
+  return Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+}
+
+// The entity browser: people, places, organizations and events named across
+// the archive, every article naming one, and (for editors) extracting the
+// entities of a page processed before entity extraction existed
+function createEntitiesRouter({ documentRepository, entityIndex, searchIndex, documentEditor, getLlm, batchSize }) {
+  const router = express.Router();
+
+  // Entities by `type` (repeatable) and name (`q`, Bengali or romanized),
+  // most mentioned first or by `sort=name`, with a count per type. Pass
+  // `nextCursor` back as `cursor` for the next page.
+  router.get('/entities', (req, res) => {
+    const types = [].concat(req.query.type ?? []).map(String).filter(Boolean);
+    const unknown = types.filter(type => !ENTITY_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `type must be one of ${ENTITY_TYPES.join(', ')}` });
+    }
+    const sort = SORTS[req.query.sort] ? req.query.sort : 'mentions';
+    const limit = parseLimit(req.query.limit);
+
+    try {
+      const matches = nameMatcher(String(req.query.q || ''));
+      const named = entityIndex.list().filter(matches);
+      const matching = named
+        .filter(entity => types.length === 0 || types.includes(entity.type))
+        .sort(SORTS[sort]);
+      const { cursor } = parseListQuery(req.query);
+      const offset = cursor?.offset || 0;
+
+      res.json({
+        items: matching.slice(offset, offset + limit),
+        total: matching.length,
+        nextCursor: offset + limit < matching.length ? encodeCursor({ offset: offset + limit }) : null,
+        facets: {
+          type: ENTITY_TYPES.map(type => ({ value: type, count: named.filter(entity => entity.type === type).length }))
+        }
+      });
+    } catch (error) {
+      console.error('Error listing entities:', error);
+      res.status(500).json({
+        error: 'Failed to list entities',
+        details: error.message
+      });
+    }
+  });
+
+  // Every article naming the entity, newest edition first (or `order=asc`),
+  // with its page and a snippet highlighting the name. Takes the filters of
+  // /api/documents (category applies per article).
+  router.get('/entities/:id/mentions', (req, res) => {
+    const entity = entityIndex.findById(Number(req.params.id));
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    try {
+      const { filters, order, cursor } = parseListQuery(req.query, { defaultSort: 'editionDate' });
+      const limit = parseLimit(req.query.limit);
+      const entries = new Map(documentRepository.listEntries().map(entry => [entry.id, entry]));
+      const mentions = entityIndex.mentions(entity.id)
+        .filter(mention => entries.has(mention.documentId))
+        .map(mention => {
+          const entry = entries.get(mention.documentId);
+          return { ...entry, categories: [entry.categories[mention.articleIndex]], mention };
+        })
+        .filter(entry => matchesFilters(entry, filters));
+      const ordered = sortEntries(mentions, 'editionDate', order);
+      const offset = cursor?.offset || 0;
+      const page = ordered.slice(offset, offset + limit);
+
+      const results = page.map(entry => {
+        const { documentId, articleIndex, name } = entry.mention;
+        const [described] = searchIndex.describe([{ documentId, articleIndex }], `"${name.replace(/"/g, ' ')}"`);
+        return {
+          ...described,
+          name,
+          issueId: entry.issueId,
+          pageNumber: entry.pageNumber,
+          newspaper: entry.newspaper,
+          editionDate: entry.editionDate,
+          category: entry.categories[0] || null
+        };
+      });
+
+      res.json({
+        entity,
+        mentions: results,
+        total: mentions.length,
+        nextCursor: offset + limit < mentions.length ? encodeCursor({ offset: offset + limit }) : null
+      });
+    } catch (error) {
+      console.error('Error listing entity mentions:', error);
+      res.status(500).json({
+        error: 'Failed to list entity mentions',
+        details: error.message
+      });
+    }
+  });
+
+  // Extract the entities of every article on the page again, e.g. for pages
+  // processed before entity extraction. Recorded as a revision; articles the
+  // model fails on keep the entities they had.
+  router.post('/documents/:id/entities', async (req, res) => {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    try {
+      const { entities, warnings } = await extractEntitiesInBatches(document.extractedData, getLlm(), { batchSize });
+      const result = documentEditor.apply(
+        document.id,
+        { action: 'entities', summary: 'Extracted named entities', author: authorOf(req) },
+        state => {
+          // The page may have been corrected while the model was working
+          if ((state.extractedData.articles || []).length !== entities.length) {
+            throw new Error('The page changed during extraction');
+          }
+          return setEntities(state, entities);
+        }
+      );
+      res.json({ success: true, ...result, ...(warnings && { warnings }) });
+    } catch (error) {
+      console.error('Error extracting entities:', error);
+      res.status(500).json({
+        error: 'Failed to extract entities',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEntitiesRouter };
@@ -0,0 +1,84 @@
+const express = require('express');
+const { FORMATS, exportDocument, exportArchive } = require('../exporters');
+const { parseListQuery, matchesFilters } = require('../search/facets');
+
+// An attachment header that keeps non-ASCII (Bengali) names: a plain
+// fallback for old clients and the UTF-8 name as RFC 5987 `filename*`
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function checkFormat(req, res) {
+  const format = req.query.format || 'txt';
+  if (!FORMATS[format]) {
+    res.status(400).json({ error: `Unknown export format "${format}"`, formats: Object.keys(FORMATS) });
+    return null;
+  }
+  return format;
+}
+
+// Archive exports: a single page in ALTO, hOCR, TEI, EPUB, Markdown or plain
+// text, or a zip of every page in a date range (same filters as /api/documents).
+function createExportsRouter({ documentRepository, issueRepository, uploadsDir }) {
+  const router = express.Router();
+
+  const issueOf = document => (document.issueId ? issueRepository.findById(document.issueId) : null);
+
+  router.get('/documents/:id/export', async (req, res) => {
+    const format = checkFormat(req, res);
+    if (!format) return;
+
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    try {
+      const { content, contentType, filename } =
+        await exportDocument(document, format, { issue: issueOf(document), uploadsDir });
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', contentDisposition(filename));
+      res.send(content);
+    } catch (error) {
+      console.error('Error exporting document:', error);
+      res.status(500).json({
+        error: 'Failed to export document',
+        details: error.message
+      });
+    }
+  });
+
+  router.get('/export', async (req, res) => {
+    const format = checkFormat(req, res);
+    if (!format) return;
+
+    const { filters } = parseListQuery(req.query);
+    const entries = documentRepository.listEntries()
+      .filter(entry => matchesFilters(entry, filters))
+      .sort((a, b) => (a.editionDate || '').localeCompare(b.editionDate || '') ||
+        (a.issueId || '').localeCompare(b.issueId || '') || (a.pageNumber || 0) - (b.pageNumber || 0));
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'No documents match the export filters' });
+    }
+
+    try {
+      const documents = entries.map(entry => documentRepository.findById(entry.id));
+      const archive = await exportArchive(documents, format, { issueOf, uploadsDir });
+      const range = [filters.from, filters.to].filter(Boolean).join('_to_') || 'all';
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', contentDisposition(`export_${range}_${format}.zip`));
+      res.send(archive);
+    } catch (error) {
+      console.error('Error exporting documents:', error);
+      res.status(500).json({
+        error: 'Failed to export documents',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createExportsRouter, contentDisposition };
@@ -0,0 +1,133 @@
+const express = require('express');
+const { deleteDocumentFiles } = require('../files');
+const { deleteClipFiles } = require('../clips');
+const { parseInputDate } = require('../dates/bengaliDate');
+
+// Routes for newspaper issues: one edition with its ordered pages and the
+// continuation links between articles on different pages.
+function createIssuesRouter({
+  issueRepository, documentRepository, articleLinkRepository, clipRepository, versionRepository, uploadsDir,
+  linkContinuations, requireAdmin, dateCalendar
+}) {
+  const router = express.Router();
+
+  function findIssue(req, res) {
+    const issue = issueRepository.findById(req.params.id);
+    if (!issue) {
+      res.status(404).json({ error: 'Issue not found' });
+    }
+    return issue;
+  }
+
+  // List issues, newest edition first
+  router.get('/', (req, res) => {
+    res.json(issueRepository.list());
+  });
+
+  // Get an issue with its pages in order and the links between them
+  router.get('/:id', (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    res.json({
+      ...issue,
+      pages: documentRepository.listByIssue(issue.id),
+      links: articleLinkRepository.listByIssue(issue.id)
+    });
+  });
+
+  // Update newspaper name, edition date or page order. The edition date may
+  // be given as YYYY-MM-DD or in any form the date parser reads; an empty
+  // one clears it.
+  router.patch('/:id', (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    const { newspaper, editionDate, pages } = req.body;
+
+    let parsedEditionDate = null;
+    if (editionDate) {
+      parsedEditionDate = parseInputDate(editionDate, { calendar: dateCalendar });
+      if (!parsedEditionDate) {
+        return res.status(400).json({ error: 'Could not parse editionDate', details: String(editionDate) });
+      }
+    }
+
+    if (pages !== undefined) {
+      const current = documentRepository.listByIssue(issue.id).map(page => page.id);
+      const samePages = Array.isArray(pages) &&
+        pages.length === current.length &&
+        current.every(id => pages.includes(id));
+      if (!samePages) {
+        return res.status(400).json({ error: 'pages must list every page of the issue exactly once' });
+      }
+      issueRepository.reorderPages(issue.id, pages);
+      linkContinuations(issue.id);
+    }
+
+    const updated = issueRepository.update(issue.id, {
+      ...(newspaper !== undefined && { newspaper }),
+      ...(editionDate !== undefined && { editionDate: parsedEditionDate })
+    });
+
+    res.json({ ...updated, pages: documentRepository.listByIssue(issue.id) });
+  });
+
+  // Manually link an article to its continuation on another page
+  router.post('/:id/links', (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    const { fromDocumentId, fromArticle, toDocumentId, toArticle } = req.body;
+    const pageIds = new Set(documentRepository.listByIssue(issue.id).map(page => page.id));
+    if (!pageIds.has(fromDocumentId) || !pageIds.has(toDocumentId)) {
+      return res.status(400).json({ error: 'Both documents must be pages of this issue' });
+    }
+    if (!Number.isInteger(fromArticle)) {
+      return res.status(400).json({ error: 'fromArticle must be an article index' });
+    }
+
+    const link = articleLinkRepository.create({
+      issueId: issue.id,
+      fromDocumentId,
+      fromArticle,
+      toDocumentId,
+      toArticle: Number.isInteger(toArticle) ? toArticle : null
+    });
+    res.status(201).json(link);
+  });
+
+  // Remove an article link of this issue
+  router.delete('/:id/links/:linkId', (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    const link = articleLinkRepository.findById(Number(req.params.linkId));
+    if (!link || link.issueId !== issue.id) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    articleLinkRepository.delete(link.id);
+    res.json({ success: true });
+  });
+
+  // Delete an issue together with all of its pages (admins only)
+  router.delete('/:id', requireAdmin, (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    for (const page of documentRepository.listByIssue(issue.id)) {
+      const versionImages = versionRepository.listProcessedImages(page.id);
+      const clipFiles = clipRepository.listFilenames(page.id);
+      documentRepository.delete(page.id);
+      deleteDocumentFiles(page, documentRepository, versionImages);
+      deleteClipFiles(clipFiles, uploadsDir);
+    }
+    issueRepository.delete(issue.id);
+
+    res.json({ success: true, message: 'Issue, its pages and associated files deleted.' });
+  });
+
+  return router;
+}
+
+module.exports = { createIssuesRouter };
@@ -0,0 +1,77 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { previewImage } = require('../preprocess');
+const { listProfiles, parsePreprocessOptions, OVERRIDABLE } = require('../preprocess/profiles');
+const { needsRasterizing, rasterizePage } = require('../rasterize');
+
+const DEFAULT_PREVIEW_WIDTH = 1200;
+const MIN_PREVIEW_WIDTH = 200;
+const MAX_PREVIEW_WIDTH = 2400;
+
+// Preprocessing profiles and a preview of their effect, so a profile can be
+// compared with others before a scan is committed to OCR
+function createPreprocessRouter({ upload, documentRepository, uploadsDir }) {
+  const router = express.Router();
+
+  router.get('/profiles', (req, res) => {
+    res.json({ profiles: listProfiles(), options: OVERRIDABLE });
+  });
+
+  // Processed image as a JPEG, without OCR. The image is an uploaded `image`
+  // file (`page` picks the page of a PDF or TIFF) or the stored scan of
+  // `documentId`; `profile` and the per-upload options are read as for
+  // uploads, and `width` limits the preview size. What the automatic steps
+  // did (crop box, deskew angle) is returned in the X-Preprocess-Applied header.
+  router.post('/preview', upload.single('image'), async (req, res) => {
+    const temporary = req.file ? [req.file.path] : [];
+    try {
+      const { options, error } = parsePreprocessOptions(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      let input;
+      if (req.file) {
+        input = req.file.path;
+        if (needsRasterizing(req.file.mimetype)) {
+          const page = await rasterizePage(req.file.path, req.file.mimetype, parseInt(req.body.page, 10) || 1);
+          temporary.push(page.path);
+          input = page.path;
+        }
+      } else if (req.body.documentId) {
+        const document = documentRepository.findById(req.body.documentId);
+        if (!document) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        input = path.join(uploadsDir, document.filename);
+      } else {
+        return res.status(400).json({ error: 'Send an image file or a documentId' });
+      }
+
+      const width = Math.min(MAX_PREVIEW_WIDTH,
+        Math.max(MIN_PREVIEW_WIDTH, parseInt(req.body.width, 10) || DEFAULT_PREVIEW_WIDTH));
+      const { buffer, applied } = await previewImage(input, options, { width });
+
+      res.set({
+        'Content-Type': 'image/jpeg',
+        'Cache-Control': 'no-store',
+        'X-Preprocess-Applied': JSON.stringify(applied),
+        'Access-Control-Expose-Headers': 'X-Preprocess-Applied'
+      });
+      res.send(buffer);
+    } catch (error) {
+      console.error('Preprocess preview error:', error);
+      res.status(500).json({
+        error: 'Failed to preview preprocessing',
+        details: error.message
+      });
+    } finally {
+      temporary.forEach(file => fs.unlink(file, () => {}));
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPreprocessRouter };
@@ -0,0 +1,85 @@
+const express = require('express');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Articles are addressed as `<documentId>:<articleIndex>`
+function parseArticleId(id) {
+  const match = /^(.+):(\d+)$/.exec(id || '');
+  return match ? { documentId: match[1], articleIndex: Number(match[2]) } : null;
+}
+
+// Following a story across editions: the articles related to one article,
+// and the story thread it belongs to in date order
+function createRelatedRouter({ documentRepository, searchIndex, relatedIndex }) {
+  const router = express.Router();
+
+  // Related articles, most related first, with their page and a snippet, and
+  // the thread of closely related articles from the earliest edition on.
+  // Pages marked as duplicates are left out.
+  router.get('/articles/:id/related', (req, res) => {
+    const article = parseArticleId(req.params.id);
+    const document = article && documentRepository.findById(article.documentId);
+    if (!document || article.articleIndex >= (document.extractedData?.articles || []).length) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+      const entries = new Map(documentRepository.listEntries().map(entry => [entry.id, entry]));
+      const isListed = ({ documentId }) => entries.has(documentId) && !entries.get(documentId).duplicateOf;
+      const dateOf = ({ documentId }) => {
+        const entry = entries.get(documentId);
+        return entry.editionDate || (entry.uploadDate || '').slice(0, 10);
+      };
+
+      // Headline, snippet and page of each article, for display
+      const describe = articles => searchIndex.describe(articles, '').map((described, i) => {
+        const entry = entries.get(articles[i].documentId);
+        return {
+          ...described,
+          id: `${described.documentId}:${described.articleIndex}`,
+          issueId: entry.issueId,
+          pageNumber: entry.pageNumber,
+          newspaper: entry.newspaper,
+          editionDate: entry.editionDate,
+          category: entry.categories[described.articleIndex] || null
+        };
+      });
+
+      const related = relatedIndex.related(article.documentId, article.articleIndex)
+        .filter(isListed)
+        .slice(0, limit);
+      const thread = relatedIndex.thread(article.documentId, article.articleIndex)
+        .filter(member => member.documentId === article.documentId || isListed(member))
+        .sort((a, b) => dateOf(a).localeCompare(dateOf(b)) || a.documentId.localeCompare(b.documentId));
+
+      res.json({
+        article: describe([article])[0],
+        related: describe(related).map((described, i) => ({
+          ...described,
+          score: related[i].score,
+          textScore: related[i].textScore,
+          entityScore: related[i].entityScore
+        })),
+        // A thread of one article is no thread
+        thread: thread.length > 1
+          ? describe(thread).map(member => ({
+            ...member,
+            current: member.documentId === article.documentId && member.articleIndex === article.articleIndex
+          }))
+          : []
+      });
+    } catch (error) {
+      console.error('Error listing related articles:', error);
+      res.status(500).json({
+        error: 'Failed to list related articles',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRelatedRouter };
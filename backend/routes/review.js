@@ -0,0 +1,60 @@
+const express = require('express');
+const { parseListQuery, encodeCursor } = require('../search/facets');
+const { authorOf } = require('./corrections');
+
+// The review queue: pages whose extraction quality score is below
+// `threshold`, worst first, for a person to check and correct
+function createReviewRouter({ documentRepository, threshold }) {
+  const router = express.Router();
+
+  // `reviewed=include` also lists pages already marked as reviewed
+  router.get('/review', (req, res) => {
+    try {
+      const { limit, cursor } = parseListQuery(req.query);
+      const queue = documentRepository.listForReview({
+        threshold,
+        includeReviewed: req.query.reviewed === 'include'
+      });
+      const offset = cursor?.offset || 0;
+
+      res.json({
+        threshold,
+        total: queue.length,
+        documents: queue.slice(offset, offset + limit),
+        nextCursor: offset + limit < queue.length ? encodeCursor({ offset: offset + limit }) : null
+      });
+    } catch (error) {
+      console.error('Error listing the review queue:', error);
+      res.status(500).json({
+        error: 'Failed to list the review queue',
+        details: error.message
+      });
+    }
+  });
+
+  // Take a page off the queue once checked (`reviewed: false` puts it back)
+  router.put('/documents/:id/review', (req, res) => {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (typeof req.body?.reviewed !== 'boolean') {
+      return res.status(400).json({ error: 'reviewed must be true or false' });
+    }
+
+    const reviewed = req.body.reviewed;
+    const updated = documentRepository.update(document.id, {
+      reviewedAt: reviewed ? new Date().toISOString() : null,
+      reviewedBy: reviewed ? authorOf(req) : null
+    });
+    res.json({
+      success: true,
+      reviewedAt: updated.reviewedAt,
+      reviewedBy: updated.reviewedBy
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createReviewRouter };
@@ -0,0 +1,169 @@
+const express = require('express');
+const { categoryKey } = require('../taxonomy');
+const { isUnknown } = require('../extraction/chunks');
+const {
+  parseListQuery, matchesFilters, countFacets, sortEntries, encodeCursor
+} = require('../search/facets');
+const { authorOf } = require('./corrections');
+
+const REVIEW_EXAMPLES = 3;
+
+// Browsing articles by taxonomy section, and the admin review list of
+// categories no section covers yet
+function createSectionsRouter({ documentRepository, searchIndex, taxonomy }) {
+  const router = express.Router();
+
+  // One entry per article of the given entries, with the article's category
+  // and section in place of the page's
+  function articleEntries(entries) {
+    return entries.flatMap(entry => entry.sections.map((section, articleIndex) => ({
+      ...entry,
+      categories: [entry.categories[articleIndex]],
+      section,
+      articleIndex
+    })));
+  }
+
+  // The taxonomy with the number of articles and pages filed under each section
+  router.get('/sections', (req, res) => {
+    try {
+      const articles = articleEntries(documentRepository.listEntries());
+      res.json({
+        sections: taxonomy.sections().map(section => {
+          const filed = articles.filter(article => article.section === section.id);
+          return {
+            ...section,
+            articleCount: filed.length,
+            documentCount: new Set(filed.map(article => article.id)).size
+          };
+        }),
+        unmapped: articles.filter(article => !article.section && !isUnknown(article.categories[0])).length
+      });
+    } catch (error) {
+      console.error('Error listing sections:', error);
+      res.status(500).json({
+        error: 'Failed to list sections',
+        details: error.message
+      });
+    }
+  });
+
+  // The articles of one section, newest edition first, with the filters,
+  // sort and facet counts of /api/documents and a snippet of each article
+  router.get('/sections/:id/articles', (req, res) => {
+    const section = taxonomy.findSection(req.params.id);
+    if (!section) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+
+    try {
+      const { filters, sort, order, limit, cursor } = parseListQuery(req.query, { defaultSort: 'editionDate' });
+      const articles = articleEntries(documentRepository.listEntries())
+        .filter(article => article.section === section.id);
+      const matching = sortEntries(articles.filter(article => matchesFilters(article, filters)), sort, order);
+      const offset = cursor?.offset || 0;
+      const page = matching.slice(offset, offset + limit);
+
+      const results = searchIndex.describe(
+        page.map(article => ({ documentId: article.id, articleIndex: article.articleIndex })),
+        ''
+      ).map((result, i) => ({
+        ...result,
+        issueId: page[i].issueId,
+        pageNumber: page[i].pageNumber,
+        newspaper: page[i].newspaper,
+        editionDate: page[i].editionDate,
+        category: page[i].categories[0] || null
+      }));
+
+      res.json({
+        section,
+        results,
+        total: matching.length,
+        nextCursor: offset + limit < matching.length ? encodeCursor({ offset: offset + limit }) : null,
+        facets: countFacets(articles, filters)
+      });
+    } catch (error) {
+      console.error('Error listing section articles:', error);
+      res.status(500).json({
+        error: 'Failed to list section articles',
+        details: error.message
+      });
+    }
+  });
+
+  // Categories the taxonomy does not map yet, most used first, with a few
+  // of the articles filed under each
+  router.get('/admin/categories', (req, res) => {
+    try {
+      const groups = new Map();
+      for (const row of documentRepository.listUnmappedCategories()) {
+        if (isUnknown(row.category)) continue;
+        const key = categoryKey(row.category);
+        if (!groups.has(key)) groups.set(key, { names: new Map(), articles: [] });
+        const group = groups.get(key);
+        group.names.set(row.category, (group.names.get(row.category) || 0) + 1);
+        group.articles.push(row);
+      }
+
+      const categories = [...groups.values()]
+        .map(({ names, articles }) => {
+          const variants = [...names].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+          return {
+            category: variants[0],
+            variants,
+            articleCount: articles.length,
+            documentCount: new Set(articles.map(article => article.documentId)).size,
+            examples: articles.slice(0, REVIEW_EXAMPLES).map(({ documentId, articleIndex }) => ({
+              documentId,
+              articleIndex,
+              headline: documentRepository.findById(documentId)?.extractedData?.articles?.[articleIndex]?.headline || ''
+            }))
+          };
+        })
+        .sort((a, b) => b.articleCount - a.articleCount || a.category.localeCompare(b.category));
+
+      res.json({ total: categories.length, categories, sections: taxonomy.sections() });
+    } catch (error) {
+      console.error('Error listing unmapped categories:', error);
+      res.status(500).json({
+        error: 'Failed to list unmapped categories',
+        details: error.message
+      });
+    }
+  });
+
+  // Map a reviewed `category` to `section`: the name becomes a synonym of
+  // the section and every article filed under it moves there
+  router.post('/admin/categories', (req, res) => {
+    const { category, section } = req.body;
+    if (typeof category !== 'string' || !categoryKey(category) || isUnknown(category)) {
+      return res.status(400).json({ error: 'category must be a category name' });
+    }
+    if (!taxonomy.findSection(section)) {
+      return res.status(400).json({ error: 'section must be the id of a taxonomy section' });
+    }
+
+    try {
+      const synonym = taxonomy.addSynonym(category, section, authorOf(req));
+      const documentIds = new Set(documentRepository.listUnmappedCategories()
+        .filter(row => categoryKey(row.category) === synonym.key)
+        .map(row => row.documentId));
+      for (const documentId of documentIds) {
+        const changes = taxonomy.refile(documentRepository.findById(documentId));
+        if (changes) documentRepository.update(documentId, changes);
+      }
+      res.json({ success: true, synonym, updatedDocuments: documentIds.size });
+    } catch (error) {
+      console.error('Error mapping category:', error);
+      res.status(500).json({
+        error: 'Failed to map category',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSectionsRouter };
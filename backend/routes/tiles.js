@@ -0,0 +1,74 @@
+const express = require('express');
+const { TILE_FORMAT, hasTiles, thumbnailFile, descriptorFile, tileFile } = require('../tiles');
+
+const TILE_NAME = new RegExp(`^(\\d+)_(\\d+)\\.${TILE_FORMAT}$`);
+
+// Thumbnails and Deep Zoom tiles of page images. The URLs follow the DZI
+// convention (`tiles.dzi` next to `tiles_files/<level>/<column>_<row>.jpeg`),
+// so any Deep Zoom viewer can read them. A page's image never changes, so
+// browsers may keep each file for `maxAge` seconds; only signed-in users get
+// them, hence `private`.
+function createTilesRouter({ documentRepository, uploadsDir, maxAge }) {
+  const router = express.Router();
+
+  function findTiledDocument(req, res) {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      res.status(404).json({ error: 'Document not found' });
+      return null;
+    }
+    if (!hasTiles(document)) {
+      res.status(404).json({ error: 'The page has no thumbnail or tiles yet' });
+      return null;
+    }
+    return document;
+  }
+
+  function sendCached(res, file, contentType) {
+    res.set('Cache-Control', `private, max-age=${maxAge}`);
+    if (contentType) res.type(contentType);
+    res.sendFile(file, { cacheControl: false }, (error) => {
+      if (!error || res.headersSent) return;
+      if (error.status === 404) {
+        res.set('Cache-Control', 'no-store');
+        return res.status(404).json({ error: 'Tile not found' });
+      }
+      console.error('Error sending tile:', file, error);
+      res.status(500).json({
+        error: 'Failed to send tile',
+        details: error.message
+      });
+    });
+  }
+
+  router.get('/documents/:id/thumbnail', (req, res) => {
+    const document = findTiledDocument(req, res);
+    if (!document) return;
+    sendCached(res, thumbnailFile(document.id, uploadsDir));
+  });
+
+  // The pyramid's descriptor: image size, tile size, overlap and format
+  router.get('/documents/:id/tiles.dzi', (req, res) => {
+    const document = findTiledDocument(req, res);
+    if (!document) return;
+    sendCached(res, descriptorFile(document.id, uploadsDir), 'application/xml');
+  });
+
+  router.get('/documents/:id/tiles_files/:level/:tile', (req, res) => {
+    const match = TILE_NAME.exec(req.params.tile);
+    if (!match || !/^\d+$/.test(req.params.level)) {
+      return res.status(400).json({ error: `Tiles are named <level>/<column>_<row>.${TILE_FORMAT}` });
+    }
+    const document = findTiledDocument(req, res);
+    if (!document) return;
+    const level = Number(req.params.level);
+    if (level > document.tiles.maxLevel) {
+      return res.status(404).json({ error: 'Tile not found' });
+    }
+    sendCached(res, tileFile(document.id, { level, column: Number(match[1]), row: Number(match[2]) }, uploadsDir));
+  });
+
+  return router;
+}
+
+module.exports = { createTilesRouter };
@@ -0,0 +1,105 @@
+const express = require('express');
+const { SCHEMES, transliterate } = require('../transliteration');
+
+// English translations of a page (generated on request and cached) and its
+// romanized transliteration (computed locally on every request)
+function createTranslationsRouter({ documentRepository, translator }) {
+  const router = express.Router();
+
+  function findDocument(req, res) {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      res.status(404).json({ error: 'Document not found' });
+    }
+    return document;
+  }
+
+  // `refresh` (body or query) translates again even when a translation is cached
+  function refreshRequested(req) {
+    const value = req.body?.refresh ?? req.query.refresh;
+    return value === true || value === 'true' || value === '1';
+  }
+
+  // The cached translations that still match the page's text
+  router.get('/:id/translations', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    res.json({ id: document.id, ...translator.cached(document) });
+  });
+
+  router.post('/:id/articles/:n/translate', async (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const index = Number(req.params.n);
+    if (!Number.isInteger(index) || index < 0 || index >= (document.extractedData.articles || []).length) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    try {
+      const translation = await translator.translateArticle(document, index, { refresh: refreshRequested(req) });
+      res.json({ success: true, articleIndex: index, translation });
+    } catch (error) {
+      console.error('Error translating article:', error);
+      res.status(500).json({
+        error: 'Failed to translate article',
+        details: error.message
+      });
+    }
+  });
+
+  router.post('/:id/summary/translate', async (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    if (!document.summaryData?.overallSummary) {
+      return res.status(404).json({ error: 'Document has no summary' });
+    }
+
+    try {
+      const translation = await translator.translateSummary(document, { refresh: refreshRequested(req) });
+      res.json({ success: true, translation });
+    } catch (error) {
+      console.error('Error translating summary:', error);
+      res.status(500).json({
+        error: 'Failed to translate summary',
+        details: error.message
+      });
+    }
+  });
+
+  // The page's headlines, articles and summaries in Latin letters.
+  // `scheme` is 'iso' (ISO 15919, the default) or 'simple' (plain ASCII).
+  router.get('/:id/transliteration', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const scheme = req.query.scheme || 'iso';
+    if (!SCHEMES.includes(scheme)) {
+      return res.status(400).json({ error: `scheme must be one of ${SCHEMES.join(', ')}` });
+    }
+
+    const romanize = text => transliterate(text, scheme);
+    const { extractedData = {}, summaryData = {} } = document;
+    res.json({
+      id: document.id,
+      scheme,
+      headlines: (extractedData.headlines || []).map(romanize),
+      subHeadlines: (extractedData.subHeadlines || []).map(romanize),
+      articles: (extractedData.articles || []).map(article => ({
+        headline: romanize(article.headline),
+        content: romanize(article.content)
+      })),
+      summary: {
+        overallSummary: romanize(summaryData.overallSummary),
+        importantTopics: (summaryData.importantTopics || []).map(romanize),
+        articleSummaries: (summaryData.articleSummaries || []).map(summary => ({
+          headline: romanize(summary.headline),
+          summary: romanize(summary.summary),
+          keyPoints: (summary.keyPoints || []).map(romanize)
+        }))
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createTranslationsRouter };
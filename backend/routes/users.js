@@ -0,0 +1,101 @@
+const express = require('express');
+const { ROLES } = require('../auth');
+const { hashPassword, checkPassword } = require('../auth/passwords');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{2,50}$/;
+const MAX_DISPLAY_NAME = 100;
+
+function cleanDisplayName(value) {
+  const name = String(value ?? '').normalize('NFC').trim().slice(0, MAX_DISPLAY_NAME);
+  return name || null;
+}
+
+// Account management for admins. Accounts are disabled rather than deleted,
+// so the names in revision histories and upload records stay meaningful.
+function createUsersRouter({ userRepository, tokenRepository }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ users: userRepository.list() });
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const { username, password, role = 'viewer', displayName } = req.body || {};
+      if (!USERNAME_PATTERN.test(username || '')) {
+        return res.status(400).json({ error: 'Username must be 2-50 letters, digits, dots, dashes or underscores' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      }
+      const weakness = checkPassword(password);
+      if (weakness) {
+        return res.status(400).json({ error: weakness });
+      }
+      if (userRepository.findByUsername(username)) {
+        return res.status(409).json({ error: 'Username already exists' });
+      }
+
+      const user = userRepository.create({
+        username,
+        displayName: cleanDisplayName(displayName),
+        passwordHash: await hashPassword(password),
+        role
+      });
+      res.status(201).json({ success: true, user });
+    } catch (error) {
+      console.error('Error creating user:', error);
+      res.status(500).json({
+        error: 'Failed to create user',
+        details: error.message
+      });
+    }
+  });
+
+  // Change `role`, `displayName` or `disabled`, or reset the `password`.
+  // Disabling an account or resetting its password signs it out everywhere.
+  router.patch('/:userId', async (req, res) => {
+    try {
+      const user = userRepository.findById(Number(req.params.userId));
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const { role, displayName, disabled, password } = req.body || {};
+      if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      }
+      const losesAdmin = user.role === 'admin' && !user.disabled &&
+        ((role !== undefined && role !== 'admin') || disabled === true);
+      if (losesAdmin && userRepository.countActiveAdmins() === 1) {
+        return res.status(400).json({ error: 'The last admin cannot be demoted or disabled' });
+      }
+      if (password !== undefined) {
+        const weakness = checkPassword(password);
+        if (weakness) {
+          return res.status(400).json({ error: weakness });
+        }
+        userRepository.setPassword(user.id, await hashPassword(password));
+      }
+
+      const updated = userRepository.update(user.id, {
+        ...(role !== undefined && { role }),
+        ...(displayName !== undefined && { displayName: cleanDisplayName(displayName) }),
+        ...(disabled !== undefined && { disabled: Boolean(disabled) })
+      });
+      if (password !== undefined || updated.disabled) {
+        tokenRepository.deleteByUser(user.id, 'session');
+      }
+      res.json({ success: true, user: updated });
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).json({
+        error: 'Failed to update user',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
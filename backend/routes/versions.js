@@ -0,0 +1,176 @@
+const express = require('express');
+const { parsePreprocessOptions, OVERRIDABLE } = require('../preprocess/profiles');
+const { parseListQuery, matchesFilters } = require('../search/facets');
+const { alignArticles } = require('../versions');
+const { authorOf } = require('./corrections');
+
+// Listing fields of a version; the extracted content itself is only sent
+// when a version is fetched or compared
+function describeVersion(version, document) {
+  const { extractedData, parsedDate } = version.data;
+  return {
+    version: version.version,
+    source: version.source,
+    providers: version.providers,
+    preprocessing: version.preprocessing,
+    createdBy: version.createdBy,
+    createdAt: version.createdAt,
+    active: version.version === document.activeVersion,
+    extractionMethod: extractedData?.extractionMethod || null,
+    articlesCount: extractedData?.articles?.length || 0,
+    headlines: (extractedData?.headlines || []).slice(0, 3),
+    parsedDate
+  };
+}
+
+// Preprocessing for a reprocessing request: the page's own settings unless
+// the body picks a profile or overrides a step
+function reprocessSettings(body, document) {
+  if (!['profile', ...OVERRIDABLE].some(field => body[field] !== undefined)) {
+    const { applied, ...options } = document.preprocessing || parsePreprocessOptions().options;
+    return { options };
+  }
+  return parsePreprocessOptions(body);
+}
+
+// Versioned reprocessing: running the whole pipeline again on the stored
+// scan of one page or of every page matching the listing filters, and
+// listing, comparing and switching between the extraction versions
+function createVersionsRouter({ documentRepository, versionRepository, extractionVersions, jobQueue, requireAdmin }) {
+  const router = express.Router();
+
+  function findDocument(req, res) {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      res.status(404).json({ error: 'Document not found' });
+    }
+    return document;
+  }
+
+  function enqueueReprocess(document, { preprocess, activate, requestedBy }) {
+    return jobQueue.enqueue('reprocess', { documentId: document.id, preprocess, activate, requestedBy });
+  }
+
+  // Reprocess every page matching the filters of /api/documents (`category`,
+  // `newspaper`, `method`, `from`, `to`) or listed in `ids`. Admins only;
+  // pass `all: true` to reprocess the whole archive.
+  router.post('/documents/reprocess', requireAdmin, (req, res) => {
+    const body = req.body || {};
+    const ids = Array.isArray(body.ids) ? body.ids.map(String) : null;
+    const { filters } = parseListQuery(body);
+    const filtered = ['category', 'newspaper', 'extractionMethod'].some(facet => filters[facet].length > 0) ||
+      filters.from || filters.to;
+    if (!ids && !filtered && body.all !== true) {
+      return res.status(400).json({ error: 'Give filters, ids or all: true to choose the pages to reprocess' });
+    }
+
+    try {
+      const entries = documentRepository.listEntries()
+        .filter(entry => (ids ? ids.includes(entry.id) : matchesFilters(entry, filters)));
+      const jobs = [];
+      for (const entry of entries) {
+        const document = documentRepository.findById(entry.id);
+        const { options: preprocess, error } = reprocessSettings(body, document);
+        if (error) return res.status(400).json({ error });
+        jobs.push({
+          jobId: enqueueReprocess(document, { preprocess, activate: body.activate === true, requestedBy: authorOf(req) }).id,
+          documentId: document.id
+        });
+      }
+      res.status(202).json({ success: true, total: jobs.length, jobs });
+    } catch (error) {
+      console.error('Error queueing reprocessing:', error);
+      res.status(500).json({
+        error: 'Failed to queue reprocessing',
+        details: error.message
+      });
+    }
+  });
+
+  // Run the pipeline again on the page's stored scan, with its own
+  // preprocessing or the profile and steps in the body. The result becomes a
+  // new version, shown right away with `activate: true`.
+  router.post('/documents/:id/reprocess', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const { options: preprocess, error } = reprocessSettings(req.body || {}, document);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const job = enqueueReprocess(document, {
+      preprocess,
+      activate: req.body?.activate === true,
+      requestedBy: authorOf(req)
+    });
+    res.status(202).json({ success: true, jobId: job.id });
+  });
+
+  router.get('/documents/:id/versions', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    res.json({
+      activeVersion: document.activeVersion,
+      versions: versionRepository.listByDocument(document.id).map(version => describeVersion(version, document))
+    });
+  });
+
+  // Two versions side by side: their listing fields and their articles
+  // paired up, `from` and `to` being version numbers
+  router.get('/documents/:id/versions/compare', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const from = versionRepository.findByVersion(document.id, Number(req.query.from));
+    const to = versionRepository.findByVersion(document.id, Number(req.query.to));
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      from: describeVersion(from, document),
+      to: describeVersion(to, document),
+      summaries: {
+        from: from.data.summaryData?.overallSummary || null,
+        to: to.data.summaryData?.overallSummary || null
+      },
+      articles: alignArticles(from.data.extractedData?.articles || [], to.data.extractedData?.articles || [])
+    });
+  });
+
+  router.get('/documents/:id/versions/:version', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    const version = versionRepository.findByVersion(document.id, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json({ ...describeVersion(version, document), data: version.data });
+  });
+
+  // Show another version of the page; recorded as a revision
+  router.put('/documents/:id/active-version', (req, res) => {
+    const document = findDocument(req, res);
+    if (!document) return;
+    if (!Number.isInteger(req.body?.version)) {
+      return res.status(400).json({ error: 'version must be a version number' });
+    }
+
+    try {
+      const result = extractionVersions.activate(document.id, req.body.version, authorOf(req));
+      if (!result) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error switching extraction version:', error);
+      res.status(500).json({
+        error: 'Failed to switch extraction version',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createVersionsRouter };
@@ -0,0 +1,88 @@
+// Bengali text normalization, tokenization and light stemming shared by the
+// search index and anything else that needs to compare Bengali words.
+
+const BENGALI_DIGIT_ZERO = 0x09E6;
+
+// Suffixes stripped by `stem`, longest first: genitive -এর/-র, objective
+// -কে and locative -তে/-য়/-এ. -এর is usually written with the vowel sign (ের).
+// -র, -তে and -য় only follow a vowel ("কলকাতার" but "শহরের"), so they are
+// left alone after a consonant, where they are part of the word ("শহর").
+const SUFFIXES = [
+  { suffix: 'এর' },
+  { suffix: '\u09C7\u09B0' },
+  { suffix: 'কে' },
+  { suffix: 'তে', afterVowel: true },
+  { suffix: 'র', afterVowel: true },
+  { suffix: '\u09DF', afterVowel: true },
+  { suffix: '\u09C7' }
+];
+const MIN_STEM_LENGTH = 2;
+// Longer minimum for vowel-final stems so "রাতে" is read as রাত + -এ, not রা + -তে
+const MIN_VOWEL_STEM_LENGTH = 3;
+const VOWEL_ENDING = /[\u0985-\u0994\u09BE-\u09CC]$/;
+
+// Separators between tokens: whitespace, danda/double danda and punctuation
+const TOKEN_PATTERN = /[^\s।॥.,;:!?'"“”‘’()[\]{}<>\-–—/\\|*+=_#&%@~`^$]+/gu;
+
+// Compose nukta letters (U+09AF U+09BC -> U+09DF and so on) so both encodings match
+function composeNukta(text) {
+  return text
+    .replace(/\u09AF\u09BC/g, '\u09DF')
+    .replace(/\u09A1\u09BC/g, '\u09DC')
+    .replace(/\u09A2\u09BC/g, '\u09DD');
+}
+
+// Canonical form used for indexing and querying:
+// - NFC, with nukta letters composed (NFC itself leaves them decomposed)
+// - khanda ta written as ত + hasant + ZWJ becomes ৎ
+// - ya-phala typed with a nukta (্য়) becomes ্য
+// - ZWJ, ZWNJ, zero-width space, soft hyphen and BOM are removed
+// - Bengali digits become ASCII digits, Latin letters are lowercased
+function normalize(text) {
+  if (!text) return '';
+  return composeNukta(text.normalize('NFC'))
+    .replace(/\u09A4\u09CD\u200D/g, '\u09CE')
+    .replace(/\u09CD\u09DF/g, '\u09CD\u09AF')
+    .replace(/[\u200B\u200C\u200D\u00AD\uFEFF]/g, '')
+    .replace(/[\u09E6-\u09EF]/g, d => String(d.charCodeAt(0) - BENGALI_DIGIT_ZERO))
+    .toLowerCase();
+}
+
+// Strip one inflectional suffix from a normalized Bengali token
+function stem(token) {
+  if (!/[\u0980-\u09FF]/.test(token)) return token;
+  for (const { suffix, afterVowel } of SUFFIXES) {
+    if (!token.endsWith(suffix)) continue;
+    const base = token.slice(0, -suffix.length);
+    const length = [...base].length;
+    if (afterVowel) {
+      if (VOWEL_ENDING.test(base) && length >= MIN_VOWEL_STEM_LENGTH) return base;
+    } else if (length >= MIN_STEM_LENGTH) {
+      return base;
+    }
+  }
+  return token;
+}
+
+// Split text into tokens with their position and character offsets in the
+// original (un-normalized) text, so matches can be highlighted in place
+function tokenize(text) {
+  const tokens = [];
+  if (!text) return tokens;
+
+  let position = 0;
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const normalized = normalize(match[0]);
+    if (!normalized) continue;
+    tokens.push({
+      term: stem(normalized),
+      normalized,
+      position: position++,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+module.exports = { normalize, stem, tokenize, composeNukta };
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalize, stem, tokenize } = require('./bengali');
+
+test('normalize gives one spelling for the encodings of a word', () => {
+  assert.equal(normalize('ঢাকা\u09AF\u09BC'), 'ঢাকা\u09DF');
+  assert.equal(normalize('উ\u09A4\u09CD\u200Dসব'), 'উ\u09CEসব');
+  assert.equal(normalize('ব\u09CD\u09DF'), 'ব\u09CD\u09AF');
+  assert.equal(normalize('বাং\u200Cলা\u00AD'), 'বাংলা');
+  assert.equal(normalize('২০২৪ BBC'), '2024 bbc');
+  assert.equal(normalize(null), '');
+});
+
+test('stem strips case endings but not letters of the word itself', () => {
+  assert.equal(stem('কলকাতার'), 'কলকাতা');
+  assert.equal(stem('শহরের'), 'শহর');
+  assert.equal(stem('শহর'), 'শহর');
+  assert.equal(stem('রাতে'), 'রাত');
+  assert.equal(stem('বাংলাদেশকে'), 'বাংলাদেশ');
+  assert.equal(stem('ঢাকা\u09DF'), 'ঢাকা');
+  assert.equal(stem('paper'), 'paper');
+});
+
+test('tokenize splits on danda and punctuation and keeps offsets into the text', () => {
+  const text = 'কলকাতার খবর। ঢাকা,  রাতে';
+  const tokens = tokenize(text);
+  assert.deepEqual(tokens.map(token => token.term), ['কলকাতা', 'খবর', 'ঢাকা', 'রাত']);
+  assert.deepEqual(tokens.map(token => token.position), [0, 1, 2, 3]);
+  assert.deepEqual(tokens.map(({ start, end }) => text.slice(start, end)), ['কলকাতার', 'খবর', 'ঢাকা', 'রাতে']);
+  assert.deepEqual(tokenize(''), []);
+});
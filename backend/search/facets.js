@@ -0,0 +1,133 @@
+// Filters, facet counts and cursor pagination shared by the document listing
+// and search routes. Both work on the lightweight entries returned by
+// documentRepository.listEntries().
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Facet dimensions and the query parameter each one is filtered by
+const FACETS = {
+  category: 'category',
+  newspaper: 'newspaper',
+  extractionMethod: 'method'
+};
+
+const SORTS = {
+  uploadDate: entry => entry.uploadDate || '',
+  editionDate: entry => entry.editionDate || ''
+};
+
+// Repeated query parameters arrive as arrays (`?category=a&category=b`)
+function asList(value) {
+  return [].concat(value ?? []).map(String).filter(Boolean);
+}
+
+// Read filters, sort and page size from a request's query string
+function parseListQuery(query, { defaultSort = 'uploadDate' } = {}) {
+  const filters = { from: query.from || null, to: query.to || null };
+  for (const [facet, param] of Object.entries(FACETS)) {
+    filters[facet] = asList(query[param]);
+  }
+  return {
+    filters,
+    sort: SORTS[query.sort] ? query.sort : defaultSort,
+    order: query.order === 'asc' ? 'asc' : 'desc',
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    cursor: decodeCursor(query.cursor)
+  };
+}
+
+// The day an entry is dated by: its edition date, or failing that the upload day
+function entryDate(entry) {
+  return entry.editionDate || (entry.uploadDate || '').slice(0, 10);
+}
+
+function facetValues(entry, facet) {
+  if (facet === 'category') return [...new Set(entry.categories.filter(Boolean))];
+  return [entry[facet] || 'unknown'];
+}
+
+// Whether an entry passes every filter, optionally ignoring one facet
+function matchesFilters(entry, filters, except = null) {
+  const date = entryDate(entry);
+  if (filters.from && date < filters.from) return false;
+  if (filters.to && date > filters.to) return false;
+
+  return Object.keys(FACETS).every(facet => {
+    if (facet === except || filters[facet].length === 0) return true;
+    return facetValues(entry, facet).some(value => filters[facet].includes(value));
+  });
+}
+
+// Counts per facet value. Each facet is counted with the other facets'
+// filters applied but not its own, so sibling values stay selectable.
+function countFacets(entries, filters) {
+  const facets = {};
+  for (const facet of Object.keys(FACETS)) {
+    const counts = new Map();
+    for (const entry of entries) {
+      if (!matchesFilters(entry, filters, facet)) continue;
+      for (const value of facetValues(entry, facet)) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    facets[facet] = [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return facets;
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function comparator(sort, order) {
+  const sortValue = SORTS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => direction * (sortValue(a).localeCompare(sortValue(b)) || a.id.localeCompare(b.id));
+}
+
+// Entries ordered by upload or edition date (stable for equal dates)
+function sortEntries(entries, sort, order) {
+  return [...entries].sort(comparator(sort, order));
+}
+
+// Sort entries and return the page after `cursor`. The cursor holds the sort
+// value and id of the last entry served, so pages stay stable while new
+// documents arrive.
+function paginate(entries, { sort, order, limit, cursor }) {
+  const sortValue = SORTS[sort];
+  const compare = comparator(sort, order);
+
+  const sorted = [...entries].sort(compare);
+  const start = cursor
+    ? sorted.findIndex(entry => compare(entry, { id: cursor.id, [sort]: cursor.value }) > 0)
+    : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + limit < sorted.length;
+
+  return {
+    page,
+    nextCursor: hasMore ? encodeCursor({ value: sortValue(last), id: last.id }) : null
+  };
+}
+
+module.exports = {
+  parseListQuery,
+  matchesFilters,
+  countFacets,
+  sortEntries,
+  paginate,
+  encodeCursor
+};
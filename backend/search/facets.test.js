@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery, matchesFilters, countFacets, paginate } = require('./facets');
+
+// Listing entries as documentRepository.listEntries() returns them
+const entry = (id, { uploadDate = '2024-02-01T10:00:00.000Z', editionDate = null, categories = [], newspaper = null,
+  extractionMethod = 'llm' } = {}) => ({ id, uploadDate, editionDate, categories, newspaper, extractionMethod });
+
+const ENTRIES = [
+  entry('a', { editionDate: '2024-01-05', categories: ['politics', 'sports'], newspaper: 'Ittefaq' }),
+  entry('b', { editionDate: '2024-01-06', categories: ['politics'], newspaper: 'Prothom Alo' }),
+  entry('c', { categories: ['sports'], newspaper: 'Ittefaq', extractionMethod: 'ocr' }),
+  entry('d', { editionDate: '2023-12-31', categories: [] })
+];
+
+test('list queries are read with defaults and limits', () => {
+  const query = parseListQuery({ category: ['politics', 'sports'], method: 'ocr', limit: '500', sort: 'nonsense' });
+  assert.deepEqual(query.filters, {
+    from: null, to: null, category: ['politics', 'sports'], newspaper: [], extractionMethod: ['ocr']
+  });
+  assert.equal(query.sort, 'uploadDate');
+  assert.equal(query.order, 'desc');
+  assert.equal(query.limit, 100);
+  assert.equal(query.cursor, null);
+  assert.equal(parseListQuery({ limit: '0', cursor: 'not a cursor' }).limit, 20);
+  assert.equal(parseListQuery({ cursor: '%%%' }).cursor, null);
+});
+
+test('filters match any value of a facet and dates fall back to the upload day', () => {
+  const { filters } = parseListQuery({ category: ['sports'], from: '2024-01-06' });
+  assert.deepEqual(ENTRIES.filter(item => matchesFilters(item, filters)).map(item => item.id), ['c']);
+  const { filters: dated } = parseListQuery({ to: '2024-01-05' });
+  assert.deepEqual(ENTRIES.filter(item => matchesFilters(item, dated)).map(item => item.id), ['a', 'd']);
+});
+
+test('each facet is counted without its own filter', () => {
+  const { filters } = parseListQuery({ category: 'politics', newspaper: 'Ittefaq' });
+  const facets = countFacets(ENTRIES, filters);
+  assert.deepEqual(facets.category, [{ value: 'sports', count: 2 }, { value: 'politics', count: 1 }]);
+  assert.deepEqual(facets.newspaper, [{ value: 'Ittefaq', count: 1 }, { value: 'Prothom Alo', count: 1 }]);
+  assert.deepEqual(facets.extractionMethod, [{ value: 'llm', count: 1 }]);
+  assert.deepEqual(countFacets(ENTRIES, parseListQuery({}).filters).newspaper.map(({ value }) => value),
+    ['Ittefaq', 'Prothom Alo', 'unknown']);
+});
+
+test('cursors page through every entry once and survive new arrivals', () => {
+  const query = parseListQuery({ sort: 'editionDate', order: 'asc', limit: '2' });
+  const first = paginate(ENTRIES, query);
+  assert.deepEqual(first.page.map(item => item.id), ['c', 'd']);
+
+  // A document arriving before the cursor does not shift the next page
+  const arrived = [...ENTRIES, entry('e', { editionDate: '2023-01-01' })];
+  const second = paginate(arrived, { ...query, cursor: parseListQuery({ cursor: first.nextCursor }).cursor });
+  assert.deepEqual(second.page.map(item => item.id), ['a', 'b']);
+  assert.equal(second.nextCursor, null);
+
+  const sameDay = ['x', 'y', 'z'].map(id => entry(id));
+  const byUpload = parseListQuery({ limit: '1' });
+  const ids = [];
+  let cursor = null;
+  do {
+    const result = paginate(sameDay, { ...byUpload, cursor });
+    ids.push(...result.page.map(item => item.id));
+    cursor = parseListQuery({ cursor: result.nextCursor }).cursor;
+  } while (cursor);
+  assert.deepEqual(ids, ['z', 'y', 'x']);
+});
@@ -0,0 +1,311 @@
+const { normalize, tokenize } = require('./bengali');
+const { transliterate, phoneticKey } = require('../transliteration');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Headline tokens count this many times towards term frequency
+const HEADLINE_WEIGHT = 2;
+const SNIPPET_TOKENS = 30;
+const SNIPPET_LEAD = 8;
+const MAX_PREFIX_EXPANSIONS = 50;
+// Marks the phonetic key indexed beside each term, so romanized queries find
+// Bengali words ("kolkata" -> কলকাতা) without clashing with real terms
+const PHONETIC_MARK = '~';
+const BENGALI = /[\u0980-\u09FF]/;
+
+// Remove the LARGE_TEXT:/SMALL_TEXT: markers of the raw OCR output
+function stripMarkers(text) {
+  return (text || '').replace(/^\s*(LARGE|MEDIUM|SMALL|OTHER)_TEXT:\s*/gm, '');
+}
+
+// The units a document is searched by: its articles, or the whole page text
+// (article index -1) when structuring found no articles
+function documentArticles(document) {
+  const articles = document.extractedData?.articles || [];
+  if (articles.length > 0) {
+    return articles.map((article, index) => ({
+      index,
+      headline: article.headline || '',
+      content: article.content || ''
+    }));
+  }
+  return [{
+    index: -1,
+    headline: (document.extractedData?.headlines || []).join(' । '),
+    content: stripMarkers(document.extractedData?.allText)
+  }];
+}
+
+// Phonetic key of a term: of its romanization for Bengali words, of the term
+// itself for Latin ones. Null when the term is too short to key.
+function phoneticTerm(term) {
+  const key = phoneticKey(BENGALI.test(term) ? transliterate(term, 'simple') : term);
+  return key ? PHONETIC_MARK + key : null;
+}
+
+// Query terms of a word: its term, plus the phonetic key of romanized words
+function queryTerms(word) {
+  return tokenize(word).flatMap(token => {
+    const phonetic = BENGALI.test(token.term) ? null : phoneticTerm(token.term);
+    return phonetic ? [token.term, phonetic] : [token.term];
+  });
+}
+
+// Split a query into plain terms, "quoted phrases" and prefix* terms.
+// Romanized words in phrases are matched by sound only.
+function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const prefixes = [];
+
+  const rest = query.replace(/"([^"]+)"/g, (match, phrase) => {
+    const phraseTerms = tokenize(phrase).map(token =>
+      (BENGALI.test(token.term) ? token.term : phoneticTerm(token.term) || token.term));
+    if (phraseTerms.length > 1) {
+      phrases.push(phraseTerms);
+    } else {
+      terms.push(...phraseTerms);
+    }
+    return ' ';
+  });
+
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.length > 1 && word.endsWith('*')) {
+      const prefix = normalize(word.slice(0, -1));
+      if (prefix) prefixes.push(prefix);
+    } else {
+      terms.push(...queryTerms(word));
+    }
+  }
+
+  return { terms: [...new Set(terms)], phrases, prefixes: [...new Set(prefixes)] };
+}
+
+// Whether consecutive positions of the phrase terms occur in one article
+function containsPhrase(positionsByTerm, phrase) {
+  const first = positionsByTerm.get(phrase[0]);
+  if (!first) return false;
+  return first.some(start => phrase.every((term, i) => positionsByTerm.get(term)?.includes(start + i)));
+}
+
+// Character ranges of tokens in `text` that match the query
+function matchRanges(text, matchesToken) {
+  return tokenize(text).filter(matchesToken);
+}
+
+// A window of the article text around its first match, with highlight ranges
+// relative to the returned snippet
+function buildSnippet(content, matchesToken) {
+  const tokens = tokenize(content);
+  if (tokens.length === 0) return { snippet: '', highlights: [] };
+
+  const firstMatch = tokens.findIndex(matchesToken);
+  const startIndex = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - SNIPPET_LEAD);
+  const endIndex = Math.min(tokens.length - 1, startIndex + SNIPPET_TOKENS - 1);
+
+  const prefix = startIndex > 0 ? '… ' : '';
+  const suffix = endIndex < tokens.length - 1 ? ' …' : '';
+  const from = tokens[startIndex].start;
+  const snippet = prefix + content.slice(from, tokens[endIndex].end) + suffix;
+
+  const highlights = tokens
+    .slice(startIndex, endIndex + 1)
+    .filter(matchesToken)
+    .map(token => [token.start - from + prefix.length, token.end - from + prefix.length]);
+
+  return { snippet, highlights };
+}
+
+// Inverted index over article text in SQLite with BM25 ranking, phrase and
+// prefix queries. Text is normalized and stemmed by search/bengali.js both
+// when indexing and when querying; every term is also indexed under the
+// phonetic key of its romanization for queries typed in Latin letters.
+function createSearchIndex(db) {
+  const statements = {
+    deleteDocument: db.prepare('DELETE FROM search_articles WHERE document_id = ?'),
+    insertArticle: db.prepare(`
+      INSERT INTO search_articles (document_id, article_index, headline, content, length)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    insertPosting: db.prepare(`
+      INSERT INTO search_postings (term, document_id, article_index, frequency, positions)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    indexedDocuments: db.prepare('SELECT DISTINCT document_id FROM search_articles'),
+    stats: db.prepare('SELECT COUNT(*) AS count, AVG(length) AS averageLength FROM search_articles'),
+    postings: db.prepare(
+      'SELECT document_id, article_index, frequency, positions FROM search_postings WHERE term = ?'
+    ),
+    expandPrefix: db.prepare(
+      `SELECT DISTINCT term FROM search_postings WHERE term >= ? AND term < ? LIMIT ${MAX_PREFIX_EXPANSIONS}`
+    ),
+    article: db.prepare(
+      'SELECT headline, content FROM search_articles WHERE document_id = ? AND article_index = ?'
+    ),
+    articleLength: db.prepare(
+      'SELECT length FROM search_articles WHERE document_id = ? AND article_index = ?'
+    ),
+    documentTerms: db.prepare(`
+      SELECT article_index, term, frequency FROM search_postings
+      WHERE document_id = ? AND substr(term, 1, 1) != '${PHONETIC_MARK}'
+    `)
+  };
+
+  // Indexed terms starting with any of the prefixes
+  function expandPrefixes(prefixes) {
+    return prefixes.flatMap(prefix =>
+      statements.expandPrefix.all(prefix, prefix + '\uffff').map(row => row.term)
+    );
+  }
+
+  const indexDocument = db.transaction((document) => {
+    statements.deleteDocument.run(document.id);
+
+    for (const article of documentArticles(document)) {
+      const headlineTokens = tokenize(article.headline);
+      const contentTokens = tokenize(article.content);
+      // Leave a gap so phrases never match across headline and body
+      const offset = headlineTokens.length + 1;
+
+      const postings = new Map();
+      const add = (term, position, weight) => {
+        const posting = postings.get(term) || { frequency: 0, positions: [] };
+        posting.frequency += weight;
+        posting.positions.push(position);
+        postings.set(term, posting);
+      };
+      const addToken = (token, position, weight) => {
+        add(token.term, position, weight);
+        const phonetic = phoneticTerm(token.term);
+        if (phonetic) add(phonetic, position, weight);
+      };
+      headlineTokens.forEach(token => addToken(token, token.position, HEADLINE_WEIGHT));
+      contentTokens.forEach(token => addToken(token, token.position + offset, 1));
+
+      statements.insertArticle.run(
+        document.id,
+        article.index,
+        article.headline,
+        article.content,
+        headlineTokens.length + contentTokens.length
+      );
+      for (const [term, posting] of postings) {
+        statements.insertPosting.run(
+          term,
+          document.id,
+          article.index,
+          posting.frequency,
+          JSON.stringify(posting.positions)
+        );
+      }
+    }
+  });
+
+  return {
+    indexDocument,
+
+    removeDocument(documentId) {
+      statements.deleteDocument.run(documentId);
+    },
+
+    // Index every document that has no entries yet (e.g. after upgrading)
+    indexMissing(documents) {
+      const indexed = new Set(statements.indexedDocuments.all().map(row => row.document_id));
+      const missing = documents.filter(document => !indexed.has(document.id));
+      missing.forEach(document => indexDocument(document));
+      return missing.length;
+    },
+
+    // Articles matching a query, best first: [{ documentId, articleIndex, score }]
+    rank(query) {
+      const { terms, phrases, prefixes } = parseQuery(query || '');
+      const queryTerms = [...new Set([...terms, ...phrases.flat(), ...expandPrefixes(prefixes)])];
+      if (queryTerms.length === 0) return [];
+
+      const { count, averageLength } = statements.stats.get();
+      const candidates = new Map();
+
+      for (const term of queryTerms) {
+        const postings = statements.postings.all(term);
+        const idf = Math.log(1 + (count - postings.length + 0.5) / (postings.length + 0.5));
+
+        for (const posting of postings) {
+          const key = `${posting.document_id}:${posting.article_index}`;
+          let candidate = candidates.get(key);
+          if (!candidate) {
+            candidate = {
+              documentId: posting.document_id,
+              articleIndex: posting.article_index,
+              length: statements.articleLength.get(posting.document_id, posting.article_index).length,
+              score: 0,
+              positions: new Map()
+            };
+            candidates.set(key, candidate);
+          }
+          const lengthNorm = 1 - B + B * (candidate.length / (averageLength || 1));
+          candidate.score += idf * (posting.frequency * (K1 + 1)) / (posting.frequency + K1 * lengthNorm);
+          candidate.positions.set(term, JSON.parse(posting.positions));
+        }
+      }
+
+      return [...candidates.values()]
+        .filter(candidate => phrases.every(phrase => containsPhrase(candidate.positions, phrase)))
+        .sort((a, b) => b.score - a.score)
+        .map(({ documentId, articleIndex, score }) => ({
+          documentId,
+          articleIndex,
+          score: Math.round(score * 1000) / 1000
+        }));
+    },
+
+    // Term frequencies of each article of a document, without the phonetic
+    // keys: Map(articleIndex -> Map(term -> frequency))
+    termVectors(documentId) {
+      const vectors = new Map();
+      for (const row of statements.documentTerms.all(documentId)) {
+        if (!vectors.has(row.article_index)) vectors.set(row.article_index, new Map());
+        vectors.get(row.article_index).set(row.term, row.frequency);
+      }
+      return vectors;
+    },
+
+    // Articles containing a term: [{ documentId, articleIndex }]
+    postings(term) {
+      return statements.postings.all(term).map(row => ({
+        documentId: row.document_id,
+        articleIndex: row.article_index
+      }));
+    },
+
+    articleCount() {
+      return statements.stats.get().count;
+    },
+
+    // Headline and highlighted snippet of each ranked match, for display
+    describe(matches, query) {
+      const { terms, phrases, prefixes } = parseQuery(query || '');
+      const matchTerms = new Set([...terms, ...phrases.flat()]);
+      const phonetic = [...matchTerms].some(term => term.startsWith(PHONETIC_MARK));
+      const matchesToken = token =>
+        matchTerms.has(token.term) ||
+        (phonetic && matchTerms.has(phoneticTerm(token.term))) ||
+        prefixes.some(prefix => token.normalized.startsWith(prefix));
+
+      return matches.map(match => {
+        const article = statements.article.get(match.documentId, match.articleIndex);
+        const { snippet, highlights } = buildSnippet(article.content, matchesToken);
+        return {
+          ...match,
+          headline: article.headline,
+          headlineHighlights: matchRanges(article.headline, matchesToken)
+            .map(token => [token.start, token.end]),
+          snippet,
+          highlights
+        };
+      });
+    }
+  };
+}
+
+module.exports = { createSearchIndex, parseQuery };
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createDocumentRepository } = require('../repositories/documentRepository');
+const { createSearchIndex, parseQuery } = require('.');
+
+// An in-memory database with pages of { headline, content } articles indexed
+function indexPages(pages) {
+  const db = openDatabase(':memory:');
+  const documentRepository = createDocumentRepository(db);
+  const searchIndex = createSearchIndex(db);
+  for (const [id, articles] of Object.entries(pages)) {
+    const document = {
+      id,
+      filename: `${id}.jpg`,
+      originalName: `${id}.jpg`,
+      imagePath: `/uploads/${id}.jpg`,
+      uploadDate: '2024-01-05T00:00:00.000Z',
+      extractedData: { articles }
+    };
+    documentRepository.create(document);
+    searchIndex.indexDocument(document);
+  }
+  return searchIndex;
+}
+
+const PAGES = {
+  flood: [
+    { headline: 'কলকাতার বন্যা', content: 'কলকাতায় আজ ভারী বৃষ্টি হয়েছে। শহরের রাস্তায় জল জমেছে।' },
+    { headline: 'খেলা', content: 'ঢাকার মাঠে আজ ক্রিকেট খেলা হবে।' }
+  ],
+  election: [
+    { headline: 'নির্বাচন', content: 'ঢাকা শহরে নির্বাচনের প্রচার শুরু হয়েছে। কলকাতা থেকেও সাংবাদিক এসেছেন।' }
+  ]
+};
+
+const ranked = matches => matches.map(({ documentId, articleIndex }) => `${documentId}:${articleIndex}`);
+
+test('queries are split into terms, phrases and prefixes', () => {
+  assert.deepEqual(parseQuery('"ঢাকার খবর" kolkata নির্বা* ভোট'), {
+    terms: ['kolkata', '~klkt', 'ভোট'],
+    phrases: [['ঢাকা', 'খবর']],
+    prefixes: ['নির্বা']
+  });
+});
+
+test('BM25 ranks articles with the word in the headline and more query words first', () => {
+  const searchIndex = indexPages(PAGES);
+  assert.deepEqual(ranked(searchIndex.rank('কলকাতা')), ['flood:0', 'election:0']);
+  const [best, next] = searchIndex.rank('বৃষ্টি কলকাতা');
+  assert.equal(`${best.documentId}:${best.articleIndex}`, 'flood:0');
+  assert.ok(best.score > next.score);
+  assert.deepEqual(searchIndex.rank(''), []);
+});
+
+test('phrases match words in order and prefixes match word beginnings', () => {
+  const searchIndex = indexPages(PAGES);
+  assert.deepEqual(ranked(searchIndex.rank('"ঢাকার মাঠে"')), ['flood:1']);
+  assert.deepEqual(searchIndex.rank('"মাঠে ঢাকার"'), []);
+  assert.deepEqual(ranked(searchIndex.rank('নির্বা*')), ['election:0']);
+});
+
+test('romanized queries find Bengali words by sound', () => {
+  const searchIndex = indexPages(PAGES);
+  assert.deepEqual(ranked(searchIndex.rank('kolkata')), ['flood:0', 'election:0']);
+  assert.deepEqual(ranked(searchIndex.rank('dhaka')).sort(), ['election:0', 'flood:1']);
+});
+
+test('snippets show the text around the first match with its highlight', () => {
+  const before = Array.from({ length: 60 }, (_, i) => `শব্দ${i}`).join(' ');
+  const after = Array.from({ length: 40 }, (_, i) => `পদ${i}`).join(' ');
+  const searchIndex = indexPages({ ...PAGES, long: [{ headline: '', content: `${before} বিশেষ খবর ${after}` }] });
+
+  const [flood] = searchIndex.describe(searchIndex.rank('জল'), 'জল');
+  assert.equal(flood.headline, 'কলকাতার বন্যা');
+  assert.equal(flood.snippet, 'কলকাতায় আজ ভারী বৃষ্টি হয়েছে। শহরের রাস্তায় জল জমেছে');
+  assert.deepEqual(flood.highlights.map(([start, end]) => flood.snippet.slice(start, end)), ['জল']);
+
+  const [long] = searchIndex.describe(searchIndex.rank('বিশেষ'), 'বিশেষ');
+  assert.ok(long.snippet.startsWith('… শব্দ52 '));
+  assert.ok(long.snippet.endsWith(' পদ19 …'));
+  assert.deepEqual(long.highlights.map(([start, end]) => long.snippet.slice(start, end)), ['বিশেষ']);
+
+  const [headline] = searchIndex.describe(searchIndex.rank('বন্যা'), 'বন্যা');
+  assert.deepEqual(headline.headlineHighlights, [[8, 13]]);
+});
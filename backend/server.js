@@ -1,524 +1,1010 @@
-const express = require('express');
-const multer = require('multer');
-const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const sharp = require('sharp');
-require('dotenv').config();
-
-const app = express();
-const PORT = process.env.PORT || 5000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use('/uploads', express.static('uploads'));
-
-// Create uploads directory if it doesn't exist
-if (!fs.existsSync('uploads')) {
-  fs.mkdirSync('uploads');
-}
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
-  }
-});
-
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  }
-});
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// In-memory storage for processed documents
-let documents = [];
-
-// Helper function to convert image to base64
-function fileToGenerativePart(path, mimeType) {
-  return {
-    inlineData: {
-      data: Buffer.from(fs.readFileSync(path)).toString("base64"),
-      mimeType
-    },
-  };
-}
-
-// Enhanced image preprocessing for Bengali text
-async function preprocessImage(imagePath) {
-  const outputPath = imagePath.replace(/\.(jpg|jpeg|png)$/i, '_processed.jpg');
-  
-  await sharp(imagePath)
-    .resize(4000, null, { withoutEnlargement: true })
-    .normalize()
-    .sharpen({ sigma: 2.0 })
-    .modulate({ brightness: 1.2, contrast: 1.3 })
-    .gamma(1.2)
-    .jpeg({ quality: 100 })
-    .toFile(outputPath);
-    
-  return outputPath;
-}
-
-// Helper function to clean and extract JSON from AI response
-function extractAndCleanJSON(text) {
-  try {
-    // Find a JSON block enclosed in markdown
-    const match = text.match(/``````/);
-    
-    let jsonText = text;
-    if (match && match[1]) {
-      // If markdown is found, use the content inside it.
-      jsonText = match[1];
-    } else {
-      // Otherwise, find the first '{' and the last '}'
-      const jsonStart = text.indexOf('{');
-      const jsonEnd = text.lastIndexOf('}') + 1;
-      
-      if (jsonStart === -1 || jsonEnd <= jsonStart) {
-        throw new Error('No valid JSON object found in the text.');
-      }
-      
-      jsonText = text.substring(jsonStart, jsonEnd);
-    }
-    
-    // Attempt to parse the extracted text
-    return JSON.parse(jsonText);
-  } catch (error) {
-    console.error('JSON extraction failed:', error.message);
-    console.error('Problematic text snippet for debugging:', text.substring(0, 500));
-    return null;
-  }
-}
-
-// Step 1: Extract all text first
-async function extractAllText(imagePart) {
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-  
-  const textExtractionPrompt = `
-  Please extract ALL text from this Bengali newspaper image. 
-  Focus on accuracy and preserving Bengali Unicode characters.
-  
-  Rules:
-  1. Extract every visible text element
-  2. Preserve Bengali font and formatting
-  3. Use --- to separate different sections/columns
-  4. Use === to separate different articles
-  5. Identify text hierarchy (larger text = headlines, smaller text = body)
-  6. Don't try to structure - just extract everything you can see
-  
-  Extract in this format:
-  LARGE_TEXT: [any large/bold text you see]
-  MEDIUM_TEXT: [medium sized text]
-  SMALL_TEXT: [smaller body text]
-  OTHER_TEXT: [any other text elements]
-  `;
-
-
-  try {
-    const result = await model.generateContent([textExtractionPrompt, imagePart]);
-    const response = await result.response;
-    return response.text();
-  } catch (error) {
-    console.error('Text extraction error:', error);
-    throw new Error('Failed to extract text from image');
-  }
-}
-
-// Step 2: Structure the extracted text with JSON Mode
-async function structureText(extractedText) {
-  // Configure the model to output JSON
-  const model = genAI.getGenerativeModel({ 
-    model: "gemini-1.5-flash",
-    generationConfig: {
-        responseMimeType: "application/json",
-    }
-  });
-  
-  const structurePrompt = `
-  Based on the following extracted text from a Bengali newspaper, identify and structure the content.
-  You must respond with only a valid JSON object. Do not include any other text or markdown.
-
-  EXTRACTED TEXT:
-  ${extractedText.substring(0, 4000)} 
-
-  Use "অজানা" for any unknown values.
-  The JSON schema you must follow is:
-  {
-    "date": "string",
-    "headlines": ["string"],
-    "subHeadlines": ["string"],
-    "articles": [
-      {
-        "headline": "string",
-        "content": "string",
-        "category": "string"
-      }
-    ],
-    "allText": "string"
-  }
-  `;
-
-
-  try {
-    const result = await model.generateContent([structurePrompt]);
-    const response = await result.response;
-    return response.text();
-  } catch (error) {
-    console.error('Text structuring error:', error);
-    throw new Error('Failed to structure text');
-  }
-}
-
-// Step 3: Generate summaries for headlines and articles with JSON Mode
-async function generateSummaries(structuredData) {
-  // Configure the model to output JSON
-  const model = genAI.getGenerativeModel({ 
-    model: "gemini-1.5-flash",
-    generationConfig: {
-        responseMimeType: "application/json",
-    }
-  });
-  
-  // Limit the data size to prevent token issues
-  const limitedData = {
-    ...structuredData,
-    allText: structuredData.allText?.substring(0, 1000) || "",
-    articles: structuredData.articles?.slice(0, 3) || []
-  };
-  
-  const summaryPrompt = `
-  Create a summary for this Bengali newspaper content. You must respond with only a valid JSON object.
-  Do not include any other text or markdown.
-
-  DATA: ${JSON.stringify(limitedData)}
-
-  The JSON schema you must follow is:
-  {
-    "overallSummary": "string",
-    "headlineSummaries": [
-      {
-        "headline": "string",
-        "summary": "string"
-      }
-    ],
-    "articleSummaries": [
-      {
-        "headline": "string",
-        "summary": "string",
-        "keyPoints": ["string"],
-        "category": "string"
-      }
-    ],
-    "importantTopics": ["string"]
-  }
-  `;
-
-  try {
-    const result = await model.generateContent([summaryPrompt]);
-    const response = await result.response;
-    return response.text();
-  } catch (error) {
-    console.error('Summary generation error:', error);
-    throw new Error('Failed to generate summaries');
-  }
-}
-
-// Routes
-
-// Test route
-app.get('/api', (req, res) => {
-  res.json({ 
-    message: 'বাংলা সংবাদপত্র ডিজিটাইজার API চালু আছে!',
-    message_english: 'Bengali Newspaper Digitizer API is running!',
-    features: [
-      'Text extraction',
-      'Headline detection', 
-      'Article summarization',
-      'Bengali content analysis'
-    ],
-    endpoints: [
-      'POST /api/upload',
-      'GET /api/documents', 
-      'GET /api/documents/:id',
-      'GET /api/search',
-      'DELETE /api/documents/:id',
-      'GET /api/documents/:id/summary'
-    ]
-  });
-});
-
-// Upload and process Bengali newspaper image with improved error handling
-app.post('/api/upload', upload.single('newspaper'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    console.log('Processing file:', req.file.originalname);
-    
-    const imagePath = req.file.path;
-    const processedImagePath = await preprocessImage(imagePath);
-    
-    // Convert to format for Gemini
-    const imagePart = fileToGenerativePart(processedImagePath, req.file.mimetype);
-    
-    console.log('Step 1: Extracting all text...');
-    const allText = await extractAllText(imagePart);
-    console.log('Extracted text length:', allText.length);
-    
-    console.log('Step 2: Structuring text...');
-    let processedData = {
-      date: "অজানা",
-      headlines: [],
-      subHeadlines: [],
-      articles: [],
-      allText: allText,
-      language: "bengali",
-      extractionMethod: "fallback"
-    };
-
-    try {
-      const structuredText = await structureText(allText);
-      console.log('Raw structured response:', structuredText.substring(0, 500) + '...');
-      
-      const parsedData = extractAndCleanJSON(structuredText);
-      if (parsedData) {
-        processedData = { ...processedData, ...parsedData, allText: allText }; // Ensure allText is preserved
-        processedData.extractionMethod = "ai_structured";
-        console.log('Successfully parsed structured data');
-      } else {
-        throw new Error('Failed to parse structured data from AI response');
-      }
-    } catch (structureError) {
-      console.error('Structure parsing error:', structureError.message);
-      
-      // Fallback: Extract headlines using regex from the initial extraction
-      const headlineMatches = allText.match(/LARGE_TEXT:\s*([^\n]+)/g) || [];
-      const extractedHeadlines = headlineMatches
-        .map(match => match.replace('LARGE_TEXT:', '').trim())
-        .filter(h => h.length > 0);
-      
-      if (extractedHeadlines.length > 0) {
-        processedData.headlines = extractedHeadlines;
-        processedData.extractionMethod = "regex_fallback";
-      }
-    }
-
-    console.log('Step 3: Generating summaries...');
-    let summaryData = {
-      overallSummary: "সংবাদপত্রের বিষয়বস্তু সফলভাবে প্রক্রিয়া করা হয়েছে।",
-      headlineSummaries: [],
-      articleSummaries: [],
-      importantTopics: ["বিষয়বস্তু বিশ্লেষণ করা হয়েছে"]
-    };
-
-    try {
-      const summaryResponse = await generateSummaries(processedData);
-      console.log('Raw summary response:', summaryResponse.substring(0, 300) + '...');
-      
-      const parsedSummary = extractAndCleanJSON(summaryResponse);
-      if (parsedSummary) {
-        summaryData = parsedSummary;
-        console.log('Successfully generated AI summaries');
-      } else {
-        throw new Error('Failed to parse summary data from AI response');
-      }
-    } catch (summaryError) {
-      console.error('Summary generation error:', summaryError.message);
-      
-      // Create fallback summaries if AI fails
-      summaryData.headlineSummaries = processedData.headlines.map(headline => ({
-        headline: headline,
-        summary: "এই শিরোনামের জন্য একটি স্বয়ংক্রিয় সারাংশ তৈরি করা যায়নি।"
-      }));
-      
-      summaryData.articleSummaries = (processedData.articles || []).map(article => ({
-        headline: article.headline || "অজানা শিরোনাম",
-        summary: article.content ? article.content.substring(0, 150) + "..." : "নিবন্ধের সারাংশ পাওয়া যায়নি।",
-        keyPoints: ["মূল বিষয়বস্তু নির্ধারণ করা যায়নি"],
-        category: article.category || "অজানা"
-      }));
-    }
-
-    // Create the final document record
-    const document = {
-      id: Date.now().toString(),
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      imagePath: `/uploads/${req.file.filename}`,
-      processedImagePath: `/uploads/${path.basename(processedImagePath)}`,
-      uploadDate: new Date().toISOString(),
-      extractedData: processedData,
-      summaryData: summaryData,
-      rawExtractedText: allText.substring(0, 5000), // Limit stored text for performance
-      status: 'processed',
-      language: 'bengali'
-    };
-
-    documents.push(document);
-
-    res.json({
-      success: true,
-      document: document,
-      message: 'বাংলা সংবাদপত্র সফলভাবে প্রক্রিয়া করা হয়েছে',
-      headlinesFound: processedData.headlines.length,
-      summariesGenerated: true,
-      extractionMethod: processedData.extractionMethod,
-      overallSummary: summaryData.overallSummary
-    });
-
-  } catch (error) {
-    console.error('Fatal error in /api/upload:', error);
-    res.status(500).json({ 
-      error: 'Failed to process Bengali image', 
-      details: error.message,
-      bangla_error: 'বাংলা ছবি প্রক্রিয়া করতে মারাত্মক ত্রুটি ঘটেছে'
-    });
-  }
-});
-
-// Get all documents
-app.get('/api/documents', (req, res) => {
-  res.json(documents);
-});
-
-// Get specific document
-app.get('/api/documents/:id', (req, res) => {
-  const document = documents.find(d => d.id === req.params.id);
-  if (!document) {
-    return res.status(404).json({ error: 'Document not found' });
-  }
-  res.json(document);
-});
-
-// Get document summary only
-app.get('/api/documents/:id/summary', (req, res) => {
-  const document = documents.find(d => d.id === req.params.id);
-  if (!document) {
-    return res.status(404).json({ error: 'Document not found' });
-  }
-  
-  res.json({
-    id: document.id,
-    originalName: document.originalName,
-    uploadDate: document.uploadDate,
-    summaryData: document.summaryData,
-    headlinesCount: document.extractedData.headlines?.length || 0,
-    articlesCount: document.extractedData.articles?.length || 0
-  });
-});
-
-// Enhanced search with Bengali support
-app.get('/api/search', (req, res) => {
-  const query = req.query.q?.toLowerCase();
-  if (!query) {
-    return res.json([]);
-  }
-
-  const results = documents.filter(doc => {
-    try {
-      const searchText = [
-        doc.extractedData.allText || '',
-        doc.extractedData.headlines?.join(' ') || '',
-        doc.extractedData.articles?.map(a => (a.headline || '') + ' ' + (a.content || '')).join(' ') || '',
-        doc.summaryData?.overallSummary || '',
-        doc.summaryData?.headlineSummaries?.map(s => s.summary || '').join(' ') || '',
-        doc.summaryData?.articleSummaries?.map(s => s.summary || '').join(' ') || ''
-      ].join(' ').toLowerCase();
-      
-      // Check both lowercased and original case for broader matching
-      return searchText.includes(query) || 
-             (doc.extractedData.allText && doc.extractedData.allText.includes(req.query.q));
-    } catch (error) {
-      console.error('Search error for document:', doc.id, error);
-      return false;
-    }
-  });
-
-  res.json(results);
-});
-
-// Generate summary for existing document
-app.post('/api/documents/:id/generate-summary', async (req, res) => {
-  try {
-    const document = documents.find(d => d.id === req.params.id);
-    if (!document) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
-    console.log('Regenerating summary for document:', document.id);
-    
-    const summaryResponse = await generateSummaries(document.extractedData);
-    const parsedSummary = extractAndCleanJSON(summaryResponse);
-    
-    if (parsedSummary) {
-      // Update document with new summary
-      const docIndex = documents.findIndex(d => d.id === req.params.id);
-      documents[docIndex].summaryData = parsedSummary;
-      
-      res.json({
-        success: true,
-        message: 'Summary regenerated successfully',
-        summaryData: parsedSummary
-      });
-    } else {
-      throw new Error('Failed to parse regenerated summary');
-    }
-    
-  } catch (error) {
-    console.error('Error regenerating summary:', error);
-    res.status(500).json({ 
-      error: 'Failed to regenerate summary', 
-      details: error.message 
-    });
-  }
-});
-
-// Delete document
-app.delete('/api/documents/:id', (req, res) => {
-  const index = documents.findIndex(d => d.id === req.params.id);
-  if (index === -1) {
-    return res.status(404).json({ error: 'Document not found' });
-  }
-
-  const document = documents[index];
-  
-  // Delete associated image files
-  try {
-    const originalFilePath = path.join(__dirname, 'uploads', document.filename);
-    if (fs.existsSync(originalFilePath)) {
-      fs.unlinkSync(originalFilePath);
-    }
-    const processedFilePath = path.join(__dirname, 'uploads', path.basename(document.processedImagePath));
-    if (fs.existsSync(processedFilePath)) {
-      fs.unlinkSync(processedFilePath);
-    }
-  } catch (error) {
-    console.error('Error deleting files:', error);
-    // Don't block the deletion of the record if file removal fails
-  }
-
-  documents.splice(index, 1);
-  res.json({ success: true, message: 'Document and associated files deleted.' });
-});
-
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('বাংলা সংবাদপত্র ডিজিটাইজার সার্ভার চালু');
-  console.log('Features: OCR + Bengali Summarization with Enhanced Error Handling and JSON Mode');
-  console.log('Make sure to set GEMINI_API_KEY in your .env file');
-});
+const express = require('express');
+const multer = require('multer');
+const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { openDatabase } = require('./db');
+const { reconcileUploads } = require('./db/reconcile');
+const { createDocumentRepository } = require('./repositories/documentRepository');
+const { createJobRepository } = require('./repositories/jobRepository');
+const { createIssueRepository } = require('./repositories/issueRepository');
+const { createArticleLinkRepository } = require('./repositories/articleLinkRepository');
+const { createRevisionRepository } = require('./repositories/revisionRepository');
+const { createUserRepository } = require('./repositories/userRepository');
+const { createTokenRepository } = require('./repositories/tokenRepository');
+const { createCategorySynonymRepository } = require('./repositories/categorySynonymRepository');
+const { createExtractionVersionRepository } = require('./repositories/extractionVersionRepository');
+const { createClipRepository } = require('./repositories/clipRepository');
+const { createAuth } = require('./auth');
+const { hashPassword } = require('./auth/passwords');
+const { createAuthRouter } = require('./routes/auth');
+const { createUsersRouter } = require('./routes/users');
+const { createIssuesRouter } = require('./routes/issues');
+const { createExportsRouter } = require('./routes/exports');
+const { createCalendarRouter } = require('./routes/calendar');
+const { createCorrectionsRouter } = require('./routes/corrections');
+const { createPreprocessRouter } = require('./routes/preprocess');
+const { parsePreprocessOptions } = require('./preprocess/profiles');
+const { createDuplicatesRouter } = require('./routes/duplicates');
+const { createTranslationsRouter } = require('./routes/translations');
+const { createEntitiesRouter } = require('./routes/entities');
+const { createSectionsRouter } = require('./routes/sections');
+const { createRelatedRouter } = require('./routes/related');
+const { createVersionsRouter } = require('./routes/versions');
+const { createReviewRouter } = require('./routes/review');
+const { createClipsRouter } = require('./routes/clips');
+const { createTilesRouter } = require('./routes/tiles');
+const { createTranslator } = require('./translation');
+const { createDuplicateDetector } = require('./duplicates');
+const { fileHash, pageContentHash, perceptualHash, textSignature, pageText } = require('./duplicates/fingerprints');
+const { detectContinuations } = require('./issues/continuations');
+const { deleteDocumentFiles } = require('./files');
+const { deleteClipFiles } = require('./clips');
+const { generateTiles, hasTiles, deleteTiles } = require('./tiles');
+const { createJobQueue } = require('./jobs/queue');
+const { processUpload } = require('./pipeline');
+const { summarizeInBatches } = require('./extraction');
+const { countPages } = require('./rasterize');
+const { getProvider, describeProviders } = require('./providers');
+const { resolveDocumentDate } = require('./dates/resolve');
+const { createSearchIndex } = require('./search');
+const { createEntityIndex } = require('./entities');
+const { createRelatedIndex } = require('./related');
+const { createTaxonomy, loadSections } = require('./taxonomy');
+const { createDocumentEditor } = require('./editing/editor');
+const { createExtractionVersions } = require('./versions');
+const { assessQuality } = require('./quality');
+const {
+  parseListQuery, matchesFilters, countFacets, sortEntries, paginate, encodeCursor
+} = require('./search/facets');
+
+const app = express();
+const PORT = config.port;
+const MAX_PAGES_PER_UPLOAD = 40;
+// What /api/upload does with pages that are already in the archive
+const DUPLICATE_POLICIES = ['reject', 'skip', 'warn'];
+// Parsed page dates at least this certain become the issue's edition date
+const MIN_ADOPTED_DATE_CONFIDENCE = 0.5;
+
+// Middleware. The web app signs in with a session cookie, so only its own
+// origins may call the API with credentials.
+app.use(cors({ origin: config.auth.corsOrigins, credentials: true }));
+app.use(express.json());
+
+// Create uploads directory if it doesn't exist
+if (!fs.existsSync(config.uploadsDir)) {
+  fs.mkdirSync(config.uploadsDir, { recursive: true });
+}
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, config.uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, Date.now() + '-' + file.originalname);
+  }
+});
+
+const upload = multer({ 
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image, TIFF and PDF files are allowed!'), false);
+    }
+  }
+});
+
+// Persistent storage for processed documents
+const db = openDatabase(config.databasePath);
+const documentRepository = createDocumentRepository(db);
+const jobRepository = createJobRepository(db);
+const issueRepository = createIssueRepository(db);
+const articleLinkRepository = createArticleLinkRepository(db);
+const revisionRepository = createRevisionRepository(db);
+const searchIndex = createSearchIndex(db);
+const entityIndex = createEntityIndex(db);
+const relatedIndex = createRelatedIndex({ db, documentRepository, searchIndex, entityIndex });
+const versionRepository = createExtractionVersionRepository(db);
+const clipRepository = createClipRepository(db);
+const userRepository = createUserRepository(db);
+const tokenRepository = createTokenRepository(db);
+
+// The sections articles are filed under, with the names mapped to them
+const taxonomy = createTaxonomy({
+  sections: loadSections(config.taxonomy.file),
+  synonymRepository: createCategorySynonymRepository(db)
+});
+
+// Accounts, sessions and API tokens
+const auth = createAuth({
+  userRepository,
+  tokenRepository,
+  sessionDays: config.auth.sessionDays,
+  cookieSecure: config.auth.cookieSecure
+});
+
+// Re-detect "continued on page N" links between the pages of an issue
+function linkContinuations(issueId) {
+  const pages = documentRepository.listByIssue(issueId);
+  articleLinkRepository.replaceAutoLinks(issueId, detectContinuations(pages));
+}
+
+// Exact and near-duplicate pages, by content hash, image and text
+const duplicateDetector = createDuplicateDetector({ documentRepository, jobRepository });
+
+// Hand corrections, recorded as revisions
+const documentEditor = createDocumentEditor({
+  db,
+  documentRepository,
+  revisionRepository,
+  articleLinkRepository,
+  searchIndex,
+  entityIndex,
+  relatedIndex,
+  linkContinuations
+});
+
+// Every extraction of a page, from its upload and from reprocessing
+const extractionVersions = createExtractionVersions({ db, documentRepository, versionRepository, documentEditor });
+
+// The stored page image of a document as the pipeline takes an upload, to
+// extract it again with `preprocess`
+function storedScan(document, preprocess) {
+  return {
+    path: path.join(config.uploadsDir, document.filename),
+    filename: document.filename,
+    originalName: document.originalName,
+    mimetype: `image/${path.extname(document.filename).slice(1).toLowerCase() || 'jpeg'}`,
+    issueId: document.issueId,
+    pageNumber: document.pageNumber,
+    preprocess,
+    contentHash: document.contentHash,
+    perceptualHash: document.perceptualHash,
+    uploadedBy: document.uploadedBy
+  };
+}
+
+// English translations, cached on the document
+const translator = createTranslator({ documentRepository, getLlm: () => getProvider('llm') });
+
+// Give an undated issue the edition date parsed from one of its pages
+function adoptEditionDate(document) {
+  if (!document.issueId || !document.parsedDate) return;
+  if (document.dateConfidence < MIN_ADOPTED_DATE_CONFIDENCE) return;
+  const issue = issueRepository.findById(document.issueId);
+  if (issue && !issue.editionDate) {
+    issueRepository.update(issue.id, { editionDate: document.parsedDate });
+  }
+}
+
+// Thumbnail and tile pyramid of a page, or null when they cannot be made:
+// the viewer then shows the whole image as before, and tileMissing() tries
+// again at the next start
+async function tilePage(document) {
+  try {
+    return await generateTiles(document, config.uploadsDir);
+  } catch (error) {
+    console.error(`Error making tiles of document ${document.id}:`, error.message);
+    return null;
+  }
+}
+
+// Background queue that runs the extraction pipeline for uploads
+const jobQueue = createJobQueue({
+  jobRepository,
+  concurrency: config.jobs.concurrency,
+  maxAttempts: config.jobs.maxAttempts,
+  retryDelayMs: config.jobs.retryDelayMs,
+  handlers: {
+    // The document and everything derived from it are saved in one
+    // transaction that also notes the document on the job, so a retry or a
+    // restart never runs the (paid) pipeline again for a page already saved
+    upload: async (file, { reportStage, job }) => {
+      if (job.documentId && documentRepository.findById(job.documentId)) {
+        return { documentId: job.documentId };
+      }
+      const processed = await processUpload(file, { reportStage, taxonomy });
+      reportStage('tiling', 94);
+      const tiles = await tilePage(processed);
+      // Without tiles the column stays NULL, so the page is tiled later
+      const document = tiles ? { ...processed, tiles } : processed;
+      reportStage('saving', 95);
+      const save = db.transaction(() => {
+        // Now that the text is known, look again for pages this one repeats
+        const candidates = duplicateDetector.findSimilar(document);
+        documentRepository.create(candidates.length > 0 ? { ...document, duplicateCandidates: candidates } : document);
+        extractionVersions.record(document, {
+          source: 'upload',
+          providers: describeProviders(),
+          createdBy: document.uploadedBy,
+          active: true
+        });
+        searchIndex.indexDocument(document);
+        entityIndex.indexDocument(document);
+        relatedIndex.indexDocument(document);
+        adoptEditionDate(document);
+        linkContinuations(document.issueId);
+        jobRepository.update(job.id, { documentId: document.id });
+      });
+      try {
+        save();
+      } catch (error) {
+        // A retry makes the page again under a new id
+        deleteTiles(document.id, config.uploadsDir);
+        throw error;
+      }
+      return { documentId: document.id };
+    },
+
+    // Run the pipeline again on a stored page and keep the result as its
+    // next extraction version, shown right away when `activate` is set
+    reprocess: async ({ documentId, preprocess, activate, requestedBy }, { reportStage }) => {
+      const document = documentRepository.findById(documentId);
+      if (!document) {
+        throw new Error(`Document ${documentId} no longer exists`);
+      }
+      extractionVersions.ensureBaseline(document);
+      const reprocessed = await processUpload(storedScan(document, preprocess), {
+        reportStage,
+        taxonomy,
+        processedSuffix: `_r${Date.now()}_processed`
+      });
+      reportStage('saving', 95);
+      const version = extractionVersions.record({ ...reprocessed, id: document.id }, {
+        source: 'reprocess',
+        providers: describeProviders(),
+        createdBy: requestedBy
+      });
+      if (activate) extractionVersions.activate(document.id, version.version, requestedBy);
+      return { documentId: document.id };
+    }
+  }
+});
+
+// Every request is checked for a session or API token; page images are
+// only served to signed-in users
+app.use(auth.authenticate);
+app.use('/uploads', auth.requireRole('viewer'), express.static(config.uploadsDir));
+
+// Routes
+
+// Test route
+app.get('/api', (req, res) => {
+  res.json({ 
+    message: 'বাংলা সংবাদপত্র ডিজিটাইজার API চালু আছে!',
+    message_english: 'Bengali Newspaper Digitizer API is running!',
+    features: [
+      'Text extraction',
+      'Headline detection', 
+      'Article summarization',
+      'Bengali content analysis',
+      'Multi-page newspaper issues',
+      'PDF and multi-page TIFF uploads',
+      'Bengali-aware ranked article search',
+      'Faceted, paginated listing and search',
+      'ALTO, hOCR, TEI, EPUB, Markdown and text export',
+      'Bengali and Bangabda date parsing with calendar browsing',
+      'Hand corrections with revision history and rollback',
+      'Preprocessing profiles with deskew, crop, binarization and preview',
+      'Exact and near-duplicate page detection',
+      'English translation and romanized transliteration, with romanized search',
+      'User accounts, API tokens and viewer/editor/admin roles',
+      'Named people, places, organizations and events with an entity browser',
+      'Configurable section taxonomy with category review and section browsing',
+      'Related articles across editions grouped into story threads',
+      'Versioned reprocessing of stored scans with side-by-side version diffs',
+      'Schema-checked model output with quality scores and a review queue',
+      'Article clips cropped from the scans, with PNG and PDF citation cards',
+      'Page thumbnails and Deep Zoom tile pyramids for large scans'
+    ],
+    endpoints: [
+      'POST /api/upload',
+      'GET /api/preprocess/profiles',
+      'POST /api/preprocess/preview',
+      'GET /api/documents', 
+      'GET /api/documents/:id',
+      'GET /api/search',
+      'DELETE /api/documents/:id',
+      'GET /api/documents/:id/summary',
+      'GET /api/documents/:id/export?format=alto|hocr|tei|epub|markdown|txt',
+      'GET /api/export?format=&from=&to=',
+      'PATCH /api/documents/:id/date',
+      'PATCH /api/documents/:id/headlines',
+      'PATCH /api/documents/:id/articles/:n',
+      'POST /api/documents/:id/articles/:n/split',
+      'POST /api/documents/:id/articles/merge',
+      'PATCH /api/documents/:id/articles/order',
+      'GET /api/documents/:id/translations',
+      'POST /api/documents/:id/articles/:n/translate',
+      'POST /api/documents/:id/summary/translate',
+      'GET /api/documents/:id/transliteration?scheme=iso|simple',
+      'POST /api/documents/:id/entities',
+      'GET /api/entities?type=&q=&sort=mentions|name',
+      'GET /api/entities/:id/mentions',
+      'GET /api/articles/:id/related',
+      'GET /api/sections',
+      'GET /api/sections/:id/articles',
+      'GET /api/admin/categories',
+      'POST /api/admin/categories',
+      'GET /api/documents/:id/revisions',
+      'POST /api/documents/:id/reprocess',
+      'POST /api/documents/reprocess',
+      'GET /api/documents/:id/versions',
+      'GET /api/documents/:id/versions/compare?from=&to=',
+      'GET /api/documents/:id/versions/:version',
+      'PUT /api/documents/:id/active-version',
+      'GET /api/review?reviewed=include',
+      'PUT /api/documents/:id/review',
+      'GET /api/documents/:id/clips',
+      'POST /api/documents/:id/clips',
+      'GET /api/clips?tag=&mine=1',
+      'GET /api/clips/:clipId',
+      'PATCH /api/clips/:clipId',
+      'DELETE /api/clips/:clipId',
+      'GET /api/clips/:clipId/card?format=png|pdf',
+      'GET /api/documents/:id/thumbnail',
+      'GET /api/documents/:id/tiles.dzi',
+      'GET /api/documents/:id/tiles_files/:level/:column_:row.jpeg',
+      'POST /api/documents/:id/revisions/:revisionId/rollback',
+      'GET /api/calendar?year=',
+      'PUT /api/documents/:id/duplicate-of',
+      'DELETE /api/documents/:id/duplicate-of',
+      'DELETE /api/documents/:id/duplicate-candidates',
+      'GET /api/admin/duplicates',
+      'GET /api/jobs/:id',
+      'GET /api/jobs/:id/events',
+      'GET /api/issues',
+      'GET /api/issues/:id',
+      'PATCH /api/issues/:id',
+      'POST /api/issues/:id/links',
+      'DELETE /api/issues/:id/links/:linkId',
+      'DELETE /api/issues/:id',
+      'POST /api/auth/login',
+      'POST /api/auth/logout',
+      'GET /api/auth/me',
+      'PATCH /api/auth/password',
+      'GET /api/auth/tokens',
+      'POST /api/auth/tokens',
+      'DELETE /api/auth/tokens/:tokenId',
+      'GET /api/users',
+      'POST /api/users',
+      'PATCH /api/users/:userId'
+    ]
+  });
+});
+
+app.use('/api/auth', createAuthRouter({ auth, userRepository, tokenRepository }));
+app.use('/api/users', auth.requireRole('admin'), createUsersRouter({ userRepository, tokenRepository }));
+app.use('/api/admin', auth.requireRole('admin'));
+// Clips are for every reader, so viewers may make them too
+app.use('/api', createClipsRouter({
+  documentRepository,
+  issueRepository,
+  clipRepository,
+  uploadsDir: config.uploadsDir,
+  cardFont: config.clips.cardFont,
+  requireViewer: auth.requireRole('viewer')
+}));
+// Everything below needs a viewer to read and an editor to change data;
+// routes that need more say so themselves
+app.use('/api', auth.defaultAccess);
+
+// Upload the page scans of one newspaper issue and queue each page for processing.
+// Images, PDFs and multi-page TIFFs are accepted; every page inside a PDF or
+// TIFF becomes its own page of the issue. Pages keep the order they were sent
+// in; pass `issueId` to append pages to an existing issue, and `pageNumber`
+// to number them from there rather than after the issue's last page (a bulk
+// ingest sending several files at once knows the numbers). `profile` and the
+// options `deskew`, `crop`, `binarize`, `denoise` and `rotate` choose the
+// image preprocessing for every page. Pages already in the archive (or queued)
+// are rejected with 409 unless `duplicates` is `skip` (leave them out) or
+// `warn` (process them anyway); pages that only look like stored ones are
+// queued and listed in `nearDuplicates`. Pages record the signed-in user as
+// their uploader. Responds immediately with one job per page.
+app.post('/api/upload', upload.array('newspaper', MAX_PAGES_PER_UPLOAD), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { options: preprocess, error: preprocessError } = parsePreprocessOptions(req.body);
+    if (preprocessError) {
+      req.files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(400).json({ error: preprocessError });
+    }
+
+    const firstPage = req.body.pageNumber === undefined ? null : Number(req.body.pageNumber);
+    if (firstPage !== null && !(Number.isInteger(firstPage) && firstPage >= 1)) {
+      req.files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(400).json({ error: 'pageNumber must be a positive whole number' });
+    }
+
+    const onDuplicate = req.body.duplicates || 'reject';
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      req.files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(400).json({ error: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}` });
+    }
+
+    // Count pages up front so every page gets its final page number now, and
+    // fingerprint each one so duplicates are caught before any OCR runs
+    const pages = [];
+    for (const file of req.files) {
+      const pageCount = await countPages(file.path, file.mimetype);
+      const digest = await fileHash(file.path);
+      for (let page = 1; page <= pageCount; page++) {
+        const sourcePage = pageCount > 1 ? page : undefined;
+        pages.push({
+          file,
+          originalName: file.originalname,
+          sourcePage,
+          contentHash: pageContentHash(digest, sourcePage),
+          // PDF pages are only hashed by the pipeline once they are rasterized
+          perceptualHash: file.mimetype === 'application/pdf' ? null : await perceptualHash(file.path, sourcePage)
+        });
+      }
+    }
+
+    const { exact, near } = duplicateDetector.checkUpload(pages);
+    const duplicates = exact.map(({ page, existing }) => ({
+      originalName: page.originalName,
+      sourcePage: page.sourcePage,
+      existing
+    }));
+    const queuedPages = onDuplicate === 'skip'
+      ? pages.filter(page => !exact.some(duplicate => duplicate.page === page))
+      : pages;
+
+    if ((onDuplicate === 'reject' && duplicates.length > 0) || queuedPages.length === 0) {
+      req.files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(409).json({
+        error: 'Duplicate upload',
+        bangla_error: 'এই পাতা আগেই আপলোড করা হয়েছে',
+        duplicates
+      });
+    }
+
+    let issue;
+    if (req.body.issueId) {
+      issue = issueRepository.findById(req.body.issueId);
+      if (!issue) {
+        req.files.forEach(file => fs.unlink(file.path, () => {}));
+        return res.status(404).json({ error: 'Issue not found' });
+      }
+    } else {
+      issue = issueRepository.create({
+        id: Date.now().toString(),
+        newspaper: req.body.newspaperName,
+        editionDate: req.body.editionDate
+      });
+    }
+
+    let pageNumber = firstPage || issueRepository.nextPageNumber(issue.id);
+    const jobs = [];
+    const nearDuplicates = [];
+    for (const page of queuedPages) {
+      const { file, sourcePage } = page;
+      const job = jobQueue.enqueue('upload', {
+        path: file.path,
+        filename: file.filename,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        issueId: issue.id,
+        pageNumber,
+        sourcePage,
+        preprocess,
+        contentHash: page.contentHash,
+        perceptualHash: page.perceptualHash,
+        uploadedBy: req.user.username
+      });
+      jobs.push({
+        jobId: job.id,
+        pageNumber,
+        originalName: file.originalname,
+        sourcePage
+      });
+      const similar = near.find(match => match.page === page);
+      if (similar) {
+        nearDuplicates.push({ jobId: job.id, pageNumber, originalName: file.originalname, candidates: similar.candidates });
+      }
+      pageNumber++;
+    }
+
+    // Files whose every page was skipped as a duplicate are not kept
+    req.files
+      .filter(file => !queuedPages.some(page => page.file === file))
+      .forEach(file => fs.unlink(file.path, () => {}));
+
+    res.status(202).json({
+      success: true,
+      issue: issue,
+      jobs: jobs,
+      ...(duplicates.length > 0 && { duplicates }),
+      ...(nearDuplicates.length > 0 && { nearDuplicates }),
+      message: `${jobs.length}টি পাতা প্রক্রিয়াকরণের জন্য সারিতে রাখা হয়েছে`
+    });
+
+  } catch (error) {
+    console.error('Fatal error in /api/upload:', error);
+    (req.files || []).forEach(file => fs.unlink(file.path, () => {}));
+    res.status(500).json({ 
+      error: 'Failed to queue Bengali image', 
+      details: error.message,
+      bangla_error: 'বাংলা ছবি প্রক্রিয়াকরণের সারিতে রাখা যায়নি'
+    });
+  }
+});
+
+// Get processing job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobRepository.findById(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Stream processing job progress as Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobRepository.findById(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const isFinished = current => current.status === 'completed' || current.status === 'failed';
+  const send = current => res.write(`data: ${JSON.stringify(current)}\n\n`);
+
+  send(job);
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  const onUpdate = updated => {
+    if (updated.id !== job.id) return;
+    send(updated);
+    if (isFinished(updated)) {
+      cleanup();
+      res.end();
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.events.off('update', onUpdate);
+  };
+
+  jobQueue.events.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+app.use('/api/issues', createIssuesRouter({
+  issueRepository,
+  documentRepository,
+  articleLinkRepository,
+  clipRepository,
+  versionRepository,
+  uploadsDir: config.uploadsDir,
+  linkContinuations,
+  requireAdmin: auth.requireRole('admin'),
+  dateCalendar: config.dates.bangabdaCalendar
+}));
+
+app.use('/api', createExportsRouter({
+  documentRepository,
+  issueRepository,
+  uploadsDir: config.uploadsDir
+}));
+
+app.use('/api/calendar', createCalendarRouter({ documentRepository }));
+
+app.use('/api/documents', createCorrectionsRouter({
+  documentRepository,
+  issueRepository,
+  revisionRepository,
+  documentEditor,
+  taxonomy,
+  dateCalendar: config.dates.bangabdaCalendar
+}));
+
+app.use('/api/documents', createTranslationsRouter({ documentRepository, translator }));
+
+app.use('/api', createDuplicatesRouter({ documentRepository, duplicateDetector }));
+
+app.use('/api', createEntitiesRouter({
+  documentRepository,
+  entityIndex,
+  searchIndex,
+  documentEditor,
+  getLlm: () => getProvider('llm'),
+  batchSize: config.extraction.entityBatchSize
+}));
+
+app.use('/api', createSectionsRouter({ documentRepository, searchIndex, taxonomy }));
+
+app.use('/api', createRelatedRouter({ documentRepository, searchIndex, relatedIndex }));
+
+app.use('/api', createVersionsRouter({
+  documentRepository,
+  versionRepository,
+  extractionVersions,
+  jobQueue,
+  requireAdmin: auth.requireRole('admin')
+}));
+
+app.use('/api', createReviewRouter({ documentRepository, threshold: config.quality.reviewThreshold }));
+
+app.use('/api', createTilesRouter({
+  documentRepository,
+  uploadsDir: config.uploadsDir,
+  maxAge: config.tiles.cacheMaxAge
+}));
+
+app.use('/api/preprocess', createPreprocessRouter({
+  upload,
+  documentRepository,
+  uploadsDir: config.uploadsDir
+}));
+
+// Compact listing entry for a page; the full text stays behind /api/documents/:id
+function toListItem(document, entry) {
+  return {
+    id: document.id,
+    originalName: document.originalName,
+    filename: document.filename,
+    uploadDate: document.uploadDate,
+    editionDate: entry.editionDate,
+    newspaper: entry.newspaper,
+    issueId: document.issueId,
+    pageNumber: document.pageNumber,
+    status: document.status,
+    extractionMethod: document.extractionMethod,
+    uploadedBy: document.uploadedBy,
+    date: document.extractedData?.date || null,
+    categories: [...new Set(entry.categories.filter(Boolean))],
+    headlines: (document.extractedData?.headlines || []).slice(0, 3),
+    articlesCount: document.extractedData?.articles?.length || 0,
+    thumbnailPath: hasTiles(document) ? `/api/documents/${document.id}/thumbnail` : null
+  };
+}
+
+// Paginated document listing with filters (category, newspaper, method,
+// from/to) and facet counts. Pass `nextCursor` back as `cursor` for the next page.
+app.get('/api/documents', (req, res) => {
+  try {
+    const { filters, sort, order, limit, cursor } = parseListQuery(req.query);
+    const entries = documentRepository.listEntries();
+    const matching = entries.filter(entry => matchesFilters(entry, filters));
+    const { page, nextCursor } = paginate(matching, { sort, order, limit, cursor });
+
+    res.json({
+      items: page.map(entry => toListItem(documentRepository.findById(entry.id), entry)),
+      total: matching.length,
+      nextCursor,
+      facets: countFacets(entries, filters)
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({
+      error: 'Failed to list documents',
+      details: error.message
+    });
+  }
+});
+
+// Get specific document
+app.get('/api/documents/:id', (req, res) => {
+  const document = documentRepository.findById(req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json(document);
+});
+
+// Get document summary only
+app.get('/api/documents/:id/summary', (req, res) => {
+  const document = documentRepository.findById(req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  
+  res.json({
+    id: document.id,
+    originalName: document.originalName,
+    uploadDate: document.uploadDate,
+    summaryData: document.summaryData,
+    headlinesCount: document.extractedData.headlines?.length || 0,
+    articlesCount: document.extractedData.articles?.length || 0
+  });
+});
+
+// Ranked article search. Supports "quoted phrases", prefix* terms and
+// romanized words ("kolkata" finds কলকাতা); each result is one article with
+// a highlighted snippet instead of the whole page.
+// Takes the same filters as /api/documents (category applies per article),
+// sorts by relevance unless `sort` is given, and returns facet counts.
+app.get('/api/search', (req, res) => {
+  const query = req.query.q?.trim();
+  const { filters, sort, order, limit, cursor } = parseListQuery(req.query, { defaultSort: null });
+  if (!query) {
+    return res.json({ query: '', total: 0, results: [], nextCursor: null, facets: countFacets([], filters) });
+  }
+
+  try {
+    const entries = new Map(documentRepository.listEntries().map(entry => [entry.id, entry]));
+    const matches = searchIndex.rank(query)
+      .filter(match => entries.has(match.documentId))
+      .map(match => {
+        const entry = entries.get(match.documentId);
+        return { ...entry, categories: [entry.categories[match.articleIndex]], match };
+      });
+
+    const matching = matches.filter(entry => matchesFilters(entry, filters));
+    const ordered = sort ? sortEntries(matching, sort, order) : matching;
+    const offset = cursor?.offset || 0;
+    const page = ordered.slice(offset, offset + limit);
+
+    const documents = new Map();
+    const results = searchIndex.describe(page.map(entry => entry.match), query).map((result, i) => {
+      const entry = page[i];
+      if (!documents.has(result.documentId)) {
+        documents.set(result.documentId, documentRepository.findById(result.documentId));
+      }
+      const document = documents.get(result.documentId);
+      return {
+        ...result,
+        issueId: entry.issueId,
+        pageNumber: entry.pageNumber,
+        newspaper: entry.newspaper,
+        editionDate: entry.editionDate,
+        category: entry.categories[0] || null,
+        originalName: document.originalName,
+        date: document.extractedData?.date || null
+      };
+    });
+
+    res.json({
+      query,
+      total: matching.length,
+      results,
+      nextCursor: offset + limit < matching.length ? encodeCursor({ offset: offset + limit }) : null,
+      facets: countFacets(matches, filters)
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      details: error.message
+    });
+  }
+});
+
+// Generate summary for existing document
+app.post('/api/documents/:id/generate-summary', async (req, res) => {
+  try {
+    const document = documentRepository.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    console.log('Regenerating summary for document:', document.id);
+    
+    const summary = await summarizeInBatches(document.extractedData, getProvider('llm'), {
+      batchSize: config.extraction.summaryBatchSize
+    });
+    // Unfiled articles may be filed under the category the summary gives them
+    const { articles, articleSummaries } = taxonomy.reconcileSummaries(
+      document.extractedData.articles || [],
+      summary.articleSummaries || []
+    );
+    const summaryData = { ...summary, articleSummaries };
+    documentRepository.update(document.id, {
+      extractedData: { ...document.extractedData, articles },
+      summaryData
+    });
+
+    res.json({
+      success: true,
+      message: 'Summary regenerated successfully',
+      summaryData
+    });
+    
+  } catch (error) {
+    console.error('Error regenerating summary:', error);
+    res.status(500).json({ 
+      error: 'Failed to regenerate summary', 
+      details: error.message 
+    });
+  }
+});
+
+// Delete document (admins only)
+app.delete('/api/documents/:id', auth.requireRole('admin'), (req, res) => {
+  const document = documentRepository.findById(req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  
+  const versionImages = versionRepository.listProcessedImages(document.id);
+  const clipFiles = clipRepository.listFilenames(document.id);
+  documentRepository.delete(document.id);
+
+  // Delete associated image files, including those of earlier extraction
+  // versions and the clips cut from the page
+  deleteDocumentFiles(document, documentRepository, versionImages);
+  deleteClipFiles(clipFiles, config.uploadsDir);
+
+  // An issue without pages is removed along with its last page
+  if (document.issueId) {
+    if (issueRepository.countPages(document.issueId) === 0) {
+      issueRepository.delete(document.issueId);
+    } else {
+      linkContinuations(document.issueId);
+    }
+  }
+  res.json({ success: true, message: 'Document and associated files deleted.' });
+});
+
+// Check that records and files in uploads/ still agree before serving requests
+const reconciliation = reconcileUploads(documentRepository, config.uploadsDir, {
+  pendingFiles: jobRepository.listUnfinished().map(job => job.payload.filename).filter(Boolean),
+  versionFiles: versionRepository.listProcessedImages()
+});
+if (reconciliation.missingFiles.length > 0) {
+  console.warn(`Reconcile: ${reconciliation.missingFiles.length} document(s) point to missing files:`,
+    reconciliation.missingFiles.map(f => `${f.id} (${f.filename})`).join(', '));
+}
+if (reconciliation.orphanedFiles.length > 0) {
+  console.warn(`Reconcile: ${reconciliation.orphanedFiles.length} file(s) in uploads/ have no document:`,
+    reconciliation.orphanedFiles.join(', '));
+}
+
+// Documents stored before the search index existed
+const indexedDocuments = searchIndex.indexMissing(documentRepository.list());
+if (indexedDocuments > 0) {
+  console.log(`Indexed ${indexedDocuments} document(s) for search`);
+}
+const entityDocuments = entityIndex.indexMissing(documentRepository.list());
+if (entityDocuments > 0) {
+  console.log(`Indexed named entities of ${entityDocuments} document(s)`);
+}
+const relatedDocuments = relatedIndex.indexMissing(documentRepository.list());
+if (relatedDocuments > 0) {
+  console.log(`Linked related articles of ${relatedDocuments} document(s)`);
+}
+
+// Score documents stored before extraction quality was assessed
+const unassessed = documentRepository.listUnassessed();
+for (const document of unassessed) {
+  const { score, issues } = assessQuality(document);
+  documentRepository.update(document.id, { qualityScore: score, qualityIssues: issues });
+}
+if (unassessed.length > 0) {
+  console.log(`Assessed the extraction quality of ${unassessed.length} document(s)`);
+}
+
+// File articles under the taxonomy as it is configured now, e.g. pages stored
+// before it existed or after TAXONOMY_FILE changed
+let refiledDocuments = 0;
+for (const document of documentRepository.list()) {
+  const changes = taxonomy.refile(document);
+  if (changes) {
+    documentRepository.update(document.id, changes);
+    refiledDocuments++;
+  }
+}
+if (refiledDocuments > 0) {
+  console.log(`Filed the articles of ${refiledDocuments} document(s) under the section taxonomy`);
+}
+
+// Parse edition dates of documents stored before dates were parsed
+async function resolveMissingDates() {
+  const undated = documentRepository.listUndated();
+  for (const document of undated) {
+    const dateInfo = await resolveDocumentDate({
+      extractedData: document.extractedData,
+      originalName: document.originalName,
+      imagePath: path.join(config.uploadsDir, document.filename)
+    }, { calendar: config.dates.bangabdaCalendar });
+    const updated = documentRepository.update(document.id, {
+      parsedDate: dateInfo.date,
+      dateOriginal: dateInfo.original,
+      dateConfidence: dateInfo.confidence,
+      dateSource: dateInfo.source || 'unresolved'
+    });
+    adoptEditionDate(updated);
+  }
+  if (undated.length > 0) {
+    console.log(`Parsed edition dates of ${undated.length} document(s)`);
+  }
+}
+resolveMissingDates().catch(error => console.error('Error parsing edition dates:', error));
+
+// Fingerprint documents stored before duplicate detection existed
+async function fingerprintMissing() {
+  let count = 0;
+  for (const document of documentRepository.listUnfingerprinted()) {
+    const source = path.join(config.uploadsDir, document.sourceFilename || document.filename);
+    const image = path.join(config.uploadsDir, document.filename);
+    if (!fs.existsSync(source) || !fs.existsSync(image)) continue;
+    try {
+      // Uploads only number the hash of a page when its file has several
+      const pageCount = document.sourceFilename
+        ? await countPages(source, /\.pdf$/i.test(source) ? 'application/pdf' : 'image/tiff')
+        : 1;
+      documentRepository.update(document.id, {
+        contentHash: pageContentHash(await fileHash(source), pageCount > 1 ? document.sourcePage : null),
+        perceptualHash: await perceptualHash(image),
+        textSignature: textSignature(pageText(document.extractedData))
+      });
+      count++;
+    } catch (error) {
+      console.error(`Error fingerprinting document ${document.id}:`, error.message);
+    }
+  }
+  if (count > 0) {
+    console.log(`Fingerprinted ${count} document(s) for duplicate detection`);
+  }
+}
+fingerprintMissing().catch(error => console.error('Error fingerprinting documents:', error));
+
+// Make thumbnails and tiles of pages stored before they were made, one page
+// at a time so large scans do not all sit in memory at once
+async function tileMissing() {
+  let count = 0;
+  for (const document of documentRepository.listUntiled()) {
+    if (!fs.existsSync(path.join(config.uploadsDir, document.filename))) continue;
+    const tiles = await tilePage(document);
+    if (tiles) {
+      documentRepository.update(document.id, { tiles });
+      count++;
+    }
+  }
+  if (count > 0) {
+    console.log(`Made thumbnails and tiles of ${count} document(s)`);
+  }
+}
+tileMissing().catch(error => console.error('Error making tiles:', error));
+
+// Create the first admin account from ADMIN_PASSWORD when there are no users
+async function createInitialAdmin() {
+  if (userRepository.count() > 0) return;
+  const { username, password } = config.auth.initialAdmin;
+  if (!password) {
+    console.warn('No user accounts exist: set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin');
+    return;
+  }
+  userRepository.create({ username, passwordHash: await hashPassword(password), role: 'admin' });
+  console.log(`Created admin account "${username}"`);
+}
+createInitialAdmin().catch(error => console.error('Error creating admin account:', error));
+
+const expiredTokens = tokenRepository.deleteExpired();
+if (expiredTokens > 0) {
+  console.log(`Removed ${expiredTokens} expired session(s)`);
+}
+
+// Continue any uploads that were interrupted by a restart
+const resumedJobs = jobQueue.resume();
+if (resumedJobs > 0) {
+  console.log(`Resumed ${resumedJobs} unfinished processing job(s)`);
+}
+
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  console.log('বাংলা সংবাদপত্র ডিজিটাইজার সার্ভার চালু');
+  console.log('Features: OCR + Bengali Summarization with Enhanced Error Handling and JSON Mode');
+  console.log(`Providers: OCR=${config.providers.ocr}, LLM=${config.providers.llm}`);
+  if ([config.providers.ocr, config.providers.llm].includes('gemini')) {
+    console.log('Make sure to set GEMINI_API_KEY in your .env file');
+  }
+});
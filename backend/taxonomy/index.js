@@ -0,0 +1,142 @@
+const fs = require('fs');
+const { tokenize } = require('../search/bengali');
+const { isUnknown, UNKNOWN } = require('../extraction/chunks');
+const { DEFAULT_SECTIONS } = require('./sections');
+
+// Key category names are compared by: normalized, stemmed tokens, so
+// "রাজনীতির", "রাজনীতি " and "Politics" vs "politics" each meet their match
+function categoryKey(category) {
+  return tokenize(String(category || '')).map(token => token.term).join(' ');
+}
+
+// The configured sections: DEFAULT_SECTIONS, or the JSON array in `file`
+function loadSections(file) {
+  if (!file) return DEFAULT_SECTIONS;
+  const sections = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new Error(`Taxonomy file ${file} must hold a non-empty array of sections`);
+  }
+  const ids = new Set();
+  return sections.map((section, index) => {
+    const { id, bn, en, synonyms = [] } = section || {};
+    if (![id, bn, en].every(value => typeof value === 'string' && value.trim()) || !Array.isArray(synonyms)) {
+      throw new Error(`Section ${index + 1} of ${file} needs string id, bn and en and a synonyms array`);
+    }
+    if (ids.has(id)) throw new Error(`Section id "${id}" appears twice in ${file}`);
+    ids.add(id);
+    return { id, bn, en, synonyms: synonyms.map(String) };
+  });
+}
+
+// Maps the free-text categories the model returns onto the taxonomy. A
+// category matches a section by its id, labels or synonyms, or by a name an
+// admin mapped from the review list. Articles keep the section's Bengali
+// label as `category`, its id as `section` and the model's own name as
+// `categoryOriginal`; unmatched categories are kept as they are with
+// `section` null until they are reviewed.
+function createTaxonomy({ sections, synonymRepository }) {
+  const byId = new Map(sections.map(section => [section.id, section]));
+  const configured = new Map();
+  for (const section of sections) {
+    for (const name of [section.id, section.bn, section.en, ...section.synonyms]) {
+      const key = categoryKey(name);
+      if (key && !configured.has(key)) configured.set(key, section.id);
+    }
+  }
+  const learned = new Map(synonymRepository.list().map(synonym => [synonym.key, synonym]));
+
+  function sectionOf(category) {
+    const key = categoryKey(category);
+    const id = configured.get(key) || learned.get(key)?.section;
+    return byId.get(id) || null;
+  }
+
+  // Category fields for a category name as the model (or an editor) wrote it
+  function classify(category) {
+    const name = String(category || '').trim();
+    if (isUnknown(name)) return { category: UNKNOWN, section: null };
+    const section = sectionOf(name);
+    if (!section) return { category: name, section: null };
+    return { category: section.bn, section: section.id, ...(name !== section.bn && { categoryOriginal: name }) };
+  }
+
+  // The article filed under the taxonomy, from the category it was given
+  function classifyArticle(article) {
+    const { categoryOriginal, ...rest } = article;
+    return { ...rest, ...classify(categoryOriginal || article.category) };
+  }
+
+  // Whether the article's category fields are what classifying it gives now
+  function isClassified(article) {
+    const expected = classify(article.categoryOriginal || article.category);
+    return article.section !== undefined &&
+      ['category', 'section', 'categoryOriginal'].every(field => (article[field] ?? null) === (expected[field] ?? null));
+  }
+
+  // Articles left unfiled by structuring take the category the summary step
+  // gave them when that one maps to a section, and every summary then
+  // carries its article's category. Both lists are index-aligned.
+  function reconcileSummaries(articles, articleSummaries) {
+    const filed = articles.map((article, index) => {
+      const suggested = articleSummaries[index]?.category;
+      return !article.section && sectionOf(suggested)
+        ? classifyArticle({ ...article, category: suggested, categoryOriginal: undefined })
+        : article;
+    });
+    return {
+      articles: filed,
+      articleSummaries: articleSummaries.map((summary, index) =>
+        (filed[index] ? { ...summary, category: filed[index].category } : summary))
+    };
+  }
+
+  return {
+    classify,
+    classifyArticle,
+    reconcileSummaries,
+
+    // Changes that file every article of a stored document under the
+    // taxonomy as it is now, or null when they all are already (pages from
+    // before the taxonomy, or after a section was configured or mapped)
+    refile(document) {
+      const articles = document.extractedData?.articles || [];
+      if (articles.every(isClassified)) return null;
+      const summaries = document.summaryData?.articleSummaries;
+      const filed = reconcileSummaries(articles.map(classifyArticle), Array.isArray(summaries) ? summaries : []);
+      return {
+        extractedData: { ...document.extractedData, articles: filed.articles },
+        ...(Array.isArray(summaries) && {
+          summaryData: { ...document.summaryData, articleSummaries: filed.articleSummaries }
+        })
+      };
+    },
+
+    // Sections with their synonyms, including those mapped from the review list
+    sections() {
+      return sections.map(section => ({
+        ...section,
+        synonyms: [
+          ...section.synonyms,
+          ...[...learned.values()].filter(synonym => synonym.section === section.id).map(synonym => synonym.category)
+        ]
+      }));
+    },
+
+    findSection(id) {
+      return byId.get(id) || null;
+    },
+
+    // Map a reviewed category name to a section from now on
+    addSynonym(category, sectionId, createdBy) {
+      const key = categoryKey(category);
+      if (!key) throw new Error('Category is empty');
+      if (!byId.has(sectionId)) throw new Error(`Unknown section "${sectionId}"`);
+      const synonym = { key, category: String(category).trim(), section: sectionId, createdBy };
+      synonymRepository.upsert(synonym);
+      learned.set(key, synonym);
+      return synonym;
+    }
+  };
+}
+
+module.exports = { createTaxonomy, loadSections, categoryKey };
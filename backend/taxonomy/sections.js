@@ -0,0 +1,99 @@
+// The newspaper sections articles are filed under. `bn` is the label stored
+// as the article's category and shown in the app, `en` the English label;
+// `synonyms` are other names the model (or an old page) uses for the
+// section. Set TAXONOMY_FILE to a JSON array of the same shape to replace
+// this list, and map further names from the review list at runtime.
+const DEFAULT_SECTIONS = [
+  {
+    id: 'politics',
+    bn: 'রাজনীতি',
+    en: 'Politics',
+    synonyms: ['রাজনৈতিক', 'রাজনৈতিক খবর', 'নির্বাচন', 'political', 'elections']
+  },
+  {
+    id: 'state',
+    bn: 'রাজ্য',
+    en: 'State',
+    synonyms: ['পশ্চিমবঙ্গ', 'রাজ্যের খবর', 'জেলা', 'জেলার খবর', 'state news', 'west bengal', 'districts']
+  },
+  {
+    id: 'kolkata',
+    bn: 'কলকাতা',
+    en: 'Kolkata',
+    synonyms: ['শহর', 'মহানগর', 'কলকাতার খবর', 'city', 'calcutta', 'metro']
+  },
+  {
+    id: 'national',
+    bn: 'দেশ',
+    en: 'National',
+    synonyms: ['জাতীয়', 'ভারত', 'দেশের খবর', 'india', 'nation']
+  },
+  {
+    id: 'international',
+    bn: 'বিদেশ',
+    en: 'International',
+    synonyms: ['আন্তর্জাতিক', 'বিশ্ব', 'বিদেশের খবর', 'world', 'foreign']
+  },
+  {
+    id: 'business',
+    bn: 'ব্যবসা',
+    en: 'Business',
+    synonyms: ['অর্থনীতি', 'বাণিজ্য', 'ব্যবসা-বাণিজ্য', 'শেয়ার বাজার', 'economy', 'finance', 'economics']
+  },
+  {
+    id: 'sports',
+    bn: 'খেলা',
+    en: 'Sports',
+    synonyms: ['খেলাধুলা', 'ক্রীড়া', 'ক্রিকেট', 'ফুটবল', 'sport', 'cricket', 'football']
+  },
+  {
+    id: 'entertainment',
+    bn: 'বিনোদন',
+    en: 'Entertainment',
+    synonyms: ['সিনেমা', 'চলচ্চিত্র', 'সংস্কৃতি', 'শিল্প ও সংস্কৃতি', 'culture', 'film', 'arts']
+  },
+  {
+    id: 'education',
+    bn: 'শিক্ষা',
+    en: 'Education',
+    synonyms: ['শিক্ষাক্ষেত্র', 'পরীক্ষা', 'school', 'schools']
+  },
+  {
+    id: 'health',
+    bn: 'স্বাস্থ্য',
+    en: 'Health',
+    synonyms: ['চিকিৎসা', 'স্বাস্থ্য ও চিকিৎসা', 'medicine', 'medical']
+  },
+  {
+    id: 'science',
+    bn: 'বিজ্ঞান ও প্রযুক্তি',
+    en: 'Science & Technology',
+    synonyms: ['বিজ্ঞান', 'প্রযুক্তি', 'science', 'technology', 'tech']
+  },
+  {
+    id: 'environment',
+    bn: 'আবহাওয়া ও পরিবেশ',
+    en: 'Weather & Environment',
+    synonyms: ['আবহাওয়া', 'পরিবেশ', 'weather', 'environment', 'climate']
+  },
+  {
+    id: 'crime',
+    bn: 'অপরাধ',
+    en: 'Crime',
+    synonyms: ['আইন-শৃঙ্খলা', 'আদালত', 'পুলিশ', 'crime', 'law and order', 'courts']
+  },
+  {
+    id: 'opinion',
+    bn: 'সম্পাদকীয়',
+    en: 'Opinion',
+    synonyms: ['মতামত', 'উত্তর-সম্পাদকীয়', 'চিঠিপত্র', 'editorial', 'letters']
+  },
+  {
+    id: 'advertisement',
+    bn: 'বিজ্ঞাপন',
+    en: 'Advertisements',
+    synonyms: ['শ্রেণিবদ্ধ বিজ্ঞাপন', 'advertisement', 'ads', 'classifieds']
+  }
+];
+
+module.exports = { DEFAULT_SECTIONS };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { uprightSize } = require('../preprocess');
+
+// Thumbnails and tile pyramids live in uploads/tiles/<document id>/
+const TILES_DIR = 'tiles';
+
+// Deep Zoom (DZI) tiles: TILE_SIZE pixels square, overlapping their
+// neighbours by TILE_OVERLAP pixels
+const TILE_SIZE = 256;
+const TILE_OVERLAP = 1;
+const TILE_FORMAT = 'jpeg';
+const TILE_QUALITY = 85;
+
+// Thumbnails for lists are this wide
+const THUMBNAIL_WIDTH = 240;
+
+const THUMBNAIL_FILE = 'thumbnail.jpg';
+const PYRAMID_NAME = 'page';
+
+function tileDirectory(documentId, uploadsDir) {
+  return path.join(uploadsDir, TILES_DIR, String(documentId));
+}
+
+function thumbnailFile(documentId, uploadsDir) {
+  return path.join(tileDirectory(documentId, uploadsDir), THUMBNAIL_FILE);
+}
+
+// The pyramid's DZI descriptor (XML)
+function descriptorFile(documentId, uploadsDir) {
+  return path.join(tileDirectory(documentId, uploadsDir), `${PYRAMID_NAME}.dzi`);
+}
+
+function tileFile(documentId, { level, column, row }, uploadsDir) {
+  return path.join(tileDirectory(documentId, uploadsDir), `${PYRAMID_NAME}_files`, String(level),
+    `${column}_${row}.${TILE_FORMAT}`);
+}
+
+// Make the thumbnail and Deep Zoom pyramid of a page's image, as browsers
+// show it (turned upright). Both are written next to each other first and
+// then swapped in, so a half-made pyramid is never served. Resolves to what
+// the viewer needs to place the tiles: `{ width, height, tileSize, overlap,
+// format, maxLevel }`; level `maxLevel` is the full image and each level
+// below it half the size of the one above.
+async function generateTiles(document, uploadsDir) {
+  const source = path.join(uploadsDir, document.filename);
+  const { width, height } = uprightSize(await sharp(source).metadata());
+
+  const directory = tileDirectory(document.id, uploadsDir);
+  const building = `${directory}.tmp`;
+  fs.rmSync(building, { recursive: true, force: true });
+  fs.mkdirSync(building, { recursive: true });
+
+  try {
+    await sharp(source)
+      .rotate()
+      .resize(THUMBNAIL_WIDTH, null, { withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(path.join(building, THUMBNAIL_FILE));
+    await sharp(source)
+      .rotate()
+      .jpeg({ quality: TILE_QUALITY })
+      .tile({ size: TILE_SIZE, overlap: TILE_OVERLAP, layout: 'dz' })
+      .toFile(path.join(building, `${PYRAMID_NAME}.dz`));
+
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.renameSync(building, directory);
+  } catch (error) {
+    fs.rmSync(building, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    width,
+    height,
+    tileSize: TILE_SIZE,
+    overlap: TILE_OVERLAP,
+    format: TILE_FORMAT,
+    maxLevel: Math.ceil(Math.log2(Math.max(width, height)))
+  };
+}
+
+// Whether the page's thumbnail and pyramid have been made (the `tiles`
+// column reads as {} until then)
+function hasTiles(document) {
+  return Number.isInteger(document.tiles?.maxLevel);
+}
+
+// Remove a page's thumbnail and pyramid; failures are logged, as for page files
+function deleteTiles(documentId, uploadsDir) {
+  try {
+    fs.rmSync(tileDirectory(documentId, uploadsDir), { recursive: true, force: true });
+  } catch (error) {
+    console.error('Error deleting tiles of document:', documentId, error);
+  }
+}
+
+module.exports = {
+  TILES_DIR,
+  TILE_FORMAT,
+  generateTiles,
+  hasTiles,
+  deleteTiles,
+  thumbnailFile,
+  descriptorFile,
+  tileFile
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { extractAndCleanJSON } = require('../extraction');
+
+// Translations are cached on the document under a hash of the text they
+// translate, so a corrected article gets a fresh translation while split,
+// merged or reordered articles keep theirs.
+function sourceKey(source) {
+  return crypto.createHash('sha1').update(JSON.stringify(source)).digest('hex').slice(0, 16);
+}
+
+// What the translation of article `index` covers: the article and its
+// summary, matched by headline since corrections can move articles
+function articleSource(document, index) {
+  const article = document.extractedData?.articles?.[index];
+  if (!article) return null;
+  const summary = (document.summaryData?.articleSummaries || [])
+    .find(candidate => candidate.headline === article.headline);
+  return {
+    headline: article.headline || '',
+    content: article.content || '',
+    summary: summary?.summary || '',
+    keyPoints: summary?.keyPoints || []
+  };
+}
+
+// What the translation of the page summary covers
+function summarySource(document) {
+  return {
+    overallSummary: document.summaryData?.overallSummary || '',
+    importantTopics: document.summaryData?.importantTopics || []
+  };
+}
+
+// The translated fields of `source`, with the original kept for any field
+// the model left out
+function pickFields(source, translated) {
+  return Object.fromEntries(Object.entries(source).map(([field, value]) => {
+    const result = translated[field];
+    if (Array.isArray(value)) {
+      return [field, Array.isArray(result) && result.length === value.length ? result.map(String) : value];
+    }
+    return [field, typeof result === 'string' && result.trim() ? result.trim() : value];
+  }));
+}
+
+// English translations of a page's articles and summary, made on demand by
+// the LLM provider and cached on the document
+function createTranslator({ documentRepository, getLlm }) {
+  // Hashes of everything on the page that can currently be translated
+  function currentKeys(document) {
+    const articles = document.extractedData?.articles || [];
+    return new Set([
+      ...articles.map((article, index) => sourceKey(articleSource(document, index))),
+      sourceKey(summarySource(document))
+    ]);
+  }
+
+  async function translate(document, source, { refresh = false } = {}) {
+    const key = sourceKey(source);
+    const cached = document.translations?.[key];
+    if (cached && !refresh) return { ...cached, cached: true };
+
+    const llm = getLlm();
+    const translated = extractAndCleanJSON(await llm.translate(source));
+    if (!translated) {
+      throw new Error('Failed to parse translation');
+    }
+    const entry = {
+      ...pickFields(source, translated),
+      language: 'en',
+      provider: llm.name,
+      model: llm.model,
+      translatedAt: new Date().toISOString()
+    };
+
+    // Re-read the document in case it changed while the model was working,
+    // and drop translations of text that is no longer on the page
+    const current = documentRepository.findById(document.id);
+    const keys = currentKeys(current);
+    const translations = Object.fromEntries(
+      Object.entries(current.translations || {}).filter(([existing]) => keys.has(existing))
+    );
+    translations[key] = entry;
+    documentRepository.update(document.id, { translations });
+    return { ...entry, cached: false };
+  }
+
+  return {
+    // Cached translations that still match the page, index-aligned with its articles
+    cached(document) {
+      const translations = document.translations || {};
+      return {
+        articles: (document.extractedData?.articles || [])
+          .map((article, index) => translations[sourceKey(articleSource(document, index))] || null),
+        summary: translations[sourceKey(summarySource(document))] || null
+      };
+    },
+
+    translateArticle(document, index, options) {
+      return translate(document, articleSource(document, index), options);
+    },
+
+    translateSummary(document, options) {
+      return translate(document, summarySource(document), options);
+    }
+  };
+}
+
+module.exports = { createTranslator };
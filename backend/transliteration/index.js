@@ -0,0 +1,147 @@
+const { composeNukta } = require('../search/bengali');
+
+// Rule-based Bengali -> Latin transliteration. Two schemes:
+// - 'iso': ISO 15919 with diacritics, every inherent vowel written as "a"
+//   (কলকাতা -> kalakātā), reversible and suited to cataloguing
+// - 'simple': plain ASCII as Bengali is usually romanized, inherent vowel
+//   "o" and dropped where it is not pronounced (কলকাতা -> kolkata)
+const SCHEMES = ['iso', 'simple'];
+
+const CONSONANTS = {
+  'ক': ['k', 'k'], 'খ': ['kh', 'kh'], 'গ': ['g', 'g'], 'ঘ': ['gh', 'gh'], 'ঙ': ['ṅ', 'ng'],
+  'চ': ['c', 'ch'], 'ছ': ['ch', 'chh'], 'জ': ['j', 'j'], 'ঝ': ['jh', 'jh'], 'ঞ': ['ñ', 'n'],
+  'ট': ['ṭ', 't'], 'ঠ': ['ṭh', 'th'], 'ড': ['ḍ', 'd'], 'ঢ': ['ḍh', 'dh'], 'ণ': ['ṇ', 'n'],
+  'ত': ['t', 't'], 'থ': ['th', 'th'], 'দ': ['d', 'd'], 'ধ': ['dh', 'dh'], 'ন': ['n', 'n'],
+  'প': ['p', 'p'], 'ফ': ['ph', 'ph'], 'ব': ['b', 'b'], 'ভ': ['bh', 'bh'], 'ম': ['m', 'm'],
+  'য': ['y', 'j'], 'র': ['r', 'r'], 'ল': ['l', 'l'], 'শ': ['ś', 'sh'], 'ষ': ['ṣ', 'sh'],
+  // ড়, ঢ় and য় as the precomposed letters composeNukta produces
+  'স': ['s', 's'], 'হ': ['h', 'h'], '\u09DC': ['ṛ', 'r'], '\u09DD': ['ṛh', 'rh'], '\u09DF': ['ẏ', 'y']
+};
+// Khanda ta never carries a vowel
+const KHANDA_TA = { 'ৎ': ['t', 't'] };
+const VOWELS = {
+  'অ': ['a', 'o'], 'আ': ['ā', 'a'], 'ই': ['i', 'i'], 'ঈ': ['ī', 'i'], 'উ': ['u', 'u'],
+  'ঊ': ['ū', 'u'], 'ঋ': ['r̥', 'ri'], 'ৠ': ['r̥̄', 'ri'], 'ঌ': ['l̥', 'li'], 'এ': ['e', 'e'],
+  'ঐ': ['ai', 'oi'], 'ও': ['o', 'o'], 'ঔ': ['au', 'ou']
+};
+const VOWEL_SIGNS = {
+  'া': ['ā', 'a'], 'ি': ['i', 'i'], 'ী': ['ī', 'i'], 'ু': ['u', 'u'], 'ূ': ['ū', 'u'],
+  'ৃ': ['r̥', 'ri'], 'ৄ': ['r̥̄', 'ri'], 'ে': ['e', 'e'], 'ৈ': ['ai', 'oi'], 'ো': ['o', 'o'],
+  'ৌ': ['au', 'ou']
+};
+const MODIFIERS = { 'ং': ['ṁ', 'ng'], 'ঃ': ['ḥ', 'h'], 'ঁ': ['m̐', 'n'] };
+const INHERENT = ['a', 'o'];
+const VIRAMA = '্';
+const PUNCTUATION = { '৳': 'Tk' };
+const BENGALI_DIGIT_ZERO = 0x09E6;
+const WORD_PATTERN = /[ঀ-৿]+/g;
+
+// A word as syllables: the consonant cluster (joined by hasant) and the
+// vowel following it, null for the inherent vowel or '' for none
+function syllables(word) {
+  const chars = [...word];
+  const result = [];
+  let cluster = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (CONSONANTS[char]) {
+      cluster.push(char);
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        i++;
+        // A hasant at the end of the word, or before a vowel, leaves the
+        // consonant bare; before another consonant it forms a conjunct
+        if (i + 1 < chars.length && CONSONANTS[chars[i + 1]]) continue;
+        result.push({ cluster, vowel: '', modifiers: [] });
+      } else if (VOWEL_SIGNS[next]) {
+        i++;
+        result.push({ cluster, vowel: next, modifiers: [] });
+      } else {
+        result.push({ cluster, vowel: null, modifiers: [] });
+      }
+      cluster = [];
+    } else if (KHANDA_TA[char]) {
+      result.push({ cluster: [char], vowel: '', modifiers: [] });
+    } else if (VOWELS[char]) {
+      result.push({ cluster: [], vowel: char, modifiers: [] });
+    } else if (MODIFIERS[char] && result.length > 0) {
+      result[result.length - 1].modifiers.push(char);
+    } else if (PUNCTUATION[char] || /[০-৯]/.test(char)) {
+      result.push({ literal: char });
+    }
+    // Anything else (a stray sign, the au length mark) is dropped
+  }
+  return result;
+}
+
+// Whether the simple scheme drops the inherent vowel of syllable i: at the
+// end of a word after a single consonant, and inside a word between a
+// vowelled syllable and a single consonant with a written vowel
+// (সরকার -> sorkar)
+function silentInherent(parts, i) {
+  const part = parts[i];
+  if (part.vowel !== null || part.cluster.length !== 1 || part.modifiers.length > 0 || i === 0) return false;
+  const next = parts[i + 1];
+  if (!next || next.literal) return true;
+  const previous = parts[i - 1];
+  return !previous.literal && previous.vowel !== '' && next.vowel !== null && next.cluster.length === 1;
+}
+
+function transliterateWord(word, scheme) {
+  const s = scheme === 'iso' ? 0 : 1;
+  const parts = syllables(word);
+  return parts.map((part, i) => {
+    if (part.literal) {
+      return PUNCTUATION[part.literal] || String(part.literal.charCodeAt(0) - BENGALI_DIGIT_ZERO);
+    }
+    const consonants = part.cluster
+      .map(char => (CONSONANTS[char] || KHANDA_TA[char])[s])
+      // Ya-phala is written "y" in both schemes
+      .map((latin, j) => (j > 0 && part.cluster[j] === 'য' ? 'y' : latin))
+      .join('');
+    let vowel;
+    if (part.vowel === null) {
+      vowel = s === 1 && silentInherent(parts, i) ? '' : INHERENT[s];
+    } else if (part.vowel === '') {
+      vowel = '';
+    } else {
+      vowel = (part.cluster.length > 0 ? VOWEL_SIGNS : VOWELS)[part.vowel][s];
+    }
+    return consonants + vowel + part.modifiers.map(char => MODIFIERS[char][s]).join('');
+  }).join('');
+}
+
+// Transliterate the Bengali words of `text`, leaving everything else as it is
+function transliterate(text, scheme = 'iso') {
+  if (!text) return '';
+  return composeNukta(text.normalize('NFC'))
+    .replace(/[‌‍]/g, '')
+    .replace(/[।॥]/g, '.')
+    .replace(WORD_PATTERN, word => transliterateWord(word, scheme));
+}
+
+// Sound-alike key of a romanized word, so the many ways of spelling a
+// Bengali word in Latin letters meet: "kolkata", "calcutta" and কলকাতা
+// (romanized "kolkata") all become "klkt". Aspiration, vowels after the
+// first letter and doubled letters are dropped and close sounds merged.
+// Null for words too short to key reliably.
+function phoneticKey(word) {
+  const letters = String(word).normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return null;
+  const key = letters
+    .replace(/^y/, 'j')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c(?=[aou]|$)/g, 'k')
+    .replace(/([bcdgjkprst])h+/g, '$1')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 'j')
+    .replace(/[vw]/g, 'b')
+    .replace(/f/g, 'p')
+    .replace(/(.)\1+/g, '$1');
+  const skeleton = (/^[aeiouy]/.test(key) ? 'a' : '') + key.replace(/[aeiouy]/g, '').replace(/(.)\1+/g, '$1');
+  return skeleton.length >= 2 ? skeleton : null;
+}
+
+module.exports = { SCHEMES, transliterate, phoneticKey };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transliterate, phoneticKey } = require('.');
+
+test('the ISO scheme writes every inherent vowel, with diacritics', () => {
+  assert.equal(transliterate('কলকাতা', 'iso'), 'kalakātā');
+  assert.equal(transliterate('বাংলাদেশ', 'iso'), 'bāṁlādeśa');
+  assert.equal(transliterate('রবীন্দ্রনাথ ঠাকুর', 'iso'), 'rabīndranātha ṭhākura');
+  assert.equal(transliterate('ক্ষমা', 'iso'), 'kṣamā');
+});
+
+test('the simple scheme spells words as they are usually romanized', () => {
+  assert.equal(transliterate('কলকাতা', 'simple'), 'kolkata');
+  assert.equal(transliterate('সরকার', 'simple'), 'sorkar');
+  assert.equal(transliterate('রবীন্দ্রনাথ ঠাকুর', 'simple'), 'robindronath thakur');
+  assert.equal(transliterate('উৎসব', 'simple'), 'utsob');
+});
+
+test('digits and taka are converted and other text is left as it is', () => {
+  assert.equal(transliterate('২০২৪ সাল', 'simple'), '2024 sal');
+  assert.equal(transliterate('৳ ৫০', 'iso'), 'Tk 50');
+  assert.equal(transliterate('Dhaka কলকাতা!', 'simple'), 'Dhaka kolkata!');
+});
+
+test('spellings that sound alike share a phonetic key', () => {
+  assert.equal(phoneticKey('kolkata'), 'klkt');
+  assert.equal(phoneticKey('Calcutta'), 'klkt');
+  assert.equal(phoneticKey(transliterate('কলকাতা', 'simple')), 'klkt');
+  assert.equal(phoneticKey('dhaka'), phoneticKey('daka'));
+  assert.equal(phoneticKey('a'), null);
+  assert.equal(phoneticKey('২০২৪'), null);
+});
@@ -0,0 +1,125 @@
+const { EDITABLE_FIELDS, editableState } = require('../editing/articles');
+const { tokenize } = require('../search/bengali');
+
+// Fields of a document that come from extracting its scan, as kept with
+// every extraction version
+const VERSION_FIELDS = [
+  'extractedData', 'summaryData', 'layout', 'rawExtractedText', 'processedImagePath', 'preprocessing',
+  'parsedDate', 'dateOriginal', 'dateConfidence', 'dateSource', 'textSignature'
+];
+// Articles less alike than this are shown as removed and added, not changed
+const MIN_ARTICLE_SIMILARITY = 0.3;
+
+function versionData(document) {
+  return Object.fromEntries(VERSION_FIELDS.map(field => [field, document[field] ?? null]));
+}
+
+function articleTerms(article) {
+  return new Set(tokenize(`${article.headline || ''} ${article.content || ''}`).map(token => token.term));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Pair the articles of two extractions for a side-by-side diff, keeping both
+// orders: [{ from, to, similarity }] where `from` or `to` is null for an
+// article only one side has. The pairing maximizes the summed similarity.
+function alignArticles(fromArticles, toArticles) {
+  const fromTerms = fromArticles.map(articleTerms);
+  const toTerms = toArticles.map(articleTerms);
+  const scores = fromTerms.map(a => toTerms.map(b => similarity(a, b)));
+
+  // best[i][j]: best total for the articles from i and j on
+  const best = Array.from({ length: fromArticles.length + 1 }, () => new Array(toArticles.length + 1).fill(0));
+  for (let i = fromArticles.length - 1; i >= 0; i--) {
+    for (let j = toArticles.length - 1; j >= 0; j--) {
+      const paired = scores[i][j] >= MIN_ARTICLE_SIMILARITY ? best[i + 1][j + 1] + scores[i][j] : -1;
+      best[i][j] = Math.max(paired, best[i + 1][j], best[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  const side = (articles, index) => ({ index, ...articles[index] });
+  let i = 0;
+  let j = 0;
+  while (i < fromArticles.length && j < toArticles.length) {
+    if (scores[i][j] >= MIN_ARTICLE_SIMILARITY && best[i][j] === best[i + 1][j + 1] + scores[i][j]) {
+      rows.push({ from: side(fromArticles, i), to: side(toArticles, j), similarity: Math.round(scores[i][j] * 100) / 100 });
+      i++;
+      j++;
+    } else if (best[i][j] === best[i + 1][j]) {
+      rows.push({ from: side(fromArticles, i++), to: null, similarity: 0 });
+    } else {
+      rows.push({ from: null, to: side(toArticles, j++), similarity: 0 });
+    }
+  }
+  while (i < fromArticles.length) rows.push({ from: side(fromArticles, i++), to: null, similarity: 0 });
+  while (j < toArticles.length) rows.push({ from: null, to: side(toArticles, j++), similarity: 0 });
+  return rows;
+}
+
+// Extraction versions of documents: recording the extraction of an upload or
+// a reprocessing of the stored scan, and switching which version a page
+// shows. Switching is a correction like any other, so it is recorded as a
+// revision (and hand corrections made on the previous version stay in the
+// revision history).
+function createExtractionVersions({ db, documentRepository, versionRepository, documentEditor }) {
+  // Store the document's extracted fields as its next version; `active`
+  // makes it the version the page shows
+  function record(document, { source, providers = null, createdBy = null, active = false }) {
+    const version = versionRepository.create({
+      documentId: document.id,
+      source,
+      providers,
+      preprocessing: document.preprocessing,
+      data: versionData(document),
+      createdBy
+    });
+    if (active) documentRepository.update(document.id, { activeVersion: version.version });
+    return version;
+  }
+
+  return {
+    record,
+
+    // Pages extracted before versions were kept get their content as it is
+    // now as version 1, so it can be switched back to after reprocessing
+    ensureBaseline(document) {
+      if (document.activeVersion) return;
+      record(document, { source: 'existing', active: true });
+    },
+
+    // Make a stored version the page's content. Resolves to the updated
+    // document and revision, or null when there is no such version.
+    activate(documentId, versionNumber, author) {
+      const version = versionRepository.findByVersion(documentId, versionNumber);
+      if (!version) return null;
+
+      return db.transaction(() => {
+        const { revision } = documentEditor.apply(
+          documentId,
+          { action: 'version', summary: `Switched to extraction version ${version.version}`, author },
+          state => {
+            // Links keep pointing at the article in the same position when it still exists
+            const articleCount = (version.data.extractedData?.articles || []).length;
+            const indexMap = (state.extractedData?.articles || []).map((article, index) =>
+              (index < articleCount ? index : null));
+            return { state: editableState(version.data), indexMap };
+          }
+        );
+        const rest = VERSION_FIELDS.filter(field => !EDITABLE_FIELDS.includes(field));
+        const document = documentRepository.update(documentId, {
+          ...Object.fromEntries(rest.map(field => [field, version.data[field]])),
+          activeVersion: version.version
+        });
+        return { document, revision };
+      })();
+    }
+  };
+}
+
+module.exports = { createExtractionVersions, alignArticles, versionData, VERSION_FIELDS };
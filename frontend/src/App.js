@@ -1,9 +1,35 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
-import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
+import JobProgress from './components/JobProgress';
+import IssueViewer from './components/IssueViewer';
+import PageImage from './components/PageImage';
+import SearchResults from './components/SearchResults';
+import DocumentBrowser from './components/DocumentBrowser';
+import ExportButtons from './components/ExportButtons';
+import DateEditor from './components/DateEditor';
+import CalendarView from './components/CalendarView';
+import ArticleEditor from './components/ArticleEditor';
+import HeadlinesEditor from './components/HeadlinesEditor';
+import RevisionHistory from './components/RevisionHistory';
+import ExtractionVersions from './components/ExtractionVersions';
+import ReviewQueue from './components/ReviewQueue';
+import PreprocessOptions, { appendPreprocessOptions } from './components/PreprocessOptions';
+import DuplicateNotice from './components/DuplicateNotice';
+import AlternateText, { TEXT_MODES } from './components/AlternateText';
+import LoginForm from './components/LoginForm';
+import AccountPanel from './components/AccountPanel';
+import EntityBrowser from './components/EntityBrowser';
+import SectionBrowser from './components/SectionBrowser';
+import RelatedArticles from './components/RelatedArticles';
+import ClipPanel from './components/ClipPanel';
+import ClipBrowser from './components/ClipBrowser';
+import { EMPTY_FILTERS } from './components/FilterSidebar';
+import useAuth, { hasRole } from './hooks/useAuth';
+import useRoute, { documentPath, searchPath } from './hooks/useRoute';
 import './App.css';
 
-const API_BASE = 'http://localhost:5000/api';
+const SERVER_BASE = 'http://localhost:5000';
+const API_BASE = `${SERVER_BASE}/api`;
 
 // Utility to highlight all occurrences of searchQuery in a text (case-insensitive, Unicode-aware)
 function highlightText(text, query) {
@@ -40,123 +66,545 @@ function highlightText(text, query) {
 }
 
 function App() {
-  const [documents, setDocuments] = useState([]);
+  const { user, login, logout } = useAuth(API_BASE);
+  const { route, navigate } = useRoute();
+  const [selectedIssue, setSelectedIssue] = useState(null);
+  const [initialDocumentId, setInitialDocumentId] = useState(null);
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [uploading, setUploading] = useState(false);
+  const [uploadFiles, setUploadFiles] = useState([]);
+  const [newspaperName, setNewspaperName] = useState('');
+  const [editionDate, setEditionDate] = useState('');
+  const [preprocess, setPreprocess] = useState({ profile: 'default' });
+  const [uploadDuplicates, setUploadDuplicates] = useState(null); // { duplicates, rejected, near }
+  const uploadFormRef = useRef(null);
+  const [activeUpload, setActiveUpload] = useState(null); // { issueId, jobs, finished }
   const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [view, setView] = useState('upload'); // 'upload', 'browse', 'search'
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_FILTERS);
+  const [view, setView] = useState('upload'); // 'upload', 'browse', 'calendar', 'search', 'entities', 'sections', 'review', 'clips'
+  const [activeArticle, setActiveArticle] = useState(null); // { documentId, article }
+  const [regionFocus, setRegionFocus] = useState(null); // { documentId, article, at }
+  const [editingDocumentId, setEditingDocumentId] = useState(null);
+  const [historyDocumentId, setHistoryDocumentId] = useState(null);
+  const [versionsDocumentId, setVersionsDocumentId] = useState(null);
+  const [clipsDocumentId, setClipsDocumentId] = useState(null);
+  const [clipRegion, setClipRegion] = useState(null); // { documentId, region } drawn on the image
+  const [textMode, setTextMode] = useState('original'); // 'original', 'translation', 'transliteration'
+  const [entityFocus, setEntityFocus] = useState(null); // { name, type } picked on an article
+  const [relatedArticle, setRelatedArticle] = useState(null); // { documentId, article } showing "more on this story"
+  const [extractingEntities, setExtractingEntities] = useState(false);
+  const [sections, setSections] = useState([]); // the taxonomy, offered when editing a category
+  const canEdit = hasRole(user, 'editor');
+  // What is open, for the route effect below to tell a move within the open
+  // issue or page from opening another one
+  const openRef = useRef({});
+  useEffect(() => {
+    openRef.current = { issue: selectedIssue, document: selectedDocument, activeArticle };
+  });
 
-  useEffect(() => { fetchDocuments(); }, []);
+  useEffect(() => {
+    if (!canEdit) return;
+    axios.get(`${API_BASE}/sections`)
+      .then(response => setSections(response.data.sections))
+      .catch(error => console.error('Error fetching sections:', error));
+  }, [canEdit]);
 
-  const fetchDocuments = async () => {
+  // Open an issue in the page-flipper, optionally at one of its pages
+  const openIssue = useCallback(async (issueId, documentId = null) => {
     try {
-      const response = await axios.get(`${API_BASE}/documents`);
-      setDocuments(response.data);
+      const response = await axios.get(`${API_BASE}/issues/${issueId}`);
+      setSelectedIssue(response.data);
+      setInitialDocumentId(documentId);
+      setView('browse');
     } catch (error) {
-      console.error('Error fetching documents:', error);
+      console.error('Error fetching issue:', error);
     }
+  }, []);
+
+  // Show what the address names: on load, after navigating and on back and
+  // forward. Pages open in their issue unless they were opened from a list
+  // in another tab or from search results.
+  const routeRequest = useRef(0);
+  useEffect(() => {
+    if (!user) return;
+    const request = ++routeRequest.current;
+
+    if (route.name === 'search') {
+      setView('search');
+      setSearchQuery(route.query);
+      setSubmittedQuery(route.query);
+      setSearchFilters(route.filters);
+      setSelectedDocument(null);
+      return;
+    }
+    if (route.name === 'home') {
+      // Viewers cannot upload, so they start in the browser
+      const nextView = route.view || 'upload';
+      setView(nextView === 'upload' && !hasRole(user, 'editor') ? 'browse' : nextView);
+      setSelectedIssue(null);
+      setSelectedDocument(null);
+      return;
+    }
+
+    const { documentId, article, query } = route;
+    const { issue, document: shownDocument, activeArticle } = openRef.current;
+    const focus = () => {
+      if (article === null) return;
+      if (activeArticle?.documentId === documentId && activeArticle.article === article) return;
+      setActiveArticle({ documentId, article });
+      setRegionFocus({ documentId, article, at: Date.now() });
+    };
+    if (query) {
+      setSearchQuery(query);
+      setSubmittedQuery(query);
+      setSearchFilters(route.filters);
+    }
+
+    // Another page of the issue already open
+    const inBrowser = !query && (route.view || 'browse') === 'browse';
+    if (inBrowser && issue?.pages?.some(page => page.id === documentId)) {
+      setView('browse');
+      setInitialDocumentId(documentId);
+      focus();
+      return;
+    }
+
+    (async () => {
+      try {
+        const document = shownDocument?.id === documentId
+          ? shownDocument
+          : (await axios.get(`${API_BASE}/documents/${documentId}`)).data;
+        if (request !== routeRequest.current) return;
+        if (inBrowser && document.issueId) {
+          await openIssue(document.issueId, documentId);
+          setSelectedDocument(null);
+        } else {
+          // Pages outside any issue show up in the search tab
+          setSelectedDocument(document);
+          setView(inBrowser ? 'search' : route.view || 'search');
+        }
+        focus();
+      } catch (error) {
+        console.error('Error fetching document:', error);
+      }
+    })();
+  }, [route, user, openIssue]);
+
+  // Bring a focused article's text into view as well, e.g. when a link opens
+  // a page at one of its articles
+  useEffect(() => {
+    if (!regionFocus) return;
+    const element = window.document.getElementById(`article-${regionFocus.documentId}-${regionFocus.article}`);
+    if (element) element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [regionFocus]);
+
+  // Switch tabs, leaving any open page or issue
+  const showView = (nextView) => navigate('/', { state: { view: nextView } });
+
+  // Where "close" on a page returns to: the results it was opened from
+  const showList = () => {
+    if (view === 'search' && submittedQuery) navigate(searchPath(submittedQuery, searchFilters));
+    else showView(view);
   };
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // The search a page opened from the results belongs to
+  const searchContext = () => (view === 'search' ? { query: submittedQuery, filters: searchFilters } : null);
+
+  // Flips in the issue viewer get an address (and a history entry) of their own
+  const handlePageChange = useCallback((documentId, articleIndex) => {
+    navigate(documentPath(documentId, articleIndex), { state: { view: 'browse' } });
+  }, [navigate]);
+
+  // `duplicates` says what to do with pages already in the archive: the
+  // server rejects them by default, 'skip' leaves them out, 'warn' uploads anyway
+  const submitUpload = async (duplicates = null) => {
+    if (uploadFiles.length === 0) return;
     setUploading(true);
+    setUploadDuplicates(null);
     const formData = new FormData();
-    formData.append('newspaper', file);
+    uploadFiles.forEach(file => formData.append('newspaper', file));
+    if (newspaperName.trim()) formData.append('newspaperName', newspaperName.trim());
+    if (editionDate) formData.append('editionDate', editionDate);
+    appendPreprocessOptions(formData, preprocess);
+    if (duplicates) formData.append('duplicates', duplicates);
 
     try {
       const response = await axios.post(`${API_BASE}/upload`, formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
       if (response.data.success) {
-        setSelectedDocument(response.data.document);
-        setView('browse');
-        await fetchDocuments();
+        setActiveUpload({ issueId: response.data.issue.id, jobs: response.data.jobs, finished: [] });
+        setUploadFiles([]);
+        uploadFormRef.current?.reset();
+        if (response.data.duplicates || response.data.nearDuplicates) {
+          setUploadDuplicates({
+            duplicates: response.data.duplicates || [],
+            near: response.data.nearDuplicates || [],
+            rejected: false
+          });
+        }
       }
     } catch (error) {
-      alert('Error uploading file');
+      if (error.response?.status === 409) {
+        setUploadDuplicates({ duplicates: error.response.data.duplicates || [], near: [], rejected: true });
+      } else {
+        alert('Error uploading file');
+      }
     } finally {
       setUploading(false);
     }
   };
 
-  const handleSearch = async () => {
+  const handleFileUpload = (event) => {
+    event.preventDefault();
+    submitUpload();
+  };
+
+  // Called by JobProgress as each page finishes; once every page of the
+  // upload is done the issue opens in the page-flipper
+  const handleJobFinished = useCallback((job) => {
+    setActiveUpload(current => {
+      if (!current || current.finished.includes(job.id)) return current;
+      return { ...current, finished: [...current.finished, job.id] };
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!activeUpload || activeUpload.finished.length < activeUpload.jobs.length) return;
+    const { issueId } = activeUpload;
+    setActiveUpload(null);
+    openIssue(issueId);
+  }, [activeUpload, openIssue]);
+
+  // Show a corrected page wherever it is open
+  const handleDocumentChanged = (document) => {
+    if (selectedIssue) openIssue(selectedIssue.id, document.id);
+    if (selectedDocument?.id === document.id) setSelectedDocument(document);
+  };
+
+  const handleSearch = () => {
     if (!searchQuery.trim()) return;
+    navigate(searchPath(searchQuery.trim(), searchFilters));
+  };
+
+  // Filter changes refine the search in place rather than adding history
+  const handleFiltersChange = (filters) => {
+    navigate(searchPath(submittedQuery, filters), { replace: true });
+  };
+
+  // Open any page by id: in its issue when it has one
+  const openDocument = (documentId) => navigate(documentPath(documentId));
+
+  // Open the page a search result came from, focused on the matching article
+  const openSearchResult = (result) => {
+    navigate(documentPath(result.documentId, result.articleIndex, searchContext()), { state: { view } });
+  };
+
+  // Open a related article: in its issue while browsing issues, otherwise
+  // in place of the current page
+  const openArticle = (article) => {
+    if (view === 'browse' && article.issueId) {
+      navigate(documentPath(article.documentId, article.articleIndex), { state: { view: 'browse' } });
+    } else {
+      openSearchResult(article);
+    }
+  };
+
+  // Look up a name picked on an article in the entity browser
+  const showEntity = (entity) => {
+    setEntityFocus({ name: entity.name, type: entity.type });
+    showView('entities');
+  };
+
+  // Pages processed before entity extraction have articles without `entities`
+  const extractEntities = async (document) => {
+    setExtractingEntities(true);
     try {
-      const response = await axios.get(`${API_BASE}/search?q=${encodeURIComponent(searchQuery)}`);
-      setSearchResults(response.data);
-      setView('search');
-      setSelectedDocument(null);
+      const response = await axios.post(`${API_BASE}/documents/${document.id}/entities`);
+      handleDocumentChanged(response.data.document);
     } catch (error) {
-      alert('Error searching');
+      alert(error.response?.data?.error || 'নাম খোঁজা যায়নি');
+    } finally {
+      setExtractingEntities(false);
     }
   };
 
-  // Side-by-side display for selected document
-  function renderDocumentDetails(document) {
+  // Side-by-side display for selected document. Inside an issue, `links`
+  // holds the continuation links touching this page.
+  function renderDocumentDetails(document, { onClose, links = [], pageNumberOf, onFollowLink } = {}) {
     if (!document) return null;
 
-    // Only highlight if searchQuery is set and from search view
-    const highlight = view === 'search' && searchQuery?.trim();
+    // Only highlight if searchQuery is set and from search view; the
+    // phrase quotes and prefix stars of the query are not part of the text
+    const highlightQuery = searchQuery.replace(/["*]/g, '').trim();
+    const highlight = view === 'search' && highlightQuery;
+
+    const isActive = (i) => activeArticle?.documentId === document.id && activeArticle.article === i;
+    const showsRelated = (i) => relatedArticle?.documentId === document.id && relatedArticle.article === i;
+
+    // Clicking a region on the image scrolls the text column to its article
+    const selectRegion = (i) => {
+      setActiveArticle({ documentId: document.id, article: i });
+      const element = window.document.getElementById(`article-${document.id}-${i}`);
+      if (element) element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    };
+
+    // Clicking an article pans and zooms the image to its region
+    const focusArticle = (i) => {
+      setActiveArticle({ documentId: document.id, article: i });
+      setRegionFocus({ documentId: document.id, article: i, at: Date.now() });
+      navigate(documentPath(document.id, i, searchContext()), { state: { view }, replace: true });
+    };
+
+    const editing = editingDocumentId === document.id;
+    const showHistory = historyDocumentId === document.id;
+    const showVersions = versionsDocumentId === document.id;
+    const showClips = clipsDocumentId === document.id;
+    const drawnClip = clipRegion?.documentId === document.id ? clipRegion.region : null;
+    const missingEntities = (document.extractedData.articles || []).some(article => !Array.isArray(article.entities));
 
     return (
       <div className="details-container">
         <div className="image-column">
-          <TransformWrapper initialScale={1} maxScale={3}>
-            <TransformComponent>
-              <img
-                src={`http://localhost:5000${document.imagePath}`}
-                alt=""
-                className="newspaper-image"
-              />
-            </TransformComponent>
-          </TransformWrapper>
+          <PageImage
+            imageBase={SERVER_BASE}
+            document={document}
+            activeArticle={activeArticle?.documentId === document.id ? activeArticle.article : null}
+            focus={regionFocus?.documentId === document.id ? regionFocus : null}
+            onSelectArticle={selectRegion}
+            onHoverArticle={(i) => setActiveArticle(i === null ? null : { documentId: document.id, article: i })}
+            clipping={showClips}
+            clipRegion={drawnClip}
+            onClip={region => setClipRegion({ documentId: document.id, region })}
+          />
         </div>
         <div className="data-column">
-          <h4>🗓️ তারিখঃ {document.extractedData.date}</h4>
+          <DateEditor
+            key={document.id}
+            apiBase={API_BASE}
+            document={document}
+            canEdit={canEdit}
+            onSaved={handleDocumentChanged}
+          />
+          <ExportButtons apiBase={API_BASE} documentId={document.id} />
+          <div className="editing-toolbar">
+            {canEdit && (
+              <button className={editing ? 'active' : ''} onClick={() => setEditingDocumentId(editing ? null : document.id)}>
+                ✏️ সম্পাদনা
+              </button>
+            )}
+            <button className={showHistory ? 'active' : ''} onClick={() => setHistoryDocumentId(showHistory ? null : document.id)}>
+              🕘 ইতিহাস
+            </button>
+            <button className={showVersions ? 'active' : ''} onClick={() => setVersionsDocumentId(showVersions ? null : document.id)}>
+              🗂️ সংস্করণ
+            </button>
+            <button
+              className={showClips ? 'active' : ''}
+              onClick={() => {
+                setClipsDocumentId(showClips ? null : document.id);
+                setClipRegion(null);
+              }}
+            >
+              ✂️ ক্লিপ
+            </button>
+            {canEdit && missingEntities && (
+              <button onClick={() => extractEntities(document)} disabled={extractingEntities}>
+                {extractingEntities ? 'নাম খোঁজা হচ্ছে...' : '🏷️ ব্যক্তি ও স্থানের নাম খুঁজুন'}
+              </button>
+            )}
+          </div>
+          {!editing && (
+            <div className="text-mode-toggle">
+              {TEXT_MODES.map(({ mode, label }) => (
+                <button key={mode} className={textMode === mode ? 'active' : ''} onClick={() => setTextMode(mode)}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {(document.extractedData.warnings || document.summaryData?.warnings) && (
+            <div
+              className="extraction-warning"
+              title={[...(document.extractedData.warnings || []), ...(document.summaryData?.warnings || [])].join('\n')}
+            >
+              ⚠️ এই পাতার কিছু অংশ স্বয়ংক্রিয়ভাবে সাজানো বা সারাংশ করা যায়নি; মূল লেখা রেখে দেওয়া হয়েছে।
+            </div>
+          )}
+          <DuplicateNotice
+            apiBase={API_BASE}
+            document={document}
+            canEdit={canEdit}
+            onChanged={handleDocumentChanged}
+            onOpen={openDocument}
+          />
+          {showHistory && (
+            <RevisionHistory apiBase={API_BASE} document={document} canEdit={canEdit} onChanged={handleDocumentChanged} />
+          )}
+          {showVersions && (
+            <ExtractionVersions apiBase={API_BASE} document={document} canEdit={canEdit} onChanged={handleDocumentChanged} />
+          )}
+          {showClips && (
+            <ClipPanel
+              apiBase={API_BASE}
+              imageBase={SERVER_BASE}
+              document={document}
+              region={drawnClip}
+              user={user}
+              canEdit={canEdit}
+              onDone={() => setClipRegion(null)}
+            />
+          )}
           <div>
             <strong>📰 শিরোনাম সমূহ:</strong>
-            <ul>
-              {document.extractedData.headlines &&
-                document.extractedData.headlines.map((headline, i) => (
-                  <li key={i}>
-                    {highlight ? highlightText(headline, searchQuery) : headline}
-                  </li>
-                ))}
-            </ul>
+            {editing ? (
+              <HeadlinesEditor
+                key={JSON.stringify(document.extractedData.headlines)}
+                apiBase={API_BASE}
+                documentId={document.id}
+                headlines={document.extractedData.headlines}
+                onChanged={handleDocumentChanged}
+              />
+            ) : (
+              <ul>
+                {document.extractedData.headlines &&
+                  document.extractedData.headlines.map((headline, i) => (
+                    <li key={i}>
+                      {highlight ? highlightText(headline, highlightQuery) : headline}
+                    </li>
+                  ))}
+              </ul>
+            )}
           </div>
-          <div>
-            <strong>📑 প্রবন্ধসমূহ:</strong>
-            {(document.extractedData.articles || []).map((art, i) => (
-              <div className="article-box" key={i}>
-                <div className="headline">
-                  {highlight ? highlightText(art.headline, searchQuery) : art.headline}
-                </div>
-                <div className="category">বিভাগ: <span>{art.category}</span></div>
-                {art.summary && (
-                  <div className="summary">সারাংশ: <span>{art.summary}</span></div>
-                )}
-                <div className="content">
-                  {highlight ? highlightText(art.content, searchQuery) : art.content}
+          {textMode !== 'original' && !editing ? (
+            <AlternateText
+              apiBase={API_BASE}
+              document={document}
+              mode={textMode}
+              canTranslate={canEdit}
+              isActive={isActive}
+              onFocusArticle={focusArticle}
+            />
+          ) : (
+            <div>
+              <strong>📑 প্রবন্ধসমূহ:</strong>
+              {(document.extractedData.articles || []).map((art, i) => (
+                <div
+                  className={`article-box${isActive(i) ? ' active' : ''}`}
+                  key={i}
+                  id={`article-${document.id}-${i}`}
+                >
+                  {links
+                    .filter(link => link.toDocumentId === document.id && link.toArticle === i)
+                    .map(link => (
+                      <button key={link.id} className="continuation-link" onClick={() => onFollowLink(link.fromDocumentId, link.fromArticle)}>
+                        ← {pageNumberOf(link.fromDocumentId)} পাতার পর
+                      </button>
+                    ))}
+                  {editing ? (
+                    <ArticleEditor
+                      key={`${i}:${art.headline}:${art.category}:${art.content}`}
+                      apiBase={API_BASE}
+                      documentId={document.id}
+                      index={i}
+                      article={art}
+                      articleCount={document.extractedData.articles.length}
+                      sections={sections}
+                      onChanged={handleDocumentChanged}
+                    />
+                  ) : (
+                    <>
+                      <div className="headline" onClick={() => focusArticle(i)} title="ছবিতে দেখুন">
+                        {highlight ? highlightText(art.headline, highlightQuery) : art.headline}
+                      </div>
+                      <div className="category">বিভাগ: <span>{art.category}</span></div>
+                      {art.entities?.length > 0 && (
+                        <div className="article-entities">
+                          {art.entities.map(entity => (
+                            <button
+                              key={`${entity.type}:${entity.name}`}
+                              className={`entity-chip ${entity.type}`}
+                              onClick={() => showEntity(entity)}
+                              title="এই নাম আর কোন খবরে আছে দেখুন"
+                            >
+                              {entity.name}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {art.summary && (
+                        <div className="summary">সারাংশ: <span>{art.summary}</span></div>
+                      )}
+                      <div className="content">
+                        {highlight ? highlightText(art.content, highlightQuery) : art.content}
+                      </div>
+                      <button
+                        className={`related-toggle${showsRelated(i) ? ' active' : ''}`}
+                        onClick={() => setRelatedArticle(showsRelated(i) ? null : { documentId: document.id, article: i })}
+                      >
+                        🔗 এই খবরের আরও
+                      </button>
+                      {showsRelated(i) && (
+                        <RelatedArticles apiBase={API_BASE} documentId={document.id} articleIndex={i} onOpen={openArticle} />
+                      )}
+                    </>
+                  )}
+                  {links
+                    .filter(link => link.fromDocumentId === document.id && link.fromArticle === i)
+                    .map(link => (
+                      <button key={link.id} className="continuation-link" onClick={() => onFollowLink(link.toDocumentId, link.toArticle)}>
+                        বাকি অংশ {pageNumberOf(link.toDocumentId)} পাতায় →
+                      </button>
+                    ))}
                 </div>
-              </div>
-            ))}
-          </div>
-          <button onClick={() => setSelectedDocument(null)} style={{marginTop:'2em'}}>বন্ধ করুন</button>
+              ))}
+            </div>
+          )}
+          <button onClick={onClose || showList} style={{marginTop:'2em'}}>বন্ধ করুন</button>
         </div>
       </div>
     );
   }
 
+  if (user === undefined) return <div className="App" />;
+
+  if (user === null) {
+    return (
+      <div className="App">
+        <header className="abp-header">
+          <h1>আনন্দবাজার পত্রিকা</h1>
+        </header>
+        <main className="abp-main">
+          <LoginForm onLogin={login} />
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="abp-header">
         <h1>আনন্দবাজার পত্রিকা</h1>
+        <AccountPanel apiBase={API_BASE} user={user} onLogout={logout} />
         <div className="abp-tabs">
-          <button className={view === 'upload' ? 'active' : ''} onClick={() => {setView('upload'); setSelectedDocument(null);}}>আপলোড</button>
-          <button className={view === 'browse' ? 'active' : ''} onClick={() => {setView('browse'); setSelectedDocument(null);}}>দেখুন</button>
-          <button className={view === 'search' ? 'active' : ''} onClick={() => setView('search')}>অনুসন্ধান</button>
+          {canEdit && (
+            <button className={view === 'upload' ? 'active' : ''} onClick={() => showView('upload')}>আপলোড</button>
+          )}
+          <button className={view === 'browse' ? 'active' : ''} onClick={() => showView('browse')}>দেখুন</button>
+          <button className={view === 'calendar' ? 'active' : ''} onClick={() => showView('calendar')}>ক্যালেন্ডার</button>
+          <button
+            className={view === 'search' ? 'active' : ''}
+            onClick={() => (submittedQuery ? navigate(searchPath(submittedQuery, searchFilters)) : showView('search'))}
+          >
+            অনুসন্ধান
+          </button>
+          <button className={view === 'sections' ? 'active' : ''} onClick={() => showView('sections')}>বিভাগ</button>
+          <button className={view === 'entities' ? 'active' : ''} onClick={() => showView('entities')}>ব্যক্তি ও স্থান</button>
+          <button className={view === 'clips' ? 'active' : ''} onClick={() => showView('clips')}>ক্লিপ</button>
+          {canEdit && (
+            <button className={view === 'review' ? 'active' : ''} onClick={() => showView('review')}>পর্যালোচনা</button>
+          )}
         </div>
         {view === 'search' && (
           <div className="abp-searchbar">
@@ -173,61 +621,164 @@ function App() {
       </header>
 
       <main className="abp-main">
-        {view === 'upload' && (
+        {view === 'upload' && canEdit && (
           <div className="abp-upload">
-            <input
-              type="file"
-              accept="image/*"
-              onChange={handleFileUpload}
-              disabled={uploading}
-            />
-            {uploading && <div style={{color: 'red', marginTop: '1em'}}>প্রসেসিং হচ্ছে...</div>}
-            <p style={{marginTop: 20}}>একটি সংবাদপত্রের ছবি আপলোড করুন।</p>
+            <form onSubmit={handleFileUpload} ref={uploadFormRef}>
+              <div className="upload-fields">
+                <input
+                  type="text"
+                  placeholder="সংবাদপত্রের নাম"
+                  value={newspaperName}
+                  onChange={e => setNewspaperName(e.target.value)}
+                />
+                <input
+                  type="date"
+                  value={editionDate}
+                  onChange={e => setEditionDate(e.target.value)}
+                />
+              </div>
+              <input
+                type="file"
+                accept="image/*,application/pdf,.tif,.tiff"
+                multiple
+                onChange={e => setUploadFiles(Array.from(e.target.files))}
+                disabled={uploading}
+              />
+              <PreprocessOptions
+                apiBase={API_BASE}
+                file={uploadFiles[0]}
+                value={preprocess}
+                onChange={setPreprocess}
+              />
+              <button type="submit" disabled={uploading || uploadFiles.length === 0}>আপলোড</button>
+            </form>
+            {uploading && <div style={{color: 'red', marginTop: '1em'}}>আপলোড হচ্ছে...</div>}
+            {uploadDuplicates && (
+              <div className="duplicate-notice">
+                {uploadDuplicates.duplicates.length > 0 && (
+                  <>
+                    <strong>
+                      {uploadDuplicates.rejected
+                        ? '⚠️ এই পাতাগুলো আগেই আপলোড করা হয়েছে, তাই আপলোড থামানো হয়েছে:'
+                        : '⚠️ এই পাতাগুলো আগেই আপলোড করা হয়েছিল:'}
+                    </strong>
+                    <ul>
+                      {uploadDuplicates.duplicates.map((duplicate, i) => (
+                        <li key={i}>
+                          {duplicate.originalName}
+                          {duplicate.sourcePage && ` (পৃষ্ঠা ${duplicate.sourcePage})`}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                {uploadDuplicates.rejected && (
+                  <div>
+                    <button onClick={() => submitUpload('skip')} disabled={uploading}>বাকি পাতাগুলো আপলোড করুন</button>
+                    <button onClick={() => submitUpload('warn')} disabled={uploading}>তবুও সব আপলোড করুন</button>
+                  </div>
+                )}
+                {uploadDuplicates.near.length > 0 && (
+                  <div>
+                    {uploadDuplicates.near.map(page => `পাতা ${page.pageNumber}`).join(', ')} দেখতে আর্কাইভের অন্য পাতার মতো;
+                    প্রক্রিয়া শেষে পাতার বিবরণে লিঙ্ক করার সুযোগ পাবেন।
+                  </div>
+                )}
+              </div>
+            )}
+            {activeUpload && activeUpload.jobs.map(job => (
+              <div key={job.jobId}>
+                <div className="job-progress-page">
+                  পাতা {job.pageNumber}: {job.originalName}
+                  {job.sourcePage && ` (পৃষ্ঠা ${job.sourcePage})`}
+                </div>
+                <JobProgress
+                  apiBase={API_BASE}
+                  jobId={job.jobId}
+                  onComplete={handleJobFinished}
+                  onFailed={handleJobFinished}
+                />
+              </div>
+            ))}
+            <p style={{marginTop: 20}}>একটি সংখ্যার সব পাতার ছবি, PDF বা TIFF ক্রমানুসারে আপলোড করুন।</p>
           </div>
         )}
 
-        {view === 'browse' && !selectedDocument && (
-          <div>
-            <h3>ডকুমেন্টস ({documents.length})</h3>
-            <ul>
-              {documents.map(doc => (
-                <li key={doc.id}>
-                  <button onClick={() => setSelectedDocument(doc)} style={{marginRight: 10}}>{doc.originalName}</button>
-                  <span>({doc.extractedData.date})</span>
-                </li>
-              ))}
-            </ul>
+        {view === 'calendar' && (
+          <CalendarView
+            apiBase={API_BASE}
+            onOpen={issue => navigate(documentPath(issue.firstDocumentId), { state: { view: 'browse' } })}
+          />
+        )}
+
+        {/* Lists stay mounted while a page is open so filters and scroll survive */}
+        {view === 'browse' && (
+          <div hidden={Boolean(selectedIssue)}>
+            <DocumentBrowser
+              apiBase={API_BASE}
+              imageBase={SERVER_BASE}
+              onOpen={item => navigate(documentPath(item.id), { state: { view: 'browse' } })}
+            />
           </div>
         )}
 
-        {/* Side-by-side */}
-        {view === 'browse' && selectedDocument && renderDocumentDetails(selectedDocument)}
+        {/* Page-flipper over the pages of the selected issue */}
+        {view === 'browse' && selectedIssue && (
+          <IssueViewer
+            issue={selectedIssue}
+            initialDocumentId={initialDocumentId}
+            renderPage={renderDocumentDetails}
+            onClose={() => showView('browse')}
+            onPageChange={handlePageChange}
+          />
+        )}
 
-        {view === 'search' && !selectedDocument && (
-          <div>
+        {view === 'search' && (
+          <div hidden={Boolean(selectedDocument)}>
             <h3>অনুসন্ধান ফলাফল:</h3>
-            {searchResults.length === 0
-              ? <p>কিছুই পাওয়া যায়নি।</p>
-              : (
-                <ul>
-                  {searchResults.map(doc => (
-                    <li key={doc.id}>
-                      <button
-                        style={{marginRight:'1em'}}
-                        onClick={()=>setSelectedDocument(doc)}
-                      >
-                        {doc.originalName}
-                      </button>
-                      <span>{doc.extractedData.date}</span>
-                    </li>
-                  ))}
-                </ul>
-              )
-            }
+            <SearchResults
+              apiBase={API_BASE}
+              query={submittedQuery}
+              filters={searchFilters}
+              onFiltersChange={handleFiltersChange}
+              onOpen={openSearchResult}
+            />
           </div>
         )}
 
         {view === 'search' && selectedDocument && renderDocumentDetails(selectedDocument)}
+
+        {view === 'sections' && (
+          <div hidden={Boolean(selectedDocument)}>
+            <SectionBrowser apiBase={API_BASE} canReview={hasRole(user, 'admin')} onOpen={openSearchResult} />
+          </div>
+        )}
+
+        {view === 'sections' && selectedDocument && renderDocumentDetails(selectedDocument)}
+
+        {view === 'entities' && (
+          <div hidden={Boolean(selectedDocument)}>
+            <EntityBrowser apiBase={API_BASE} focus={entityFocus} onOpen={openSearchResult} />
+          </div>
+        )}
+
+        {view === 'entities' && selectedDocument && renderDocumentDetails(selectedDocument)}
+
+        {view === 'review' && canEdit && <ReviewQueue apiBase={API_BASE} onOpen={openDocument} />}
+
+        {view === 'clips' && (
+          <div hidden={Boolean(selectedDocument)}>
+            <ClipBrowser
+              apiBase={API_BASE}
+              imageBase={SERVER_BASE}
+              user={user}
+              canEdit={canEdit}
+              onOpen={clip => openSearchResult({ documentId: clip.documentId, articleIndex: clip.article })}
+            />
+          </div>
+        )}
+
+        {view === 'clips' && selectedDocument && renderDocumentDetails(selectedDocument)}
       </main>
     </div>
   );
@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const ROLE_LABELS = { viewer: 'পাঠক', editor: 'সম্পাদক', admin: 'প্রশাসক' };
+
+// The signed-in user with sign-out, and their API tokens for scripts. A new
+// token is shown once, right after it is created.
+function AccountPanel({ apiBase, user, onLogout }) {
+  const [open, setOpen] = useState(false);
+  const [tokens, setTokens] = useState([]);
+  const [name, setName] = useState('');
+  const [created, setCreated] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    axios.get(`${apiBase}/auth/tokens`)
+      .then(response => setTokens(response.data.tokens))
+      .catch(error => console.error('Error fetching API tokens:', error));
+  }, [apiBase, open]);
+
+  const createToken = async (event) => {
+    event.preventDefault();
+    try {
+      const response = await axios.post(`${apiBase}/auth/tokens`, { name: name.trim() });
+      setCreated(response.data.token);
+      setTokens(current => [response.data.details, ...current]);
+      setName('');
+    } catch (error) {
+      alert(error.response?.data?.error || 'টোকেন তৈরি করা যায়নি');
+    }
+  };
+
+  const revokeToken = async (token) => {
+    if (!window.confirm(`"${token.name}" টোকেনটি বাতিল করবেন?`)) return;
+    try {
+      await axios.delete(`${apiBase}/auth/tokens/${token.id}`);
+      setTokens(current => current.filter(other => other.id !== token.id));
+    } catch (error) {
+      alert(error.response?.data?.error || 'টোকেন বাতিল করা যায়নি');
+    }
+  };
+
+  return (
+    <div className="account-panel">
+      <button className="account-name" onClick={() => setOpen(!open)}>
+        👤 {user.displayName || user.username} ({ROLE_LABELS[user.role] || user.role})
+      </button>
+      <button onClick={onLogout}>প্রস্থান</button>
+      {open && (
+        <div className="account-tokens">
+          <strong>API টোকেন</strong>
+          {created && (
+            <div className="token-created">
+              নতুন টোকেনটি এখনই কপি করুন, এটি আর দেখানো হবে না:
+              <code>{created}</code>
+            </div>
+          )}
+          <ul>
+            {tokens.map(token => (
+              <li key={token.id}>
+                {token.name}
+                <span className="token-used">
+                  {token.lastUsedAt ? `শেষ ব্যবহার ${new Date(token.lastUsedAt).toLocaleString('bn-IN')}` : 'এখনও ব্যবহৃত হয়নি'}
+                </span>
+                <button onClick={() => revokeToken(token)}>বাতিল</button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={createToken}>
+            <input value={name} onChange={e => setName(e.target.value)} placeholder="টোকেনের নাম" />
+            <button type="submit" disabled={!name.trim()}>নতুন টোকেন</button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccountPanel;
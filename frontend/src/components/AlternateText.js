@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+export const TEXT_MODES = [
+  { mode: 'original', label: 'মূল লেখা' },
+  { mode: 'translation', label: 'English' },
+  { mode: 'transliteration', label: 'Romanized' }
+];
+
+const SCHEMES = [
+  { scheme: 'iso', label: 'ISO 15919' },
+  { scheme: 'simple', label: 'সহজ' }
+];
+
+// A page's articles and summary in English or in Latin letters. English
+// translations are made on request (by editors, since they call the paid
+// model), an article at a time, and cached by the server; transliteration is
+// computed by the server on every load.
+function AlternateText({ apiBase, document, mode, canTranslate, isActive, onFocusArticle }) {
+  const [scheme, setScheme] = useState('iso');
+  const [data, setData] = useState(null);
+  const [translating, setTranslating] = useState({}); // article index or 'summary' -> true
+
+  const base = `${apiBase}/documents/${document.id}`;
+  const articles = document.extractedData.articles || [];
+
+  // Reload whenever the page itself changes, since corrections make
+  // translations stale
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    const url = mode === 'translation' ? `${base}/translations` : `${base}/transliteration?scheme=${scheme}`;
+    axios.get(url)
+      .then(response => !cancelled && setData(response.data))
+      .catch(error => console.error('Error fetching translated text:', error));
+    return () => { cancelled = true; };
+  }, [base, mode, scheme, document]);
+
+  // `target` is an article index or 'summary'
+  const translate = async (target) => {
+    setTranslating(current => ({ ...current, [target]: true }));
+    try {
+      const url = target === 'summary' ? `${base}/summary/translate` : `${base}/articles/${target}/translate`;
+      const { translation } = (await axios.post(url)).data;
+      setData(current => (target === 'summary'
+        ? { ...current, summary: translation }
+        : { ...current, articles: current.articles.map((article, i) => (i === target ? translation : article)) }));
+    } catch (error) {
+      alert(error.response?.data?.error || 'অনুবাদ করা যায়নি');
+    } finally {
+      setTranslating(current => {
+        const next = { ...current };
+        delete next[target];
+        return next;
+      });
+    }
+  };
+
+  if (!data) return <div className="alternate-text">লোড হচ্ছে...</div>;
+
+  const untranslated = mode === 'translation' && canTranslate
+    ? articles.map((article, i) => i).filter(i => !data.articles[i])
+    : [];
+  const translateAll = async () => {
+    for (const i of untranslated) await translate(i);
+  };
+
+  const translateButton = (target) => (canTranslate ? (
+    <button onClick={() => translate(target)} disabled={translating[target]}>
+      {translating[target] ? 'অনুবাদ হচ্ছে...' : 'অনুবাদ করুন'}
+    </button>
+  ) : (
+    <div className="translation-missing">অনুবাদ এখনও করা হয়নি</div>
+  ));
+
+  const lang = mode === 'translation' ? 'en' : 'bn-Latn';
+
+  return (
+    <div className="alternate-text" lang={lang}>
+      <div className="alternate-text-controls">
+        {mode === 'transliteration' && (
+          <select value={scheme} onChange={e => setScheme(e.target.value)}>
+            {SCHEMES.map(option => <option key={option.scheme} value={option.scheme}>{option.label}</option>)}
+          </select>
+        )}
+        {untranslated.length > 0 && (
+          <button onClick={translateAll} disabled={Object.keys(translating).length > 0}>
+            সব অনুবাদ করুন ({untranslated.length})
+          </button>
+        )}
+      </div>
+      {document.summaryData?.overallSummary && (
+        <div className="summary">
+          <strong>Summary:</strong>{' '}
+          {data.summary?.overallSummary || (mode === 'translation' && translateButton('summary'))}
+        </div>
+      )}
+      <strong>📑 Articles:</strong>
+      {articles.map((article, i) => {
+        const text = data.articles[i];
+        return (
+          <div
+            className={`article-box${isActive(i) ? ' active' : ''}`}
+            key={i}
+            id={`article-${document.id}-${i}`}
+          >
+            <div className="headline" onClick={() => onFocusArticle(i)} title="ছবিতে দেখুন">
+              {text?.headline || article.headline}
+            </div>
+            {text ? (
+              <>
+                {text.summary && <div className="summary">Summary: <span>{text.summary}</span></div>}
+                <div className="content">{text.content}</div>
+              </>
+            ) : (
+              translateButton(i)
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AlternateText;
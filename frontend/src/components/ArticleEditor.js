@@ -0,0 +1,87 @@
+import React, { useRef, useState } from 'react';
+import axios from 'axios';
+
+// Inline editor for one article: headline, category and body, plus splitting
+// at the cursor, merging with the next article and moving up or down. The
+// category input suggests the labels of `sections`.
+function ArticleEditor({ apiBase, documentId, index, article, articleCount, sections = [], onChanged }) {
+  const [headline, setHeadline] = useState(article.headline || '');
+  const [category, setCategory] = useState(article.category || '');
+  const [content, setContent] = useState(article.content || '');
+  const [busy, setBusy] = useState(false);
+  const contentRef = useRef(null);
+
+  const base = `${apiBase}/documents/${documentId}`;
+  const dirty = headline !== (article.headline || '') ||
+    category !== (article.category || '') ||
+    content !== (article.content || '');
+
+  const send = async (request) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      onChanged(response.data.document);
+    } catch (error) {
+      alert(error.response?.data?.error || 'পরিবর্তন সংরক্ষণ করা যায়নি');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => send(() => axios.patch(`${base}/articles/${index}`, { headline, category, content }));
+
+  const split = () => {
+    const at = contentRef.current?.selectionStart;
+    if (!at || at >= content.length) {
+      alert('যেখানে ভাগ করতে চান, লেখার সেখানে কার্সর রাখুন');
+      return;
+    }
+    const newHeadline = window.prompt('দ্বিতীয় অংশের শিরোনাম', '');
+    if (newHeadline === null) return;
+    send(() => axios.post(`${base}/articles/${index}/split`, { at, headline: newHeadline }));
+  };
+
+  const mergeWithNext = () =>
+    send(() => axios.post(`${base}/articles/merge`, { articles: [index, index + 1] }));
+
+  const move = (offset) => {
+    const order = Array.from({ length: articleCount }, (_, i) => i);
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    send(() => axios.patch(`${base}/articles/order`, { order }));
+  };
+
+  return (
+    <div className="article-editor" lang="bn">
+      <input
+        className="article-editor-headline"
+        value={headline}
+        onChange={e => setHeadline(e.target.value)}
+        placeholder="শিরোনাম"
+      />
+      <input
+        value={category}
+        onChange={e => setCategory(e.target.value)}
+        placeholder="বিভাগ"
+        list={`sections-${documentId}-${index}`}
+      />
+      <datalist id={`sections-${documentId}-${index}`}>
+        {sections.map(section => <option key={section.id} value={section.bn}>{section.en}</option>)}
+      </datalist>
+      <textarea
+        ref={contentRef}
+        value={content}
+        onChange={e => setContent(e.target.value)}
+        rows={Math.min(20, Math.max(4, Math.ceil(content.length / 60)))}
+      />
+      <div className="article-editor-actions">
+        <button onClick={save} disabled={busy || !dirty}>সংরক্ষণ</button>
+        <button onClick={split} disabled={busy || dirty} title="কার্সরের জায়গায় খবরটি দুই ভাগ করুন">✂️ ভাগ</button>
+        <button onClick={mergeWithNext} disabled={busy || dirty || index === articleCount - 1}>⤵ পরেরটির সাথে যুক্ত</button>
+        <button onClick={() => move(-1)} disabled={busy || dirty || index === 0}>↑</button>
+        <button onClick={() => move(1)} disabled={busy || dirty || index === articleCount - 1}>↓</button>
+      </div>
+    </div>
+  );
+}
+
+export default ArticleEditor;
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const MONTHS = ['জানুয়ারি', 'ফেব্রুয়ারি', 'মার্চ', 'এপ্রিল', 'মে', 'জুন', 'জুলাই', 'আগস্ট', 'সেপ্টেম্বর', 'অক্টোবর', 'নভেম্বর', 'ডিসেম্বর'];
+const WEEKDAYS = ['র', 'সো', 'ম', 'বু', 'বৃ', 'শু', 'শ'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// One month as a grid of weeks; days with issues are highlighted
+function MonthGrid({ year, month, days, selectedDate, onSelect }) {
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const cells = [
+    ...Array(firstWeekday).fill(null),
+    ...Array.from({ length }, (_, i) => i + 1)
+  ];
+
+  return (
+    <div className="calendar-month">
+      <h4>{MONTHS[month]}</h4>
+      <div className="calendar-grid">
+        {WEEKDAYS.map(day => <span key={day} className="calendar-weekday">{day}</span>)}
+        {cells.map((day, i) => {
+          if (!day) return <span key={`blank-${i}`} />;
+          const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+          const issues = days.get(date);
+          return issues ? (
+            <button
+              key={date}
+              className={`calendar-day has-issues${selectedDate === date ? ' selected' : ''}`}
+              title={`${issues.length}টি সংখ্যা`}
+              onClick={() => onSelect(date)}
+            >
+              {day}
+            </button>
+          ) : (
+            <span key={date} className="calendar-day">{day}</span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Year calendar of the days that have digitized issues, with a year
+// timeline to jump between years
+function CalendarView({ apiBase, onOpen }) {
+  const [calendar, setCalendar] = useState(null);
+  const [year, setYear] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${apiBase}/calendar`, { params: { year } })
+      .then(response => setCalendar(response.data))
+      .catch(error => console.error('Error fetching calendar:', error));
+  }, [apiBase, year]);
+
+  if (!calendar) return <p>লোড হচ্ছে...</p>;
+
+  const days = new Map(calendar.days.map(day => [day.date, day.issues]));
+  const selectedIssues = selectedDate ? days.get(selectedDate) || [] : [];
+
+  return (
+    <div className="calendar-view">
+      <div className="calendar-timeline">
+        {calendar.years.map(({ year: y, issues }) => (
+          <button
+            key={y}
+            className={y === calendar.year ? 'active' : ''}
+            onClick={() => { setYear(y); setSelectedDate(null); }}
+          >
+            {y} <span className="facet-count">{issues}</span>
+          </button>
+        ))}
+      </div>
+      <h3>{calendar.year}</h3>
+      {calendar.days.length === 0 && <p>এই বছরের কোনো সংখ্যা নেই।</p>}
+      <div className="calendar-months">
+        {MONTHS.map((name, month) => (
+          <MonthGrid
+            key={name}
+            year={calendar.year}
+            month={month}
+            days={days}
+            selectedDate={selectedDate}
+            onSelect={setSelectedDate}
+          />
+        ))}
+      </div>
+      {selectedDate && (
+        <div className="calendar-issues">
+          <h4>{selectedDate}</h4>
+          <ul>
+            {selectedIssues.map(issue => (
+              <li key={`${issue.id}-${issue.firstDocumentId}`}>
+                <button onClick={() => onOpen(issue)}>{issue.newspaper}</button>
+                <span> ({issue.pages} পাতা)</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalendarView;
@@ -0,0 +1,81 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Categories the model gave articles that no section covers yet. Mapping
+// one to a section files its articles there, now and on later pages.
+function CategoryReview({ apiBase, onOpen, onMapped }) {
+  const [categories, setCategories] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [choices, setChoices] = useState({}); // category → section id
+  const [busy, setBusy] = useState(null);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await axios.get(`${apiBase}/admin/categories`);
+      setCategories(response.data.categories);
+      setSections(response.data.sections);
+    } catch (error) {
+      console.error('Error fetching unmapped categories:', error);
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const map = async (category) => {
+    setBusy(category);
+    try {
+      await axios.post(`${apiBase}/admin/categories`, { category, section: choices[category] });
+      await fetchCategories();
+      onMapped();
+    } catch (error) {
+      alert(error.response?.data?.error || 'বিভাগ যুক্ত করা যায়নি');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!categories) return null;
+
+  return (
+    <div className="category-review">
+      <h3>অমীমাংসিত বিভাগ ({categories.length})</h3>
+      {categories.length === 0 && <p>সব বিভাগই তালিকাভুক্ত।</p>}
+      <ul>
+        {categories.map(entry => (
+          <li key={entry.category}>
+            <div className="category-review-name">
+              <strong>{entry.category}</strong>
+              {entry.variants.length > 1 && <span> ({entry.variants.slice(1).join(', ')})</span>}
+              <span className="search-result-meta"> · {entry.articleCount}টি খবর, {entry.documentCount}টি পাতা</span>
+            </div>
+            <ul className="category-review-examples">
+              {entry.examples.map(example => (
+                <li key={`${example.documentId}-${example.articleIndex}`}>
+                  <button className="search-result-headline" onClick={() => onOpen(example)}>
+                    {example.headline || 'শিরোনামহীন'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <select
+              value={choices[entry.category] || ''}
+              onChange={e => setChoices({ ...choices, [entry.category]: e.target.value })}
+            >
+              <option value="">বিভাগ বেছে নিন</option>
+              {sections.map(section => (
+                <option key={section.id} value={section.id}>{section.bn} ({section.en})</option>
+              ))}
+            </select>
+            <button onClick={() => map(entry.category)} disabled={!choices[entry.category] || busy !== null}>
+              {busy === entry.category ? 'যুক্ত হচ্ছে...' : 'এই বিভাগে যুক্ত করুন'}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default CategoryReview;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import InfiniteScroll from './InfiniteScroll';
+import { ClipItem } from './ClipPanel';
+import usePagedResults from '../hooks/usePagedResults';
+
+// Every clip, newest first, narrowed to a tag or to the reader's own clips
+function ClipBrowser({ apiBase, imageBase, user, canEdit, onOpen }) {
+  const [tag, setTag] = useState('');
+  const [mine, setMine] = useState(false);
+  // Changed or deleted in this session, so the list need not be fetched again
+  const [changes, setChanges] = useState({});
+  const { items, total, facets, loading, hasMore, loadMore } = usePagedResults(
+    `${apiBase}/clips`,
+    { ...(tag && { tag }), ...(mine && { mine: '1' }) },
+    'clips'
+  );
+
+  const canChange = clip => canEdit || clip.createdBy === user.username;
+
+  return (
+    <div className="clip-browser">
+      <h3>ক্লিপ ({total})</h3>
+      <div className="clip-filters">
+        <label>
+          <input type="checkbox" checked={mine} onChange={e => setMine(e.target.checked)} />
+          শুধু আমার ক্লিপ
+        </label>
+        {tag && (
+          <button className="clip-tag active" onClick={() => setTag('')}>#{tag} ✕</button>
+        )}
+        {!tag && (facets?.tags || []).map(({ tag: name, count }) => (
+          <button key={name} className="clip-tag" onClick={() => setTag(name)}>#{name} ({count})</button>
+        ))}
+      </div>
+      <ul>
+        {items.filter(clip => changes[clip.id] !== null).map(clip => (
+          <ClipItem
+            key={clip.id}
+            apiBase={apiBase}
+            imageBase={imageBase}
+            clip={changes[clip.id] ? { ...clip, ...changes[clip.id] } : clip}
+            canChange={canChange}
+            onChanged={changed => setChanges(current => ({ ...current, [changed.id]: changed }))}
+            onDeleted={deleted => setChanges(current => ({ ...current, [deleted.id]: null }))}
+            onOpen={onOpen}
+            onTag={setTag}
+          />
+        ))}
+      </ul>
+      {!loading && items.length === 0 && <p>কোনো ক্লিপ নেই।</p>}
+      <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+    </div>
+  );
+}
+
+export default ClipBrowser;
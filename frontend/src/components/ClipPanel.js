@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Title, note and tags of a clip, for a new one or to change one
+function ClipForm({ initial = {}, saving, onSave, onCancel }) {
+  const [title, setTitle] = useState(initial.title || '');
+  const [note, setNote] = useState(initial.note || '');
+  const [tags, setTags] = useState((initial.tags || []).join(', '));
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (title.trim()) onSave({ title: title.trim(), note, tags });
+  };
+
+  return (
+    <form className="clip-form" onSubmit={submit}>
+      <input type="text" placeholder="শিরোনাম" value={title} onChange={e => setTitle(e.target.value)} required />
+      <textarea placeholder="টীকা" value={note} onChange={e => setNote(e.target.value)} rows={2} />
+      <input type="text" placeholder="ট্যাগ, কমা দিয়ে আলাদা করুন" value={tags} onChange={e => setTags(e.target.value)} />
+      <div>
+        <button type="submit" disabled={saving || !title.trim()}>{saving ? 'সংরক্ষণ হচ্ছে...' : 'সংরক্ষণ'}</button>
+        <button type="button" onClick={onCancel}>বাতিল</button>
+      </div>
+    </form>
+  );
+}
+
+// One clip: the cropped image, its title, tags and note, and its citation
+// card to download. Its maker and editors may change or delete it.
+export function ClipItem({ apiBase, imageBase, clip, canChange, onChanged, onDeleted, onOpen, onTag }) {
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const save = async (fields) => {
+    setSaving(true);
+    try {
+      const response = await axios.patch(`${apiBase}/clips/${clip.id}`, fields);
+      onChanged(response.data.clip);
+      setEditing(false);
+    } catch (error) {
+      alert(error.response?.data?.error || 'ক্লিপ বদলানো যায়নি');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`"${clip.title}" ক্লিপটি মুছে ফেলবেন?`)) return;
+    try {
+      await axios.delete(`${apiBase}/clips/${clip.id}`);
+      onDeleted(clip);
+    } catch (error) {
+      alert(error.response?.data?.error || 'ক্লিপ মোছা যায়নি');
+    }
+  };
+
+  return (
+    <li className="clip-item">
+      <img src={`${imageBase}${clip.imagePath}`} alt={clip.title} className="clip-thumbnail" />
+      <div className="clip-details">
+        {editing ? (
+          <ClipForm initial={clip} saving={saving} onSave={save} onCancel={() => setEditing(false)} />
+        ) : (
+          <>
+            {onOpen ? (
+              <button className="search-result-headline" onClick={() => onOpen(clip)}>{clip.title}</button>
+            ) : (
+              <strong>{clip.title}</strong>
+            )}
+            {clip.page && (
+              <div className="search-result-meta">
+                {clip.page.newspaper || clip.page.originalName}
+                {clip.page.pageNumber && <> · পাতা {clip.page.pageNumber}</>}
+                {clip.page.editionDate && <> · {clip.page.editionDate}</>}
+              </div>
+            )}
+            {clip.note && <p className="clip-note">{clip.note}</p>}
+            {clip.tags.length > 0 && (
+              <div className="clip-tags">
+                {clip.tags.map(tag => (
+                  <button key={tag} className="clip-tag" onClick={() => onTag && onTag(tag)} disabled={!onTag}>
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="search-result-meta">
+              {clip.createdBy} · {new Date(clip.createdAt).toLocaleDateString('bn-IN')}
+            </div>
+            <div className="clip-actions">
+              <a href={`${apiBase}/clips/${clip.id}/card?format=png`} download>⬇️ কার্ড (PNG)</a>
+              <a href={`${apiBase}/clips/${clip.id}/card?format=pdf`} download>⬇️ কার্ড (PDF)</a>
+              {canChange(clip) && (
+                <>
+                  <button onClick={() => setEditing(true)}>সম্পাদনা</button>
+                  <button onClick={remove}>মুছুন</button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </li>
+  );
+}
+
+// Clips of one page. `region` is the rectangle drawn on the page image,
+// saved here as a new clip with a title, note and tags; `onDone` clears it.
+function ClipPanel({ apiBase, imageBase, document, region, user, canEdit, onDone }) {
+  const [clips, setClips] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${apiBase}/documents/${document.id}/clips`)
+      .then(response => setClips(response.data.clips))
+      .catch(error => console.error('Error fetching clips:', error));
+  }, [apiBase, document.id]);
+
+  const create = async (fields) => {
+    setSaving(true);
+    try {
+      const response = await axios.post(`${apiBase}/documents/${document.id}/clips`, { ...fields, region });
+      setClips(current => [...current, response.data.clip]);
+      onDone();
+    } catch (error) {
+      alert(error.response?.data?.error || 'ক্লিপ সংরক্ষণ করা যায়নি');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canChange = clip => canEdit || clip.createdBy === user.username;
+
+  return (
+    <div className="clip-panel">
+      <h4>✂️ ক্লিপ</h4>
+      {region ? (
+        <ClipForm key={JSON.stringify(region)} saving={saving} onSave={create} onCancel={onDone} />
+      ) : (
+        <p className="clip-hint">ছবির উপর টেনে যে অংশটি উদ্ধৃত করতে চান সেটি বেছে নিন।</p>
+      )}
+      <ul>
+        {clips.map(clip => (
+          <ClipItem
+            key={clip.id}
+            apiBase={apiBase}
+            imageBase={imageBase}
+            clip={clip}
+            canChange={canChange}
+            onChanged={changed => setClips(current => current.map(other => (other.id === changed.id ? changed : other)))}
+            onDeleted={deleted => setClips(current => current.filter(other => other.id !== deleted.id))}
+          />
+        ))}
+      </ul>
+      {clips.length === 0 && <p>এই পাতার কোনো ক্লিপ নেই।</p>}
+    </div>
+  );
+}
+
+export default ClipPanel;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const SOURCE_LABELS = {
+  text: 'পাতা থেকে',
+  filename: 'ফাইলের নাম থেকে',
+  exif: 'ছবির EXIF থেকে',
+  manual: 'হাতে সংশোধিত',
+  unresolved: 'পাওয়া যায়নি'
+};
+
+// The printed date of a page, its parsed ISO date with where it came from
+// and how sure the parser is, and a form to correct it by hand (for editors)
+function DateEditor({ apiBase, document, canEdit, onSaved }) {
+  const [editing, setEditing] = useState(false);
+  const [value, setValue] = useState(document.parsedDate || '');
+  const [saving, setSaving] = useState(false);
+
+  const save = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.patch(`${apiBase}/documents/${document.id}/date`, { date: value || null });
+      setEditing(false);
+      onSaved(response.data.document);
+    } catch (error) {
+      alert(error.response?.data?.error || 'তারিখ সংরক্ষণ করা যায়নি');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confidence = document.dateConfidence;
+  const lowConfidence = confidence !== null && confidence !== undefined && confidence < 0.7;
+
+  return (
+    <div className="date-editor">
+      <h4>🗓️ তারিখঃ {document.dateOriginal || document.extractedData.date}</h4>
+      {!editing && (
+        <div className="date-parsed">
+          {document.parsedDate
+            ? <span>{document.parsedDate}</span>
+            : <span className="date-unknown">তারিখ নির্ণয় করা যায়নি</span>}
+          {document.dateSource && (
+            <span className={`date-source${lowConfidence ? ' low' : ''}`}>
+              {SOURCE_LABELS[document.dateSource] || document.dateSource}
+              {document.parsedDate && confidence < 1 && ` · ${Math.round(confidence * 100)}%`}
+            </span>
+          )}
+          {canEdit && (
+            <button onClick={() => { setValue(document.parsedDate || ''); setEditing(true); }}>সংশোধন</button>
+          )}
+        </div>
+      )}
+      {editing && (
+        <form className="date-parsed" onSubmit={save}>
+          <input type="date" value={value} onChange={e => setValue(e.target.value)} />
+          <button type="submit" disabled={saving}>সংরক্ষণ</button>
+          <button type="button" onClick={() => setEditing(false)}>বাতিল</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default DateEditor;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import FilterSidebar, { EMPTY_FILTERS } from './FilterSidebar';
+import { EXPORT_FORMATS } from './ExportButtons';
+import InfiniteScroll from './InfiniteScroll';
+import usePagedResults from '../hooks/usePagedResults';
+
+const SORT_OPTIONS = [
+  { value: '', label: 'আপলোডের তারিখ' },
+  { value: 'editionDate', label: 'সংস্করণের তারিখ' }
+];
+
+// Query string for the bulk export of every page matching the filters
+function exportQuery(filters, format) {
+  const params = new URLSearchParams({ format });
+  ['category', 'newspaper', 'method'].forEach(param => filters[param].forEach(value => params.append(param, value)));
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  return params.toString();
+}
+
+// Filterable, infinitely scrolling list of every stored page
+function DocumentBrowser({ apiBase, imageBase, onOpen }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [exportFormat, setExportFormat] = useState('tei');
+  const { items, total, facets, loading, hasMore, loadMore } =
+    usePagedResults(`${apiBase}/documents`, filters, 'items');
+
+  return (
+    <div className="with-filters">
+      <FilterSidebar facets={facets} filters={filters} onChange={setFilters} sortOptions={SORT_OPTIONS} />
+      <div className="filtered-list">
+        <div className="list-header">
+          <h3>পাতা ({total})</h3>
+          {total > 0 && (
+            <div className="bulk-export">
+              <select value={exportFormat} onChange={e => setExportFormat(e.target.value)}>
+                {EXPORT_FORMATS.map(({ format, label }) => <option key={format} value={format}>{label}</option>)}
+              </select>
+              <a href={`${apiBase}/export?${exportQuery(filters, exportFormat)}`} download>
+                সব ZIP হিসেবে রপ্তানি
+              </a>
+            </div>
+          )}
+        </div>
+        <ul className="document-list">
+          {items.map(item => (
+            <li key={item.id} className="document-list-item">
+              {item.thumbnailPath && (
+                <button className="document-list-thumbnail" onClick={() => onOpen(item)}>
+                  <img src={`${imageBase}${item.thumbnailPath}`} alt={item.originalName} title={item.originalName} loading="lazy" />
+                </button>
+              )}
+              <div>
+                <button className="document-list-title" onClick={() => onOpen(item)}>
+                  {item.newspaper} · পাতা {item.pageNumber}
+                </button>
+                <div className="search-result-meta">
+                  {item.editionDate || 'তারিখ অজানা'} · {!item.thumbnailPath && `${item.originalName} · `}
+                  {item.articlesCount}টি খবর
+                </div>
+                {item.headlines.length > 0 && (
+                  <div className="document-list-headlines">{item.headlines.join(' · ')}</div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+        {!loading && items.length === 0 && <p>কিছুই পাওয়া যায়নি।</p>}
+        <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+      </div>
+    </div>
+  );
+}
+
+export default DocumentBrowser;
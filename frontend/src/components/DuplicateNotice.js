@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+function describeMatch(candidate) {
+  if (candidate.type === 'exact') return 'হুবহু একই ফাইল';
+  const parts = [];
+  if (candidate.textSimilarity !== null && candidate.textSimilarity !== undefined) {
+    parts.push(`লেখা ${Math.round(candidate.textSimilarity * 100)}% মিল`);
+  }
+  if (candidate.imageDistance !== null && candidate.imageDistance !== undefined) {
+    parts.push(`ছবির পার্থক্য ${candidate.imageDistance}/64`);
+  }
+  return parts.join(' · ');
+}
+
+// Suspected duplicates of a page, with linking to the existing page or
+// dismissing them (for editors), and the link once a page is confirmed as a copy
+function DuplicateNotice({ apiBase, document, canEdit, onChanged, onOpen }) {
+  const [busy, setBusy] = useState(false);
+  const candidates = Array.isArray(document.duplicateCandidates) ? document.duplicateCandidates : [];
+
+  const send = async (request) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      onChanged(response.data.document);
+    } catch (error) {
+      alert(error.response?.data?.error || 'পরিবর্তন করা যায়নি');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const base = `${apiBase}/documents/${document.id}`;
+
+  if (document.duplicateOf) {
+    return (
+      <div className="duplicate-notice linked">
+        এই পাতাটি আগের একটি পাতার প্রতিলিপি হিসেবে চিহ্নিত।{' '}
+        <button onClick={() => onOpen(document.duplicateOf)}>মূল পাতা খুলুন</button>
+        {canEdit && (
+          <button onClick={() => send(() => axios.delete(`${base}/duplicate-of`))} disabled={busy}>লিঙ্ক সরান</button>
+        )}
+      </div>
+    );
+  }
+
+  if (candidates.length === 0) return null;
+
+  return (
+    <div className="duplicate-notice">
+      <strong>⚠️ এই পাতাটি আর্কাইভে আগে থেকেই থাকতে পারে:</strong>
+      <ul>
+        {candidates.map(candidate => (
+          <li key={candidate.documentId}>
+            <button className="link-button" onClick={() => onOpen(candidate.documentId)}>
+              {candidate.newspaper ? `${candidate.newspaper} — ` : ''}
+              {candidate.pageNumber ? `পাতা ${candidate.pageNumber}` : candidate.originalName}
+            </button>
+            <span className="duplicate-match">{describeMatch(candidate)}</span>
+            {canEdit && (
+              <button
+                onClick={() => send(() => axios.put(`${base}/duplicate-of`, { documentId: candidate.documentId }))}
+                disabled={busy}
+              >
+                একই পাতা — লিঙ্ক করুন
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {canEdit && (
+        <button onClick={() => send(() => axios.delete(`${base}/duplicate-candidates`))} disabled={busy}>
+          এগুলো আলাদা পাতা
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateNotice;
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import InfiniteScroll from './InfiniteScroll';
+import { markRanges } from './SearchResults';
+import usePagedResults from '../hooks/usePagedResults';
+
+export const ENTITY_TYPE_LABELS = {
+  person: 'ব্যক্তি',
+  location: 'স্থান',
+  organization: 'সংস্থা',
+  event: 'ঘটনা'
+};
+
+const SORT_OPTIONS = [
+  { value: 'mentions', label: 'সবচেয়ে বেশি উল্লেখ' },
+  { value: 'name', label: 'নাম অনুযায়ী' }
+];
+
+// Every article naming one entity, newest first
+function EntityMentions({ apiBase, entity, onOpen }) {
+  const { items, total, loading, hasMore, loadMore } =
+    usePagedResults(`${apiBase}/entities/${entity.id}/mentions`, {}, 'mentions');
+
+  return (
+    <div className="entity-mentions search-results">
+      <h3>{entity.name}</h3>
+      <div className="search-result-meta">
+        {ENTITY_TYPE_LABELS[entity.type]} · {total}টি খবরে উল্লেখ
+        {entity.variants.length > 1 && <> · অন্য বানান: {entity.variants.slice(1).map(variant => variant.name).join(', ')}</>}
+      </div>
+      <ul>
+        {items.map(mention => (
+          <li key={`${mention.documentId}-${mention.articleIndex}`} className="search-result">
+            <button className="search-result-headline" onClick={() => onOpen(mention)}>
+              {markRanges(mention.headline, mention.headlineHighlights) || mention.name}
+            </button>
+            <div className="search-result-meta">
+              {mention.newspaper}
+              {mention.pageNumber && <> · পাতা {mention.pageNumber}</>}
+              {mention.editionDate && <> · {mention.editionDate}</>}
+              {mention.category && <> · {mention.category}</>}
+            </div>
+            <p className="search-result-snippet">{markRanges(mention.snippet, mention.highlights)}</p>
+          </li>
+        ))}
+      </ul>
+      <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+    </div>
+  );
+}
+
+// People, places, organizations and events named across the archive, with
+// the articles mentioning the selected one. `focus` ({ name, type }) looks up
+// a name picked elsewhere, e.g. on an article.
+function EntityBrowser({ apiBase, focus, onOpen }) {
+  const [type, setType] = useState(focus?.type || '');
+  const [query, setQuery] = useState(focus?.name || '');
+  const [submittedQuery, setSubmittedQuery] = useState(focus?.name || '');
+  const [sort, setSort] = useState('mentions');
+  const [selected, setSelected] = useState(null);
+  const { items, total, facets, loading, hasMore, loadMore } =
+    usePagedResults(`${apiBase}/entities`, { type: type || undefined, q: submittedQuery || undefined, sort }, 'items');
+
+  useEffect(() => {
+    if (!focus) return;
+    setType(focus.type);
+    setQuery(focus.name);
+    setSubmittedQuery(focus.name);
+    setSelected(null);
+  }, [focus]);
+
+  // A name picked on an article opens its entity as soon as it is listed
+  useEffect(() => {
+    if (focus && !selected && submittedQuery === focus.name && items.length > 0) setSelected(items[0]);
+  }, [focus, selected, submittedQuery, items]);
+
+  const countOf = value => facets?.type?.find(facet => facet.value === value)?.count;
+
+  return (
+    <div className="with-filters entity-browser">
+      <div className="filter-sidebar entity-list">
+        <input
+          type="text"
+          placeholder="নাম খুঁজুন..."
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && setSubmittedQuery(query.trim())}
+        />
+        <div className="entity-types">
+          <button className={type === '' ? 'active' : ''} onClick={() => setType('')}>সব</button>
+          {Object.entries(ENTITY_TYPE_LABELS).map(([value, label]) => (
+            <button key={value} className={type === value ? 'active' : ''} onClick={() => setType(value)}>
+              {label}{countOf(value) !== undefined && ` (${countOf(value)})`}
+            </button>
+          ))}
+        </div>
+        <select value={sort} onChange={e => setSort(e.target.value)}>
+          {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <p className="search-total">{total}টি নাম</p>
+        <ul>
+          {items.map(entity => (
+            <li key={entity.id}>
+              <button
+                className={`entity-item${selected?.id === entity.id ? ' active' : ''}`}
+                onClick={() => setSelected(entity)}
+                title={entity.variants.map(variant => variant.name).join(', ')}
+              >
+                <span className={`entity-type ${entity.type}`}>{ENTITY_TYPE_LABELS[entity.type]}</span>
+                {entity.name}
+                <span className="facet-count">{entity.mentionCount}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        {!loading && items.length === 0 && <p>কিছুই পাওয়া যায়নি।</p>}
+        <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+      </div>
+      <div className="filtered-list">
+        {selected ? (
+          <EntityMentions key={selected.id} apiBase={apiBase} entity={selected} onOpen={onOpen} />
+        ) : (
+          <p>কোন খবরে উল্লেখ আছে দেখতে বাঁ দিকের তালিকা থেকে একটি নাম বেছে নিন।</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EntityBrowser;
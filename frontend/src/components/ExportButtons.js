@@ -0,0 +1,26 @@
+import React from 'react';
+
+export const EXPORT_FORMATS = [
+  { format: 'alto', label: 'ALTO' },
+  { format: 'hocr', label: 'hOCR' },
+  { format: 'tei', label: 'TEI' },
+  { format: 'epub', label: 'EPUB' },
+  { format: 'markdown', label: 'Markdown' },
+  { format: 'txt', label: 'Text' }
+];
+
+// Download links for one page in every export format
+function ExportButtons({ apiBase, documentId }) {
+  return (
+    <div className="export-buttons">
+      <strong>⬇️ রপ্তানি:</strong>
+      {EXPORT_FORMATS.map(({ format, label }) => (
+        <a key={format} href={`${apiBase}/documents/${documentId}/export?format=${format}`} download>
+          {label}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+export default ExportButtons;
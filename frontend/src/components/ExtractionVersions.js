@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import JobProgress from './JobProgress';
+import { diffWords } from './RevisionHistory';
+
+const SOURCE_LABELS = {
+  upload: 'আপলোড',
+  reprocess: 'পুনরায় প্রক্রিয়া',
+  existing: 'পুরনো লেখা'
+};
+
+function providerLabel(providers) {
+  if (!providers) return 'অজানা';
+  return ['ocr', 'llm', 'layout']
+    .filter(stage => providers[stage])
+    .map(stage => `${stage.toUpperCase()}: ${providers[stage].model} (প্রম্পট ${providers[stage].promptVersion})`)
+    .join(' · ');
+}
+
+function Diff({ before, after }) {
+  return (
+    <div lang="bn">
+      {diffWords(before || '', after || '').map((part, i) => (
+        <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+      ))}
+    </div>
+  );
+}
+
+// Articles of two versions paired up, each pair diffed word by word
+function VersionComparison({ comparison }) {
+  const { from, to, summaries, articles } = comparison;
+  return (
+    <div className="version-comparison">
+      <strong>সংস্করণ {from.version} → সংস্করণ {to.version}</strong>
+      {(summaries.from || summaries.to) && (
+        <div className="version-compare-row">
+          <em>সারাংশ</em>
+          <Diff before={summaries.from} after={summaries.to} />
+        </div>
+      )}
+      {articles.map((row, i) => (
+        <div key={i} className={`version-compare-row${!row.from ? ' added' : !row.to ? ' removed' : ''}`}>
+          {row.from && row.to ? (
+            <>
+              <Diff before={row.from.headline} after={row.to.headline} />
+              <Diff before={row.from.content} after={row.to.content} />
+            </>
+          ) : (
+            <>
+              <em>{row.from ? 'শুধু আগের সংস্করণে' : 'শুধু নতুন সংস্করণে'}</em>
+              <div lang="bn"><strong>{(row.from || row.to).headline}</strong></div>
+              <div lang="bn">{(row.from || row.to).content}</div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Extraction versions of a page: reprocessing the stored scan (for editors),
+// comparing two versions and choosing the one the page shows
+function ExtractionVersions({ apiBase, document, canEdit, onChanged }) {
+  const [versions, setVersions] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState('');
+  const [activate, setActivate] = useState(false);
+  // Running reprocessing: { id, activate }
+  const [job, setJob] = useState(null);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [comparison, setComparison] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // Kept in a ref so the job's progress stream isn't reopened on every render
+  const onChangedRef = useRef(onChanged);
+  onChangedRef.current = onChanged;
+
+  const fetchVersions = useCallback(() => {
+    axios.get(`${apiBase}/documents/${document.id}/versions`)
+      .then(response => setVersions(response.data.versions))
+      .catch(error => console.error('Error fetching extraction versions:', error));
+  }, [apiBase, document.id]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions, document]);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    axios.get(`${apiBase}/preprocess/profiles`)
+      .then(response => setProfiles(response.data.profiles))
+      .catch(error => console.error('Error fetching preprocessing profiles:', error));
+  }, [apiBase, canEdit]);
+
+  const reprocess = async () => {
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBase}/documents/${document.id}/reprocess`, {
+        ...(profile && { profile }),
+        activate
+      });
+      setJob({ id: response.data.jobId, activate });
+    } catch (error) {
+      alert(error.response?.data?.error || 'পুনরায় প্রক্রিয়া শুরু করা যায়নি');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reprocessed = useCallback(async () => {
+    setJob(null);
+    fetchVersions();
+    if (!job?.activate) return;
+    // The new version is now the page's content
+    try {
+      const response = await axios.get(`${apiBase}/documents/${document.id}`);
+      onChangedRef.current(response.data);
+    } catch (error) {
+      console.error('Error fetching document:', error);
+    }
+  }, [apiBase, document.id, fetchVersions, job]);
+
+  const reprocessFailed = useCallback((failed) => {
+    setJob(null);
+    alert(`পুনরায় প্রক্রিয়া ব্যর্থ: ${failed.error || 'অজানা ত্রুটি'}`);
+  }, []);
+
+  const runComparison = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/documents/${document.id}/versions/compare`, { params: compare });
+      setComparison(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'তুলনা করা যায়নি');
+    }
+  };
+
+  const switchVersion = async (version) => {
+    if (!window.confirm(`পাতায় সংস্করণ ${version.version} দেখাতে চান? এখনকার সম্পাদনা ইতিহাসে থেকে যাবে।`)) return;
+    setBusy(true);
+    try {
+      const response = await axios.put(`${apiBase}/documents/${document.id}/active-version`, { version: version.version });
+      onChanged(response.data.document);
+    } catch (error) {
+      alert(error.response?.data?.error || 'সংস্করণ বদলানো যায়নি');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="extraction-versions">
+      {versions.length === 0 && <p>এই পাতার কোনো সংস্করণ এখনও রাখা হয়নি।</p>}
+      {versions.map(version => (
+        <div key={version.version} className={`version${version.active ? ' active' : ''}`}>
+          <div className="revision-header">
+            <strong>সংস্করণ {version.version}</strong>
+            <span>{SOURCE_LABELS[version.source] || version.source}</span>
+            <span>{new Date(version.createdAt).toLocaleString('bn-IN')}</span>
+            {version.createdBy && <span>{version.createdBy}</span>}
+            {version.active && <span className="version-active">✓ দেখানো হচ্ছে</span>}
+          </div>
+          <div className="version-meta">
+            {providerLabel(version.providers)}
+            {version.preprocessing?.profile && <> · প্রোফাইল: {version.preprocessing.profile}</>}
+            {' · '}{version.articlesCount}টি খবর
+          </div>
+          {canEdit && !version.active && (
+            <button onClick={() => switchVersion(version)} disabled={busy}>এই সংস্করণ ব্যবহার করুন</button>
+          )}
+        </div>
+      ))}
+
+      {versions.length > 1 && (
+        <div className="version-compare-controls">
+          {['from', 'to'].map(side => (
+            <select key={side} value={compare[side]} onChange={e => setCompare({ ...compare, [side]: e.target.value })}>
+              <option value="">{side === 'from' ? 'আগের সংস্করণ' : 'পরের সংস্করণ'}</option>
+              {versions.map(version => (
+                <option key={version.version} value={version.version}>সংস্করণ {version.version}</option>
+              ))}
+            </select>
+          ))}
+          <button onClick={runComparison} disabled={!compare.from || !compare.to}>তুলনা করুন</button>
+        </div>
+      )}
+      {comparison && <VersionComparison comparison={comparison} />}
+
+      {canEdit && (
+        job ? (
+          <JobProgress apiBase={apiBase} jobId={job.id} onComplete={reprocessed} onFailed={reprocessFailed} />
+        ) : (
+          <div className="version-reprocess">
+            <select value={profile} onChange={e => setProfile(e.target.value)}>
+              <option value="">আগের ছবি-প্রস্তুতি</option>
+              {profiles.map(item => <option key={item.name} value={item.name}>{item.label}</option>)}
+            </select>
+            <label>
+              <input type="checkbox" checked={activate} onChange={e => setActivate(e.target.checked)} />
+              নতুন সংস্করণ সরাসরি দেখান
+            </label>
+            <button onClick={reprocess} disabled={busy}>🔄 পুনরায় প্রক্রিয়া করুন</button>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+export default ExtractionVersions;
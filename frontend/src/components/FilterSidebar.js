@@ -0,0 +1,81 @@
+import React from 'react';
+
+// Facets returned by the API and the query parameter each one filters by
+const FACETS = [
+  { key: 'category', param: 'category', label: 'বিভাগ' },
+  { key: 'newspaper', param: 'newspaper', label: 'সংবাদপত্র' },
+  { key: 'extractionMethod', param: 'method', label: 'নিষ্কাশন পদ্ধতি' }
+];
+
+const VALUE_LABELS = {
+  ai_structured: 'AI কাঠামো',
+  regex_fallback: 'প্যাটার্ন (AI ব্যর্থ)',
+  fallback: 'কাঁচা লেখা',
+  unknown: 'অজানা'
+};
+
+export const EMPTY_FILTERS = { category: [], newspaper: [], method: [], from: '', to: '', sort: '', order: 'desc' };
+
+// Facet checkboxes with counts, a date range and sort order. `filters` uses
+// the API's query parameter names so it can be sent as-is.
+function FilterSidebar({ facets, filters, onChange, sortOptions }) {
+  const toggle = (param, value) => {
+    const selected = filters[param];
+    onChange({
+      ...filters,
+      [param]: selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]
+    });
+  };
+
+  return (
+    <aside className="filter-sidebar">
+      <div className="filter-group">
+        <h4>ক্রম</h4>
+        <select value={filters.sort} onChange={e => onChange({ ...filters, sort: e.target.value })}>
+          {sortOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select value={filters.order} onChange={e => onChange({ ...filters, order: e.target.value })}>
+          <option value="desc">নতুন আগে</option>
+          <option value="asc">পুরনো আগে</option>
+        </select>
+      </div>
+
+      <div className="filter-group">
+        <h4>তারিখ</h4>
+        <label>
+          থেকে
+          <input type="date" value={filters.from} onChange={e => onChange({ ...filters, from: e.target.value })} />
+        </label>
+        <label>
+          পর্যন্ত
+          <input type="date" value={filters.to} onChange={e => onChange({ ...filters, to: e.target.value })} />
+        </label>
+      </div>
+
+      {FACETS.map(({ key, param, label }) => (
+        facets?.[key]?.length > 0 && (
+          <div className="filter-group" key={key}>
+            <h4>{label}</h4>
+            {facets[key].map(({ value, count }) => (
+              <label key={value} className="facet-option">
+                <input
+                  type="checkbox"
+                  checked={filters[param].includes(value)}
+                  onChange={() => toggle(param, value)}
+                />
+                {VALUE_LABELS[value] || value}
+                <span className="facet-count">{count}</span>
+              </label>
+            ))}
+          </div>
+        )
+      ))}
+
+      <button className="filter-reset" onClick={() => onChange(EMPTY_FILTERS)}>ফিল্টার মুছুন</button>
+    </aside>
+  );
+}
+
+export default FilterSidebar;
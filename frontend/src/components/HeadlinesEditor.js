@@ -0,0 +1,31 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Headlines edited as one per line
+function HeadlinesEditor({ apiBase, documentId, headlines, onChanged }) {
+  const [text, setText] = useState((headlines || []).join('\n'));
+  const [busy, setBusy] = useState(false);
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      const response = await axios.patch(`${apiBase}/documents/${documentId}/headlines`, {
+        headlines: text.split('\n').map(line => line.trim()).filter(Boolean)
+      });
+      onChanged(response.data.document);
+    } catch (error) {
+      alert(error.response?.data?.error || 'শিরোনাম সংরক্ষণ করা যায়নি');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="headlines-editor" lang="bn">
+      <textarea value={text} onChange={e => setText(e.target.value)} rows={Math.max(3, (headlines || []).length + 1)} />
+      <button onClick={save} disabled={busy || text === (headlines || []).join('\n')}>শিরোনাম সংরক্ষণ</button>
+    </div>
+  );
+}
+
+export default HeadlinesEditor;
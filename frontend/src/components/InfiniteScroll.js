@@ -0,0 +1,26 @@
+import React, { useEffect, useRef } from 'react';
+
+// Calls `onLoadMore` when the end of a list scrolls into view; falls back to
+// a button where IntersectionObserver is unavailable
+function InfiniteScroll({ hasMore, loading, onLoadMore }) {
+  const sentinel = useRef(null);
+
+  useEffect(() => {
+    if (!hasMore || !sentinel.current || !('IntersectionObserver' in window)) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel.current);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore]);
+
+  if (loading) return <p className="infinite-scroll">লোড হচ্ছে...</p>;
+  if (!hasMore) return null;
+  return (
+    <div ref={sentinel} className="infinite-scroll">
+      <button onClick={onLoadMore}>আরও দেখুন</button>
+    </div>
+  );
+}
+
+export default InfiniteScroll;
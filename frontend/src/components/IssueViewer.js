@@ -0,0 +1,89 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+
+// Page-flipper for a multi-page issue. Renders one page at a time through
+// `renderPage` and lets continuation links jump to another page's article.
+// Shows the page `initialDocumentId` whenever it changes (the first page
+// without one); flips made here are reported to `onPageChange(documentId,
+// articleIndex)`.
+function IssueViewer({ issue, initialDocumentId, renderPage, onClose, onPageChange }) {
+  const pages = useMemo(() => issue.pages || [], [issue]);
+  const [pageIndex, setPageIndex] = useState(() => Math.max(pages.findIndex(p => p.id === initialDocumentId), 0));
+  const [focusArticle, setFocusArticle] = useState(null);
+
+  const page = pages[pageIndex];
+
+  useEffect(() => {
+    const initialIndex = pages.findIndex(p => p.id === initialDocumentId);
+    setPageIndex(Math.max(initialIndex, 0));
+    setFocusArticle(null);
+  }, [pages, initialDocumentId]);
+
+  // Bring the linked article into view after flipping to its page
+  useEffect(() => {
+    if (!page || focusArticle === null) return;
+    const element = document.getElementById(`article-${page.id}-${focusArticle}`);
+    if (element) element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [page, focusArticle]);
+
+  const goToPage = useCallback((index, articleIndex = null) => {
+    if (index < 0 || index >= pages.length) return;
+    setPageIndex(index);
+    setFocusArticle(articleIndex);
+    if (onPageChange) onPageChange(pages[index].id, articleIndex);
+  }, [pages, onPageChange]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+      if (event.key === 'ArrowRight') goToPage(pageIndex + 1);
+      if (event.key === 'ArrowLeft') goToPage(pageIndex - 1);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [goToPage, pageIndex]);
+
+  const followLink = (documentId, articleIndex) => {
+    const index = pages.findIndex(p => p.id === documentId);
+    if (index !== -1) goToPage(index, articleIndex);
+  };
+
+  const pageNumberOf = (documentId) => pages.find(p => p.id === documentId)?.pageNumber;
+
+  if (!page) {
+    return <p>এই সংখ্যায় কোনো পাতা নেই।</p>;
+  }
+
+  return (
+    <div className="issue-viewer">
+      <div className="issue-header">
+        <h3>{issue.newspaper} {issue.editionDate && <span>({issue.editionDate})</span>}</h3>
+        <div className="page-flipper">
+          <button onClick={() => goToPage(pageIndex - 1)} disabled={pageIndex === 0}>← আগের পাতা</button>
+          <span>পাতা {page.pageNumber} / {pages.length}</span>
+          <button onClick={() => goToPage(pageIndex + 1)} disabled={pageIndex === pages.length - 1}>পরের পাতা →</button>
+        </div>
+        <div className="page-strip">
+          {pages.map((p, i) => (
+            <button
+              key={p.id}
+              className={i === pageIndex ? 'active' : ''}
+              onClick={() => goToPage(i)}
+            >
+              {p.pageNumber}
+            </button>
+          ))}
+        </div>
+      </div>
+      {renderPage(page, {
+        onClose,
+        links: (issue.links || []).filter(
+          link => link.fromDocumentId === page.id || link.toDocumentId === page.id
+        ),
+        pageNumberOf,
+        onFollowLink: followLink
+      })}
+    </div>
+  );
+}
+
+export default IssueViewer;
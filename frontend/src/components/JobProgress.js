@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+
+// Bengali labels for the pipeline stages reported by /api/jobs/:id/events
+const STAGE_LABELS = {
+  queued: 'সারিতে অপেক্ষমাণ',
+  starting: 'শুরু হচ্ছে',
+  rasterizing: 'পাতা আলাদা করা হচ্ছে',
+  preprocessing: 'ছবি প্রস্তুত করা হচ্ছে',
+  extracting: 'লেখা পড়া হচ্ছে',
+  structuring: 'লেখা সাজানো হচ্ছে',
+  locating: 'খবরের অবস্থান খোঁজা হচ্ছে',
+  summarizing: 'সারাংশ তৈরি হচ্ছে',
+  entities: 'ব্যক্তি, স্থান ও সংস্থার নাম খোঁজা হচ্ছে',
+  tiling: 'ছোট ছবি ও টাইল তৈরি হচ্ছে',
+  saving: 'সংরক্ষণ করা হচ্ছে',
+  completed: 'সম্পন্ন'
+};
+
+// Progress bar for one processing job, fed by the job's SSE stream
+function JobProgress({ apiBase, jobId, onComplete, onFailed }) {
+  const [job, setJob] = useState(null);
+  const [connectionLost, setConnectionLost] = useState(false);
+
+  useEffect(() => {
+    // The session cookie has to go along, the stream needs a signed-in user
+    const source = new EventSource(`${apiBase}/jobs/${jobId}/events`, { withCredentials: true });
+
+    source.onmessage = (event) => {
+      const update = JSON.parse(event.data);
+      setJob(update);
+      setConnectionLost(false);
+      if (update.status === 'completed' || update.status === 'failed') {
+        source.close();
+        if (update.status === 'completed') onComplete(update);
+        if (update.status === 'failed' && onFailed) onFailed(update);
+      }
+    };
+    source.onerror = () => setConnectionLost(true);
+
+    return () => source.close();
+  }, [apiBase, jobId, onComplete, onFailed]);
+
+  if (!job) {
+    return <div className="job-progress">সংযোগ করা হচ্ছে...</div>;
+  }
+
+  const failed = job.status === 'failed';
+
+  return (
+    <div className={`job-progress${failed ? ' failed' : ''}`}>
+      <div className="job-progress-label">
+        {failed ? 'প্রক্রিয়াকরণ ব্যর্থ হয়েছে' : STAGE_LABELS[job.stage] || job.stage}
+        {job.attempts > 1 && !failed && ` (চেষ্টা ${job.attempts}/${job.maxAttempts})`}
+      </div>
+      <div className="job-progress-track">
+        <div className="job-progress-bar" style={{ width: `${job.progress}%` }} />
+      </div>
+      {job.status === 'retrying' && (
+        <div className="job-progress-error">আবার চেষ্টা করা হবে: {job.error}</div>
+      )}
+      {failed && <div className="job-progress-error">{job.error}</div>}
+      {connectionLost && !failed && (
+        <div className="job-progress-error">সার্ভারের সাথে সংযোগ বিচ্ছিন্ন, পুনরায় সংযোগ করা হচ্ছে...</div>
+      )}
+    </div>
+  );
+}
+
+export default JobProgress;
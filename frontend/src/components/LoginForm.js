@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+
+// Sign-in screen shown until there is a session
+function LoginForm({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onLogin(username.trim(), password);
+    } catch (err) {
+      setError(err.response?.data?.bangla_error || 'প্রবেশ করা যায়নি');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="login-form" onSubmit={submit}>
+      <h2>প্রবেশ করুন</h2>
+      <input
+        type="text"
+        placeholder="ব্যবহারকারীর নাম"
+        autoComplete="username"
+        value={username}
+        onChange={e => setUsername(e.target.value)}
+        autoFocus
+      />
+      <input
+        type="password"
+        placeholder="পাসওয়ার্ড"
+        autoComplete="current-password"
+        value={password}
+        onChange={e => setPassword(e.target.value)}
+      />
+      {error && <div className="login-error">{error}</div>}
+      <button type="submit" disabled={busy || !username.trim() || !password}>প্রবেশ</button>
+    </form>
+  );
+}
+
+export default LoginForm;
@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
+import TiledImage from './TiledImage';
+
+const regionId = (documentId, kind, index) => `region-${documentId}-${kind}-${index}`;
+
+const toPoints = (polygon) => polygon.map(([x, y]) => `${x},${y}`).join(' ');
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// The rectangle spanned by a drag
+const rectangle = ({ from, to }) => ({
+  x: Math.min(from.x, to.x),
+  y: Math.min(from.y, to.y),
+  width: Math.abs(to.x - from.x),
+  height: Math.abs(to.y - from.y)
+});
+
+// Drags shorter than this (as a share of the page) are taken for clicks
+const MIN_CLIP = 0.005;
+
+// Zoomable page image with the detected article, headline and column
+// regions drawn on top. Regions use 0-1 coordinates, so the SVG overlay's
+// viewBox is the unit square stretched over the image. Pages with a tile
+// pyramid are drawn from their tiles; older ones load the whole image.
+//
+// `focus` ({ article, at }) pans and zooms to an article's region whenever it
+// changes; clicking a region reports the article through `onSelectArticle`.
+//
+// With `clipping`, dragging draws a rectangle instead of panning and reports
+// it to `onClip` as { x, y, width, height } in the same 0-1 coordinates;
+// `clipRegion` is the rectangle to show.
+function PageImage({
+  imageBase, document, activeArticle, focus, onSelectArticle, onHoverArticle, clipping = false, clipRegion, onClip
+}) {
+  const transformRef = useRef(null);
+  const imageRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { from: { x, y }, to: { x, y } }
+  const layout = document.layout || {};
+  const articles = layout.articles || [];
+
+  useEffect(() => {
+    if (!focus || !transformRef.current) return;
+    const region = (document.layout?.articles || []).find(r => r.article === focus.article);
+    if (region) {
+      transformRef.current.zoomToElement(regionId(document.id, 'article', region.article), undefined, 500);
+    }
+  }, [focus, document]);
+
+  // The image's box already includes the zoom, so fractions of it are page coordinates
+  const pointAt = (event) => {
+    const box = imageRef.current.getBoundingClientRect();
+    return { x: clamp((event.clientX - box.left) / box.width), y: clamp((event.clientY - box.top) / box.height) };
+  };
+
+  const startDrag = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = pointAt(event);
+    setDrag({ from: point, to: point });
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    const region = rectangle(drag);
+    setDrag(null);
+    if (region.width >= MIN_CLIP && region.height >= MIN_CLIP) onClip(region);
+  };
+
+  const shownClip = drag ? rectangle(drag) : clipRegion;
+
+  return (
+    <TransformWrapper ref={transformRef} initialScale={1} maxScale={6} panning={{ disabled: clipping }}>
+      <TransformComponent>
+        <div className="page-image" ref={imageRef}>
+          {Number.isInteger(document.tiles?.maxLevel) ? (
+            <TiledImage tileBase={`${imageBase}/api/documents/${document.id}`} tiles={document.tiles} />
+          ) : (
+            <img
+              src={`${imageBase}${document.imagePath}`}
+              alt=""
+              className="newspaper-image"
+            />
+          )}
+          <svg className="region-overlay" viewBox="0 0 1 1" preserveAspectRatio="none">
+            {(layout.columns || []).map((region, i) => (
+              <polygon key={`column-${i}`} className="region column" points={toPoints(region.polygon)} />
+            ))}
+            {(layout.headlines || []).map(region => (
+              <polygon
+                key={`headline-${region.headline}`}
+                className="region headline"
+                points={toPoints(region.polygon)}
+              />
+            ))}
+            {articles.map(region => (
+              <polygon
+                key={`article-${region.article}`}
+                id={regionId(document.id, 'article', region.article)}
+                className={`region article${region.article === activeArticle ? ' active' : ''}`}
+                points={toPoints(region.polygon)}
+                onClick={() => onSelectArticle(region.article)}
+                onMouseEnter={() => onHoverArticle(region.article)}
+                onMouseLeave={() => onHoverArticle(null)}
+              >
+                <title>{document.extractedData.articles?.[region.article]?.headline}</title>
+              </polygon>
+            ))}
+            {shownClip && (
+              <rect className="clip-rect" x={shownClip.x} y={shownClip.y} width={shownClip.width} height={shownClip.height} />
+            )}
+          </svg>
+          {clipping && (
+            <div
+              className="clip-surface"
+              title="টেনে একটি অংশ বেছে নিন"
+              onPointerDown={startDrag}
+              onPointerMove={event => drag && setDrag({ ...drag, to: pointAt(event) })}
+              onPointerUp={endDrag}
+              onPointerCancel={() => setDrag(null)}
+            />
+          )}
+        </div>
+      </TransformComponent>
+    </TransformWrapper>
+  );
+}
+
+export default PageImage;
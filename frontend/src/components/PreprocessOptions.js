@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+
+const STEP_LABELS = {
+  deskew: 'সোজা করুন',
+  crop: 'কিনারা ছাঁটুন',
+  binarize: 'সাদা-কালো',
+  denoise: 'দাগ মুছুন'
+};
+const ROTATIONS = [0, 90, 180, 270];
+// Previews kept side by side for comparing profiles
+const MAX_PREVIEWS = 3;
+
+// Add the chosen profile and options to an upload or preview form
+export function appendPreprocessOptions(formData, options) {
+  Object.entries(options).forEach(([field, value]) => {
+    if (value !== undefined && value !== null) formData.append(field, String(value));
+  });
+}
+
+// Steps of a profile as option values: switches on or off, no rotation
+function defaultsFor(profile) {
+  const steps = profile?.steps || {};
+  return {
+    profile: profile?.name || 'default',
+    deskew: Boolean(steps.deskew),
+    crop: Boolean(steps.crop),
+    binarize: Boolean(steps.binarize),
+    denoise: Boolean(steps.denoise),
+    rotate: 0
+  };
+}
+
+function describeApplied(applied) {
+  const parts = [];
+  if (applied.rotate) parts.push(`ঘোরানো ${applied.rotate}°`);
+  if (applied.crop) parts.push(`ছাঁটা ${applied.crop.width}×${applied.crop.height}`);
+  if (applied.deskew) parts.push(`সোজা ${applied.deskew.toFixed(2)}°`);
+  return parts.join(' · ');
+}
+
+// Preprocessing profile and per-upload options, with previews of the first
+// selected file so profiles can be compared before uploading
+function PreprocessOptions({ apiBase, file, value, onChange }) {
+  const [profiles, setProfiles] = useState([]);
+  const [previews, setPreviews] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const previewsRef = useRef(previews);
+  previewsRef.current = previews;
+
+  useEffect(() => {
+    axios.get(`${apiBase}/preprocess/profiles`)
+      .then(response => setProfiles(response.data.profiles))
+      .catch(error => console.error('Error fetching preprocessing profiles:', error));
+  }, [apiBase]);
+
+  // Previews belong to one file; object URLs are freed when they go away
+  useEffect(() => {
+    setPreviews(current => {
+      current.forEach(preview => URL.revokeObjectURL(preview.url));
+      return [];
+    });
+  }, [file]);
+  useEffect(() => () => previewsRef.current.forEach(preview => URL.revokeObjectURL(preview.url)), []);
+
+  const selectProfile = (name) => onChange(defaultsFor(profiles.find(profile => profile.name === name)));
+
+  const preview = async () => {
+    if (!file) return;
+    setLoading(true);
+    const formData = new FormData();
+    formData.append('image', file);
+    appendPreprocessOptions(formData, value);
+    try {
+      const response = await axios.post(`${apiBase}/preprocess/preview`, formData, { responseType: 'blob' });
+      const applied = JSON.parse(response.headers['x-preprocess-applied'] || '{}');
+      const profile = profiles.find(p => p.name === value.profile);
+      const next = {
+        key: Date.now(),
+        url: URL.createObjectURL(response.data),
+        label: profile?.label || value.profile,
+        applied
+      };
+      setPreviews(current => {
+        const kept = [next, ...current];
+        kept.slice(MAX_PREVIEWS).forEach(old => URL.revokeObjectURL(old.url));
+        return kept.slice(0, MAX_PREVIEWS);
+      });
+    } catch (error) {
+      alert('প্রিভিউ তৈরি করা যায়নি');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removePreview = (key) => setPreviews(current => current.filter(preview => {
+    if (preview.key === key) URL.revokeObjectURL(preview.url);
+    return preview.key !== key;
+  }));
+
+  const selected = profiles.find(profile => profile.name === value.profile);
+
+  return (
+    <div className="preprocess-options">
+      <div className="preprocess-controls">
+        <label>
+          প্রোফাইল:{' '}
+          <select value={value.profile} onChange={e => selectProfile(e.target.value)}>
+            {profiles.map(profile => (
+              <option key={profile.name} value={profile.name}>{profile.label}</option>
+            ))}
+          </select>
+        </label>
+        {Object.entries(STEP_LABELS).map(([step, label]) => (
+          <label key={step}>
+            <input
+              type="checkbox"
+              checked={Boolean(value[step])}
+              onChange={e => onChange({ ...value, [step]: e.target.checked })}
+            />
+            {label}
+          </label>
+        ))}
+        <label>
+          ঘোরান:{' '}
+          <select value={value.rotate} onChange={e => onChange({ ...value, rotate: Number(e.target.value) })}>
+            {ROTATIONS.map(angle => <option key={angle} value={angle}>{angle}°</option>)}
+          </select>
+        </label>
+        <button type="button" onClick={preview} disabled={!file || loading}>
+          {loading ? 'তৈরি হচ্ছে...' : 'প্রিভিউ'}
+        </button>
+      </div>
+      {selected && <div className="preprocess-description">{selected.description}</div>}
+      {previews.length > 0 && (
+        <div className="preprocess-previews">
+          {previews.map(item => (
+            <figure key={item.key}>
+              <img src={item.url} alt={item.label} />
+              <figcaption>
+                {item.label}
+                {describeApplied(item.applied) && ` — ${describeApplied(item.applied)}`}
+                <button type="button" onClick={() => removePreview(item.key)} title="সরান">✕</button>
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PreprocessOptions;
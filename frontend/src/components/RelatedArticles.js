@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// "More on this story": the story thread an article belongs to, earliest
+// edition first, and the articles of other editions most like it
+function RelatedArticles({ apiBase, documentId, articleIndex, onOpen }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError(false);
+    axios.get(`${apiBase}/articles/${documentId}:${articleIndex}/related`)
+      .then(response => !cancelled && setData(response.data))
+      .catch(err => {
+        console.error('Error fetching related articles:', err);
+        if (!cancelled) setError(true);
+      });
+    return () => { cancelled = true; };
+  }, [apiBase, documentId, articleIndex]);
+
+  if (error) return <div className="related-articles">সম্পর্কিত খবর আনা যায়নি।</div>;
+  if (!data) return <div className="related-articles">খোঁজা হচ্ছে...</div>;
+
+  const meta = article => (
+    <span className="search-result-meta">
+      {article.editionDate || 'তারিখ অজানা'} · {article.newspaper}
+      {article.pageNumber && <> · পাতা {article.pageNumber}</>}
+    </span>
+  );
+
+  return (
+    <div className="related-articles">
+      <strong>এই খবরের আরও</strong>
+      {data.thread.length > 0 && (
+        <ol className="story-thread">
+          {data.thread.map(article => (
+            <li key={article.id} className={article.current ? 'current' : ''}>
+              {article.current ? (
+                <span>{article.headline}</span>
+              ) : (
+                <button className="search-result-headline" onClick={() => onOpen(article)}>{article.headline}</button>
+              )}
+              {' '}{meta(article)}
+            </li>
+          ))}
+        </ol>
+      )}
+      {data.related.length > 0 ? (
+        <ul className="related-list">
+          {data.related.map(article => (
+            <li key={article.id}>
+              <button className="search-result-headline" onClick={() => onOpen(article)}>{article.headline}</button>
+              {' '}{meta(article)}
+              <p className="search-result-snippet">{article.snippet}</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>অন্য সংস্করণে এই খবরের সাথে মেলে এমন কিছু পাওয়া যায়নি।</p>
+      )}
+    </div>
+  );
+}
+
+export default RelatedArticles;
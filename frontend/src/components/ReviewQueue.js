@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import InfiniteScroll from './InfiniteScroll';
+import usePagedResults from '../hooks/usePagedResults';
+
+// Bengali labels for the issue codes of quality/index.js
+const ISSUE_LABELS = {
+  fallback: 'লেখা সাজানো যায়নি',
+  regexFallback: 'শুধু শিরোনাম আলাদা করা গেছে',
+  warnings: 'প্রক্রিয়াকরণের সতর্কবার্তা',
+  noArticles: 'কোনো খবর পাওয়া যায়নি',
+  missingHeadlines: 'শিরোনামহীন খবর',
+  emptyArticles: 'লেখাহীন খবর',
+  missingDate: 'তারিখ অজানা',
+  missingSummary: 'সারাংশ তৈরি হয়নি',
+  nonBengali: 'বাংলা নয় এমন লেখা',
+  schemaRepairs: 'মডেলের উত্তর মেরামত করা হয়েছে'
+};
+
+function issueDetail(issue) {
+  if (issue.ratio !== undefined) return ` (${Math.round(issue.ratio * 100)}%)`;
+  if (issue.count) return ` (${issue.count})`;
+  return '';
+}
+
+// Pages whose extraction scored low, worst first, with what lowered each
+// score; editors open a page to correct it and then mark it as reviewed
+function ReviewQueue({ apiBase, onOpen }) {
+  const [includeReviewed, setIncludeReviewed] = useState(false);
+  // Marked in this session, so the list does not jump while working through it
+  const [marked, setMarked] = useState({});
+  const { items, total, loading, hasMore, loadMore } = usePagedResults(
+    `${apiBase}/review`,
+    includeReviewed ? { reviewed: 'include' } : {},
+    'documents'
+  );
+
+  const setReviewed = async (document, reviewed) => {
+    try {
+      const response = await axios.put(`${apiBase}/documents/${document.id}/review`, { reviewed });
+      setMarked(current => ({ ...current, [document.id]: response.data }));
+    } catch (error) {
+      alert(error.response?.data?.error || 'পর্যালোচনার অবস্থা বদলানো যায়নি');
+    }
+  };
+
+  return (
+    <div className="review-queue">
+      <h3>পর্যালোচনার অপেক্ষায় ({total})</h3>
+      <label>
+        <input type="checkbox" checked={includeReviewed} onChange={e => setIncludeReviewed(e.target.checked)} />
+        পর্যালোচিত পাতাও দেখান
+      </label>
+      <ul>
+        {items.map(document => {
+          const { reviewedAt, reviewedBy } = marked[document.id] || document;
+          return (
+            <li key={document.id} className={reviewedAt ? 'reviewed' : ''}>
+              <div className="review-queue-header">
+                <span className={`quality-score${document.qualityScore < 0.4 ? ' low' : ''}`}>
+                  {Math.round(document.qualityScore * 100)}%
+                </span>
+                <button className="search-result-headline" onClick={() => onOpen(document.id)}>
+                  {document.originalName}
+                </button>
+                <span className="search-result-meta">
+                  {document.newspaper}
+                  {document.pageNumber && <> · পাতা {document.pageNumber}</>}
+                  {' · '}{document.editionDate || 'তারিখ অজানা'}
+                </span>
+              </div>
+              <ul className="quality-issues">
+                {document.qualityIssues.map(issue => (
+                  <li key={issue.code} title={(issue.examples || []).join('\n')}>
+                    {ISSUE_LABELS[issue.code] || issue.code}{issueDetail(issue)}
+                  </li>
+                ))}
+              </ul>
+              {reviewedAt ? (
+                <div className="search-result-meta">
+                  ✓ {reviewedBy} পর্যালোচনা করেছেন ({new Date(reviewedAt).toLocaleString('bn-IN')}){' '}
+                  <button onClick={() => setReviewed(document, false)}>আবার তালিকায় রাখুন</button>
+                </div>
+              ) : (
+                <button onClick={() => setReviewed(document, true)}>✓ পর্যালোচিত</button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {!loading && items.length === 0 && <p>পর্যালোচনার জন্য কোনো পাতা নেই।</p>}
+      <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+    </div>
+  );
+}
+
+export default ReviewQueue;
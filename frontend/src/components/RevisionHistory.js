@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const ACTION_LABELS = {
+  original: 'মূল লেখা',
+  date: 'তারিখ',
+  headlines: 'শিরোনাম',
+  article: 'খবর সম্পাদনা',
+  split: 'খবর ভাগ',
+  merge: 'খবর যুক্ত',
+  reorder: 'ক্রম পরিবর্তন',
+  entities: 'নাম খোঁজা',
+  rollback: 'পূর্বাবস্থায় ফেরানো',
+  version: 'সংস্করণ পরিবর্তন'
+};
+
+// Longer texts are shown whole rather than diffed word by word
+const MAX_DIFF_WORDS = 400;
+
+// Word-level diff of two strings via the longest common subsequence, as
+// [{ text, type }] with type 'same', 'removed' or 'added'
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/);
+  const b = after.split(/(\s+)/);
+  if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+    return [{ text: before, type: 'removed' }, { text: after, type: 'added' }];
+  }
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (text, type) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ text, type });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push(a[i], 'same'); i++; j++; }
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) push(a[i++], 'removed');
+    else push(b[j++], 'added');
+  }
+  while (i < a.length) push(a[i++], 'removed');
+  while (j < b.length) push(b[j++], 'added');
+  return parts;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function Change({ change }) {
+  const { before, after } = change;
+  if (typeof before === 'string' && typeof after === 'string') {
+    return (
+      <div className="revision-change">
+        <code>{change.path}</code>
+        <div lang="bn">
+          {diffWords(before, after).map((part, i) => (
+            <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+          ))}
+        </div>
+      </div>
+    );
+  }
+  return (
+    <div className="revision-change">
+      <code>{change.path}</code>
+      <div lang="bn">
+        <span className="diff-removed">{formatValue(before)}</span>{' → '}
+        <span className="diff-added">{formatValue(after)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Edit history of a page with per-revision diffs and rollback (for editors)
+function RevisionHistory({ apiBase, document, canEdit, onChanged }) {
+  const [revisions, setRevisions] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Refetched whenever the page changes, since every change adds a revision
+  useEffect(() => {
+    axios.get(`${apiBase}/documents/${document.id}/revisions`)
+      .then(response => setRevisions(response.data))
+      .catch(error => console.error('Error fetching revisions:', error));
+  }, [apiBase, document]);
+
+  const rollback = async (revision) => {
+    if (!window.confirm('এই সংস্করণে ফিরে যেতে চান?')) return;
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBase}/documents/${document.id}/revisions/${revision.id}/rollback`);
+      onChanged(response.data.document);
+    } catch (error) {
+      alert(error.response?.data?.error || 'পূর্বাবস্থায় ফেরানো যায়নি');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (revisions.length === 0) {
+    return <div className="revision-history">এখনও কোনো সম্পাদনা হয়নি</div>;
+  }
+
+  return (
+    <div className="revision-history">
+      {revisions.map((revision, index) => {
+        // Region polygons move with split and merge; listing every point is noise
+        const changes = (revision.diff || []).filter(change => !change.path.startsWith('layout.'));
+        return (
+          <div key={revision.id} className="revision">
+            <div className="revision-header" onClick={() => setExpanded(expanded === revision.id ? null : revision.id)}>
+              <strong>{ACTION_LABELS[revision.action] || revision.action}</strong>
+              <span>{revision.author}</span>
+              <span>{new Date(revision.createdAt).toLocaleString('bn-IN')}</span>
+              {revision.summary && <span>{revision.summary}</span>}
+            </div>
+            {expanded === revision.id && (
+              <div className="revision-body">
+                {changes.map((change, i) => <Change key={i} change={change} />)}
+                {changes.length < (revision.diff || []).length && (
+                  <div className="revision-note">ছবির অঞ্চলও পরিবর্তিত হয়েছে</div>
+                )}
+              </div>
+            )}
+            {canEdit && index > 0 && (
+              <button onClick={() => rollback(revision)} disabled={busy}>↺ এই সংস্করণে ফিরুন</button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RevisionHistory;
@@ -0,0 +1,61 @@
+import React from 'react';
+import FilterSidebar from './FilterSidebar';
+import InfiniteScroll from './InfiniteScroll';
+import usePagedResults from '../hooks/usePagedResults';
+
+const SORT_OPTIONS = [
+  { value: '', label: 'প্রাসঙ্গিকতা' },
+  { value: 'uploadDate', label: 'আপলোডের তারিখ' },
+  { value: 'editionDate', label: 'সংস্করণের তারিখ' }
+];
+
+// Wrap the [start, end] character ranges of `text` in <mark> elements
+export function markRanges(text, ranges) {
+  if (!text || !ranges?.length) return text;
+  const fragments = [];
+  let lastIndex = 0;
+  ranges.forEach(([start, end], i) => {
+    fragments.push(text.slice(lastIndex, start));
+    fragments.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    lastIndex = end;
+  });
+  fragments.push(text.slice(lastIndex));
+  return fragments;
+}
+
+// One entry per matching article: headline, page and a highlighted snippet,
+// with a filter sidebar and infinite scroll. The filters are kept by the
+// caller, as they are part of the search's address.
+function SearchResults({ apiBase, query, filters, onFiltersChange, onOpen }) {
+  const { items, total, facets, loading, hasMore, loadMore } =
+    usePagedResults(`${apiBase}/search`, { ...filters, q: query }, 'results', { enabled: Boolean(query) });
+
+  return (
+    <div className="with-filters">
+      <FilterSidebar facets={facets} filters={filters} onChange={onFiltersChange} sortOptions={SORT_OPTIONS} />
+      <div className="filtered-list search-results">
+        {query && <p className="search-total">{total}টি খবর পাওয়া গেছে</p>}
+        <ul>
+          {items.map(result => (
+            <li key={`${result.documentId}-${result.articleIndex}`} className="search-result">
+              <button className="search-result-headline" onClick={() => onOpen(result)}>
+                {markRanges(result.headline, result.headlineHighlights) || result.originalName}
+              </button>
+              <div className="search-result-meta">
+                {result.newspaper || result.originalName}
+                {result.pageNumber && <> · পাতা {result.pageNumber}</>}
+                {(result.editionDate || result.date) && <> · {result.editionDate || result.date}</>}
+                {result.category && <> · {result.category}</>}
+              </div>
+              <p className="search-result-snippet">{markRanges(result.snippet, result.highlights)}</p>
+            </li>
+          ))}
+        </ul>
+        {query && !loading && items.length === 0 && <p>কিছুই পাওয়া যায়নি।</p>}
+        <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+      </div>
+    </div>
+  );
+}
+
+export default SearchResults;
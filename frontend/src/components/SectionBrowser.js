@@ -0,0 +1,102 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import FilterSidebar, { EMPTY_FILTERS } from './FilterSidebar';
+import InfiniteScroll from './InfiniteScroll';
+import CategoryReview from './CategoryReview';
+import { markRanges } from './SearchResults';
+import usePagedResults from '../hooks/usePagedResults';
+
+const SORT_OPTIONS = [
+  { value: '', label: 'সংস্করণের তারিখ' },
+  { value: 'uploadDate', label: 'আপলোডের তারিখ' }
+];
+
+// The articles filed under one section, newest edition first
+function SectionArticles({ apiBase, section, onOpen }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const { items, total, facets, loading, hasMore, loadMore } =
+    usePagedResults(`${apiBase}/sections/${section.id}/articles`, filters, 'results');
+
+  return (
+    <div className="with-filters">
+      <FilterSidebar facets={facets} filters={filters} onChange={setFilters} sortOptions={SORT_OPTIONS} />
+      <div className="filtered-list search-results">
+        <h3>{section.bn} <span className="section-en">{section.en}</span> ({total})</h3>
+        <ul>
+          {items.map(result => (
+            <li key={`${result.documentId}-${result.articleIndex}`} className="search-result">
+              <button className="search-result-headline" onClick={() => onOpen(result)}>
+                {markRanges(result.headline, result.headlineHighlights)}
+              </button>
+              <div className="search-result-meta">
+                {result.newspaper}
+                {result.pageNumber && <> · পাতা {result.pageNumber}</>}
+                {result.editionDate && <> · {result.editionDate}</>}
+              </div>
+              <p className="search-result-snippet">{markRanges(result.snippet, result.highlights)}</p>
+            </li>
+          ))}
+        </ul>
+        {!loading && items.length === 0 && <p>কিছুই পাওয়া যায়নি।</p>}
+        <InfiniteScroll hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+      </div>
+    </div>
+  );
+}
+
+// Articles by newspaper section, with the number filed under each. Admins
+// also get the categories no section covers yet, to map them.
+function SectionBrowser({ apiBase, canReview, onOpen }) {
+  const [sections, setSections] = useState([]);
+  const [unmapped, setUnmapped] = useState(0);
+  const [selected, setSelected] = useState(null); // a section id, or 'review'
+
+  const fetchSections = useCallback(async () => {
+    try {
+      const response = await axios.get(`${apiBase}/sections`);
+      setSections(response.data.sections);
+      setUnmapped(response.data.unmapped);
+    } catch (error) {
+      console.error('Error fetching sections:', error);
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    fetchSections();
+  }, [fetchSections]);
+
+  const section = sections.find(s => s.id === selected);
+
+  return (
+    <div className="section-browser">
+      <div className="section-list">
+        {sections.map(s => (
+          <button
+            key={s.id}
+            className={selected === s.id ? 'active' : ''}
+            onClick={() => setSelected(s.id)}
+            title={s.en}
+            disabled={s.articleCount === 0}
+          >
+            {s.bn} <span className="facet-count">{s.articleCount}</span>
+          </button>
+        ))}
+        {canReview && unmapped > 0 && (
+          <button
+            className={`section-review${selected === 'review' ? ' active' : ''}`}
+            onClick={() => setSelected('review')}
+          >
+            অমীমাংসিত বিভাগ <span className="facet-count">{unmapped}</span>
+          </button>
+        )}
+      </div>
+      {selected === 'review' && (
+        <CategoryReview apiBase={apiBase} onOpen={onOpen} onMapped={fetchSections} />
+      )}
+      {section && <SectionArticles key={section.id} apiBase={apiBase} section={section} onOpen={onOpen} />}
+      {!selected && <p>কোন বিভাগের খবর দেখতে চান, ওপর থেকে বেছে নিন।</p>}
+    </div>
+  );
+}
+
+export default SectionBrowser;
@@ -0,0 +1,120 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useTransformEffect } from 'react-zoom-pan-pinch';
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// Pixel size of a pyramid level: level `maxLevel` is the whole image and
+// each level below it half the size of the one above
+function levelSize(tiles, level) {
+  const scale = 2 ** (tiles.maxLevel - level);
+  return { width: Math.ceil(tiles.width / scale), height: Math.ceil(tiles.height / scale) };
+}
+
+// Smallest level at least `pixels` wide, so tiles are never stretched
+function levelFor(tiles, pixels) {
+  const level = tiles.maxLevel - Math.floor(Math.log2(tiles.width / pixels));
+  return Math.min(Math.max(level, 0), tiles.maxLevel);
+}
+
+// Columns and rows of `level` covering `area` (0-1 page coordinates)
+function tileRange(tiles, level, area) {
+  const { width, height } = levelSize(tiles, level);
+  const last = (size, fraction) =>
+    Math.min(Math.ceil(size / tiles.tileSize) - 1, Math.floor((fraction * size) / tiles.tileSize));
+  return {
+    level,
+    columns: [Math.floor((area.left * width) / tiles.tileSize), last(width, area.right)],
+    rows: [Math.floor((area.top * height) / tiles.tileSize), last(height, area.bottom)]
+  };
+}
+
+const sameRange = (a, b) => a && b && a.level === b.level &&
+  a.columns.join() === b.columns.join() && a.rows.join() === b.rows.join();
+
+// Where a tile sits, as percentages of the page: tiles overlap their
+// neighbours by `overlap` pixels on every inner edge
+function tileStyle(tiles, { width, height }, column, row) {
+  const left = column * tiles.tileSize - (column > 0 ? tiles.overlap : 0);
+  const top = row * tiles.tileSize - (row > 0 ? tiles.overlap : 0);
+  const right = Math.min((column + 1) * tiles.tileSize + tiles.overlap, width);
+  const bottom = Math.min((row + 1) * tiles.tileSize + tiles.overlap, height);
+  const percent = (value, size) => `${(100 * value) / size}%`;
+  return {
+    left: percent(left, width),
+    top: percent(top, height),
+    width: percent(right - left, width),
+    height: percent(bottom - top, height)
+  };
+}
+
+// A transparent image as large as the page, so the layout is the same as
+// with the original image
+const placeholder = ({ width, height }) =>
+  `data:image/svg+xml,${encodeURIComponent(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"/>`)}`;
+
+// A page image drawn from its Deep Zoom pyramid (`tiles` as stored with the
+// document) inside a TransformWrapper. The thumbnail shows at once; on top
+// of it only the tiles in view are loaded, from the level that matches the
+// current zoom, and again whenever the page is zoomed or panned.
+function TiledImage({ tileBase, tiles }) {
+  const layerRef = useRef(null);
+  const [range, setRange] = useState(null);
+
+  const measure = useCallback(() => {
+    const layer = layerRef.current;
+    const frame = layer?.closest('.react-transform-wrapper');
+    if (!frame) return;
+    // Both boxes include the zoom and pan, so their overlap is what is in view
+    const box = layer.getBoundingClientRect();
+    const view = frame.getBoundingClientRect();
+    if (box.width === 0) return;
+    const area = {
+      left: clamp((view.left - box.left) / box.width),
+      right: clamp((view.right - box.left) / box.width),
+      top: clamp((view.top - box.top) / box.height),
+      bottom: clamp((view.bottom - box.top) / box.height)
+    };
+    const next = tileRange(tiles, levelFor(tiles, box.width * (window.devicePixelRatio || 1)), area);
+    setRange(current => (sameRange(current, next) ? current : next));
+  }, [tiles]);
+
+  useEffect(() => {
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(layerRef.current);
+    return () => observer.disconnect();
+  }, [measure]);
+
+  useTransformEffect(measure);
+
+  const shown = [];
+  if (range) {
+    const size = levelSize(tiles, range.level);
+    for (let column = range.columns[0]; column <= range.columns[1]; column++) {
+      for (let row = range.rows[0]; row <= range.rows[1]; row++) {
+        shown.push({ column, row, style: tileStyle(tiles, size, column, row) });
+      }
+    }
+  }
+
+  return (
+    <>
+      <img src={placeholder(tiles)} alt="" className="newspaper-image" />
+      <div className="tile-layer" ref={layerRef} style={{ aspectRatio: `${tiles.width} / ${tiles.height}` }}>
+        <img src={`${tileBase}/thumbnail`} alt="" className="tile-thumbnail" />
+        {shown.map(({ column, row, style }) => (
+          <img
+            key={`${range.level}/${column}_${row}`}
+            src={`${tileBase}/tiles_files/${range.level}/${column}_${row}.${tiles.format}`}
+            alt=""
+            className="tile"
+            style={style}
+            draggable={false}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default TiledImage;
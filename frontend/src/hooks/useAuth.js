@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Roles from least to most privileged, as on the server
+const ROLES = ['viewer', 'editor', 'admin'];
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// The signed-in user: undefined while checking, null when signed out. The
+// session lives in a cookie, so every request has to send credentials, and
+// any 401 (an expired session, say) returns to the login screen.
+function useAuth(apiBase) {
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    axios.defaults.withCredentials = true;
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401) setUser(null);
+      return Promise.reject(error);
+    });
+    axios.get(`${apiBase}/auth/me`)
+      .then(response => setUser(response.data.user))
+      .catch(() => setUser(null));
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [apiBase]);
+
+  const login = useCallback(async (username, password) => {
+    const response = await axios.post(`${apiBase}/auth/login`, { username, password });
+    setUser(response.data.user);
+    return response.data.user;
+  }, [apiBase]);
+
+  const logout = useCallback(async () => {
+    try {
+      await axios.post(`${apiBase}/auth/logout`);
+    } finally {
+      setUser(null);
+    }
+  }, [apiBase]);
+
+  return { user, login, logout };
+}
+
+export default useAuth;
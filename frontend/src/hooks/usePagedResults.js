@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+
+// Fetches a cursor-paginated listing (`{ [itemsKey], total, nextCursor, facets }`)
+// and appends further pages on `loadMore`. Changing `params` starts over.
+function usePagedResults(url, params, itemsKey, { enabled = true } = {}) {
+  const [state, setState] = useState({ items: [], total: 0, facets: null, nextCursor: null, loading: false });
+  const requestId = useRef(0);
+  const paramsKey = JSON.stringify(params);
+
+  const fetchPage = useCallback(async (cursor) => {
+    // Responses for superseded parameters are dropped
+    const id = cursor ? requestId.current : ++requestId.current;
+    setState(current => ({ ...current, loading: true }));
+    try {
+      const response = await axios.get(url, { params: { ...JSON.parse(paramsKey), cursor } });
+      if (id !== requestId.current) return;
+      setState(current => ({
+        items: cursor ? [...current.items, ...response.data[itemsKey]] : response.data[itemsKey],
+        total: response.data.total,
+        facets: response.data.facets,
+        nextCursor: response.data.nextCursor,
+        loading: false
+      }));
+    } catch (error) {
+      console.error('Error fetching results:', error);
+      if (id === requestId.current) setState(current => ({ ...current, loading: false }));
+    }
+  }, [url, paramsKey, itemsKey]);
+
+  useEffect(() => {
+    if (enabled) fetchPage(null);
+  }, [fetchPage, enabled]);
+
+  const { nextCursor, loading } = state;
+  const loadMore = useCallback(() => {
+    if (nextCursor && !loading) fetchPage(nextCursor);
+  }, [fetchPage, nextCursor, loading]);
+
+  return { ...state, hasMore: Boolean(nextCursor), loadMore };
+}
+
+export default usePagedResults;
@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { EMPTY_FILTERS } from '../components/FilterSidebar';
+
+// Addresses the app can be opened at, so pages, articles and searches can be
+// bookmarked and shared:
+//   /documents/:id               a page
+//   /documents/:id/articles/:n   a page focused on one of its articles
+//                                (counted from 0, as in the API)
+//   /search?q=...                search results; filters as further parameters
+// A page opened from search results keeps the query and filters in its
+// address, so it opens with the query highlighted. The tab a route belongs to
+// travels in the history entry's state, so back and forward also return to
+// the right tab; a shared link picks one from the address alone.
+
+function appendFilters(params, filters) {
+  for (const [key, value] of Object.entries(filters)) {
+    if (Array.isArray(value)) value.forEach(item => params.append(key, item));
+    else if (value && value !== EMPTY_FILTERS[key]) params.set(key, value);
+  }
+}
+
+function readFilters(params) {
+  return Object.fromEntries(Object.entries(EMPTY_FILTERS).map(([key, empty]) => [
+    key,
+    Array.isArray(empty) ? params.getAll(key) : params.get(key) || empty
+  ]));
+}
+
+export function searchPath(query, filters = EMPTY_FILTERS) {
+  const params = new URLSearchParams({ q: query });
+  appendFilters(params, filters);
+  return `/search?${params}`;
+}
+
+// `search` ({ query, filters }) is the search the page was opened from
+export function documentPath(documentId, article = null, search = null) {
+  const path = `/documents/${encodeURIComponent(documentId)}`;
+  const articlePath = article !== null && article >= 0 ? `/articles/${article}` : '';
+  const query = search?.query ? searchPath(search.query, search.filters).slice('/search'.length) : '';
+  return path + articlePath + query;
+}
+
+// `{ name: 'document', documentId, article, query, filters }`,
+// `{ name: 'search', query, filters }` or `{ name: 'home' }`, each with the
+// `view` (tab) of its history entry when known
+export function parseRoute({ pathname, search, state }) {
+  const params = new URLSearchParams(search);
+  const view = state?.view || null;
+  const query = params.get('q') || '';
+
+  const match = pathname.match(/^\/documents\/([^/]+)(?:\/articles\/(\d+))?\/?$/);
+  if (match) {
+    return {
+      name: 'document',
+      documentId: decodeURIComponent(match[1]),
+      article: match[2] === undefined ? null : Number(match[2]),
+      query,
+      filters: readFilters(params),
+      view
+    };
+  }
+  if (/^\/search\/?$/.test(pathname)) {
+    return { name: 'search', query, filters: readFilters(params), view };
+  }
+  return { name: 'home', view };
+}
+
+function currentLocation() {
+  const { pathname, search } = window.location;
+  return { pathname, search, state: window.history.state };
+}
+
+// The route of the address bar, following the back and forward buttons.
+// `navigate(path, { state, replace })` moves to another address, adding a
+// history entry unless `replace`; moving to where the app already is does
+// nothing.
+function useRoute() {
+  const [location, setLocation] = useState(currentLocation);
+
+  useEffect(() => {
+    const onPopState = () => setLocation(currentLocation());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = useCallback((path, { state = null, replace = false } = {}) => {
+    const { pathname, search, state: currentState } = currentLocation();
+    if (path === pathname + search && JSON.stringify(state) === JSON.stringify(currentState)) return;
+    if (replace) window.history.replaceState(state, '', path);
+    else window.history.pushState(state, '', path);
+    setLocation(currentLocation());
+  }, []);
+
+  const route = useMemo(() => parseRoute(location), [location]);
+  return { route, navigate };
+}
+
+export default useRoute;